@@ -223,10 +223,22 @@ class APIClient {
         }));
     }
 
+    /**
+     * Create a key identifying one upload submission, so resending it
+     * after a network failure returns the original job
+     */
+    createIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `upload-${Date.now()}-${Math.random().toString(36).substr(2, 12)}`;
+    }
+
     /**
      * Upload images with progress tracking
+     * Pass the same idempotency key when resending a submission
      */
-    async uploadImages(files, options = {}, onProgress = null) {
+    async uploadImages(files, options = {}, onProgress = null, idempotencyKey = null) {
         // In static mode, simulate upload process
         if (this.isStaticMode) {
             return this.simulateUpload(files, options, onProgress);
@@ -295,6 +307,10 @@ class APIClient {
             if (this.authToken) {
                 xhr.setRequestHeader('Authorization', `Bearer ${this.authToken}`);
             }
+
+            if (idempotencyKey) {
+                xhr.setRequestHeader('Idempotency-Key', idempotencyKey);
+            }
             
             xhr.timeout = 300000; // 5 minute timeout
             xhr.send(formData);
@@ -337,6 +353,71 @@ class APIClient {
         });
     }
 
+    /**
+     * Follow processing status, using the Server-Sent Events stream when
+     * available and falling back to polling otherwise
+     */
+    async watchProcessingStatus(processingId, onUpdate = null) {
+        if (this.isStaticMode || typeof EventSource === 'undefined') {
+            return this.pollProcessingStatus(processingId, onUpdate);
+        }
+
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(`${this.apiURL}/status/${processingId}/stream`);
+            let status = null;
+
+            source.addEventListener('snapshot', (event) => {
+                status = JSON.parse(event.data);
+                if (onUpdate) {
+                    onUpdate(status);
+                }
+            });
+
+            source.addEventListener('step', (event) => {
+                if (!status) return;
+
+                const step = JSON.parse(event.data);
+                delete step.jobId;
+                status.steps.push(step);
+                status.currentStep = step.step;
+                status.currentStatus = step.status;
+                status.queue = null;
+
+                if (onUpdate) {
+                    onUpdate(status);
+                }
+            });
+
+            source.addEventListener('queue', (event) => {
+                if (!status) return;
+
+                const queue = JSON.parse(event.data);
+                delete queue.jobId;
+                status.queue = queue;
+
+                if (onUpdate) {
+                    onUpdate(status);
+                }
+            });
+
+            source.addEventListener('complete', (event) => {
+                source.close();
+                status = JSON.parse(event.data);
+                if (onUpdate) {
+                    onUpdate(status);
+                }
+                resolve(status);
+            });
+
+            source.onerror = () => {
+                // EventSource reconnects on its own unless the stream was refused
+                if (source.readyState === EventSource.CLOSED) {
+                    this.pollProcessingStatus(processingId, onUpdate).then(resolve, reject);
+                }
+            };
+        });
+    }
+
     /**
      * Poll processing status
      */
@@ -361,8 +442,7 @@ class APIClient {
                     }
 
                     // Check if processing is complete
-                    const lastStep = data.status.steps[data.status.steps.length - 1];
-                    if (lastStep && (lastStep.status === 'completed' || lastStep.status === 'failed')) {
+                    if (data.status.status && data.status.status !== 'processing') {
                         resolve(data.status);
                         return;
                     }
@@ -385,6 +465,41 @@ class APIClient {
         });
     }
 
+    /**
+     * Retry a finished job from its failed step, reusing earlier results
+     */
+    async retryProcessing(processingId, fromStep = null) {
+        const query = fromStep ? `?from=${encodeURIComponent(fromStep)}` : '';
+        const response = await this.makeRequest(`${this.apiURL}/jobs/${processingId}/retry${query}`, {
+            method: 'POST'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error?.message || 'Failed to retry processing');
+        }
+
+        return data;
+    }
+
+    /**
+     * Approve a listing paused for review so the Etsy draft gets created
+     */
+    async approveListing(processingId, listing) {
+        const response = await this.makeRequest(`${this.apiURL}/jobs/${processingId}/approve`, {
+            method: 'POST',
+            body: JSON.stringify(listing)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            const details = data.error?.details?.details;
+            throw new Error(details ? details.map(detail => detail.message).join('. ') : (data.error?.message || 'Failed to approve listing'));
+        }
+
+        return data;
+    }
+
     /**
      * Get authentication status
      */
@@ -561,6 +676,178 @@ class APIClient {
         }
     }
 
+    /**
+     * Upload the logo used by logo watermarks (PNG or SVG)
+     */
+    async uploadWatermarkLogo(file) {
+        if (this.isStaticMode) {
+            throw new Error('Logo upload is not available in static mode');
+        }
+
+        const formData = new FormData();
+        formData.append('logo', file);
+
+        // Let the browser set the multipart Content-Type
+        const response = await fetch(`${this.apiURL}/settings/watermark/logo`, {
+            method: 'POST',
+            headers: this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {},
+            body: formData
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || data.error || 'Failed to upload logo');
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the current watermark logo, or null if none is uploaded
+     */
+    async getWatermarkLogo() {
+        const response = await this.makeRequest(`${this.apiURL}/settings/watermark/logo`);
+        if (!response.ok) {
+            return null;
+        }
+
+        return await response.blob();
+    }
+
+    /**
+     * Remove the watermark logo
+     */
+    async deleteWatermarkLogo() {
+        const response = await this.makeRequest(`${this.apiURL}/settings/watermark/logo`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error?.message || 'Failed to remove logo');
+        }
+
+        return data;
+    }
+
+    /**
+     * Upload the font used for text watermarks (TTF or OTF)
+     */
+    async uploadWatermarkFont(file) {
+        if (this.isStaticMode) {
+            throw new Error('Font upload is not available in static mode');
+        }
+
+        const formData = new FormData();
+        formData.append('font', file);
+
+        // Let the browser set the multipart Content-Type
+        const response = await fetch(`${this.apiURL}/settings/watermark/font`, {
+            method: 'POST',
+            headers: this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {},
+            body: formData
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || data.error || 'Failed to upload font');
+        }
+
+        return data;
+    }
+
+    /**
+     * Remove the watermark font, going back to the default font
+     */
+    async deleteWatermarkFont() {
+        const response = await this.makeRequest(`${this.apiURL}/settings/watermark/font`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error?.message || 'Failed to remove font');
+        }
+
+        return data;
+    }
+
+    /**
+     * Render a watermark preview with unsaved watermark settings
+     */
+    async previewWatermark(watermark) {
+        const response = await this.makeRequest(`${this.apiURL}/settings/watermark/preview`, {
+            method: 'POST',
+            body: JSON.stringify({ watermark })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error?.message || 'Failed to render preview');
+        }
+
+        return await response.blob();
+    }
+
+    /**
+     * Check the quality of images before uploading them
+     */
+    async checkImageQuality(files) {
+        if (this.isStaticMode) {
+            throw new Error('Quality checks are not available in static mode');
+        }
+
+        const formData = new FormData();
+        files.forEach(file => {
+            formData.append('images', file);
+        });
+
+        // Let the browser set the multipart Content-Type
+        const response = await fetch(`${this.apiURL}/images/quality`, {
+            method: 'POST',
+            headers: this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {},
+            body: formData
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || data.error || 'Failed to check image quality');
+        }
+
+        return data.images;
+    }
+
+    /**
+     * Run an image tool (watermark, collage, optimize, slideshow) on files
+     * without starting a job; resolves to the resulting file, or a ZIP for
+     * several images
+     */
+    async runImageTool(tool, files, options = {}) {
+        if (this.isStaticMode) {
+            throw new Error('Image tools are not available in static mode');
+        }
+
+        const formData = new FormData();
+        files.forEach(file => {
+            formData.append('images', file);
+        });
+        formData.append('options', JSON.stringify(options));
+
+        // Let the browser set the multipart Content-Type
+        const response = await fetch(`${this.apiURL}/images/${tool}`, {
+            method: 'POST',
+            headers: this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {},
+            body: formData
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error?.message || data.error || `Failed to run ${tool}`);
+        }
+
+        return await response.blob();
+    }
+
     /**
      * Get API health status
      */
@@ -9,7 +9,16 @@ class SettingsManager {
                 fontSize: 'medium',
                 color: '#b0b0b0',
                 spacing: 200,
-                enabled: true
+                enabled: true,
+                mode: 'tiled',
+                position: 'center',
+                margin: 20,
+                secondLine: '',
+                stroke: { width: 0, color: '#000000' },
+                shadow: { enabled: false, color: '#000000', blur: 2, offsetX: 2, offsetY: 2 },
+                font: { asset: null, family: null },
+                type: 'text',
+                logo: { asset: null, mode: 'tiled', position: 'bottom-right', scale: 20, opacity: 50, rotation: 0 }
             },
             googleDrive: {
                 folderName: 'ListGenie Backups',
@@ -19,13 +28,17 @@ class SettingsManager {
             etsy: {
                 shopId: null,
                 defaultCategory: null,
-                autoDraft: true
+                autoDraft: true,
+                requireApproval: false
             },
             authentication: {
                 googleDrive: { connected: false, email: null },
                 etsy: { connected: false, shopName: null }
             }
         };
+
+        // Photo chosen to preview the watermark on; not saved
+        this.watermarkSample = null;
     }
 
     async init() {
@@ -61,6 +74,16 @@ class SettingsManager {
             });
         }
 
+        // Etsy form listeners
+        const etsyForm = document.getElementById('etsy-form');
+        if (etsyForm) {
+            etsyForm.addEventListener('input', (e) => {
+                if (e.target.name === 'requireApproval') {
+                    this.settings.etsy.requireApproval = e.target.checked;
+                }
+            });
+        }
+
         // Authentication buttons
         const googleAuthBtn = document.getElementById('google-auth-btn');
         if (googleAuthBtn) {
@@ -110,6 +133,63 @@ class SettingsManager {
                 document.getElementById('angle-value').textContent = e.target.value + '°';
             });
         }
+
+        // Logo watermark
+        const logoFile = document.getElementById('logo-file');
+        if (logoFile) {
+            logoFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.handleLogoUpload(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const logoRemoveBtn = document.getElementById('logo-remove-btn');
+        if (logoRemoveBtn) {
+            logoRemoveBtn.addEventListener('click', () => {
+                this.handleLogoRemove();
+            });
+        }
+
+        // Watermark font
+        const fontFile = document.getElementById('font-file');
+        if (fontFile) {
+            fontFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.handleFontUpload(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const fontRemoveBtn = document.getElementById('font-remove-btn');
+        if (fontRemoveBtn) {
+            fontRemoveBtn.addEventListener('click', () => {
+                this.handleFontRemove();
+            });
+        }
+
+        const renderPreviewBtn = document.getElementById('render-preview-btn');
+        if (renderPreviewBtn) {
+            renderPreviewBtn.addEventListener('click', () => {
+                this.renderWatermarkPreview();
+            });
+        }
+
+        // Own photo to render the watermark preview on
+        const sampleFile = document.getElementById('watermark-sample-file');
+        if (sampleFile) {
+            sampleFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.watermarkSample = e.target.files[0];
+                    const current = document.getElementById('watermark-sample-current');
+                    if (current) current.textContent = this.watermarkSample.name;
+                    this.renderWatermarkPreview();
+                }
+                e.target.value = '';
+            });
+        }
     }
 
     setupOAuthEventListeners() {
@@ -157,7 +237,7 @@ class SettingsManager {
     }
 
     handleWatermarkChange(e) {
-        const { name, value } = e.target;
+        const { name, value, checked } = e.target;
         
         switch (name) {
             case 'watermarkText':
@@ -172,11 +252,213 @@ class SettingsManager {
             case 'watermarkSize':
                 this.settings.watermark.fontSize = value;
                 break;
+            case 'watermarkSecondLine':
+                this.settings.watermark.secondLine = value;
+                break;
+            case 'watermarkMode':
+                this.settings.watermark.mode = value;
+                break;
+            case 'watermarkPosition':
+                this.settings.watermark.position = value;
+                break;
+            case 'watermarkMargin':
+                this.settings.watermark.margin = parseInt(value) || 0;
+                break;
+            case 'watermarkStrokeWidth':
+                this.settings.watermark.stroke.width = parseInt(value) || 0;
+                break;
+            case 'watermarkStrokeColor':
+                this.settings.watermark.stroke.color = value;
+                break;
+            case 'watermarkShadow':
+                this.settings.watermark.shadow.enabled = checked;
+                break;
+            case 'watermarkShadowBlur':
+                this.settings.watermark.shadow.blur = parseInt(value) || 0;
+                break;
+            case 'watermarkShadowOffset':
+                this.settings.watermark.shadow.offsetX = parseInt(value) || 0;
+                this.settings.watermark.shadow.offsetY = parseInt(value) || 0;
+                break;
+            case 'watermarkShadowColor':
+                this.settings.watermark.shadow.color = value;
+                break;
+            case 'watermarkType':
+                this.settings.watermark.type = value;
+                break;
+            case 'logoMode':
+                this.settings.watermark.logo.mode = value;
+                break;
+            case 'logoPosition':
+                this.settings.watermark.logo.position = value;
+                break;
+            case 'logoScale':
+                this.settings.watermark.logo.scale = parseInt(value);
+                break;
+            case 'logoOpacity':
+                this.settings.watermark.logo.opacity = parseInt(value);
+                break;
+            case 'logoRotation':
+                this.settings.watermark.logo.rotation = parseInt(value);
+                break;
         }
         
+        this.updateLogoSettings();
+        this.updateTextStyleSettings();
         this.updateWatermarkPreview();
     }
 
+    /**
+     * Show the logo controls for logo watermarks and keep their labels current
+     */
+    updateLogoSettings() {
+        const { type, mode, logo } = this.settings.watermark;
+
+        // Position and margin only apply to a single text mark
+        ['watermark-position-field', 'watermark-margin-field'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) field.classList.toggle('hidden', mode !== 'single');
+        });
+
+        const logoSettings = document.getElementById('logo-settings');
+        if (logoSettings) logoSettings.classList.toggle('hidden', type !== 'logo');
+
+        const positionField = document.getElementById('logo-position-field');
+        if (positionField) positionField.classList.toggle('hidden', logo.mode !== 'corner');
+
+        const labels = {
+            'logo-scale-value': logo.scale + '%',
+            'logo-opacity-value': logo.opacity + '%',
+            'logo-rotation-value': logo.rotation + '°'
+        };
+        Object.entries(labels).forEach(([id, text]) => {
+            const label = document.getElementById(id);
+            if (label) label.textContent = text;
+        });
+
+        const removeBtn = document.getElementById('logo-remove-btn');
+        if (removeBtn) removeBtn.classList.toggle('hidden', !logo.asset);
+    }
+
+    /**
+     * Show the uploaded logo next to the upload button
+     */
+    async loadLogoPreview() {
+        const image = document.getElementById('logo-current');
+        const placeholder = document.getElementById('logo-placeholder');
+        if (!image) return;
+
+        const blob = this.settings.watermark.logo.asset ? await window.apiClient.getWatermarkLogo().catch(() => null) : null;
+
+        if (image.src) URL.revokeObjectURL(image.src);
+        if (blob) {
+            image.src = URL.createObjectURL(blob);
+        } else {
+            image.removeAttribute('src');
+        }
+        image.classList.toggle('hidden', !blob);
+        if (placeholder) placeholder.classList.toggle('hidden', !!blob);
+    }
+
+    async handleLogoUpload(file) {
+        try {
+            const response = await window.apiClient.uploadWatermarkLogo(file);
+            this.settings.watermark.logo.asset = response.settings.watermark.logo.asset;
+            this.settings.watermark.type = 'logo';
+            localStorage.setItem('ListGenie-settings', JSON.stringify(this.settings));
+
+            const typeSelect = document.getElementById('watermark-type');
+            if (typeSelect) typeSelect.value = 'logo';
+
+            this.updateLogoSettings();
+            await this.loadLogoPreview();
+            await this.renderWatermarkPreview();
+        } catch (error) {
+            this.showSaveError(error.message);
+        }
+    }
+
+    async handleLogoRemove() {
+        try {
+            await window.apiClient.deleteWatermarkLogo();
+            this.settings.watermark.logo.asset = null;
+            this.settings.watermark.type = 'text';
+            localStorage.setItem('ListGenie-settings', JSON.stringify(this.settings));
+
+            const typeSelect = document.getElementById('watermark-type');
+            if (typeSelect) typeSelect.value = 'text';
+
+            this.updateLogoSettings();
+            await this.loadLogoPreview();
+        } catch (error) {
+            this.showSaveError(error.message);
+        }
+    }
+
+    /**
+     * Show the shadow controls when enabled and the name of the uploaded font
+     */
+    updateTextStyleSettings() {
+        const { shadow, font } = this.settings.watermark;
+
+        const shadowFields = document.getElementById('watermark-shadow-fields');
+        if (shadowFields) shadowFields.classList.toggle('hidden', !shadow.enabled);
+
+        const fontCurrent = document.getElementById('font-current');
+        if (fontCurrent) fontCurrent.textContent = font.asset ? font.family : 'Default (Arial)';
+
+        const removeBtn = document.getElementById('font-remove-btn');
+        if (removeBtn) removeBtn.classList.toggle('hidden', !font.asset);
+    }
+
+    async handleFontUpload(file) {
+        try {
+            const response = await window.apiClient.uploadWatermarkFont(file);
+            this.settings.watermark.font = response.settings.watermark.font;
+            localStorage.setItem('ListGenie-settings', JSON.stringify(this.settings));
+
+            this.updateTextStyleSettings();
+            await this.renderWatermarkPreview();
+        } catch (error) {
+            this.showSaveError(error.message);
+        }
+    }
+
+    async handleFontRemove() {
+        try {
+            await window.apiClient.deleteWatermarkFont();
+            this.settings.watermark.font = { asset: null, family: null };
+            localStorage.setItem('ListGenie-settings', JSON.stringify(this.settings));
+
+            this.updateTextStyleSettings();
+        } catch (error) {
+            this.showSaveError(error.message);
+        }
+    }
+
+    /**
+     * Render the watermark on the server, exactly as uploads will get it:
+     * on the chosen photo with the watermark tool, or on the sample image
+     */
+    async renderWatermarkPreview() {
+        const image = document.getElementById('watermark-render');
+        if (!image) return;
+
+        try {
+            this.collectFormValues();
+            const { watermark } = this.convertSettingsForBackend(this.settings);
+            const blob = this.watermarkSample
+                ? await window.apiClient.runImageTool('watermark', [this.watermarkSample], watermark)
+                : await window.apiClient.previewWatermark(watermark);
+
+            if (image.src) URL.revokeObjectURL(image.src);
+            image.src = URL.createObjectURL(blob);
+            image.classList.remove('hidden');
+        } catch (error) {
+            this.showSaveError(error.message);
+        }
+    }
+
 
 
 
@@ -197,12 +479,18 @@ class SettingsManager {
         const previewContainer = document.querySelector('#watermark-preview').parentElement;
         if (!previewContainer) return;
 
-        const { text, angle, opacity, fontSize } = this.settings.watermark;
+        const { text, secondLine, angle, opacity, fontSize, mode, position, stroke, shadow } = this.settings.watermark;
         
         // Clear existing watermarks
         const existingWatermarks = previewContainer.querySelectorAll('.watermark-repeat');
         existingWatermarks.forEach(w => w.remove());
         
+        const originalPreview = document.getElementById('watermark-preview');
+        if (mode === 'single' && originalPreview) {
+            this.updateSingleWatermarkPreview(originalPreview, { text, secondLine, opacity, fontSize, position, stroke, shadow });
+            return;
+        }
+        
         // Update font size
         const fontSizes = {
             small: '10px',
@@ -210,6 +498,7 @@ class SettingsManager {
             large: '18px'
         };
         const fontSize_px = fontSizes[fontSize] || '14px';
+        const effects = this.getTextEffectStyles(stroke, shadow, parseInt(fontSize_px) / 40);
         
         // Create repeated watermarks across the preview area
         const containerWidth = previewContainer.offsetWidth;
@@ -227,19 +516,69 @@ class SettingsManager {
                 watermark.style.fontSize = fontSize_px;
                 watermark.style.transform = `rotate(${angle}deg)`;
                 watermark.style.transformOrigin = 'center';
-                watermark.style.whiteSpace = 'nowrap';
+                watermark.style.whiteSpace = 'pre';
+                Object.assign(watermark.style, effects);
                 
                 previewContainer.appendChild(watermark);
             }
         }
         
         // Hide the original single watermark
-        const originalPreview = document.getElementById('watermark-preview');
         if (originalPreview) {
             originalPreview.style.display = 'none';
         }
     }
 
+    /**
+     * Show one watermark at the chosen position of the preview
+     */
+    updateSingleWatermarkPreview(preview, { text, secondLine, opacity, fontSize, position, stroke, shadow }) {
+        const fontSizes = {
+            small: '10px',
+            medium: '14px',
+            large: '18px'
+        };
+        const offset = '10px';
+        const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+
+        preview.innerHTML = '';
+        preview.appendChild(document.createTextNode(text));
+        if (secondLine) {
+            const line = document.createElement('div');
+            line.className = 'text-xs font-normal';
+            line.textContent = secondLine;
+            preview.appendChild(line);
+        }
+
+        Object.assign(preview.style, this.getTextEffectStyles(stroke, shadow, parseInt(fontSizes[fontSize] || '14px') / 40), {
+            display: 'block',
+            whiteSpace: 'pre',
+            opacity: opacity / 100,
+            fontSize: fontSizes[fontSize] || '14px',
+            top: vertical === 'top' ? offset : vertical === 'center' ? '50%' : '',
+            bottom: vertical === 'bottom' ? offset : '',
+            left: horizontal === 'left' ? offset : horizontal === 'center' ? '50%' : '',
+            right: horizontal === 'right' ? offset : '',
+            transform: position === 'center' ? 'translate(-50%, -50%)' : '',
+            textAlign: horizontal === 'right' ? 'right' : horizontal === 'center' ? 'center' : 'left'
+        });
+    }
+
+    /**
+     * CSS approximating the watermark outline and shadow, scaled to the preview font size
+     */
+    getTextEffectStyles(stroke, shadow, scale) {
+        const px = value => `${Math.round(value * scale * 10) / 10}px`;
+
+        return {
+            webkitTextStroke: stroke && stroke.width > 0 ? `${px(stroke.width)} ${stroke.color}` : '',
+            paintOrder: 'stroke fill',
+            textShadow: shadow && shadow.enabled
+                ? `${px(shadow.offsetX)} ${px(shadow.offsetY)} ${px(shadow.blur)} ${shadow.color}`
+                : ''
+        };
+    }
+
 
 
     async handleGoogleAuth() {
@@ -455,6 +794,13 @@ class SettingsManager {
             };
             frontendSettings.watermark.fontSize = fontSizeMap[frontendSettings.watermark.fontSize] || 'medium';
         }
+
+        // Convert logo scale and opacity from 0-1 to 0-100
+        if (frontendSettings.watermark.logo) {
+            const { scale, opacity } = frontendSettings.watermark.logo;
+            if (scale !== undefined) frontendSettings.watermark.logo.scale = Math.round(scale * 100);
+            if (opacity !== undefined) frontendSettings.watermark.logo.opacity = Math.round(opacity * 100);
+        }
         
         console.log('Converted backend settings to frontend:', frontendSettings);
         
@@ -500,6 +846,13 @@ class SettingsManager {
         if (backendSettings.watermark.enabled === undefined) {
             backendSettings.watermark.enabled = true; // Default to enabled
         }
+
+        // Convert logo scale and opacity from 0-100 to 0-1
+        if (backendSettings.watermark.logo) {
+            const { scale, opacity } = backendSettings.watermark.logo;
+            if (scale !== undefined) backendSettings.watermark.logo.scale = scale / 100;
+            if (opacity !== undefined) backendSettings.watermark.logo.opacity = opacity / 100;
+        }
         
         console.log('Converted settings for backend:', backendSettings);
         
@@ -525,6 +878,54 @@ class SettingsManager {
             this.settings.watermark.fontSize = watermarkSize.value;
             console.log('Collected font size from form:', watermarkSize.value);
         }
+
+        const watermarkSecondLine = document.getElementById('watermark-second-line');
+        if (watermarkSecondLine) this.settings.watermark.secondLine = watermarkSecondLine.value.trim();
+
+        const watermarkMode = document.getElementById('watermark-mode');
+        if (watermarkMode) this.settings.watermark.mode = watermarkMode.value;
+
+        const watermarkPosition = document.getElementById('watermark-position');
+        if (watermarkPosition) this.settings.watermark.position = watermarkPosition.value;
+
+        const watermarkMargin = document.getElementById('watermark-margin');
+        if (watermarkMargin) this.settings.watermark.margin = parseInt(watermarkMargin.value) || 0;
+
+        const strokeWidth = document.getElementById('watermark-stroke-width');
+        if (strokeWidth) this.settings.watermark.stroke.width = parseInt(strokeWidth.value) || 0;
+
+        const strokeColor = document.getElementById('watermark-stroke-color');
+        if (strokeColor) this.settings.watermark.stroke.color = strokeColor.value;
+
+        const shadowEnabled = document.getElementById('watermark-shadow');
+        if (shadowEnabled) this.settings.watermark.shadow.enabled = shadowEnabled.checked;
+
+        const shadowBlur = document.getElementById('watermark-shadow-blur');
+        if (shadowBlur) this.settings.watermark.shadow.blur = parseInt(shadowBlur.value) || 0;
+
+        const shadowOffset = document.getElementById('watermark-shadow-offset');
+        if (shadowOffset) {
+            this.settings.watermark.shadow.offsetX = parseInt(shadowOffset.value) || 0;
+            this.settings.watermark.shadow.offsetY = parseInt(shadowOffset.value) || 0;
+        }
+
+        const shadowColor = document.getElementById('watermark-shadow-color');
+        if (shadowColor) this.settings.watermark.shadow.color = shadowColor.value;
+
+        const watermarkType = document.getElementById('watermark-type');
+        if (watermarkType) this.settings.watermark.type = watermarkType.value;
+
+        const logoFields = {
+            'logo-mode': ['mode', value => value],
+            'logo-position': ['position', value => value],
+            'logo-scale': ['scale', value => parseInt(value)],
+            'logo-opacity': ['opacity', value => parseInt(value)],
+            'logo-rotation': ['rotation', value => parseInt(value)]
+        };
+        Object.entries(logoFields).forEach(([id, [key, parse]]) => {
+            const field = document.getElementById(id);
+            if (field) this.settings.watermark.logo[key] = parse(field.value);
+        });
         
         
 
@@ -535,16 +936,45 @@ class SettingsManager {
         
         const autoOrganize = document.getElementById('auto-organize');
         if (autoOrganize) this.settings.googleDrive.autoOrganize = autoOrganize.checked;
+        // Etsy settings
+        const requireApproval = document.getElementById('require-approval');
+        if (requireApproval) this.settings.etsy.requireApproval = requireApproval.checked;
     }
 
     validateSettings() {
+        // A logo watermark needs an uploaded logo
+        if (this.settings.watermark.type === 'logo' && !this.settings.watermark.logo.asset) {
+            return { valid: false, message: 'Upload a logo before using a logo watermark' };
+        }
+
         // Validate watermark text
-        if (!this.settings.watermark.text.trim()) {
+        if (this.settings.watermark.type !== 'logo' && !this.settings.watermark.text.trim()) {
             return { valid: false, message: 'Watermark text cannot be empty' };
         }
         
-        if (this.settings.watermark.text.length > 50) {
-            return { valid: false, message: 'Watermark text must be 50 characters or less' };
+        if (this.settings.watermark.text.length > 200) {
+            return { valid: false, message: 'Watermark text must be 200 characters or less' };
+        }
+
+        if (this.settings.watermark.text.split(/\r?\n/).length > 4) {
+            return { valid: false, message: 'Watermark text can have at most 4 lines' };
+        }
+
+        const { stroke, shadow } = this.settings.watermark;
+        if (stroke.width < 0 || stroke.width > 20) {
+            return { valid: false, message: 'Watermark outline must be between 0 and 20 pixels' };
+        }
+
+        if (shadow.blur < 0 || shadow.blur > 20 || Math.abs(shadow.offsetX) > 50 || Math.abs(shadow.offsetY) > 50) {
+            return { valid: false, message: 'Watermark shadow blur must be 0-20 pixels and its offset -50 to 50 pixels' };
+        }
+        
+        if (this.settings.watermark.secondLine.length > 100) {
+            return { valid: false, message: 'Watermark second line must be 100 characters or less' };
+        }
+
+        if (this.settings.watermark.margin < 0 || this.settings.watermark.margin > 500) {
+            return { valid: false, message: 'Watermark margin must be between 0 and 500 pixels' };
         }
         
         // Validate opacity
@@ -667,7 +1097,16 @@ class SettingsManager {
                 fontSize: 'medium',
                 color: '#b0b0b0',
                 spacing: 200,
-                enabled: true
+                enabled: true,
+                mode: 'tiled',
+                position: 'center',
+                margin: 20,
+                secondLine: '',
+                stroke: { width: 0, color: '#000000' },
+                shadow: { enabled: false, color: '#000000', blur: 2, offsetX: 2, offsetY: 2 },
+                font: { asset: null, family: null },
+                type: 'text',
+                logo: { asset: null, mode: 'tiled', position: 'bottom-right', scale: 20, opacity: 50, rotation: 0 }
             },
             googleDrive: {
                 folderName: 'ListGenie Backups',
@@ -677,7 +1116,8 @@ class SettingsManager {
             etsy: {
                 shopId: null,
                 defaultCategory: null,
-                autoDraft: true
+                autoDraft: true,
+                requireApproval: false
             },
             authentication: {
                 googleDrive: { connected: false, email: null },
@@ -718,6 +1158,46 @@ class SettingsManager {
         
         const watermarkSize = document.getElementById('watermark-size');
         if (watermarkSize) watermarkSize.value = this.settings.watermark.fontSize;
+
+        const watermarkSecondLine = document.getElementById('watermark-second-line');
+        if (watermarkSecondLine) watermarkSecondLine.value = this.settings.watermark.secondLine;
+
+        const watermarkMode = document.getElementById('watermark-mode');
+        if (watermarkMode) watermarkMode.value = this.settings.watermark.mode;
+
+        const watermarkPosition = document.getElementById('watermark-position');
+        if (watermarkPosition) watermarkPosition.value = this.settings.watermark.position;
+
+        const watermarkMargin = document.getElementById('watermark-margin');
+        if (watermarkMargin) watermarkMargin.value = this.settings.watermark.margin;
+
+        const { stroke, shadow } = this.settings.watermark;
+        const styleFields = {
+            'watermark-stroke-width': stroke.width,
+            'watermark-stroke-color': stroke.color,
+            'watermark-shadow-blur': shadow.blur,
+            'watermark-shadow-offset': shadow.offsetX,
+            'watermark-shadow-color': shadow.color
+        };
+        Object.entries(styleFields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (field) field.value = value;
+        });
+
+        const shadowEnabled = document.getElementById('watermark-shadow');
+        if (shadowEnabled) shadowEnabled.checked = !!shadow.enabled;
+        this.updateTextStyleSettings();
+
+        const watermarkType = document.getElementById('watermark-type');
+        if (watermarkType) watermarkType.value = this.settings.watermark.type;
+
+        const { logo } = this.settings.watermark;
+        ['mode', 'position', 'scale', 'opacity', 'rotation'].forEach(key => {
+            const field = document.getElementById(`logo-${key}`);
+            if (field) field.value = logo[key];
+        });
+        this.updateLogoSettings();
+        this.loadLogoPreview();
         
         
 
@@ -728,6 +1208,9 @@ class SettingsManager {
         
         const autoOrganize = document.getElementById('auto-organize');
         if (autoOrganize) autoOrganize.checked = this.settings.googleDrive.autoOrganize;
+        // Populate Etsy settings
+        const requireApproval = document.getElementById('require-approval');
+        if (requireApproval) requireApproval.checked = !!this.settings.etsy.requireApproval;
     }
 
     updatePreview() {
@@ -801,7 +1284,16 @@ function getSettings() {
             fontSize: 'medium',
             color: '#b0b0b0',
             spacing: 200,
-            enabled: true
+            enabled: true,
+            mode: 'tiled',
+            position: 'center',
+            margin: 20,
+            secondLine: '',
+            stroke: { width: 0, color: '#000000' },
+            shadow: { enabled: false, color: '#000000', blur: 2, offsetX: 2, offsetY: 2 },
+            font: { asset: null, family: null },
+            type: 'text',
+            logo: { asset: null, mode: 'tiled', position: 'bottom-right', scale: 20, opacity: 50, rotation: 0 }
         },
         googleDrive: {
             folderName: 'ListGenie Backups',
@@ -811,7 +1303,8 @@ function getSettings() {
         etsy: {
             shopId: null,
             defaultCategory: null,
-            autoDraft: true
+            autoDraft: true,
+            requireApproval: false
         },
         authentication: {
             googleDrive: { connected: false, email: null },
@@ -2,6 +2,7 @@
 class UploadManager {
     constructor() {
         this.selectedFiles = [];
+        this.qualityResults = new Map();
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
         this.allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
         this.currentProcessingId = null;
@@ -201,9 +202,56 @@ class UploadManager {
         for (const file of this.selectedFiles) {
             const previewCard = await this.createPreviewCard(file);
             previewGrid.appendChild(previewCard);
+            this.showImageQuality(file);
         }
         
         previewContainer.classList.remove('hidden');
+        this.checkImageQuality();
+    }
+
+    getFileKey(file) {
+        return `${file.name}:${file.size}`;
+    }
+
+    async checkImageQuality() {
+        const files = this.selectedFiles.filter(file => !this.qualityResults.has(this.getFileKey(file)));
+        if (files.length === 0) {
+            return;
+        }
+
+        try {
+            const results = await window.apiClient.checkImageQuality(files);
+            results.forEach(result => {
+                const file = files[result.index];
+                this.qualityResults.set(this.getFileKey(file), result);
+                this.showImageQuality(file);
+            });
+        } catch (error) {
+            // Quality checks are advisory; the upload works without them
+        }
+    }
+
+    showImageQuality(file) {
+        const result = this.qualityResults.get(this.getFileKey(file));
+        const container = document.querySelector(`[data-file-key="${CSS.escape(this.getFileKey(file))}"] .quality-info`);
+        if (!result || !container || result.error) {
+            return;
+        }
+
+        const color = result.score >= 80 ? 'text-green-600' : result.score >= 50 ? 'text-yellow-600' : 'text-red-600';
+        container.innerHTML = `
+            <p class="text-xs font-medium ${color}">
+                <i class="fas ${result.warnings.length ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i>
+                Quality ${result.score}/100
+            </p>
+            ${result.warnings.map(warning => `<p class="text-xs text-gray-600">• ${this.escapeHtml(warning)}</p>`).join('')}
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     async createPreviewCard(file) {
@@ -213,6 +261,7 @@ class UploadManager {
             reader.onload = (e) => {
                 const card = document.createElement('div');
                 card.className = 'bg-white rounded-xl shadow-sm overflow-hidden relative group';
+                card.dataset.fileKey = this.getFileKey(file);
                 
                 const sizeKB = (file.size / 1024).toFixed(1);
                 
@@ -232,6 +281,7 @@ class UploadManager {
                             ${file.name}
                         </p>
                         <p class="text-xs text-gray-500">${sizeKB} KB</p>
+                        <div class="quality-info"></div>
                     </div>
                 `;
                 
@@ -259,8 +309,9 @@ class UploadManager {
             return;
         }
 
-        // Reset retry count for new processing
+        // Reset retry count and start a new submission
         this.retryCount = 0;
+        this.idempotencyKey = window.apiClient.createIdempotencyKey();
         await this.startProcessing();
     }
 
@@ -288,7 +339,8 @@ class UploadManager {
                 (progress) => {
                     // Handle upload progress
                     this.updateUploadProgress(progress.percent);
-                }
+                },
+                this.idempotencyKey
             );
             
             this.currentProcessingId = result.processingId;
@@ -348,13 +400,17 @@ class UploadManager {
 
     async pollProcessingStatusWithAPI(processingId) {
         try {
-            const finalStatus = await window.apiClient.pollProcessingStatus(
-                processingId,
-                (status) => {
-                    // Update UI based on backend status
-                    this.updateProgressFromBackendStatus(status);
-                }
-            );
+            const onUpdate = (status) => {
+                // Update UI based on backend status
+                this.updateProgressFromBackendStatus(status);
+            };
+            let finalStatus = await window.apiClient.watchProcessingStatus(processingId, onUpdate);
+
+            // Let the seller review the listing before the Etsy draft is created
+            while (finalStatus.status === 'awaiting_approval') {
+                await this.reviewListing(processingId, finalStatus.approval.draft);
+                finalStatus = await window.apiClient.watchProcessingStatus(processingId, onUpdate);
+            }
             
             // Only complete all steps if no steps failed
             const hasFailedStep = finalStatus.steps && finalStatus.steps.some(step => step.status === 'failed');
@@ -369,6 +425,89 @@ class UploadManager {
         }
     }
 
+    /**
+     * Show the editable listing draft and resolve once the seller approves it
+     */
+    reviewListing(processingId, draft) {
+        this.updateProgressStep('etsy-creation', 'pending');
+
+        const resultsContainer = document.getElementById('results-container');
+        const resultsContent = document.getElementById('results-content');
+        const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent';
+
+        resultsContent.innerHTML = `
+            <form id="listing-review-form" class="space-y-4">
+                <div>
+                    <h4 class="font-semibold text-gray-900">Review your listing</h4>
+                    <p class="text-sm text-gray-500">The Etsy draft is created once you approve these details.</p>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1" for="review-title">Title</label>
+                    <input id="review-title" name="title" maxlength="140" required class="${inputClass}">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1" for="review-description">Description</label>
+                    <textarea id="review-description" name="description" rows="5" required class="${inputClass}"></textarea>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1" for="review-tags">Tags (comma separated, up to 13)</label>
+                    <input id="review-tags" name="tags" class="${inputClass}">
+                </div>
+                <div class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1" for="review-price">Price</label>
+                        <input id="review-price" name="price" type="number" min="0.01" step="0.01" required class="${inputClass}">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1" for="review-quantity">Quantity</label>
+                        <input id="review-quantity" name="quantity" type="number" min="1" max="999" step="1" class="${inputClass}">
+                    </div>
+                </div>
+                <p id="listing-review-error" class="hidden text-sm text-red-600"></p>
+                <button type="submit" class="w-full bg-primary hover:bg-primary-dark text-white py-3 px-4 rounded-xl font-medium transition-colors">
+                    <i class="fas fa-check mr-2"></i>Approve and create draft
+                </button>
+            </form>
+        `;
+
+        // Values are assigned as properties so AI output is never parsed as HTML
+        const form = document.getElementById('listing-review-form');
+        form.elements.title.value = draft.title || '';
+        form.elements.description.value = draft.description || '';
+        form.elements.tags.value = (draft.tags || []).join(', ');
+        form.elements.price.value = draft.price || '';
+        form.elements.quantity.value = draft.quantity || '';
+        resultsContainer.classList.remove('hidden');
+
+        return new Promise((resolve) => {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const errorElement = document.getElementById('listing-review-error');
+                const submitButton = form.querySelector('button[type="submit"]');
+                submitButton.disabled = true;
+
+                try {
+                    await window.apiClient.approveListing(processingId, {
+                        title: form.elements.title.value,
+                        description: form.elements.description.value,
+                        tags: form.elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+                        price: form.elements.price.value,
+                        quantity: form.elements.quantity.value || null
+                    });
+
+                    resultsContent.innerHTML = '';
+                    resultsContainer.classList.add('hidden');
+                    this.updateProgressStep('etsy-creation', 'in-progress');
+                    resolve();
+                } catch (error) {
+                    errorElement.textContent = error.message;
+                    errorElement.classList.remove('hidden');
+                    submitButton.disabled = false;
+                }
+            });
+        });
+    }
+
     updateProgressFromBackendStatus(status) {
         if (!status.steps || status.steps.length === 0) return;
 
@@ -1115,10 +1254,32 @@ class UploadManager {
         // Wait a moment before retrying
         await new Promise(resolve => setTimeout(resolve, 1000));
         
+        // Resume the existing job from its failed step when there is one
+        if (this.currentProcessingId) {
+            try {
+                await this.resumeProcessing();
+                return;
+            } catch (error) {
+                // Resuming failed; start over below
+            }
+        }
+        
         // Start processing again
         await this.startProcessing();
     }
 
+    async resumeProcessing() {
+        const result = await window.apiClient.retryProcessing(this.currentProcessingId);
+        
+        // Switch back to the processing view with fresh step indicators
+        this.switchToProcessingLayout();
+        this.resetProgressIndicators();
+        this.resetProcessingContainerHeader();
+        
+        await this.pollProcessingStatusWithAPI(result.processingId);
+        this.showResults(result);
+    }
+
     resetUpload() {
         // Reset all state
         this.selectedFiles = [];
@@ -130,9 +130,40 @@ function notFoundHandler(req, res) {
       availableEndpoints: [
         'POST /api/upload',
         'GET /api/status/:processingId',
+        'GET /api/status/:processingId/stream',
+        'GET /api/jobs',
+        'GET /api/jobs/:id',
+        'DELETE /api/jobs/:id',
+        'POST /api/jobs/:id/retry',
+        'POST /api/jobs/:id/approve',
+        'POST /api/jobs/:id/schedule',
+        'GET /api/jobs/:id/schedule',
+        'GET /api/jobs/:id/gif',
+        'DELETE /api/jobs/:id/schedule',
+        'GET /api/schedules',
+        'GET /api/webhooks/deliveries',
+        'POST /api/batches',
+        'GET /api/batches/:id',
         'GET /api/settings',
         'PUT /api/settings',
         'PATCH /api/settings/:section',
+        'POST /api/settings/watermark/logo',
+        'GET /api/settings/watermark/logo',
+        'DELETE /api/settings/watermark/logo',
+        'POST /api/settings/watermark/font',
+        'DELETE /api/settings/watermark/font',
+        'POST /api/settings/watermark/preview',
+        'POST /api/settings/slideshow/audio',
+        'DELETE /api/settings/slideshow/audio',
+        'GET /api/settings/collage/templates',
+        'GET /api/settings/mockups/templates',
+        'POST /api/images/quality',
+        'POST /api/images/remove-background',
+        'POST /api/images/watermark',
+        'POST /api/images/collage',
+        'POST /api/images/optimize',
+        'POST /api/images/slideshow',
+        'POST /api/images/metadata',
         'GET /api/auth/google',
         'GET /api/auth/google/callback',
         'GET /api/auth/etsy',
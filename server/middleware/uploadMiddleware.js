@@ -5,6 +5,7 @@
 
 const multer = require('multer');
 const crypto = require('crypto');
+const path = require('path');
 const { validateFile, sanitizeFilename, MAX_FILE_SIZE, MAX_FILES_COUNT } = require('../utils/fileValidation');
 
 // Configure memory storage for temporary file handling
@@ -39,6 +40,109 @@ const upload = multer({
   }
 });
 
+// Batch imports upload one ZIP archive and an optional manifest file
+const BATCH_MAX_ARCHIVE_SIZE = parseInt(process.env.BATCH_MAX_ARCHIVE_SIZE) || 200 * 1024 * 1024;
+const BATCH_FILE_TYPES = {
+  archive: {
+    extensions: ['.zip'],
+    mimetypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream']
+  },
+  manifest: {
+    extensions: ['.csv', '.json'],
+    mimetypes: ['text/csv', 'application/json', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream']
+  }
+};
+
+/**
+ * Configure multer for batch archive uploads
+ */
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const allowed = BATCH_FILE_TYPES[file.fieldname];
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (allowed && allowed.extensions.includes(extension) && allowed.mimetypes.includes(file.mimetype.toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type for ${file.fieldname}. Expected ${allowed ? allowed.extensions.join(' or ') : 'archive or manifest'}`), false);
+    }
+  },
+  limits: {
+    fileSize: BATCH_MAX_ARCHIVE_SIZE,
+    files: 2,
+    fields: 10,
+    fieldNameSize: 100,
+    fieldSize: 1024 * 1024
+  }
+});
+
+// Settings assets (watermark logos and fonts) are small files stored per user
+const SETTINGS_ASSET_TYPES = {
+  logo: {
+    extensions: ['.png', '.svg'],
+    mimetypes: ['image/png', 'image/svg+xml'],
+    maxSize: 2 * 1024 * 1024
+  },
+  font: {
+    extensions: ['.ttf', '.otf'],
+    // Browsers disagree on font MIME types; the content is checked after upload
+    mimetypes: [
+      'font/ttf',
+      'font/otf',
+      'font/sfnt',
+      'application/x-font-ttf',
+      'application/x-font-otf',
+      'application/font-sfnt',
+      'application/vnd.ms-opentype',
+      'application/octet-stream'
+    ],
+    maxSize: 5 * 1024 * 1024
+  },
+  audio: {
+    extensions: ['.mp3', '.m4a', '.wav'],
+    mimetypes: [
+      'audio/mpeg',
+      'audio/mp3',
+      'audio/mp4',
+      'audio/x-m4a',
+      'audio/aac',
+      'audio/wav',
+      'audio/x-wav',
+      'audio/wave',
+      'application/octet-stream'
+    ],
+    maxSize: 10 * 1024 * 1024
+  }
+};
+
+/**
+ * Configure multer for uploads of one type of settings asset
+ * @param {string} fieldName - Asset type, used as the form field name
+ */
+function createSettingsAssetUpload(fieldName) {
+  return multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+      const allowed = SETTINGS_ASSET_TYPES[file.fieldname];
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (allowed && allowed.extensions.includes(extension) && allowed.mimetypes.includes(file.mimetype.toLowerCase())) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Invalid file type for ${file.fieldname}. Expected ${allowed ? allowed.extensions.join(' or ') : 'a settings asset'}`), false);
+      }
+    },
+    limits: {
+      fileSize: SETTINGS_ASSET_TYPES[fieldName].maxSize,
+      files: 1,
+      fields: 10,
+      fieldNameSize: 100,
+      fieldSize: 1024 * 1024
+    }
+  });
+}
+
 /**
  * Middleware for handling multiple image uploads
  * @param {string} fieldName - The name of the form field for files
@@ -70,9 +174,16 @@ function handleUploadErrors(error, req, res, next) {
     let statusCode = 400;
 
     switch (error.code) {
-      case 'LIMIT_FILE_SIZE':
-        message = `File too large. Maximum size allowed: ${MAX_FILE_SIZE / (1024 * 1024)}MB`;
+      case 'LIMIT_FILE_SIZE': {
+        let maxSize = MAX_FILE_SIZE;
+        if (BATCH_FILE_TYPES[error.field]) {
+          maxSize = BATCH_MAX_ARCHIVE_SIZE;
+        } else if (SETTINGS_ASSET_TYPES[error.field]) {
+          maxSize = SETTINGS_ASSET_TYPES[error.field].maxSize;
+        }
+        message = `File too large. Maximum size allowed: ${maxSize / (1024 * 1024)}MB`;
         break;
+      }
       case 'LIMIT_FILE_COUNT':
         message = `Too many files. Maximum allowed: ${MAX_FILES_COUNT}`;
         break;
@@ -198,6 +309,34 @@ function validateUploadRequest(req, res, next) {
   next();
 }
 
+/**
+ * Batch upload middleware chain
+ * Accepts an `archive` ZIP file and an optional `manifest` CSV/JSON file
+ */
+function createBatchUploadMiddleware() {
+  return [
+    validateUploadRequest,
+    batchUpload.fields([
+      { name: 'archive', maxCount: 1 },
+      { name: 'manifest', maxCount: 1 }
+    ]),
+    handleUploadErrors
+  ];
+}
+
+/**
+ * Settings asset upload middleware chain
+ * Accepts a single file of the given asset type (`logo` or `font`)
+ * @param {string} fieldName - Asset type, used as the form field name
+ */
+function createSettingsAssetUploadMiddleware(fieldName) {
+  return [
+    validateUploadRequest,
+    createSettingsAssetUpload(fieldName).single(fieldName),
+    handleUploadErrors
+  ];
+}
+
 /**
  * Complete upload middleware chain
  * Combines all upload-related middleware in the correct order
@@ -215,6 +354,8 @@ module.exports = {
   createUploadMiddleware,
   createSingleUploadMiddleware,
   createCompleteUploadMiddleware,
+  createBatchUploadMiddleware,
+  createSettingsAssetUploadMiddleware,
   handleUploadErrors,
   processUploadedFiles,
   validateUploadRequest
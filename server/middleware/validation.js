@@ -37,6 +37,33 @@ function validate(schema, source = 'body') {
   };
 }
 
+// Collage settings, shared by the collage section and its variants
+const collageSettings = Joi.object({
+  layout: Joi.string().valid('grid', 'mosaic', 'featured', 'masonry').optional(),
+  dimensions: Joi.object({
+    width: Joi.number().min(500).max(4000).optional(),
+    height: Joi.number().min(500).max(4000).optional()
+  }).optional(),
+  spacing: Joi.number().min(0).max(50).optional(),
+  backgroundColor: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
+  enabled: Joi.boolean().optional(),
+  placement: Joi.string().valid('first', 'last').optional(),
+  template: Joi.string().pattern(/^[a-z0-9-]+$/).allow(null).optional(),
+  title: Joi.string().allow('').max(100).optional(),
+  shopName: Joi.string().allow('').max(60).optional(),
+  brandColors: Joi.object().pattern(
+    Joi.string().valid('primary', 'secondary', 'accent', 'light', 'dark'),
+    Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/)
+  ).optional(),
+  badge: Joi.object({
+    enabled: Joi.boolean().optional(),
+    text: Joi.string().trim().min(1).max(40).optional(),
+    position: Joi.string().valid('top-left', 'top-right', 'bottom-left', 'bottom-right').optional(),
+    color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
+    backgroundColor: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional()
+  }).optional()
+});
+
 // Common validation schemas
 const schemas = {
   // File upload validation
@@ -60,15 +87,10 @@ const schemas = {
         enabled: Joi.boolean().optional()
       }).optional(),
       
-      collage: Joi.object({
-        layout: Joi.string().valid('grid', 'mosaic', 'featured').optional(),
-        dimensions: Joi.object({
-          width: Joi.number().min(500).max(4000).optional(),
-          height: Joi.number().min(500).max(4000).optional()
-        }).optional(),
-        spacing: Joi.number().min(0).max(50).optional(),
-        backgroundColor: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
-        enabled: Joi.boolean().optional()
+      collage: collageSettings.keys({
+        variants: Joi.array().max(5).items(collageSettings.keys({
+          name: Joi.string().pattern(/^[a-z0-9-]{1,40}$/).optional()
+        })).optional()
       }).optional(),
       
       googleDrive: Joi.object({
@@ -85,8 +107,11 @@ const schemas = {
       
       processing: Joi.object({
         imageQuality: Joi.number().min(10).max(100).optional(),
+        outputFormat: Joi.string().valid('auto', 'jpeg', 'png', 'webp').optional(),
         maxImageSize: Joi.number().min(1048576).max(52428800).optional(), // 1MB to 50MB
-        allowedFormats: Joi.array().items(Joi.string()).optional()
+        allowedFormats: Joi.array().items(Joi.string()).optional(),
+        duplicateThreshold: Joi.number().integer().min(0).max(20).optional(),
+        removeDuplicates: Joi.boolean().optional()
       }).optional()
     }).required()
   }),
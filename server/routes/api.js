@@ -1,13 +1,41 @@
 const express = require('express');
-const { createCompleteUploadMiddleware } = require('../middleware/uploadMiddleware');
+const {
+  createCompleteUploadMiddleware,
+  createBatchUploadMiddleware,
+  createSettingsAssetUploadMiddleware,
+  createSingleUploadMiddleware,
+  handleUploadErrors
+} = require('../middleware/uploadMiddleware');
 const { APIError, asyncHandler, createExternalAPIError } = require('../middleware/errorHandler');
-const { optionalAuth, requireAuth, requireGoogleAuth, requireEtsyAuth } = require('../middleware/authMiddleware');
+const { optionalAuth, requireAuth, requireGoogleAuth, requireEtsyAuth, getUserSession, updateUserSession } = require('../middleware/authMiddleware');
 const ImageService = require('../services/imageService');
 const FileService = require('../services/fileService');
 const GoogleDriveService = require('../services/googleDriveService');
 const AIService = require('../services/aiService');
 const EtsyService = require('../services/etsyService');
 const SettingsService = require('../services/settingsService');
+const JobService = require('../services/jobService');
+const JobQueue = require('../services/jobQueue');
+const BatchService = require('../services/batchService');
+const PublishScheduler = require('../services/publishScheduler');
+const WebhookService = require('../services/webhookService');
+const { createPipelineEngine } = require('../services/pipeline');
+const { fingerprintUpload } = require('../utils/fingerprint');
+const { readFontInfo } = require('../utils/fontInfo');
+const { loadCollageTemplates } = require('../utils/collageTemplates');
+const { loadMockupTemplates } = require('../utils/mockupTemplates');
+const { readAudioFormat } = require('../utils/audioInfo');
+const {
+  parseJsonField,
+  resolveWatermarkChanges,
+  resolveCollageChanges,
+  resolveSlideshowChanges,
+  parseOptimizeOptions,
+  getToolImages,
+  getToolFilename,
+  sendToolFiles
+} = require('../utils/imageTools');
+const { JobCancelledError } = require('../utils/errors');
 const fs = require('fs');
 
 const router = express.Router();
@@ -19,11 +47,40 @@ const googleDriveService = new GoogleDriveService();
 const aiService = new AIService();
 const etsyService = new EtsyService();
 const settingsService = new SettingsService();
+const jobService = new JobService();
+const jobQueue = new JobQueue();
+const batchService = new BatchService();
+const pipelineEngine = createPipelineEngine({
+  imageService,
+  fileService,
+  googleDriveService,
+  aiService,
+  etsyService,
+  settingsService,
+  jobService,
+  updateStatus: updateProcessingStatus
+});
 
-/**
- * Progress tracking for processing requests
- */
-const processingStatus = new Map();
+const publishScheduler = new PublishScheduler({
+  jobService,
+  // Prefer the tokens of the user's current session over the stored ones
+  resolveAuth: schedule => getUserSession(schedule.userId)?.etsyAuth || null,
+  // Etsy invalidates the old refresh token, so the session has to get the new one
+  saveAuth: (schedule, tokens) => {
+    const session = getUserSession(schedule.userId);
+    if (session?.etsyAuth) {
+      updateUserSession(schedule.userId, { etsyAuth: { ...session.etsyAuth, ...tokens } });
+    }
+  }
+});
+
+const webhookService = new WebhookService({ settingsService });
+webhookService.attach(jobService);
+
+jobService.startRetentionScheduler();
+publishScheduler.start().catch(error => {
+  console.error('Failed to start publish scheduler:', error);
+});
 
 /**
  * Generate unique processing ID
@@ -36,32 +93,72 @@ function generateProcessingId() {
  * Update processing status
  */
 function updateProcessingStatus(processingId, step, status, data = {}) {
-  const current = processingStatus.get(processingId) || {
-    id: processingId,
-    startTime: new Date().toISOString(),
-    steps: []
-  };
-  
-  current.steps.push({
-    step,
-    status,
-    timestamp: new Date().toISOString(),
-    ...data
-  });
-  
-  current.currentStep = step;
-  current.currentStatus = status;
-  
-  processingStatus.set(processingId, current);
-  return current;
+  return jobService.recordStep(processingId, step, status, data);
 }
 
+// Printable ASCII, as recommended for Idempotency-Key header values
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E][\x20-\x7E]{0,254}$/;
+
 /**
  * Main upload processing endpoint
  * Orchestrates all services to process images and create listing
  */
 router.post('/upload', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
   const processingId = generateProcessingId();
+  const userId = req.user?.id || req.body.userId || 'default';
+  const idempotencyKey = req.get('Idempotency-Key') ?? null;
+
+  if (idempotencyKey !== null && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    throw new APIError(
+      'Idempotency-Key must be 1-255 printable ASCII characters',
+      400,
+      'INVALID_IDEMPOTENCY_KEY'
+    );
+  }
+
+  // The same images and options from the same user count as the same upload
+  const submittedOptions = { ...req.body };
+  delete submittedOptions.userId;
+  const fingerprint = fingerprintUpload(req.files, submittedOptions);
+
+  // Persist the job before any processing starts, unless this submission already has one
+  const { job, duplicate } = await jobService.createJobOnce(processingId, {
+    userId,
+    idempotencyKey,
+    fingerprint,
+    inputs: {
+      files: req.files.map(file => ({
+        name: file.originalname,
+        size: file.size,
+        mimetype: file.mimetype
+      })),
+      totalSize: req.uploadSummary.totalSize,
+      // Every submitted option, so a retry or approval runs with the same ones
+      options: submittedOptions
+    }
+  });
+
+  if (duplicate) {
+    if (idempotencyKey && job.fingerprint !== fingerprint) {
+      throw new APIError(
+        'Idempotency-Key was already used for a different upload',
+        422,
+        'IDEMPOTENCY_KEY_REUSED',
+        { processingId: job.id }
+      );
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.json({
+      success: true,
+      duplicate: true,
+      processingId: job.id,
+      status: job.status,
+      listing: job.results?.etsyListing || null,
+      message: 'Upload already received, returning the existing job',
+      fileCount: job.inputs.files.length
+    });
+  }
   
   try {
     // Initialize processing status
@@ -101,271 +198,186 @@ router.post('/upload', optionalAuth, createCompleteUploadMiddleware('images', 10
  * Asynchronous processing function
  */
 async function processUploadAsync(processingId, files, options = {}, user = null) {
-  let tempDir = null;
-  
   try {
-    // Step 1: Validate and prepare images
-    updateProcessingStatus(processingId, 'validation', 'started');
-    
-    const validation = imageService.validateImageFiles(files);
-    if (validation.errors.length > 0) {
-      updateProcessingStatus(processingId, 'validation', 'completed_with_warnings', {
-        warnings: validation.errors,
-        validFileCount: validation.validFiles.length
-      });
-    } else {
-      updateProcessingStatus(processingId, 'validation', 'completed', {
-        validFileCount: validation.validFiles.length
-      });
+    // Keep the originals so any later step can be retried without a re-upload
+    for (let i = 0; i < files.length; i++) {
+      await jobService.saveArtifact(processingId, `original-${i}`, files[i].buffer);
     }
+  } catch (error) {
+    console.error(`Failed to store originals for ${processingId}:`, error);
+  }
 
-    const validFiles = validation.validFiles;
-    if (validFiles.length === 0) {
-      throw new Error('No valid images to process');
-    }
+  await runPipeline(processingId, { processingId, files, options, user });
+}
 
-    // Step 2: Load user settings
-    updateProcessingStatus(processingId, 'settings', 'started');
-    const userId = user?.id || options.userId || 'default';
-    const settings = await settingsService.loadSettings(userId);
-    updateProcessingStatus(processingId, 'settings', 'completed');
-
-    // Step 3: Process images (watermarking)
-    updateProcessingStatus(processingId, 'watermarking', 'started');
-    const watermarkResult = await imageService.watermarkImages(validFiles, settings.watermark);
-    updateProcessingStatus(processingId, 'watermarking', 'completed', {
-      processedCount: watermarkResult.watermarkedImages.length,
-      errors: watermarkResult.errors
+/**
+ * Run the pipeline for a job, starting at the given step
+ * @param {string} processingId - Job identifier
+ * @param {Object} context - Pipeline context (files, options and user)
+ * @param {string} fromStep - First step to run; outputs of earlier steps are restored
+ *   from the job's artifacts (default: the first step)
+ */
+async function runPipeline(processingId, context, fromStep = null) {
+  try {
+    const { paused } = await pipelineEngine.run(context, {
+      fromStep,
+      // Stop before the Etsy draft when the seller wants to review the listing first
+      beforeStep: step => {
+        if (step.name === 'etsy_listing' && requiresApproval(context)) {
+          jobService.awaitApproval(processingId, buildListingDraft(context));
+          return false;
+        }
+        return true;
+      },
+      runStep: (step, task) => jobQueue.run(step.stage, processingId, task)
     });
 
-    // Step 3.1: Create video (if multiple images)
-    let videoBuffer = null;
-    if (validFiles.length >= 2) {
-      updateProcessingStatus(processingId, 'video_create', 'started');
-      videoBuffer = await imageService.createSlideshowVideo(validFiles.map(file => file.buffer), settings.slideshow);
-      updateProcessingStatus(processingId, 'video_create', 'completed');
+    if (paused) {
+      return;
     }
 
-    // Step 4: Create collage (if multiple images)
-    let collageBuffer = null;
-    if (validFiles.length >= 2 && settings.collage.enabled) {
-      updateProcessingStatus(processingId, 'collage', 'started');
-      try {
-        collageBuffer = await imageService.createCollage(validFiles, settings.collage);
-        updateProcessingStatus(processingId, 'collage', 'completed');
-      } catch (error) {
-        updateProcessingStatus(processingId, 'collage', 'failed', { error: error.message });
+    // Finalize processing
+    const job = await jobService.getJob(processingId);
+    jobService.completeJob(processingId, {
+      totalProcessingTime: Date.now() - new Date(job.attemptStartTime || job.startTime).getTime(),
+      results: {
+        processedImages: context.watermarkResult ? context.watermarkResult.watermarkedImages.length : 0,
+        collageCreated: !!context.collageBuffer,
+        collagesCreated: context.collages ? context.collages.length : 0,
+        mockupsCreated: context.mockups ? context.mockups.length : 0,
+        gifCreated: !!context.gifBuffer,
+        driveLink: context.driveLink || null,
+        gifDriveLink: context.gifDriveLink || null,
+        metadata: context.metadata || null,
+        etsyListing: context.etsyListing || null
       }
-    } else {
-      updateProcessingStatus(processingId, 'collage', 'skipped', {
-        reason: validFiles.length < 2 ? 'insufficient_images' : 'disabled'
-      });
-    }
-
-    // Step 5: Package original files
-    updateProcessingStatus(processingId, 'packaging', 'started');
-    const zipBuffer = await fileService.packageOriginals(validFiles, `listing_${processingId}`);
-    updateProcessingStatus(processingId, 'packaging', 'completed', {
-      zipSize: zipBuffer.length
     });
 
-    // Step 6: Upload to Google Drive (if configured and authenticated)
-    let driveLink = null;
-    if (settings.googleDrive.autoUpload && user?.session?.googleAuth) {
-      updateProcessingStatus(processingId, 'drive_upload', 'started');
-      try {
-        // Initialize Google Drive service with user's tokens
-        await googleDriveService.initialize({
-          client_id: process.env.GOOGLE_CLIENT_ID,
-          client_secret: process.env.GOOGLE_CLIENT_SECRET,
-          redirect_uri: process.env.GOOGLE_REDIRECT_URI
-        });
-        
-        // Set user's access token
-        googleDriveService.setAccessToken(user.session.googleAuth.accessToken);
-        
-        const uploadResult = await googleDriveService.uploadZipFile(
-          zipBuffer, 
-          `listing_${processingId}.zip`
-        );
-        driveLink = await googleDriveService.createShareableLink(uploadResult.fileId);
-        updateProcessingStatus(processingId, 'drive_upload', 'completed', {
-          fileId: uploadResult.fileId,
-          link: driveLink
-        });
-      } catch (error) {
-        updateProcessingStatus(processingId, 'drive_upload', 'failed', {
-          error: error.message
-        });
-      }
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      // The job was already marked as cancelled by the cancel endpoint
+      console.log(`Processing cancelled for ${processingId}`);
     } else {
-      updateProcessingStatus(processingId, 'drive_upload', 'skipped', {
-        reason: !settings.googleDrive.autoUpload ? 'disabled' : 'not_authenticated'
+      console.error(`Processing error for ${processingId}:`, error);
+      jobService.failJob(processingId, {
+        error: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
       });
     }
+  } finally {
+    jobQueue.release(processingId);
+  }
+}
 
-    // Step 7: Generate AI metadata
-    updateProcessingStatus(processingId, 'ai_metadata', 'started');
-    let metadata = null;
-    try {
-      const imageBuffers = validFiles.map(file => file.buffer);
-      metadata = await aiService.generateMetadata(imageBuffers);
-      updateProcessingStatus(processingId, 'ai_metadata', 'completed', {
-        titleLength: metadata.title.length,
-        tagCount: metadata.tags.length,
-        descriptionLength: metadata.description.length
-      });
-    } catch (error) {
-      console.error('Error generating AI metadata:', error);
-      updateProcessingStatus(processingId, 'ai_metadata', 'failed', {
-        error: error.message
-      });
-      // Provide fallback metadata
-      metadata = {
-        title: 'Handmade Product - Please Edit Title',
-        tags: ['handmade', 'unique', 'gift', 'custom', 'artisan'],
-        description: 'Beautiful handmade product. Please add your own description.',
-        confidence: 0
-      };
-    }
+/**
+ * Whether the pipeline should pause for listing approval before the Etsy step.
+ * Only applies when a draft would actually be created and no approved listing exists yet.
+ * @param {Object} context - Pipeline context
+ * @returns {boolean} True if the seller must approve the listing first
+ */
+function requiresApproval(context) {
+  const { settings, options, user } = context;
+  if (context.listing || !settings.etsy.autoDraft || !user?.session?.etsyAuth) {
+    return false;
+  }
+  return !!settings.etsy.requireApproval || String(options.requireApproval) === 'true';
+}
 
-    // Step 8: Create Etsy draft listing (if configured and authenticated)
-    let etsyListing = null;
-    if (settings.etsy.autoDraft && user?.session?.etsyAuth) {
-      updateProcessingStatus(processingId, 'etsy_listing', 'started');
-      try {
-        // Initialize Etsy service with user's tokens
-        await etsyService.initialize({
-          client_id: process.env.ETSY_CLIENT_ID,
-          client_secret: process.env.ETSY_CLIENT_SECRET,
-          redirect_uri: process.env.ETSY_REDIRECT_URI
-        });
-        
-        // Set user's access token
-        etsyService.setAccessToken(user.session.etsyAuth.accessToken);
-        
-        const listingData = {
-          title: metadata.title,
-          description: metadata.description,
-          tags: metadata.tags,
-          price: options.price || 10.00, // Default price
-          quantity: options.quantity || 1,
-          shop_id: user.session.etsyAuth.shopId
-        };
-      
-        etsyListing = await etsyService.createDraftListing(listingData);
-        
-        // Upload images to listing
-        const imagesToUpload = [];
-        
-        // Add watermarked images
-        if (watermarkResult.watermarkedImages.length > 0) {
-          imagesToUpload.push(...watermarkResult.watermarkedImages);
-        }
-        
-        // Add collage if created
-        if (collageBuffer) {
-          imagesToUpload.push({
-            buffer: collageBuffer,
-            filename: 'collage.jpg',
-            mimetype: 'image/jpeg'
-          });
-        }
-        
-        // Upload all images to listing
-        if (imagesToUpload.length > 0) {
-          const uploadedImages = await etsyService.uploadListingImages(
-            etsyListing.listing_id,
-            imagesToUpload
-          );
-          etsyListing.uploadedImages = uploadedImages;
-        }
+/**
+ * Build the editable listing draft shown to the seller for approval
+ * @param {Object} context - Pipeline context
+ * @returns {Object} Listing draft
+ */
+function buildListingDraft(context) {
+  const { metadata, options } = context;
+  return {
+    title: metadata.title,
+    description: metadata.description,
+    tags: metadata.tags,
+    price: parseFloat(options.price) || null,
+    quantity: parseInt(options.quantity) || null
+  };
+}
 
-        // Upload video to listing
-        if (videoBuffer) {
-          //fs.writeFileSync("slideshow_test.mp4", videoBuffer);
-          //console.log("Slideshow saved at slideshow_test.mp4");
-
-           // Create a video object to pass to the method
-          const videos = [{
-            buffer: videoBuffer,
-            filename: 'myVideo.mp4',      // optional, will default if not provided
-            mimeType: 'video/mp4',        // optional, defaults to video/mp4
-          }];
-          const uploadedVideo = await etsyService.uploadListingVideos(
-            etsyListing.listing_id,
-            videos
-          );
-          etsyListing.uploadedVideo = uploadedVideo;
-        }
+/**
+ * Validate the listing fields submitted for approval, falling back to the
+ * draft for any field that was not edited
+ * @param {Object} draft - Listing draft awaiting approval
+ * @param {Object} fields - Edited listing fields
+ * @returns {Object} Approved listing
+ * @throws {APIError} If any field is invalid
+ */
+function validateListingApproval(draft, fields) {
+  const errors = [];
+  const title = String(fields.title ?? draft.title ?? '').trim();
+  const description = String(fields.description ?? draft.description ?? '').trim();
+  const rawTags = fields.tags ?? draft.tags ?? [];
+  const tags = (Array.isArray(rawTags) ? rawTags : String(rawTags).split(','))
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+  const price = parseFloat(fields.price ?? draft.price);
+  const rawQuantity = fields.quantity ?? draft.quantity;
+  const quantity = rawQuantity === null || rawQuantity === undefined || rawQuantity === ''
+    ? null
+    : Number(rawQuantity);
 
-        // Upload zip file as digital download
-        if (zipBuffer) {
-          const digitalFiles = [{
-            buffer: zipBuffer,
-            filename: `Listing_Images_${processingId}.zip`,
-            mimeType: 'application/zip'
-          }];
-          const uploadedDigitalFiles = await etsyService.uploadListingDigitalFiles(
-            etsyListing.listing_id,
-            digitalFiles
-          );
-          etsyListing.uploadedDigitalFiles = uploadedDigitalFiles;
-          console.log('Digital files uploaded successfully');
-        }
-        
-        updateProcessingStatus(processingId, 'etsy_listing', 'completed', {
-          listingId: etsyListing.listing_id,
-          editUrl: etsyListing.editUrl
-        });
-      } catch (error) {
-        updateProcessingStatus(processingId, 'etsy_listing', 'failed', {
-          error: error.message
-        });
-        
-      }
-    } else {
-      updateProcessingStatus(processingId, 'etsy_listing', 'skipped', {
-        reason: !settings.etsy.autoDraft ? 'disabled' : 'not_authenticated'
-      });
-    }
+  if (!title || title.length > 140) {
+    errors.push({ field: 'title', message: 'Title must be between 1 and 140 characters' });
+  }
+  if (!description) {
+    errors.push({ field: 'description', message: 'Description is required' });
+  }
+  if (tags.length > 13 || tags.some(tag => tag.length > 20)) {
+    errors.push({ field: 'tags', message: 'Use at most 13 tags of up to 20 characters each' });
+  }
+  if (!(price >= 0.01 && price <= 999999.99)) {
+    errors.push({ field: 'price', message: 'Price must be between 0.01 and 999999.99' });
+  }
+  if (quantity !== null && !(Number.isInteger(quantity) && quantity >= 1 && quantity <= 999)) {
+    errors.push({ field: 'quantity', message: 'Quantity must be a whole number between 1 and 999' });
+  }
 
-    // Step 9: Finalize processing
-    updateProcessingStatus(processingId, 'finalization', 'completed', {
-      totalProcessingTime: Date.now() - new Date(processingStatus.get(processingId).startTime).getTime(),
-      results: {
-        processedImages: watermarkResult.watermarkedImages.length,
-        collageCreated: !!collageBuffer,
-        driveLink,
-        metadata,
-        etsyListing
-      }
-    });
+  if (errors.length > 0) {
+    throw new APIError('Listing validation failed', 400, 'VALIDATION_ERROR', { details: errors });
+  }
 
-  } catch (error) {
-    console.error(`Processing error for ${processingId}:`, error);
-    updateProcessingStatus(processingId, 'error', 'failed', {
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  } finally {
-    // Cleanup temporary files
-    if (tempDir) {
-      try {
-        await fileService.cleanupTempFiles(tempDir);
-      } catch (cleanupError) {
-        console.error('Cleanup error:', cleanupError);
-      }
+  return { title, description, tags, price, quantity };
+}
+
+/**
+ * Rebuild the base pipeline context of a job from its stored originals.
+ * Outputs of the steps before the resumed step are restored by the pipeline engine.
+ * @param {Object} job - Job record
+ * @param {Object} user - Authenticated user requesting the retry
+ * @returns {Promise<Object>} Pipeline context
+ */
+async function restorePipelineContext(job, user) {
+  const processingId = job.id;
+  const files = [];
+
+  for (let i = 0; i < job.inputs.files.length; i++) {
+    const buffer = await jobService.loadArtifact(processingId, `original-${i}`);
+    if (!buffer) {
+      throw new Error(`Original file ${i + 1} is no longer available`);
     }
+    const { name, size, mimetype } = job.inputs.files[i];
+    files.push({ originalname: name, size, mimetype, buffer });
   }
+
+  return {
+    processingId,
+    files,
+    options: { ...job.inputs.options, userId: job.userId },
+    user
+  };
 }
 
 /**
  * Get processing status endpoint
  */
-router.get('/status/:processingId', (req, res) => {
+router.get('/status/:processingId', asyncHandler(async (req, res) => {
   const { processingId } = req.params;
-  const status = processingStatus.get(processingId);
+  const status = await jobService.getJob(processingId);
   
   if (!status) {
     return res.status(404).json({
@@ -376,112 +388,1069 @@ router.get('/status/:processingId', (req, res) => {
   
   res.json({
     success: true,
-    status
+    status: {
+      ...status,
+      queue: jobQueue.getPosition(processingId)
+    }
   });
-});
+}));
 
 /**
- * Settings endpoints
+ * Processing status stream endpoint
+ * Pushes each step update as a Server-Sent Event: a `snapshot` of the job on
+ * connect, `step` and `queue` events while it runs and a final `complete` event
  */
-router.get('/settings', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/status/:processingId/stream', asyncHandler(async (req, res) => {
+  const { processingId } = req.params;
+  const job = await jobService.getJob(processingId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Processing ID not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  sendEvent('snapshot', { ...job, queue: jobQueue.getPosition(processingId) });
+
+  if (job.status !== 'processing') {
+    sendEvent('complete', job);
+    return res.end();
+  }
+
+  const onStep = (event) => {
+    if (event.jobId === processingId) {
+      sendEvent('step', event);
+    }
+  };
+
+  const onPosition = (position) => {
+    if (position.jobId === processingId) {
+      sendEvent('queue', position);
+    }
+  };
+
+  const onFinished = (finishedJob) => {
+    if (finishedJob.id === processingId) {
+      sendEvent('complete', finishedJob);
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobService.off('step', onStep);
+    jobService.off('finished', onFinished);
+    jobQueue.off('position', onPosition);
+  };
+
+  jobService.on('step', onStep);
+  jobService.on('finished', onFinished);
+  jobQueue.on('position', onPosition);
+  req.on('close', cleanup);
+}));
+
+/**
+ * Job history endpoints
+ */
+router.get('/jobs', optionalAuth, asyncHandler(async (req, res) => {
   const userId = req.user?.id || req.query.userId || 'default';
-  const settings = await settingsService.loadSettings(userId);
-  
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const result = await jobService.listJobs({
+    userId,
+    status: req.query.status,
+    limit,
+    offset
+  });
+
   res.json({
     success: true,
-    settings
+    ...result
   });
 }));
 
-router.put('/settings', optionalAuth, asyncHandler(async (req, res) => {
-  if (!req.body.settings) {
-    throw new APIError('Settings data is required', 400, 'MISSING_SETTINGS');
+router.get('/jobs/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
   }
-  
-  const userId = req.user?.id || req.body.userId || 'default';
-  const settings = await settingsService.saveSettings(req.body.settings, userId);
-  
+
   res.json({
     success: true,
-    settings
+    job: {
+      ...job,
+      queue: jobQueue.getPosition(job.id)
+    }
   });
 }));
 
-router.patch('/settings/:section', optionalAuth, asyncHandler(async (req, res) => {
-  const { section } = req.params;
-  const userId = req.user?.id || req.body.userId || 'default';
-  const updates = req.body.updates;
-  
-  if (!updates) {
-    throw new APIError('Updates data is required', 400, 'MISSING_UPDATES');
+/**
+ * Cancel a queued or running job. Steps waiting for a queue slot are dropped
+ * straight away; a step already running finishes but nothing after it starts.
+ */
+router.delete('/jobs/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
   }
-  
-  const settings = await settingsService.updateSettings(section, updates, userId);
-  
+
+  if (!['processing', 'awaiting_approval'].includes(job.status)) {
+    throw new APIError(`Job is already ${job.status}`, 409, 'JOB_NOT_CANCELLABLE');
+  }
+
+  if (job.status === 'processing') {
+    jobQueue.cancel(job.id);
+  }
+  const cancelledJob = await jobService.cancelJob(job.id);
+
   res.json({
     success: true,
-    settings
+    processingId: job.id,
+    status: cancelledJob.status,
+    message: 'Job cancelled'
   });
 }));
 
-
-
 /**
- * Generate images using AI
+ * Resume a finished job from a single step, reusing the artifacts of the
+ * steps before it. Defaults to the earliest step that failed or never finished.
  */
-router.post('/generate-images', optionalAuth, asyncHandler(async (req, res) => {
-  console.log('generate-images');
-  console.log('req.body:', req.body);
-  console.log('req.user:', req.user);
-  const { prompt, count = 1, style = 'product' } = req.body;
-  
-  if (!prompt || prompt.trim().length === 0) {
-    throw new APIError('Prompt is required', 400, 'MISSING_PROMPT');
+router.post('/jobs/:id/retry', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
   }
 
-  if (count < 1 || count > 4) {
-    throw new APIError('Count must be between 1 and 4', 400, 'INVALID_COUNT');
+  // A cancelled job stays busy until its running step has finished
+  if (job.status === 'processing' || jobQueue.isCancelled(job.id)) {
+    throw new APIError('Job is still processing', 409, 'JOB_IN_PROGRESS');
   }
 
-  try {
-    // Generate images using AI service
-    const images = await aiService.generateImages({
-      prompt: prompt.trim(),
-      count: parseInt(count),
-      style: style
-    });
+  if (job.status === 'awaiting_approval') {
+    throw new APIError('Job is waiting for listing approval', 409, 'JOB_AWAITING_APPROVAL');
+  }
 
-    res.json({
-      success: true,
-      images: images,
-      message: `Generated ${images.length} image(s) successfully`
+  const stepStatuses = jobService.getLatestStepStatuses(job);
+  const steps = pipelineEngine.resolve(await settingsService.loadSettings(job.userId));
+  const fromStep = req.query.from || steps.find(step =>
+    stepStatuses[step] && !jobService.isStepSettled(stepStatuses[step])
+  );
+
+  if (!fromStep) {
+    throw new APIError('Job has no failed steps to retry', 400, 'NOTHING_TO_RETRY');
+  }
+
+  if (!steps.includes(fromStep)) {
+    throw new APIError(`Invalid pipeline step: ${fromStep}`, 400, 'INVALID_STEP', {
+      availableSteps: steps
     });
+  }
 
-  } catch (error) {
-    console.error('Image generation error:', error);
+  // Every earlier step must have produced its outputs (some, like settings, always re-run)
+  const missingSteps = steps
+    .slice(0, steps.indexOf(fromStep))
+    .filter(step => !pipelineEngine.getStep(step).rerunOnResume && !jobService.isStepSettled(stepStatuses[step]));
+
+  if (missingSteps.length > 0) {
     throw new APIError(
-      `Image generation failed: ${error.message}`,
-      500,
-      'IMAGE_GENERATION_ERROR'
+      `Cannot retry from ${fromStep}: earlier steps did not complete`,
+      409,
+      'STEP_PREREQUISITES_MISSING',
+      { missingSteps }
     );
   }
+
+  const context = await restorePipelineContext(job, req.user);
+  await jobService.resumeJob(job.id, fromStep);
+
+  res.json({
+    success: true,
+    processingId: job.id,
+    from: fromStep,
+    message: `Retrying processing from ${fromStep}`
+  });
+
+  // Continue processing asynchronously
+  runPipeline(job.id, context, fromStep);
 }));
 
 /**
- * Health check endpoint
+ * Approve the listing of a job paused for review and create the Etsy draft
+ * with the edited title, description, tags, price and quantity
  */
-router.get('/health', (req, res) => {
+router.post('/jobs/:id/approve', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  if (job.status !== 'awaiting_approval') {
+    throw new APIError('Job is not awaiting approval', 409, 'JOB_NOT_AWAITING_APPROVAL');
+  }
+
+  const listing = validateListingApproval(job.approval.draft, req.body);
+  const context = await restorePipelineContext(job, req.user);
+  const metadata = await jobService.loadJsonArtifact(job.id, 'metadata.json');
+
+  // The Etsy step restores the approved metadata and listing, as do later retries of it
+  await jobService.saveJsonArtifact(job.id, 'metadata.json', {
+    ...metadata,
+    title: listing.title,
+    description: listing.description,
+    tags: listing.tags
+  });
+  await jobService.approveJob(job.id, listing);
+
   res.json({
     success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    services: {
-      imageProcessing: 'available',
-      fileManagement: 'available',
-      googleDrive: process.env.GOOGLE_CLIENT_ID ? 'configured' : 'not_configured',
-      etsy: process.env.ETSY_CLIENT_ID ? 'configured' : 'not_configured',
-      ai: process.env.GOOGLE_AI_API_KEY ? 'configured' : 'not_configured'
-    }
+    processingId: job.id,
+    listing,
+    message: 'Listing approved, creating Etsy draft'
+  });
+
+  // Continue processing asynchronously
+  runPipeline(job.id, context, 'etsy_listing');
+}));
+
+// Latest a listing can be scheduled for
+const MAX_PUBLISH_DELAY_DAYS = 365;
+
+/**
+ * Schedule the Etsy draft created by a job to be published (set to active)
+ * at the given time
+ */
+router.post('/jobs/:id/schedule', requireAuth, requireEtsyAuth, asyncHandler(async (req, res) => {
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== req.user.id) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const listingId = job.results?.etsyListing?.listing_id;
+  if (!listingId) {
+    throw new APIError('Job has no Etsy draft to publish', 409, 'NO_ETSY_LISTING');
+  }
+
+  const publishAt = new Date(req.body.publishAt);
+  const maxPublishAt = Date.now() + MAX_PUBLISH_DELAY_DAYS * 24 * 60 * 60 * 1000;
+  if (!req.body.publishAt || isNaN(publishAt.getTime())) {
+    throw new APIError('publishAt must be an ISO 8601 date', 400, 'INVALID_PUBLISH_TIME');
+  }
+  if (publishAt.getTime() <= Date.now() || publishAt.getTime() > maxPublishAt) {
+    throw new APIError(
+      `publishAt must be in the future and within ${MAX_PUBLISH_DELAY_DAYS} days`,
+      400,
+      'INVALID_PUBLISH_TIME'
+    );
+  }
+
+  const { etsyAuth } = req.user.session;
+  if (publishScheduler.getSchedule(listingId)?.status === 'published') {
+    throw new APIError('Listing is already published', 409, 'LISTING_ALREADY_PUBLISHED');
+  }
+
+  const schedule = await publishScheduler.schedule({
+    listingId,
+    shopId: etsyAuth.shopId,
+    jobId: job.id,
+    userId: job.userId,
+    publishAt,
+    auth: etsyAuth
+  });
+
+  res.json({
+    success: true,
+    schedule
+  });
+}));
+
+/**
+ * Get the publish schedule of a job's Etsy draft
+ */
+router.get('/jobs/:id/schedule', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const listingId = job.results?.etsyListing?.listing_id;
+  const schedule = listingId ? publishScheduler.getSchedule(listingId) : null;
+  if (!schedule) {
+    throw new APIError('Listing is not scheduled', 404, 'SCHEDULE_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    schedule
+  });
+}));
+
+/**
+ * Download the animated GIF preview of a job
+ */
+router.get('/jobs/:id/gif', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const buffer = await jobService.loadArtifact(job.id, 'preview.gif');
+  if (!buffer) {
+    throw new APIError('No GIF preview for this job', 404, 'GIF_NOT_FOUND');
+  }
+
+  res.type('image/gif');
+  res.set('Content-Disposition', `attachment; filename="listing_${job.id}_preview.gif"`);
+  res.send(buffer);
+}));
+
+/**
+ * Cancel the pending publish schedule of a job's Etsy draft
+ */
+router.delete('/jobs/:id/schedule', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job || job.userId !== userId) {
+    throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const listingId = job.results?.etsyListing?.listing_id;
+  const schedule = listingId ? await publishScheduler.cancel(listingId) : null;
+  if (!schedule) {
+    throw new APIError('Listing has no pending schedule', 404, 'SCHEDULE_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    schedule,
+    message: 'Publish schedule cancelled'
+  });
+}));
+
+/**
+ * List the current user's publish schedules, soonest first
+ */
+router.get('/schedules', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+
+  res.json({
+    success: true,
+    schedules: publishScheduler.listSchedules({ userId, status: req.query.status })
+  });
+}));
+
+/**
+ * List the current user's webhook deliveries, newest first
+ */
+router.get('/webhooks/deliveries', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const result = await webhookService.listDeliveries(userId, {
+    event: req.query.event,
+    status: req.query.status,
+    limit,
+    offset
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * Generate unique batch ID
+ */
+function generateBatchId() {
+  return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Bulk listing creation endpoint
+ * Accepts a ZIP of product folders plus an optional CSV/JSON manifest (inside
+ * the ZIP or as a separate `manifest` file) and starts one job per product
+ */
+router.post('/batches', optionalAuth, createBatchUploadMiddleware(), asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const archiveFile = req.files?.archive?.[0];
+
+  if (!archiveFile) {
+    throw new APIError('A ZIP archive is required', 400, 'MISSING_ARCHIVE');
+  }
+
+  let archive;
+  try {
+    archive = batchService.readArchive(archiveFile.buffer);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_ARCHIVE');
+  }
+
+  const manifestFile = req.files.manifest?.[0];
+  const manifest = manifestFile
+    ? { name: manifestFile.originalname, content: manifestFile.buffer.toString('utf8') }
+    : archive.manifest;
+
+  let products;
+  try {
+    const entries = manifest ? batchService.parseManifest(manifest.content, manifest.name) : null;
+    products = batchService.buildProducts(archive.folders, entries);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_MANIFEST');
+  }
+
+  if (products.length === 0) {
+    throw new APIError('The archive contains no product folders with images', 400, 'EMPTY_BATCH', {
+      skipped: archive.skipped
+    });
+  }
+
+  for (const product of products) {
+    if (!product.error && product.options.watermark) {
+      try {
+        settingsService.validateWatermarkSettings(product.options.watermark);
+      } catch (error) {
+        product.error = error.message;
+      }
+    }
+  }
+
+  const batchId = generateBatchId();
+  for (const product of products.filter(p => !p.error)) {
+    product.jobId = generateProcessingId();
+    jobService.createJob(product.jobId, {
+      userId,
+      inputs: {
+        files: product.files.map(file => ({
+          name: file.originalname,
+          size: file.size,
+          mimetype: file.mimetype
+        })),
+        totalSize: product.files.reduce((sum, file) => sum + file.size, 0),
+        options: product.options,
+        batch: { id: batchId, folder: product.folder }
+      }
+    });
+  }
+
+  const batch = await batchService.createBatch(batchId, {
+    userId,
+    products,
+    skipped: archive.skipped
+  });
+
+  res.json({
+    success: true,
+    batchId,
+    message: 'Batch received, processing started',
+    products: batch.products,
+    skipped: batch.skipped
+  });
+
+  processBatchAsync(products.filter(p => p.jobId), userId, req.user);
+}));
+
+/**
+ * Process the products of a batch one after another, so a large batch does not
+ * start every pipeline at once. Each product's images are released once its
+ * pipeline has finished or paused.
+ */
+async function processBatchAsync(products, userId, user) {
+  for (const product of products) {
+    await processUploadAsync(product.jobId, product.files, { ...product.options, userId }, user);
+    product.files = null;
+  }
+}
+
+/**
+ * Batch summary endpoint with per-product success or failure
+ */
+router.get('/batches/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const batch = await batchService.getBatch(req.params.id);
+
+  if (!batch || batch.userId !== userId) {
+    throw new APIError('Batch not found', 404, 'BATCH_NOT_FOUND');
+  }
+
+  const jobs = await Promise.all(batch.products.map(product =>
+    product.jobId ? jobService.getJob(product.jobId) : null
+  ));
+
+  res.json({
+    success: true,
+    batch: batchService.summarize(batch, jobs)
+  });
+}));
+
+/**
+ * Settings endpoints
+ */
+router.get('/settings', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const settings = await settingsService.loadSettings(userId);
+  
+  res.json({
+    success: true,
+    settings
+  });
+}));
+
+router.put('/settings', optionalAuth, asyncHandler(async (req, res) => {
+  if (!req.body.settings) {
+    throw new APIError('Settings data is required', 400, 'MISSING_SETTINGS');
+  }
+  
+  const userId = req.user?.id || req.body.userId || 'default';
+  const settings = await settingsService.saveSettings(req.body.settings, userId);
+  
+  res.json({
+    success: true,
+    settings
+  });
+}));
+
+router.patch('/settings/:section', optionalAuth, asyncHandler(async (req, res) => {
+  const { section } = req.params;
+  const userId = req.user?.id || req.body.userId || 'default';
+  const updates = req.body.updates;
+  
+  if (!updates) {
+    throw new APIError('Updates data is required', 400, 'MISSING_UPDATES');
+  }
+  
+  const settings = await settingsService.updateSettings(section, updates, userId);
+  
+  res.json({
+    success: true,
+    settings
+  });
+}));
+
+const LOGO_ASSETS = { png: 'watermark-logo.png', svg: 'watermark-logo.svg' };
+
+/**
+ * Upload the logo used by logo watermarks (PNG or SVG, `logo` field)
+ */
+router.post('/settings/watermark/logo', optionalAuth, createSettingsAssetUploadMiddleware('logo'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new APIError('A PNG or SVG logo is required', 400, 'MISSING_LOGO');
+  }
+
+  let logo;
+  try {
+    logo = await imageService.validateLogo(req.file.buffer);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_LOGO');
+  }
+
+  const userId = req.user?.id || req.body.userId || 'default';
+  const current = await settingsService.loadSettings(userId);
+  const asset = await settingsService.saveAsset(LOGO_ASSETS[logo.format], req.file.buffer, userId);
+
+  // Drop a logo of the other format so only the active one is kept
+  if (current.watermark.logo?.asset && current.watermark.logo.asset !== asset) {
+    await settingsService.deleteAsset(current.watermark.logo.asset, userId);
+  }
+
+  const settings = await settingsService.updateSettings('watermark', {
+    logo: { ...current.watermark.logo, asset }
+  }, userId);
+
+  res.json({
+    success: true,
+    logo,
+    settings
+  });
+}));
+
+/**
+ * Download the current logo
+ */
+router.get('/settings/watermark/logo', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.query.userId || 'default';
+  const { watermark } = await settingsService.loadSettings(userId);
+  const buffer = watermark.logo?.asset ? await settingsService.loadAsset(watermark.logo.asset, userId) : null;
+
+  if (!buffer) {
+    throw new APIError('No watermark logo uploaded', 404, 'LOGO_NOT_FOUND');
+  }
+
+  res.type(watermark.logo.asset.endsWith('.svg') ? 'image/svg+xml' : 'image/png');
+  // Served SVGs must never run as documents
+  res.set('Content-Security-Policy', 'sandbox');
+  res.send(buffer);
+}));
+
+/**
+ * Remove the logo, switching a logo watermark back to text
+ */
+router.delete('/settings/watermark/logo', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body?.userId || req.query.userId || 'default';
+  const { watermark } = await settingsService.loadSettings(userId);
+
+  if (watermark.logo?.asset) {
+    await settingsService.deleteAsset(watermark.logo.asset, userId);
+  }
+
+  const settings = await settingsService.updateSettings('watermark', {
+    type: 'text',
+    logo: { ...watermark.logo, asset: null }
+  }, userId);
+
+  res.json({
+    success: true,
+    settings
+  });
+}));
+
+const FONT_ASSETS = { ttf: 'watermark-font.ttf', otf: 'watermark-font.otf' };
+
+/**
+ * Upload the font used for text watermarks (TTF or OTF, `font` field)
+ */
+router.post('/settings/watermark/font', optionalAuth, createSettingsAssetUploadMiddleware('font'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new APIError('A TTF or OTF font is required', 400, 'MISSING_FONT');
+  }
+
+  let font;
+  try {
+    font = readFontInfo(req.file.buffer);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_FONT');
+  }
+
+  const userId = req.user?.id || req.body.userId || 'default';
+  const current = await settingsService.loadSettings(userId);
+  const asset = await settingsService.saveAsset(FONT_ASSETS[font.format], req.file.buffer, userId);
+
+  // Drop a font of the other format so only the active one is kept
+  if (current.watermark.font?.asset && current.watermark.font.asset !== asset) {
+    await settingsService.deleteAsset(current.watermark.font.asset, userId);
+  }
+
+  const settings = await settingsService.updateSettings('watermark', {
+    font: { asset, family: font.family }
+  }, userId);
+
+  res.json({
+    success: true,
+    font,
+    settings
+  });
+}));
+
+/**
+ * Remove the uploaded font, going back to the default font
+ */
+router.delete('/settings/watermark/font', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body?.userId || req.query.userId || 'default';
+  const { watermark } = await settingsService.loadSettings(userId);
+
+  if (watermark.font?.asset) {
+    await settingsService.deleteAsset(watermark.font.asset, userId);
+  }
+
+  const settings = await settingsService.updateSettings('watermark', {
+    font: { asset: null, family: null }
+  }, userId);
+
+  res.json({
+    success: true,
+    settings
+  });
+}));
+
+/**
+ * Run the image processing of an image tool request in the job queue's CPU
+ * stage, so it takes turns with the pipeline steps instead of competing with them
+ * @param {Function} task - Async function doing the processing
+ * @returns {Promise<*>} Result of the task
+ */
+function runImageTool(task) {
+  return jobQueue.run('cpu', `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, task);
+}
+
+/**
+ * Render the saved watermark, with optional unsaved changes (`watermark`),
+ * on an uploaded `image` or a sample image
+ */
+router.post('/settings/watermark/preview', optionalAuth, createSingleUploadMiddleware('image'), handleUploadErrors, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const { watermark: saved } = await settingsService.loadSettings(userId);
+  const changes = parseJsonField(req.body.watermark, 'Watermark settings', 'INVALID_WATERMARK_SETTINGS');
+  const config = await resolveWatermarkChanges(settingsService, saved, changes, userId);
+
+  const preview = await runImageTool(() => imageService.createWatermarkPreview(config, req.file?.buffer || null));
+
+  res.type('image/jpeg');
+  res.set('Cache-Control', 'no-store');
+  res.send(preview);
+}));
+
+const AUDIO_ASSETS = { mp3: 'slideshow-audio.mp3', m4a: 'slideshow-audio.m4a', wav: 'slideshow-audio.wav' };
+
+/**
+ * Upload the background music for slideshow videos (MP3, M4A or WAV, `audio` field)
+ */
+router.post('/settings/slideshow/audio', optionalAuth, createSettingsAssetUploadMiddleware('audio'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new APIError('An MP3, M4A or WAV file is required', 400, 'MISSING_AUDIO');
+  }
+
+  let format;
+  try {
+    format = readAudioFormat(req.file.buffer);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_AUDIO');
+  }
+
+  const userId = req.user?.id || req.body.userId || 'default';
+  const current = await settingsService.loadSettings(userId);
+  const asset = await settingsService.saveAsset(AUDIO_ASSETS[format], req.file.buffer, userId);
+
+  // Drop music of another format so only the active file is kept
+  if (current.slideshow.audio?.asset && current.slideshow.audio.asset !== asset) {
+    await settingsService.deleteAsset(current.slideshow.audio.asset, userId);
+  }
+
+  const settings = await settingsService.updateSettings('slideshow', {
+    audio: { ...current.slideshow.audio, asset }
+  }, userId);
+
+  res.json({
+    success: true,
+    audio: { format, size: req.file.size },
+    settings
+  });
+}));
+
+/**
+ * Remove the slideshow music
+ */
+router.delete('/settings/slideshow/audio', optionalAuth, asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body?.userId || req.query.userId || 'default';
+  const { slideshow } = await settingsService.loadSettings(userId);
+
+  if (slideshow.audio?.asset) {
+    await settingsService.deleteAsset(slideshow.audio.asset, userId);
+  }
+
+  const settings = await settingsService.updateSettings('slideshow', {
+    audio: { ...slideshow.audio, asset: null }
+  }, userId);
+
+  res.json({
+    success: true,
+    settings
+  });
+}));
+
+/**
+ * List the collage templates that can be selected in the collage settings
+ */
+router.get('/settings/collage/templates', optionalAuth, asyncHandler(async (req, res) => {
+  const skipped = [];
+  const templates = [...loadCollageTemplates(undefined, skipped).values()].map(({ id, name, description = '', layout = null }) => ({
+    id,
+    name,
+    description,
+    layout
+  }));
+
+  res.json({
+    success: true,
+    templates,
+    skipped
+  });
+}));
+
+/**
+ * List the mockup templates that can be selected in the mockup settings
+ */
+router.get('/settings/mockups/templates', optionalAuth, asyncHandler(async (req, res) => {
+  const skipped = [];
+  const templates = [...loadMockupTemplates(undefined, skipped).values()].map(({ id, name, description = '' }) => ({
+    id,
+    name,
+    description
+  }));
+
+  res.json({
+    success: true,
+    templates,
+    skipped
+  });
+}));
+
+/**
+ * Check the quality of images before uploading them: sharpness, resolution,
+ * aspect ratio and exposure, measured against the user's quality check settings
+ */
+router.post('/images/quality', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const { qualityChecks } = await settingsService.loadSettings(userId);
+  const { validFiles, errors } = imageService.validateImageFiles(req.files);
+  const analyses = await runImageTool(() => imageService.analyzeImages(validFiles, qualityChecks));
+
+  const images = req.files.map((file, index) => {
+    const analysis = analyses[validFiles.indexOf(file)];
+    const error = errors.find(entry => entry.index === index);
+    return { index, filename: file.originalname, ...(analysis || { error: error?.error }) };
+  });
+
+  res.json({
+    success: true,
+    images
+  });
+}));
+
+/**
+ * Remove the background of an uploaded `image`, using the saved background
+ * removal settings with optional unsaved changes (`backgroundRemoval`)
+ */
+router.post('/images/remove-background', optionalAuth, createSingleUploadMiddleware('image'), handleUploadErrors, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new APIError('A JPEG, PNG or WebP image is required', 400, 'MISSING_IMAGE');
+  }
+
+  const userId = req.user?.id || req.body.userId || 'default';
+  const { backgroundRemoval: saved, processing } = await settingsService.loadSettings(userId);
+
+  const changes = parseJsonField(req.body.backgroundRemoval, 'Background removal settings', 'INVALID_BACKGROUND_REMOVAL_SETTINGS');
+
+  let options;
+  try {
+    const backgroundRemoval = { ...saved, ...changes };
+    settingsService.validateBackgroundRemovalSettings(backgroundRemoval);
+    options = settingsService.resolveBackgroundRemoval(backgroundRemoval);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_BACKGROUND_REMOVAL_SETTINGS');
+  }
+
+  let result;
+  try {
+    result = await runImageTool(() => imageService.removeBackground(req.file.buffer, options, {
+      format: processing?.outputFormat,
+      quality: processing?.imageQuality
+    }));
+  } catch (error) {
+    throw new APIError(error.message, 422, 'BACKGROUND_REMOVAL_FAILED');
+  }
+
+  const { format } = await imageService.getImageMetadata(result.buffer);
+  res.type(`image/${format}`);
+  res.set('Content-Disposition', `attachment; filename="${getToolFilename(req.file.originalname, 'cutout', format)}"`);
+  res.set('X-Background-Removed', String(result.removed));
+  res.send(result.buffer);
+}));
+
+/**
+ * Watermark uploaded `images` with the saved watermark plus optional unsaved
+ * changes (`options`, JSON); returns the image, or a ZIP for several images
+ */
+router.post('/images/watermark', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const images = getToolImages(imageService, req.files);
+  const { watermark: saved, processing } = await settingsService.loadSettings(userId);
+  const changes = parseJsonField(req.body.options, 'Watermark settings', 'INVALID_WATERMARK_SETTINGS');
+  const config = await resolveWatermarkChanges(settingsService, saved, changes, userId);
+
+  const { watermarkedImages, errors } = await runImageTool(() => imageService.watermarkImages(images, config, {
+    format: processing?.outputFormat,
+    quality: processing?.imageQuality
+  }));
+  if (errors.length) {
+    throw new APIError('Some images could not be watermarked', 422, 'IMAGE_PROCESSING_FAILED', errors);
+  }
+
+  await sendToolFiles(res, watermarkedImages.map((image, i) => ({
+    buffer: image.buffer,
+    mimetype: image.mimetype,
+    filename: getToolFilename(images[i].originalname, 'watermarked', image.format)
+  })), 'watermarked-images');
+}));
+
+/**
+ * Make a collage of uploaded `images` with the saved collage settings plus
+ * optional unsaved changes (`options`, JSON); returns a JPEG
+ */
+router.post('/images/collage', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const images = getToolImages(imageService, req.files, 2);
+  const { collage: saved } = await settingsService.loadSettings(userId);
+  const changes = parseJsonField(req.body.options, 'Collage settings', 'INVALID_COLLAGE_SETTINGS');
+  const options = await resolveCollageChanges(settingsService, saved, changes);
+
+  let buffer;
+  try {
+    buffer = await runImageTool(() => imageService.createCollage(images, options));
+  } catch (error) {
+    throw new APIError(error.message, 422, 'IMAGE_PROCESSING_FAILED');
+  }
+
+  await sendToolFiles(res, [{ buffer, mimetype: 'image/jpeg', filename: 'collage.jpg' }], 'collage');
+}));
+
+/**
+ * Resize and compress uploaded `images` for the web. Options (`options`, JSON):
+ * `maxWidth` and `maxHeight` (pixels, default 2000), `quality` (1-100, default 85)
+ * and `format` (jpeg, png or webp; default jpeg). Returns the image, or a ZIP
+ */
+router.post('/images/optimize', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
+  const images = getToolImages(imageService, req.files);
+  const options = parseOptimizeOptions(parseJsonField(req.body.options, 'Optimize options', 'INVALID_OPTIMIZE_OPTIONS'));
+  const { format } = options;
+
+  const files = await runImageTool(async () => {
+    const optimized = [];
+    for (const image of images) {
+      try {
+        const buffer = await imageService.optimizeForWeb(image.buffer, options);
+        optimized.push({ buffer, mimetype: `image/${format}`, filename: getToolFilename(image.originalname, 'optimized', format) });
+      } catch (error) {
+        throw new APIError(`${image.originalname}: ${error.message}`, 422, 'IMAGE_PROCESSING_FAILED');
+      }
+    }
+    return optimized;
+  });
+
+  await sendToolFiles(res, files, 'optimized-images');
+}));
+
+/**
+ * Make a slideshow video of uploaded `images` with the saved slideshow
+ * settings plus optional unsaved changes (`options`, JSON); returns an MP4.
+ * The music always comes from the audio upload endpoint.
+ */
+router.post('/images/slideshow', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
+  const userId = req.user?.id || req.body.userId || 'default';
+  const images = getToolImages(imageService, req.files, 2);
+  const { slideshow: saved } = await settingsService.loadSettings(userId);
+  const changes = parseJsonField(req.body.options, 'Slideshow settings', 'INVALID_SLIDESHOW_SETTINGS');
+  const options = resolveSlideshowChanges(settingsService, saved, changes, userId);
+
+  let buffer;
+  try {
+    buffer = await runImageTool(() => imageService.createSlideshowVideo(images.map(image => image.buffer), options));
+  } catch (error) {
+    throw new APIError(error.message, 500, 'VIDEO_CREATION_FAILED');
+  }
+
+  await sendToolFiles(res, [{ buffer, mimetype: 'video/mp4', filename: 'slideshow.mp4' }], 'slideshow');
+}));
+
+/**
+ * Read the size, format and channels of uploaded `images`
+ */
+router.post('/images/metadata', optionalAuth, createCompleteUploadMiddleware('images', 10), asyncHandler(async (req, res) => {
+  const images = [];
+  for (const [index, file] of req.files.entries()) {
+    try {
+      const metadata = await imageService.getImageMetadata(file.buffer);
+      images.push({ index, filename: file.originalname, bytes: file.size, ...metadata });
+    } catch (error) {
+      images.push({ index, filename: file.originalname, bytes: file.size, error: error.message });
+    }
+  }
+
+  res.json({
+    success: true,
+    images
+  });
+}));
+
+
+
+/**
+ * Generate images using AI
+ */
+router.post('/generate-images', optionalAuth, asyncHandler(async (req, res) => {
+  console.log('generate-images');
+  console.log('req.body:', req.body);
+  console.log('req.user:', req.user);
+  const { prompt, count = 1, style = 'product' } = req.body;
+  
+  if (!prompt || prompt.trim().length === 0) {
+    throw new APIError('Prompt is required', 400, 'MISSING_PROMPT');
+  }
+
+  if (count < 1 || count > 4) {
+    throw new APIError('Count must be between 1 and 4', 400, 'INVALID_COUNT');
+  }
+
+  try {
+    // Generate images using AI service
+    const images = await aiService.generateImages({
+      prompt: prompt.trim(),
+      count: parseInt(count),
+      style: style
+    });
+
+    res.json({
+      success: true,
+      images: images,
+      message: `Generated ${images.length} image(s) successfully`
+    });
+
+  } catch (error) {
+    console.error('Image generation error:', error);
+    throw new APIError(
+      `Image generation failed: ${error.message}`,
+      500,
+      'IMAGE_GENERATION_ERROR'
+    );
+  }
+}));
+
+/**
+ * Health check endpoint
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    services: {
+      imageProcessing: 'available',
+      fileManagement: 'available',
+      googleDrive: process.env.GOOGLE_CLIENT_ID ? 'configured' : 'not_configured',
+      etsy: process.env.ETSY_CLIENT_ID ? 'configured' : 'not_configured',
+      ai: process.env.GOOGLE_AI_API_KEY ? 'configured' : 'not_configured'
+    },
+    queue: jobQueue.getStats()
   });
 });
 
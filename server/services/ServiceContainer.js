@@ -190,6 +190,11 @@ function createServiceContainer() {
     return new SettingsService();
   });
 
+  container.register('jobService', () => {
+    const JobService = require('./jobService');
+    return new JobService();
+  });
+
   container.register('googleDriveService', (config) => {
     const GoogleDriveService = require('./googleDriveService');
     const service = new GoogleDriveService();
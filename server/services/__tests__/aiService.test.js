@@ -128,6 +128,15 @@ describe('AIService', () => {
       ]);
     });
 
+    it('should include the seller title hint in the prompt', async () => {
+      mockResponse.text.mockReturnValue('Boho Wall Art Print');
+
+      await aiService.generateTitle(mockImageBuffers, 'boho wall art');
+
+      const [prompt] = mockModel.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('The seller describes this product as: "boho wall art"');
+    });
+
     it('should throw error if no images provided', async () => {
       await expect(aiService.generateTitle([])).rejects.toThrow(
         'At least one image is required for title generation'
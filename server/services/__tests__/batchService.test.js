@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const AdmZip = require('adm-zip');
+const BatchService = require('../batchService');
+
+describe('BatchService', () => {
+  let batchesDir;
+  let batchService;
+
+  const createArchive = (files) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) {
+      zip.addFile(name, Buffer.from(content));
+    }
+    return zip.toBuffer();
+  };
+
+  beforeEach(async () => {
+    batchesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batches-test-'));
+    batchService = new BatchService({ batchesDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(batchesDir, { recursive: true, force: true });
+  });
+
+  describe('readArchive', () => {
+    it('should group images by product folder', () => {
+      const archive = batchService.readArchive(createArchive({
+        'mugs/blue/2.jpg': 'image-2',
+        'mugs/blue/1.jpg': 'image-1',
+        'posters/front.png': 'poster',
+        'manifest.csv': 'folder,price\nposters,5'
+      }));
+
+      expect([...archive.folders.keys()]).toEqual(['mugs/blue', 'posters']);
+      expect(archive.folders.get('mugs/blue').map(file => file.originalname)).toEqual(['1.jpg', '2.jpg']);
+      expect(archive.folders.get('posters')[0]).toMatchObject({ mimetype: 'image/png', size: 6 });
+      expect(archive.manifest).toEqual({ name: 'manifest.csv', content: 'folder,price\nposters,5' });
+    });
+
+    it('should resolve folders relative to a wrapped manifest', () => {
+      const archive = batchService.readArchive(createArchive({
+        'export/manifest.json': '[]',
+        'export/mugs/1.jpg': 'image'
+      }));
+
+      expect([...archive.folders.keys()]).toEqual(['mugs']);
+    });
+
+    it('should skip loose files, hidden files and unsupported types', () => {
+      const archive = batchService.readArchive(createArchive({
+        'loose.jpg': 'image',
+        'mugs/notes.txt': 'text',
+        'mugs/.DS_Store': 'meta',
+        '__MACOSX/mugs/._1.jpg': 'meta',
+        'mugs/1.jpg': 'image'
+      }));
+
+      expect(archive.folders.get('mugs')).toHaveLength(1);
+      expect(archive.skipped.map(entry => entry.path)).toEqual(['loose.jpg', 'mugs/notes.txt']);
+    });
+
+    it('should reject data that is not a ZIP archive', () => {
+      expect(() => batchService.readArchive(Buffer.from('not a zip'))).toThrow('Invalid ZIP archive');
+    });
+
+    it('should reject archives with more files than allowed', () => {
+      batchService = new BatchService({ batchesDir, maxEntries: 2 });
+
+      expect(() => batchService.readArchive(createArchive({
+        'mugs/1.jpg': 'image-1',
+        'mugs/2.jpg': 'image-2',
+        'mugs/3.jpg': 'image-3'
+      }))).toThrow('Archive has 3 files; the maximum is 2');
+    });
+
+    it('should reject archives that unpack to more than allowed', () => {
+      batchService = new BatchService({ batchesDir, maxUncompressedSize: 1000 });
+
+      expect(() => batchService.readArchive(createArchive({
+        'mugs/1.jpg': 'a'.repeat(600),
+        'posters/1.jpg': 'b'.repeat(600)
+      }))).toThrow('Archive unpacks to 1200 bytes; the maximum is 1000');
+    });
+
+    it('should reject archives with more product folders than allowed', () => {
+      batchService = new BatchService({ batchesDir, maxProducts: 1 });
+
+      expect(() => batchService.readArchive(createArchive({
+        'mugs/1.jpg': 'image',
+        'posters/1.jpg': 'image'
+      }))).toThrow('Batch has 2 products; the maximum is 1');
+    });
+  });
+
+  describe('parseManifest', () => {
+    it('should parse CSV columns into product entries', () => {
+      const [entry] = batchService.parseManifest(
+        'folder,title_hint,price,quantity,tags,taxonomy_id,watermark_text,watermark_enabled\n' +
+        '/mugs/blue/,Blue ceramic mug,12.50,3,mug|ceramic; blue,1633,My Shop,true',
+        'manifest.csv'
+      );
+
+      expect(entry).toEqual({
+        folder: 'mugs/blue',
+        titleHint: 'Blue ceramic mug',
+        price: 12.5,
+        quantity: 3,
+        tags: ['mug', 'ceramic', 'blue'],
+        taxonomyId: 1633,
+        watermark: { text: 'My Shop', enabled: true },
+        errors: []
+      });
+    });
+
+    it('should parse a JSON manifest with a products array', () => {
+      const [entry] = batchService.parseManifest(JSON.stringify({
+        products: [{ folder: 'posters', titleHint: 'Poster', tags: ['art'], watermark: { enabled: false } }]
+      }), 'manifest.json');
+
+      expect(entry).toMatchObject({
+        folder: 'posters',
+        titleHint: 'Poster',
+        price: null,
+        tags: ['art'],
+        watermark: { enabled: false },
+        errors: []
+      });
+    });
+
+    it('should accept boolean watermark columns in a JSON manifest', () => {
+      const [off, on] = batchService.parseManifest(JSON.stringify([
+        { folder: 'posters', watermark_enabled: false },
+        { folder: 'mugs', watermark_text: 'My Shop', watermark_enabled: true }
+      ]), 'manifest.json');
+
+      expect(off.watermark).toEqual({ enabled: false });
+      expect(on.watermark).toEqual({ text: 'My Shop', enabled: true });
+      expect(off.errors).toEqual([]);
+    });
+
+    it('should report invalid values on the entry', () => {
+      const [entry] = batchService.parseManifest('folder,price,quantity\n,0,1.5', 'manifest.csv');
+
+      expect(entry.errors).toEqual([
+        'folder is required',
+        'price must be between 0.01 and 999999.99',
+        'quantity must be a whole number between 1 and 999'
+      ]);
+    });
+
+    it('should reject unsupported or malformed manifests', () => {
+      expect(() => batchService.parseManifest('{', 'manifest.json')).toThrow('Invalid JSON manifest');
+      expect(() => batchService.parseManifest('{}', 'manifest.json')).toThrow('products array');
+      expect(() => batchService.parseManifest('', 'manifest.xlsx')).toThrow('.csv or .json');
+    });
+  });
+
+  describe('buildProducts', () => {
+    const image = { originalname: '1.jpg', buffer: Buffer.from('image'), size: 5 };
+
+    it('should create one product per folder with manifest options', () => {
+      const folders = new Map([['mugs', [image]], ['posters', [image]]]);
+      const entries = batchService.parseManifest('folder,price,tags\nmugs,9.99,mug', 'manifest.csv');
+
+      const products = batchService.buildProducts(folders, entries);
+
+      expect(products).toHaveLength(2);
+      expect(products[0]).toMatchObject({ folder: 'mugs', options: { price: 9.99, tags: ['mug'] }, error: null });
+      expect(products[1]).toMatchObject({ folder: 'posters', options: {}, error: null });
+    });
+
+    it('should report manifest entries without a folder and invalid entries', () => {
+      const folders = new Map([['mugs', [image]]]);
+      const entries = batchService.parseManifest('folder,price\nmugs,-1\nmissing,5', 'manifest.csv');
+
+      const products = batchService.buildProducts(folders, entries);
+
+      expect(products.find(p => p.folder === 'mugs').error).toContain('price must be');
+      expect(products.find(p => p.folder === 'missing').error).toBe('Folder not found in archive');
+    });
+
+    it('should limit the number of products per batch', () => {
+      batchService = new BatchService({ batchesDir, maxProducts: 1 });
+      const folders = new Map([['a', [image]], ['b', [image]]]);
+
+      expect(() => batchService.buildProducts(folders)).toThrow('the maximum is 1');
+    });
+  });
+
+  describe('createBatch and summarize', () => {
+    it('should persist the batch and summarize per-product results', async () => {
+      await batchService.createBatch('batch_1', {
+        userId: 'user-1',
+        products: [
+          { folder: 'mugs', jobId: 'proc_a', files: [{}] },
+          { folder: 'posters', jobId: 'proc_b', files: [{}] },
+          { folder: 'prints', jobId: 'proc_c', files: [{}] },
+          { folder: 'missing', error: 'Folder not found in archive' }
+        ]
+      });
+
+      const batch = await batchService.getBatch('batch_1');
+      const summary = batchService.summarize(batch, [
+        { id: 'proc_a', status: 'completed', errors: [], results: { etsyListing: { listing_id: 42 } } },
+        { id: 'proc_b', status: 'completed', errors: [{ step: 'etsy_listing', error: 'Etsy down' }] },
+        { id: 'proc_c', status: 'processing', errors: [], currentStep: 'watermarking' },
+        null
+      ]);
+
+      expect(summary).toMatchObject({ status: 'processing', total: 4, succeeded: 1, failed: 2, pending: 1 });
+      expect(summary.products[0]).toMatchObject({ folder: 'mugs', status: 'completed', listingId: 42 });
+      expect(summary.products[1].status).toBe('completed_with_errors');
+      expect(summary.products[3]).toMatchObject({ status: 'failed', errors: [{ step: 'import', error: 'Folder not found in archive' }] });
+    });
+
+    it('should return null for unknown or invalid batch IDs', async () => {
+      expect(await batchService.getBatch('batch_unknown')).toBeNull();
+      expect(await batchService.getBatch('../jobs/x')).toBeNull();
+    });
+  });
+});
@@ -440,6 +440,53 @@ describe('GoogleDriveService', () => {
     });
   });
 
+  describe('uploadFile', () => {
+    beforeEach(async () => {
+      await googleDriveService.initialize({
+        client_id: 'test_client_id',
+        client_secret: 'test_client_secret'
+      });
+    });
+
+    it('should upload a file with its MIME type', async () => {
+      mockDrive.files.create.mockResolvedValue({
+        data: {
+          id: 'gif_id',
+          name: 'preview.gif',
+          size: '2048',
+          createdTime: '2023-01-01T00:00:00.000Z',
+          webViewLink: 'https://drive.google.com/file/d/gif_id/view'
+        }
+      });
+
+      const result = await googleDriveService.uploadFile(Buffer.from('GIF89a'), 'preview.gif', 'image/gif', 'folder_id');
+
+      expect(mockDrive.files.create).toHaveBeenCalledWith({
+        resource: {
+          name: 'preview.gif',
+          parents: ['folder_id']
+        },
+        media: {
+          mimeType: 'image/gif',
+          body: expect.any(Object)
+        },
+        fields: 'id, name, size, createdTime, webViewLink'
+      });
+      expect(result).toMatchObject({ fileId: 'gif_id', name: 'preview.gif' });
+    });
+
+    it('should reject invalid input and report failed uploads', async () => {
+      await expect(googleDriveService.uploadFile('not a buffer', 'preview.gif', 'image/gif'))
+        .rejects.toThrow('Invalid file buffer provided');
+      await expect(googleDriveService.uploadFile(Buffer.from('GIF89a'), '', 'image/gif'))
+        .rejects.toThrow('Invalid filename provided');
+
+      mockDrive.files.create.mockRejectedValue(new Error('Upload failed'));
+      await expect(googleDriveService.uploadFile(Buffer.from('GIF89a'), 'preview.gif', 'image/gif'))
+        .rejects.toThrow('Failed to upload file: Upload failed');
+    });
+  });
+
   describe('createShareableLink', () => {
     beforeEach(async () => {
       const credentials = {
@@ -0,0 +1,135 @@
+const JobQueue = require('../jobQueue');
+const { JobCancelledError } = require('../../utils/errors');
+
+describe('JobQueue', () => {
+  let jobQueue;
+
+  // A task that stays running until its release function is called
+  const createDeferredTask = () => {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return { task: jest.fn(() => done), release };
+  };
+
+  beforeEach(() => {
+    jobQueue = new JobQueue({ stages: { cpu: 1, network: 2 } });
+  });
+
+  describe('run', () => {
+    it('should run tasks immediately while the stage has free slots', async () => {
+      const first = createDeferredTask();
+      const second = createDeferredTask();
+
+      const runs = [
+        jobQueue.run('network', 'job-a', first.task),
+        jobQueue.run('network', 'job-b', second.task)
+      ];
+
+      expect(first.task).toHaveBeenCalled();
+      expect(second.task).toHaveBeenCalled();
+
+      first.release('a');
+      second.release('b');
+      expect(await Promise.all(runs)).toEqual(['a', 'b']);
+    });
+
+    it('should hold tasks beyond the concurrency limit in FIFO order', async () => {
+      const first = createDeferredTask();
+      const second = createDeferredTask();
+      const third = createDeferredTask();
+
+      const runs = [
+        jobQueue.run('cpu', 'job-a', first.task),
+        jobQueue.run('cpu', 'job-b', second.task),
+        jobQueue.run('cpu', 'job-c', third.task)
+      ];
+
+      expect(second.task).not.toHaveBeenCalled();
+      expect(jobQueue.getPosition('job-b')).toEqual({ stage: 'cpu', position: 1, waiting: 2 });
+      expect(jobQueue.getPosition('job-c')).toEqual({ stage: 'cpu', position: 2, waiting: 2 });
+
+      first.release();
+      await runs[0];
+      await Promise.resolve();
+
+      expect(second.task).toHaveBeenCalled();
+      expect(third.task).not.toHaveBeenCalled();
+      expect(jobQueue.getPosition('job-b')).toBeNull();
+      expect(jobQueue.getPosition('job-c')).toEqual({ stage: 'cpu', position: 1, waiting: 1 });
+
+      second.release();
+      third.release();
+      await Promise.all(runs);
+      expect(jobQueue.getStats().cpu).toEqual({ concurrency: 1, running: 0, waiting: 0 });
+    });
+
+    it('should free the slot when a task fails', async () => {
+      await expect(jobQueue.run('cpu', 'job-a', async () => {
+        throw new Error('ffmpeg crashed');
+      })).rejects.toThrow('ffmpeg crashed');
+
+      expect(await jobQueue.run('cpu', 'job-b', async () => 'ok')).toBe('ok');
+    });
+
+    it('should keep stages independent', async () => {
+      const cpuTask = createDeferredTask();
+      jobQueue.run('cpu', 'job-a', cpuTask.task);
+
+      expect(await jobQueue.run('network', 'job-b', async () => 'uploaded')).toBe('uploaded');
+      cpuTask.release();
+    });
+
+    it('should run tasks without a stage immediately', async () => {
+      expect(await jobQueue.run(null, 'job-a', async () => 'settings')).toBe('settings');
+    });
+
+    it('should emit position updates for waiting jobs', async () => {
+      const positions = [];
+      jobQueue.on('position', position => positions.push(position));
+      const first = createDeferredTask();
+
+      const runs = [
+        jobQueue.run('cpu', 'job-a', first.task),
+        jobQueue.run('cpu', 'job-b', async () => {})
+      ];
+
+      expect(positions).toEqual([{ jobId: 'job-b', stage: 'cpu', position: 1, waiting: 1 }]);
+      first.release();
+      await Promise.all(runs);
+    });
+  });
+
+  describe('cancel', () => {
+    it('should reject queued tasks of the cancelled job', async () => {
+      const first = createDeferredTask();
+      const queued = jest.fn();
+
+      const running = jobQueue.run('cpu', 'job-a', first.task);
+      const waiting = jobQueue.run('cpu', 'job-b', queued);
+
+      jobQueue.cancel('job-b');
+
+      await expect(waiting).rejects.toBeInstanceOf(JobCancelledError);
+      expect(jobQueue.getPosition('job-b')).toBeNull();
+
+      first.release();
+      await running;
+      expect(queued).not.toHaveBeenCalled();
+    });
+
+    it('should refuse new tasks until the job is released', async () => {
+      jobQueue.cancel('job-a');
+
+      expect(jobQueue.isCancelled('job-a')).toBe(true);
+      await expect(jobQueue.run(null, 'job-a', async () => {})).rejects.toThrow('was cancelled');
+
+      jobQueue.release('job-a');
+      expect(jobQueue.isCancelled('job-a')).toBe(false);
+      expect(await jobQueue.run(null, 'job-a', async () => 'again')).toBe('again');
+    });
+  });
+
+  it('should reject unknown stages', async () => {
+    await expect(jobQueue.run('gpu', 'job-a', async () => {})).rejects.toThrow('Unknown queue stage: gpu');
+  });
+});
@@ -0,0 +1,447 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const JobService = require('../jobService');
+
+describe('JobService', () => {
+  let jobsDir;
+  let jobService;
+
+  beforeEach(async () => {
+    jobsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-test-'));
+    jobService = new JobService({ jobsDir });
+  });
+
+  afterEach(async () => {
+    await jobService.destroy();
+    await fs.rm(jobsDir, { recursive: true, force: true });
+  });
+
+  const readJobFile = async (jobId) => {
+    const data = await fs.readFile(path.join(jobsDir, `${jobId}.json`), 'utf8');
+    return JSON.parse(data);
+  };
+
+  describe('createJob', () => {
+    it('should create a processing job and persist it to disk', async () => {
+      const job = jobService.createJob('proc_1_abc', {
+        userId: 'user-1',
+        inputs: { files: [{ name: 'a.jpg', size: 100 }] }
+      });
+
+      expect(job.status).toBe('processing');
+      expect(job.userId).toBe('user-1');
+      expect(job.steps).toEqual([]);
+
+      await jobService.flush();
+      const stored = await readJobFile('proc_1_abc');
+      expect(stored.inputs.files[0].name).toBe('a.jpg');
+    });
+
+    it('should reject job IDs that could escape the jobs directory', () => {
+      expect(() => jobService.getJobFilePath('../settings/default')).toThrow('Invalid job ID');
+    });
+  });
+
+  describe('recordStep', () => {
+    it('should append steps and track the current step', () => {
+      jobService.createJob('proc_2_abc');
+      jobService.recordStep('proc_2_abc', 'validation', 'started');
+      const job = jobService.recordStep('proc_2_abc', 'validation', 'completed', { validFileCount: 2 });
+
+      expect(job.steps).toHaveLength(2);
+      expect(job.steps[1]).toMatchObject({ step: 'validation', status: 'completed', validFileCount: 2 });
+      expect(job.currentStep).toBe('validation');
+      expect(job.currentStatus).toBe('completed');
+    });
+
+    it('should collect errors from failed steps', () => {
+      jobService.createJob('proc_3_abc');
+      const job = jobService.recordStep('proc_3_abc', 'drive_upload', 'failed', { error: 'quota exceeded' });
+
+      expect(job.errors).toHaveLength(1);
+      expect(job.errors[0]).toMatchObject({ step: 'drive_upload', error: 'quota exceeded' });
+    });
+
+    it('should return null for unknown jobs', () => {
+      expect(jobService.recordStep('proc_missing', 'validation', 'started')).toBeNull();
+    });
+  });
+
+  describe('events', () => {
+    it('should emit each recorded step', () => {
+      const listener = jest.fn();
+      jobService.on('step', listener);
+
+      jobService.createJob('proc_evt_1');
+      jobService.recordStep('proc_evt_1', 'collage', 'completed', { layout: 'grid' });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        jobId: 'proc_evt_1',
+        step: 'collage',
+        status: 'completed',
+        layout: 'grid'
+      }));
+    });
+
+    it('should emit finished once the job status is final', () => {
+      const statuses = [];
+      jobService.on('finished', job => statuses.push(job.status));
+
+      jobService.createJob('proc_evt_2');
+      jobService.recordStep('proc_evt_2', 'validation', 'started');
+      expect(statuses).toEqual([]);
+
+      jobService.failJob('proc_evt_2', { error: 'boom' });
+      expect(statuses).toEqual(['failed']);
+    });
+  });
+
+  describe('completeJob and failJob', () => {
+    it('should store results and survive a restart', async () => {
+      jobService.createJob('proc_4_abc', { userId: 'user-1' });
+      jobService.completeJob('proc_4_abc', {
+        results: { driveLink: 'https://drive.example/file', metadata: { title: 'Mug' } }
+      });
+      await jobService.flush();
+
+      const restarted = new JobService({ jobsDir });
+      const job = await restarted.getJob('proc_4_abc');
+
+      expect(job.status).toBe('completed');
+      expect(job.completedAt).toBeDefined();
+      expect(job.results.driveLink).toBe('https://drive.example/file');
+      expect(job.steps[job.steps.length - 1].step).toBe('finalization');
+    });
+
+    it('should mark failed jobs', async () => {
+      jobService.createJob('proc_5_abc');
+      jobService.failJob('proc_5_abc', { error: 'No valid images to process' });
+      await jobService.flush();
+
+      const job = await jobService.getJob('proc_5_abc');
+      expect(job.status).toBe('failed');
+      expect(job.errors[0].error).toBe('No valid images to process');
+    });
+  });
+
+  describe('getJob', () => {
+    it('should report jobs cut off by a restart as interrupted', async () => {
+      jobService.createJob('proc_6_abc');
+      jobService.recordStep('proc_6_abc', 'watermarking', 'started');
+      await jobService.flush();
+
+      const restarted = new JobService({ jobsDir });
+      const job = await restarted.getJob('proc_6_abc');
+
+      expect(job.status).toBe('interrupted');
+      expect(job.currentStep).toBe('watermarking');
+    });
+
+    it('should return null for unknown or invalid job IDs', async () => {
+      expect(await jobService.getJob('proc_unknown')).toBeNull();
+      expect(await jobService.getJob('../../etc/passwd')).toBeNull();
+    });
+  });
+
+  describe('listJobs', () => {
+    beforeEach(async () => {
+      const times = ['2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z', '2024-01-03T00:00:00.000Z'];
+      jobService.createJob('proc_a', { userId: 'user-1' }).startTime = times[0];
+      jobService.createJob('proc_b', { userId: 'user-2' }).startTime = times[1];
+      jobService.createJob('proc_c', { userId: 'user-1' }).startTime = times[2];
+      jobService.failJob('proc_c', { error: 'boom' });
+      await jobService.flush();
+    });
+
+    it('should filter jobs by user, newest first', async () => {
+      const result = await jobService.listJobs({ userId: 'user-1' });
+
+      expect(result.total).toBe(2);
+      expect(result.jobs.map(job => job.id)).toEqual(['proc_c', 'proc_a']);
+      expect(result.jobs[0]).not.toHaveProperty('steps');
+    });
+
+    it('should filter jobs by status and paginate', async () => {
+      const failed = await jobService.listJobs({ userId: 'user-1', status: 'failed' });
+      expect(failed.jobs.map(job => job.id)).toEqual(['proc_c']);
+
+      const page = await jobService.listJobs({ limit: 1, offset: 1 });
+      expect(page.total).toBe(3);
+      expect(page.jobs.map(job => job.id)).toEqual(['proc_b']);
+    });
+  });
+
+  describe('appendStep', () => {
+    it('should record steps on finished jobs without changing their status', async () => {
+      jobService.createJob('proc_p1');
+      jobService.completeJob('proc_p1', { results: {} });
+      await jobService.flush();
+
+      const job = await jobService.appendStep('proc_p1', 'publish', 'completed', { listingId: '42' });
+
+      expect(job.status).toBe('completed');
+      expect(job.currentStep).toBe('publish');
+      await jobService.flush();
+      const stored = await readJobFile('proc_p1');
+      expect(stored.steps[stored.steps.length - 1]).toMatchObject({ step: 'publish', status: 'completed', listingId: '42' });
+      expect(await jobService.appendStep('proc_unknown', 'publish', 'completed')).toBeNull();
+    });
+  });
+
+  describe('createJobOnce', () => {
+    it('should return the existing job for a repeated idempotency key', async () => {
+      const first = await jobService.createJobOnce('proc_k1', { userId: 'user-1', idempotencyKey: 'key-1', fingerprint: 'abc' });
+      const second = await jobService.createJobOnce('proc_k2', { userId: 'user-1', idempotencyKey: 'key-1', fingerprint: 'def' });
+
+      expect(first).toMatchObject({ duplicate: false, job: { id: 'proc_k1', idempotencyKey: 'key-1' } });
+      expect(second.duplicate).toBe(true);
+      expect(second.job.id).toBe('proc_k1');
+      expect(await jobService.getJob('proc_k2')).toBeNull();
+    });
+
+    it('should scope idempotency keys to the user', async () => {
+      await jobService.createJobOnce('proc_k1', { userId: 'user-1', idempotencyKey: 'key-1' });
+      const other = await jobService.createJobOnce('proc_k2', { userId: 'user-2', idempotencyKey: 'key-1' });
+
+      expect(other).toMatchObject({ duplicate: false, job: { id: 'proc_k2' } });
+    });
+
+    it('should resolve concurrent duplicates to a single job', async () => {
+      const results = await Promise.all([
+        jobService.createJobOnce('proc_f1', { fingerprint: 'abc' }),
+        jobService.createJobOnce('proc_f2', { fingerprint: 'abc' })
+      ]);
+
+      expect(results.map(result => result.job.id)).toEqual(['proc_f1', 'proc_f1']);
+      expect(results.map(result => result.duplicate)).toEqual([false, true]);
+    });
+
+    it('should allow resubmitting a fingerprint whose job failed', async () => {
+      await jobService.createJobOnce('proc_f1', { fingerprint: 'abc' });
+      jobService.failJob('proc_f1', { error: 'boom' });
+
+      const retry = await jobService.createJobOnce('proc_f2', { fingerprint: 'abc' });
+
+      expect(retry).toMatchObject({ duplicate: false, job: { id: 'proc_f2' } });
+    });
+
+    it('should find jobs from before a restart and load the job history only once', async () => {
+      jobService.createJob('proc_f1', { userId: 'user-1', fingerprint: 'abc' });
+      jobService.completeJob('proc_f1', { results: {} });
+      await jobService.flush();
+
+      const restarted = new JobService({ jobsDir });
+      const loadAllJobs = jest.spyOn(restarted, '_loadAllJobs');
+      const first = await restarted.createJobOnce('proc_f2', { userId: 'user-1', fingerprint: 'abc' });
+      const second = await restarted.createJobOnce('proc_f3', { userId: 'user-1', fingerprint: 'def' });
+      const third = await restarted.createJobOnce('proc_f4', { userId: 'user-1', fingerprint: 'def' });
+
+      expect(first).toMatchObject({ duplicate: true, job: { id: 'proc_f1' } });
+      expect(second).toMatchObject({ duplicate: false, job: { id: 'proc_f3' } });
+      expect(third).toMatchObject({ duplicate: true, job: { id: 'proc_f3' } });
+      expect(loadAllJobs).toHaveBeenCalledTimes(1);
+      await restarted.destroy();
+    });
+
+    it('should ignore jobs outside the idempotency window', async () => {
+      jobService = new JobService({ jobsDir, idempotency: { windowHours: 1 } });
+      jobService.createJob('proc_old', { fingerprint: 'abc' }).startTime = '2024-01-01T00:00:00.000Z';
+
+      expect(await jobService.findDuplicateJob({ fingerprint: 'abc' })).toBeNull();
+      expect(await jobService.findDuplicateJob({})).toBeNull();
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should cancel a running job and ignore steps recorded afterwards', async () => {
+      jobService.createJob('proc_cancel');
+      jobService.recordStep('proc_cancel', 'watermarking', 'started');
+
+      const job = await jobService.cancelJob('proc_cancel');
+
+      expect(job.status).toBe('cancelled');
+      expect(job.completedAt).toBeDefined();
+      expect(jobService.recordStep('proc_cancel', 'watermarking', 'completed')).toBeNull();
+      expect(jobService.completeJob('proc_cancel')).toBeNull();
+
+      await jobService.flush();
+      expect((await jobService.getJob('proc_cancel')).status).toBe('cancelled');
+    });
+
+    it('should cancel a job waiting for approval', async () => {
+      jobService.createJob('proc_cancel_review');
+      jobService.awaitApproval('proc_cancel_review', { title: 'Mug' });
+      await jobService.flush();
+
+      const job = await jobService.cancelJob('proc_cancel_review');
+
+      expect(job.status).toBe('cancelled');
+    });
+
+    it('should refuse to cancel finished jobs', async () => {
+      jobService.createJob('proc_done');
+      jobService.completeJob('proc_done');
+      await jobService.flush();
+
+      await expect(jobService.cancelJob('proc_done')).rejects.toThrow('is not running');
+    });
+  });
+
+  describe('listing approval', () => {
+    const draft = { title: 'AI title', tags: ['mug'], description: 'A mug', price: null, quantity: null };
+
+    it('should pause the job until the listing is approved', async () => {
+      jobService.createJob('proc_review');
+      const job = jobService.awaitApproval('proc_review', draft);
+      await jobService.flush();
+
+      expect(job.status).toBe('awaiting_approval');
+      expect(job.approval.draft.title).toBe('AI title');
+      expect(job.steps[job.steps.length - 1]).toMatchObject({ step: 'approval', status: 'awaiting' });
+
+      const restarted = new JobService({ jobsDir });
+      expect((await restarted.getJob('proc_review')).status).toBe('awaiting_approval');
+    });
+
+    it('should reopen the job with the approved listing', async () => {
+      jobService.createJob('proc_review');
+      jobService.awaitApproval('proc_review', draft);
+      await jobService.flush();
+
+      const job = await jobService.approveJob('proc_review', { ...draft, title: 'Seller title', price: 12 });
+
+      expect(job.status).toBe('processing');
+      expect(job.approval.approved.title).toBe('Seller title');
+      expect(job.approval.approvedAt).toBeDefined();
+      expect(jobService.recordStep('proc_review', 'etsy_listing', 'started')).not.toBeNull();
+    });
+
+    it('should refuse to approve a job that is not awaiting approval', async () => {
+      jobService.createJob('proc_running');
+
+      await expect(jobService.approveJob('proc_running', draft)).rejects.toThrow('not awaiting approval');
+    });
+  });
+
+  describe('artifacts', () => {
+    it('should save and load binary and JSON artifacts', async () => {
+      jobService.createJob('proc_art_1');
+      await jobService.saveArtifact('proc_art_1', 'collage.jpg', Buffer.from('collage-bytes'));
+      await jobService.saveJsonArtifact('proc_art_1', 'metadata.json', { title: 'Mug' });
+
+      expect((await jobService.loadArtifact('proc_art_1', 'collage.jpg')).toString()).toBe('collage-bytes');
+      expect(await jobService.loadJsonArtifact('proc_art_1', 'metadata.json')).toEqual({ title: 'Mug' });
+
+      const job = await jobService.getJob('proc_art_1');
+      expect(job.artifacts['collage.jpg'].size).toBe(13);
+    });
+
+    it('should return null for missing artifacts', async () => {
+      expect(await jobService.loadArtifact('proc_art_2', 'slideshow.mp4')).toBeNull();
+      expect(await jobService.loadJsonArtifact('proc_art_2', 'metadata.json')).toBeNull();
+    });
+
+    it('should reject artifact names that could escape the job directory', async () => {
+      await expect(jobService.saveArtifact('proc_art_3', '../escape', Buffer.from('x')))
+        .rejects.toThrow('Invalid artifact name');
+    });
+  });
+
+  describe('resumeJob', () => {
+    beforeEach(async () => {
+      jobService.createJob('proc_retry', { userId: 'user-1' });
+      jobService.recordStep('proc_retry', 'collage', 'completed');
+      jobService.recordStep('proc_retry', 'etsy_listing', 'started');
+      jobService.recordStep('proc_retry', 'etsy_listing', 'failed', { error: 'Etsy down' });
+      jobService.completeJob('proc_retry');
+      await jobService.flush();
+    });
+
+    it('should archive the previous attempt and reopen the job', async () => {
+      const job = await jobService.resumeJob('proc_retry', 'etsy_listing');
+
+      expect(job.status).toBe('processing');
+      expect(job.completedAt).toBeNull();
+      expect(job.errors).toEqual([]);
+      expect(job.attempts).toHaveLength(1);
+      expect(job.attempts[0].errors[0].error).toBe('Etsy down');
+      expect(job.steps).toHaveLength(1);
+      expect(job.steps[0]).toMatchObject({ step: 'retry', status: 'started', from: 'etsy_listing', attempt: 2 });
+    });
+
+    it('should refuse to resume a job that is still processing', async () => {
+      jobService.createJob('proc_busy');
+
+      await expect(jobService.resumeJob('proc_busy', 'collage')).rejects.toThrow('still processing');
+    });
+
+    it('should return null for unknown jobs', async () => {
+      expect(await jobService.resumeJob('proc_nope', 'collage')).toBeNull();
+    });
+
+    it('should report the latest status of each step across attempts', async () => {
+      const job = await jobService.resumeJob('proc_retry', 'etsy_listing');
+      jobService.recordStep('proc_retry', 'etsy_listing', 'started');
+
+      const statuses = jobService.getLatestStepStatuses(job);
+
+      expect(statuses.collage).toBe('completed');
+      expect(statuses.etsy_listing).toBe('started');
+      expect(jobService.isStepSettled(statuses.collage)).toBe(true);
+      expect(jobService.isStepSettled(statuses.etsy_listing)).toBe(false);
+    });
+  });
+
+  describe('pruneJobs', () => {
+    it('should delete jobs older than the retention age', async () => {
+      const old = jobService.createJob('proc_old', { userId: 'user-1' });
+      old.startTime = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+      await jobService.saveArtifact('proc_old', 'original-0', Buffer.from('image'));
+      jobService.completeJob('proc_old');
+      jobService.createJob('proc_new', { userId: 'user-1' });
+      jobService.completeJob('proc_new');
+      await jobService.flush();
+
+      const deleted = await jobService.pruneJobs();
+
+      expect(deleted).toBe(1);
+      expect(await jobService.getJob('proc_old')).toBeNull();
+      await expect(fs.access(jobService.getArtifactDir('proc_old'))).rejects.toThrow();
+      expect(await jobService.getJob('proc_new')).not.toBeNull();
+    });
+
+    it('should keep at most the configured number of jobs per user', async () => {
+      jobService = new JobService({ jobsDir, retention: { maxJobsPerUser: 1 } });
+      jobService.createJob('proc_first', { userId: 'user-1' }).startTime = '2024-01-01T00:00:00.000Z';
+      jobService.completeJob('proc_first');
+      jobService.createJob('proc_second', { userId: 'user-1' });
+      jobService.completeJob('proc_second');
+      await jobService.flush();
+
+      await jobService.pruneJobs();
+
+      const result = await jobService.listJobs({ userId: 'user-1' });
+      expect(result.jobs.map(job => job.id)).toEqual(['proc_second']);
+    });
+
+    it('should prune once at startup without keeping the process alive', async () => {
+      const pruneSpy = jest.spyOn(jobService, 'pruneJobs').mockResolvedValue(0);
+
+      jobService.startRetentionScheduler();
+
+      expect(pruneSpy).toHaveBeenCalledTimes(1);
+      expect(jobService.retentionInterval.hasRef()).toBe(false);
+    });
+
+    it('should never delete running jobs', async () => {
+      const running = jobService.createJob('proc_running');
+      running.startTime = new Date(0).toISOString();
+      await jobService.flush();
+
+      await jobService.pruneJobs();
+
+      expect(await jobService.getJob('proc_running')).not.toBeNull();
+    });
+  });
+});
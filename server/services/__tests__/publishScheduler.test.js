@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const PublishScheduler = require('../publishScheduler');
+
+describe('PublishScheduler', () => {
+  let schedulesDir;
+  let clock;
+  let etsyClient;
+  let jobService;
+
+  // A clock that only moves when the test advances it and never fires timers on its own
+  const createFakeClock = (start) => {
+    const fake = {
+      time: new Date(start).getTime(),
+      timers: [],
+      now: () => fake.time,
+      setTimeout: (callback, delay) => {
+        const timer = { callback, at: fake.time + delay };
+        fake.timers.push(timer);
+        return timer;
+      },
+      clearTimeout: timer => {
+        fake.timers = fake.timers.filter(other => other !== timer);
+      },
+      advance: (ms) => {
+        fake.time += ms;
+        const due = fake.timers.filter(timer => timer.at <= fake.time);
+        fake.timers = fake.timers.filter(timer => timer.at > fake.time);
+        due.forEach(timer => timer.callback());
+      }
+    };
+    return fake;
+  };
+
+  const createScheduler = (options = {}) => new PublishScheduler({
+    schedulesDir,
+    jobService,
+    clock,
+    credentials: { client_id: 'app', client_secret: 'secret' },
+    tokenSecret: 'test-secret',
+    createEtsyClient: () => etsyClient,
+    retry: { maxAttempts: 2, delayMs: 60 * 1000 },
+    ...options
+  });
+
+  const scheduleListing = (scheduler, overrides = {}) => scheduler.schedule({
+    listingId: 42,
+    shopId: 7,
+    jobId: 'proc_1',
+    userId: 'user-1',
+    publishAt: '2025-06-01T12:00:00.000Z',
+    auth: { accessToken: 'access', refreshToken: 'refresh' },
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    schedulesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedules-test-'));
+    clock = createFakeClock('2025-06-01T10:00:00.000Z');
+    etsyClient = {
+      initialize: jest.fn(),
+      setAccessToken: jest.fn(),
+      setRefreshToken: jest.fn(),
+      updateListing: jest.fn(async () => ({ listing_id: 42, state: 'active' })),
+      getTokens: jest.fn(() => ({ access_token: 'new-access', refresh_token: 'new-refresh' }))
+    };
+    jobService = { appendStep: jest.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(schedulesDir, { recursive: true, force: true });
+  });
+
+  it('should publish a listing when its time comes', async () => {
+    const scheduler = createScheduler();
+    await scheduler.start();
+    const published = jest.fn();
+    scheduler.on('published', published);
+
+    const schedule = await scheduleListing(scheduler);
+    expect(schedule).toMatchObject({ listingId: '42', status: 'scheduled' });
+    expect(schedule).not.toHaveProperty('auth');
+
+    // Waiting on runDue joins the run started by the timer
+    clock.advance(60 * 60 * 1000);
+    await scheduler.runDue();
+    expect(etsyClient.updateListing).not.toHaveBeenCalled();
+
+    clock.advance(60 * 60 * 1000);
+    await scheduler.runDue();
+
+    expect(etsyClient.setAccessToken).toHaveBeenCalledWith('access');
+    expect(etsyClient.updateListing).toHaveBeenCalledWith(7, '42', { state: 'active' });
+    expect(scheduler.getSchedule(42)).toMatchObject({ status: 'published', publishedAt: '2025-06-01T12:00:00.000Z' });
+    expect(published).toHaveBeenCalledWith(expect.objectContaining({ listingId: '42' }));
+    expect(jobService.appendStep).toHaveBeenCalledWith('proc_1', 'publish', 'scheduled', expect.any(Object));
+    expect(jobService.appendStep).toHaveBeenCalledWith('proc_1', 'publish', 'completed', expect.objectContaining({
+      listingId: '42',
+      state: 'active'
+    }));
+    await scheduler.stop();
+  });
+
+  it('should publish schedules that fell due while stopped after a restart', async () => {
+    const first = createScheduler();
+    await first.start();
+    await scheduleListing(first);
+    await first.stop();
+
+    clock.time = new Date('2025-06-02T00:00:00.000Z').getTime();
+    const restarted = createScheduler();
+    await restarted.start();
+    clock.advance(0);
+    await restarted.runDue();
+
+    expect(etsyClient.updateListing).toHaveBeenCalledTimes(1);
+    expect(etsyClient.setAccessToken).toHaveBeenCalledWith('access');
+    const stored = JSON.parse(await fs.readFile(path.join(schedulesDir, '42.json'), 'utf8'));
+    expect(stored).toMatchObject({ status: 'published', auth: { sealed: expect.any(String) } });
+    expect(restarted._openAuth(stored.auth)).toEqual({ accessToken: 'new-access', refreshToken: 'new-refresh' });
+    await restarted.stop();
+  });
+
+  it('should not store the Etsy tokens in plain text', async () => {
+    const scheduler = createScheduler();
+    await scheduleListing(scheduler);
+
+    const stored = await fs.readFile(path.join(schedulesDir, '42.json'), 'utf8');
+    expect(stored).not.toContain('access');
+    expect(stored).not.toContain('refresh');
+  });
+
+  it('should encrypt the tokens of schedules saved in plain text on start', async () => {
+    await fs.writeFile(path.join(schedulesDir, '42.json'), JSON.stringify({
+      listingId: '42',
+      shopId: 7,
+      userId: 'user-1',
+      publishAt: '2025-06-01T12:00:00.000Z',
+      status: 'scheduled',
+      attempts: 0,
+      auth: { accessToken: 'access', refreshToken: 'refresh' }
+    }));
+    const scheduler = createScheduler();
+
+    await scheduler.start();
+
+    const stored = await fs.readFile(path.join(schedulesDir, '42.json'), 'utf8');
+    expect(stored).not.toContain('refresh');
+    clock.time = new Date('2025-06-01T12:00:00.000Z').getTime();
+    await scheduler.runDue();
+    expect(etsyClient.setRefreshToken).toHaveBeenCalledWith('refresh');
+    await scheduler.stop();
+  });
+
+  it('should hand tokens rotated while publishing back to the session', async () => {
+    const saveAuth = jest.fn();
+    const scheduler = createScheduler({ saveAuth });
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+
+    await scheduler.runDue();
+
+    expect(saveAuth).toHaveBeenCalledWith(
+      expect.objectContaining({ listingId: '42', userId: 'user-1' }),
+      { accessToken: 'new-access', refreshToken: 'new-refresh' }
+    );
+  });
+
+  it('should keep rotated tokens when publishing fails after a refresh', async () => {
+    const saveAuth = jest.fn();
+    etsyClient.updateListing.mockRejectedValue(new Error('Etsy unavailable'));
+    const scheduler = createScheduler({ saveAuth });
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+
+    await scheduler.runDue();
+
+    expect(saveAuth).toHaveBeenCalledWith(expect.any(Object), { accessToken: 'new-access', refreshToken: 'new-refresh' });
+  });
+
+  it('should not hand back tokens that did not change', async () => {
+    const saveAuth = jest.fn();
+    etsyClient.getTokens.mockReturnValue({ access_token: 'access', refresh_token: 'refresh' });
+    const scheduler = createScheduler({ saveAuth });
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+
+    await scheduler.runDue();
+
+    expect(saveAuth).not.toHaveBeenCalled();
+  });
+
+  it('should retry failed publishes and give up after the last attempt', async () => {
+    etsyClient.updateListing.mockRejectedValue(new Error('Etsy unavailable'));
+    const scheduler = createScheduler();
+    const failed = jest.fn();
+    scheduler.on('failed', failed);
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+
+    await scheduler.runDue();
+    expect(scheduler.getSchedule(42)).toMatchObject({
+      status: 'scheduled',
+      attempts: 1,
+      lastError: 'Etsy unavailable',
+      nextAttemptAt: '2025-06-01T10:01:00.000Z'
+    });
+
+    expect(await scheduler.runDue()).toEqual([]);
+
+    clock.time += 60 * 1000;
+    await scheduler.runDue();
+    expect(scheduler.getSchedule(42)).toMatchObject({ status: 'failed', attempts: 2, nextAttemptAt: null });
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(jobService.appendStep).toHaveBeenLastCalledWith('proc_1', 'publish', 'failed', expect.objectContaining({
+      error: 'Etsy unavailable',
+      attempts: 2
+    }));
+  });
+
+  it('should prefer the tokens of the current session', async () => {
+    const scheduler = createScheduler({ resolveAuth: () => ({ accessToken: 'session-access', refreshToken: 'session-refresh' }) });
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+
+    await scheduler.runDue();
+
+    expect(etsyClient.setAccessToken).toHaveBeenCalledWith('session-access');
+    expect(etsyClient.setRefreshToken).toHaveBeenCalledWith('session-refresh');
+  });
+
+  it('should cancel pending schedules', async () => {
+    const scheduler = createScheduler();
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+
+    expect(await scheduler.cancel(42)).toMatchObject({ status: 'cancelled' });
+    expect(await scheduler.cancel(42)).toBeNull();
+    expect(await scheduler.runDue()).toEqual([]);
+    expect(scheduler.listSchedules({ userId: 'user-1', status: 'cancelled' })).toHaveLength(1);
+  });
+
+  it('should refuse to reschedule a published listing', async () => {
+    const scheduler = createScheduler();
+    await scheduleListing(scheduler, { publishAt: '2025-06-01T09:00:00.000Z' });
+    await scheduler.runDue();
+
+    await expect(scheduleListing(scheduler)).rejects.toThrow('already published');
+  });
+});
@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const WebhookService = require('../webhookService');
+const SettingsService = require('../settingsService');
+const { publicLookup } = require('../../utils/networkAddress');
+
+describe('WebhookService', () => {
+  let logDir;
+  let httpClient;
+  let settings;
+  let webhookService;
+
+  const webhook = {
+    id: 'wh_1',
+    url: 'https://hooks.example.com/digigoods',
+    secret: 'a-very-secret-signing-key',
+    events: ['job.completed', 'job.failed', 'step.failed'],
+    enabled: true
+  };
+
+  beforeEach(async () => {
+    logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+    httpClient = { post: jest.fn().mockResolvedValue({ status: 200 }) };
+    settings = { notifications: { webhooks: [webhook] } };
+    webhookService = new WebhookService({
+      settingsService: { loadSettings: jest.fn(async () => settings) },
+      httpClient,
+      logDir,
+      retry: { maxAttempts: 3, baseDelayMs: 1 }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(logDir, { recursive: true, force: true });
+  });
+
+  describe('deliver', () => {
+    it('should POST a signed JSON payload', async () => {
+      const record = await webhookService.deliver('user-1', webhook, 'job.completed', { jobId: 'proc_1' });
+
+      const [url, body, config] = httpClient.post.mock.calls[0];
+      const timestamp = config.headers['X-Webhook-Timestamp'];
+      const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+      expect(url).toBe(webhook.url);
+      expect(JSON.parse(body)).toMatchObject({ id: record.id, event: 'job.completed', data: { jobId: 'proc_1' } });
+      expect(config.headers).toMatchObject({
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': 'job.completed',
+        'X-Webhook-Delivery': record.id,
+        'X-Webhook-Signature': `sha256=${expected}`
+      });
+      expect(record).toMatchObject({ status: 'delivered', webhookId: 'wh_1', jobId: 'proc_1' });
+    });
+
+    it('should retry failed deliveries until they succeed', async () => {
+      httpClient.post
+        .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }))
+        .mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+
+      const record = await webhookService.deliver('user-1', webhook, 'job.failed', { jobId: 'proc_1' });
+
+      expect(httpClient.post).toHaveBeenCalledTimes(3);
+      expect(record.status).toBe('delivered');
+      expect(record.attempts.map(attempt => attempt.statusCode)).toEqual([503, null, 200]);
+    });
+
+    it('should give up after the last attempt', async () => {
+      httpClient.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const record = await webhookService.deliver('user-1', webhook, 'job.failed', { jobId: 'proc_1' });
+
+      expect(httpClient.post).toHaveBeenCalledTimes(3);
+      expect(record).toMatchObject({ status: 'failed', nextAttemptAt: null });
+      expect(record.attempts[2].error).toBe('connect ECONNREFUSED');
+    });
+
+    it('should refuse private addresses without sending anything', async () => {
+      const record = await webhookService.deliver('user-1', { ...webhook, url: 'http://127.0.0.1:9000/hook' }, 'job.failed', {});
+
+      expect(httpClient.post).not.toHaveBeenCalled();
+      expect(record).toMatchObject({ status: 'failed' });
+      expect(record.attempts[0].error).toContain('local or private address');
+    });
+
+    it('should connect through a lookup that refuses private addresses and not retry them', async () => {
+      httpClient.post.mockRejectedValue(Object.assign(
+        new Error('hooks.example.com resolves to the private address 10.0.0.5'),
+        { code: 'EPRIVATEADDRESS' }
+      ));
+
+      const record = await webhookService.deliver('user-1', webhook, 'job.failed', {});
+
+      const [, , config] = httpClient.post.mock.calls[0];
+      expect(config.httpAgent.options.lookup).toBe(publicLookup);
+      expect(config.httpsAgent.options.lookup).toBe(publicLookup);
+      expect(httpClient.post).toHaveBeenCalledTimes(1);
+      expect(record.status).toBe('failed');
+    });
+  });
+
+  describe('notify', () => {
+    it('should only deliver to enabled webhooks subscribed to the event', async () => {
+      settings.notifications.webhooks = [
+        webhook,
+        { ...webhook, id: 'wh_2', events: ['job.failed'] },
+        { ...webhook, id: 'wh_3', enabled: false }
+      ];
+
+      const records = await webhookService.notify('user-1', 'job.completed', { jobId: 'proc_1' });
+
+      expect(records.map(record => record.webhookId)).toEqual(['wh_1']);
+    });
+  });
+
+  describe('attach', () => {
+    let jobService;
+
+    beforeEach(() => {
+      jobService = new EventEmitter();
+      jobService.getJob = jest.fn(async id => ({ id, userId: 'user-1' }));
+      webhookService.attach(jobService);
+    });
+
+    const sentEvents = () => httpClient.post.mock.calls.map(([, body]) => JSON.parse(body).event);
+
+    it('should notify on finished jobs and failed steps', async () => {
+      jobService.emit('step', { jobId: 'proc_1', step: 'drive_upload', status: 'failed', error: 'Quota exceeded' });
+      jobService.emit('step', { jobId: 'proc_1', step: 'collage', status: 'completed' });
+      jobService.emit('finished', { id: 'proc_1', userId: 'user-1', status: 'completed' });
+      jobService.emit('finished', { id: 'proc_2', userId: 'user-1', status: 'awaiting_approval' });
+      await new Promise(resolve => setImmediate(resolve));
+      await webhookService.flush();
+
+      expect(sentEvents().sort()).toEqual(['job.completed', 'step.failed']);
+      const stepPayload = httpClient.post.mock.calls
+        .map(([, body]) => JSON.parse(body))
+        .find(payload => payload.event === 'step.failed');
+      expect(stepPayload.data).toMatchObject({ jobId: 'proc_1', step: 'drive_upload', error: 'Quota exceeded' });
+    });
+
+    it('should report a failed job once', async () => {
+      jobService.emit('step', { jobId: 'proc_1', step: 'error', status: 'failed', error: 'Boom' });
+      jobService.emit('finished', { id: 'proc_1', userId: 'user-1', status: 'failed' });
+      await new Promise(resolve => setImmediate(resolve));
+      await webhookService.flush();
+
+      expect(sentEvents()).toEqual(['job.failed']);
+    });
+  });
+
+  describe('listDeliveries', () => {
+    it('should persist deliveries and list them newest first', async () => {
+      httpClient.post.mockRejectedValueOnce(new Error('boom')).mockRejectedValueOnce(new Error('boom')).mockRejectedValueOnce(new Error('boom'));
+      await webhookService.deliver('user-1', webhook, 'job.failed', { jobId: 'proc_1' });
+      await webhookService.deliver('user-1', webhook, 'job.completed', { jobId: 'proc_2' });
+      await webhookService.flush();
+
+      const reloaded = new WebhookService({ settingsService: {}, logDir });
+      const all = await reloaded.listDeliveries('user-1');
+      const failed = await reloaded.listDeliveries('user-1', { status: 'failed' });
+
+      expect(all.total).toBe(2);
+      expect(all.deliveries.map(delivery => delivery.jobId)).toEqual(['proc_2', 'proc_1']);
+      expect(failed.deliveries).toHaveLength(1);
+      expect(failed.deliveries[0].attempts).toHaveLength(3);
+      expect((await reloaded.listDeliveries('other-user')).total).toBe(0);
+    });
+  });
+
+  describe('notification settings', () => {
+    const settingsService = new SettingsService();
+
+    it('should fill in generated IDs, secrets and default events', () => {
+      const { webhooks } = settingsService.validateNotificationSettings({
+        webhooks: [{ url: 'https://hooks.example.com/a' }]
+      });
+
+      expect(webhooks[0]).toMatchObject({
+        url: 'https://hooks.example.com/a',
+        events: ['job.completed', 'job.failed', 'step.failed'],
+        enabled: true
+      });
+      expect(webhooks[0].id).toMatch(/^wh_[0-9a-f]{16}$/);
+      expect(webhooks[0].secret).toHaveLength(64);
+    });
+
+    it('should reject invalid webhooks', () => {
+      const validate = webhooks => () => settingsService.validateNotificationSettings({ webhooks });
+
+      expect(validate([{ url: 'not a url' }])).toThrow('valid URL');
+      expect(validate([{ url: 'ftp://hooks.example.com' }])).toThrow('http or https');
+      expect(validate([{ url: 'https://hooks.example.com', events: ['job.started'] }])).toThrow('Webhook events');
+      expect(validate([{ url: 'https://hooks.example.com', secret: 'short' }])).toThrow('at least 16 characters');
+      expect(validate(new Array(6).fill({ url: 'https://hooks.example.com' }))).toThrow('No more than 5');
+    });
+
+    it('should reject webhooks on local or private networks', () => {
+      const validate = url => () => settingsService.validateNotificationSettings({ webhooks: [{ url }] });
+
+      expect(validate('http://localhost:8080/hook')).toThrow('local or private network');
+      expect(validate('http://127.0.0.1/hook')).toThrow('local or private network');
+      expect(validate('http://169.254.169.254/latest/meta-data')).toThrow('local or private network');
+      expect(validate('https://10.1.2.3/hook')).toThrow('local or private network');
+      expect(validate('https://192.168.1.10/hook')).toThrow('local or private network');
+      expect(validate('https://[::1]/hook')).toThrow('local or private network');
+      expect(validate('https://93.184.216.34/hook')).not.toThrow();
+    });
+  });
+});
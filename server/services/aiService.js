@@ -37,9 +37,10 @@ class AIService {
   /**
    * Generate a compelling product title based on image analysis
    * @param {Buffer[]} imageBuffers - Array of image buffers to analyze
+   * @param {string} titleHint - Optional seller hint the title should build on
    * @returns {Promise<string>} Generated title (max 140 characters)
    */
-  async generateTitle(imageBuffers) {
+  async generateTitle(imageBuffers, titleHint = null) {
     await this.initialize();
 
     if (!imageBuffers || imageBuffers.length === 0) {
@@ -57,7 +58,8 @@ class AIService {
     - Descriptive of the product's key features
     - Professional and marketable
     
-    Focus on what makes this product unique and desirable. Include style, material, or use case if visible.
+    Focus on what makes this product unique and desirable. Include style, material, or use case if visible.${titleHint ? `
+    The seller describes this product as: "${titleHint}". Build the title around this description.` : ''}
     Return only the title text, no additional formatting or explanation.`;
 
     try {
@@ -208,9 +210,11 @@ class AIService {
   /**
    * Generate complete metadata for a product listing
    * @param {Buffer[]} imageBuffers - Array of image buffers to analyze
+   * @param {Object} hints - Optional seller hints
+   * @param {string} hints.titleHint - Description the title should build on
    * @returns {Promise<Object>} Complete metadata object with title, tags, and description
    */
-  async generateMetadata(imageBuffers) {
+  async generateMetadata(imageBuffers, hints = {}) {
     await this.initialize();
 
     if (!imageBuffers || imageBuffers.length === 0) {
@@ -219,7 +223,7 @@ class AIService {
 
     try {
       // Generate title first
-      const title = await this.generateTitle(imageBuffers);
+      const title = await this.generateTitle(imageBuffers, hints.titleHint);
       
       // Generate tags and description in parallel
       const [tags, description] = await Promise.all([
@@ -0,0 +1,449 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parseCsv } = require('../utils/csv');
+const { validateFile, MAX_FILE_SIZE, MAX_FILES_COUNT } = require('../utils/fileValidation');
+
+const BATCH_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json'];
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+const PENDING_JOB_STATUSES = ['processing', 'awaiting_approval'];
+
+/**
+ * Batch Service for bulk listing creation
+ * Reads a ZIP of product folders plus an optional CSV/JSON manifest, turns
+ * each folder into a product for its own pipeline job, and persists batch
+ * records under data/batches so their progress can be summarized later
+ */
+class BatchService {
+  constructor(options = {}) {
+    this.batchesDir = options.batchesDir || path.join(process.cwd(), 'data', 'batches');
+    this.maxProducts = options.maxProducts || parseInt(process.env.BATCH_MAX_PRODUCTS) || 50;
+    this.maxEntries = options.maxEntries || parseInt(process.env.BATCH_MAX_ENTRIES) || 1000;
+    this.maxUncompressedSize = options.maxUncompressedSize ||
+      parseInt(process.env.BATCH_MAX_UNCOMPRESSED_SIZE) || 500 * 1024 * 1024;
+  }
+
+  /**
+   * Read the product folders and manifest from a ZIP archive.
+   * Images are grouped by the folder they sit in; folders are relative to the
+   * manifest's location so archives wrapped in a top-level folder still work.
+   * The file count, unpacked size and product count are checked against the
+   * limits from the entry headers before anything is inflated.
+   * @param {Buffer} buffer - ZIP archive contents
+   * @returns {Object} { folders: Map<folder, files[]>, manifest, skipped }
+   * @throws {Error} If the buffer is not a valid ZIP archive or exceeds the limits
+   */
+  readArchive(buffer) {
+    let entries;
+    try {
+      entries = new AdmZip(buffer).getEntries();
+    } catch (error) {
+      throw new Error(`Invalid ZIP archive: ${error.message}`);
+    }
+
+    const fileEntries = entries.filter(entry => {
+      const parts = entry.entryName.split('/');
+      // Skip directories and macOS/hidden metadata files
+      return !entry.isDirectory &&
+        !parts.includes('__MACOSX') &&
+        !parts.some(part => part.startsWith('.'));
+    });
+
+    if (fileEntries.length > this.maxEntries) {
+      throw new Error(`Archive has ${fileEntries.length} files; the maximum is ${this.maxEntries}`);
+    }
+    // adm-zip never inflates an entry past its declared size, so the headers bound the memory used
+    const uncompressedSize = fileEntries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (uncompressedSize > this.maxUncompressedSize) {
+      throw new Error(
+        `Archive unpacks to ${uncompressedSize} bytes; the maximum is ${this.maxUncompressedSize}`
+      );
+    }
+
+    const manifestEntry = fileEntries
+      .filter(entry => MANIFEST_NAMES.includes(path.posix.basename(entry.entryName).toLowerCase()))
+      .sort((a, b) => a.entryName.split('/').length - b.entryName.split('/').length)[0];
+    const baseDir = manifestEntry ? path.posix.dirname(manifestEntry.entryName) : '.';
+
+    const folders = new Map();
+    const skipped = [];
+
+    for (const entry of fileEntries) {
+      if (entry === manifestEntry) {
+        continue;
+      }
+
+      const relativePath = baseDir === '.'
+        ? entry.entryName
+        : path.posix.relative(baseDir, entry.entryName);
+      const folder = path.posix.dirname(relativePath);
+
+      if (relativePath.startsWith('..') || folder === '.') {
+        skipped.push({ path: entry.entryName, reason: 'Not inside a product folder' });
+        continue;
+      }
+
+      // Check the declared size before inflating to avoid oversized entries
+      if (entry.header.size > MAX_FILE_SIZE) {
+        skipped.push({ path: entry.entryName, reason: 'File exceeds the maximum image size' });
+        continue;
+      }
+
+      const originalname = path.posix.basename(relativePath);
+      const file = {
+        originalname,
+        mimetype: IMAGE_MIME_TYPES[path.extname(originalname).toLowerCase()] || 'application/octet-stream',
+        size: entry.header.size,
+        buffer: null
+      };
+
+      const validation = validateFile(file);
+      if (!validation.isValid) {
+        skipped.push({ path: entry.entryName, reason: validation.error });
+        continue;
+      }
+
+      if (!folders.has(folder)) {
+        folders.set(folder, []);
+      }
+      folders.get(folder).push({ file, entry });
+    }
+
+    if (folders.size > this.maxProducts) {
+      throw new Error(`Batch has ${folders.size} products; the maximum is ${this.maxProducts}`);
+    }
+
+    // Inflate the images only once the archive is within the limits, in a stable order per product
+    for (const [folder, images] of folders) {
+      const files = images
+        .sort((a, b) => a.file.originalname.localeCompare(b.file.originalname))
+        .map(({ file, entry }) => {
+          file.buffer = entry.getData();
+          file.size = file.buffer.length;
+          return file;
+        });
+      folders.set(folder, files);
+    }
+
+    return {
+      folders,
+      manifest: manifestEntry
+        ? { name: path.posix.basename(manifestEntry.entryName), content: manifestEntry.getData().toString('utf8') }
+        : null,
+      skipped
+    };
+  }
+
+  /**
+   * Parse a CSV or JSON manifest into normalized product entries
+   * @param {string} content - Manifest file contents
+   * @param {string} name - Manifest file name, used to detect the format
+   * @returns {Object[]} Manifest entries
+   * @throws {Error} If the manifest cannot be parsed
+   */
+  parseManifest(content, name) {
+    let records;
+
+    if (name.toLowerCase().endsWith('.json')) {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON manifest: ${error.message}`);
+      }
+      records = Array.isArray(data) ? data : data.products;
+      if (!Array.isArray(records)) {
+        throw new Error('JSON manifest must be an array or an object with a products array');
+      }
+    } else if (name.toLowerCase().endsWith('.csv')) {
+      records = parseCsv(content);
+    } else {
+      throw new Error('Manifest must be a .csv or .json file');
+    }
+
+    return records.map(record => this.normalizeManifestEntry(record));
+  }
+
+  /**
+   * Normalize a manifest record from either CSV columns or JSON keys.
+   * Invalid values are reported in the entry's `errors` list.
+   * @param {Object} record - Raw manifest record
+   * @returns {Object} Manifest entry
+   */
+  normalizeManifestEntry(record) {
+    const value = (...keys) => {
+      const key = keys.find(k => record[k] !== undefined && record[k] !== null && record[k] !== '');
+      return key ? record[key] : null;
+    };
+    const errors = [];
+
+    const folder = String(value('folder') || '').trim().replace(/^\/+|\/+$/g, '');
+    if (!folder) {
+      errors.push('folder is required');
+    }
+
+    const rawPrice = value('price');
+    const price = rawPrice === null ? null : parseFloat(rawPrice);
+    if (price !== null && !(price >= 0.01 && price <= 999999.99)) {
+      errors.push('price must be between 0.01 and 999999.99');
+    }
+
+    const rawQuantity = value('quantity');
+    const quantity = rawQuantity === null ? null : Number(rawQuantity);
+    if (quantity !== null && !(Number.isInteger(quantity) && quantity >= 1 && quantity <= 999)) {
+      errors.push('quantity must be a whole number between 1 and 999');
+    }
+
+    const rawTaxonomyId = value('taxonomyId', 'taxonomy_id');
+    const taxonomyId = rawTaxonomyId === null ? null : Number(rawTaxonomyId);
+    if (taxonomyId !== null && !(Number.isInteger(taxonomyId) && taxonomyId > 0)) {
+      errors.push('taxonomy_id must be a positive whole number');
+    }
+
+    // CSV cells hold tags separated by "|" or ";"; JSON uses an array
+    const rawTags = value('tags') || [];
+    const tags = (Array.isArray(rawTags) ? rawTags : String(rawTags).split(/[|;]/))
+      .map(tag => String(tag).trim())
+      .filter(Boolean);
+    if (tags.length > 13 || tags.some(tag => tag.length > 20)) {
+      errors.push('use at most 13 tags of up to 20 characters each');
+    }
+
+    return {
+      folder,
+      titleHint: value('titleHint', 'title_hint') ? String(value('titleHint', 'title_hint')).trim() : null,
+      price,
+      quantity,
+      tags,
+      taxonomyId,
+      watermark: this._parseWatermarkOverride(record),
+      errors
+    };
+  }
+
+  /**
+   * Combine archive folders and manifest entries into products.
+   * Every folder with images becomes a product; manifest entries add their
+   * options to the matching folder. Entries that are invalid or point to a
+   * missing folder become products with an error so they show up in the summary.
+   * @param {Map<string, Object[]>} folders - Images grouped by folder
+   * @param {Object[]|null} entries - Manifest entries
+   * @returns {Object[]} Products ({ folder, files, options, error })
+   * @throws {Error} If the batch has more products than allowed
+   */
+  buildProducts(folders, entries = null) {
+    const products = [];
+    const manifestByFolder = new Map();
+
+    for (const entry of entries || []) {
+      if (manifestByFolder.has(entry.folder)) {
+        entry.errors.push('folder is listed more than once');
+      }
+      manifestByFolder.set(entry.folder, entry);
+    }
+
+    for (const [folder, files] of folders) {
+      const entry = manifestByFolder.get(folder);
+      products.push(this._createProduct(folder, files, entry));
+      manifestByFolder.delete(folder);
+    }
+
+    for (const entry of manifestByFolder.values()) {
+      products.push({
+        folder: entry.folder,
+        files: [],
+        options: {},
+        error: entry.folder ? 'Folder not found in archive' : entry.errors.join('; ')
+      });
+    }
+
+    if (products.length > this.maxProducts) {
+      throw new Error(`Batch has ${products.length} products; the maximum is ${this.maxProducts}`);
+    }
+
+    return products.sort((a, b) => a.folder.localeCompare(b.folder));
+  }
+
+  /**
+   * Persist a new batch record
+   * @param {string} batchId - Batch identifier
+   * @param {Object} details - Batch details
+   * @param {string} details.userId - Owner of the batch
+   * @param {Object[]} details.products - Products with their job IDs or import errors
+   * @param {Object[]} details.skipped - Archive entries that were ignored
+   * @returns {Promise<Object>} Created batch
+   */
+  async createBatch(batchId, { userId = 'default', products = [], skipped = [] } = {}) {
+    const batch = {
+      id: batchId,
+      userId,
+      createdAt: new Date().toISOString(),
+      products: products.map(product => ({
+        folder: product.folder,
+        jobId: product.jobId || null,
+        imageCount: product.files ? product.files.length : 0,
+        error: product.error || null
+      })),
+      skipped
+    };
+
+    await fs.mkdir(this.batchesDir, { recursive: true });
+    const batchPath = this.getBatchFilePath(batchId);
+    const tmpPath = `${batchPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(batch, null, 2), 'utf8');
+    await fs.rename(tmpPath, batchPath);
+    return batch;
+  }
+
+  /**
+   * Load a batch record
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<Object|null>} Batch, or null if not found
+   */
+  async getBatch(batchId) {
+    if (!BATCH_ID_PATTERN.test(batchId)) {
+      return null;
+    }
+
+    try {
+      const data = await fs.readFile(this.getBatchFilePath(batchId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get batch file path for a batch ID
+   * @param {string} batchId - Batch identifier
+   * @returns {string} Batch file path
+   */
+  getBatchFilePath(batchId) {
+    if (!BATCH_ID_PATTERN.test(batchId)) {
+      throw new Error(`Invalid batch ID: ${batchId}`);
+    }
+    return path.join(this.batchesDir, `${batchId}.json`);
+  }
+
+  /**
+   * Summarize per-product outcomes of a batch from its jobs
+   * @param {Object} batch - Batch record
+   * @param {Array<Object|null>} jobs - Job for each product, in the same order
+   * @returns {Object} Batch summary with counts and per-product results
+   */
+  summarize(batch, jobs) {
+    const products = batch.products.map((product, index) => {
+      const job = jobs[index];
+
+      if (product.error || !job) {
+        return {
+          folder: product.folder,
+          processingId: product.jobId,
+          status: 'failed',
+          errors: [{ step: 'import', error: product.error || 'Job record not found' }]
+        };
+      }
+
+      const status = job.status === 'completed' && job.errors.length > 0
+        ? 'completed_with_errors'
+        : job.status;
+
+      return {
+        folder: product.folder,
+        processingId: job.id,
+        status,
+        currentStep: job.currentStep,
+        errors: job.errors,
+        title: job.results?.metadata?.title || null,
+        driveLink: job.results?.driveLink || null,
+        listingId: job.results?.etsyListing?.listing_id || null
+      };
+    });
+
+    const succeeded = products.filter(product => product.status === 'completed').length;
+    const pending = products.filter(product => PENDING_JOB_STATUSES.includes(product.status)).length;
+    const failed = products.length - succeeded - pending;
+
+    let status = 'completed';
+    if (pending > 0) {
+      status = 'processing';
+    } else if (succeeded === 0 && failed > 0) {
+      status = 'failed';
+    } else if (failed > 0) {
+      status = 'completed_with_errors';
+    }
+
+    return {
+      id: batch.id,
+      createdAt: batch.createdAt,
+      status,
+      total: products.length,
+      succeeded,
+      failed,
+      pending,
+      products,
+      skipped: batch.skipped || []
+    };
+  }
+
+  /**
+   * Create a product from a folder and its optional manifest entry
+   * @private
+   */
+  _createProduct(folder, files, entry) {
+    if (entry && entry.errors.length > 0) {
+      return { folder, files, options: {}, error: entry.errors.join('; ') };
+    }
+
+    if (files.length > MAX_FILES_COUNT) {
+      return { folder, files, options: {}, error: `Too many images (maximum ${MAX_FILES_COUNT})` };
+    }
+
+    const options = {};
+    if (entry) {
+      for (const key of ['titleHint', 'price', 'quantity', 'taxonomyId', 'watermark']) {
+        if (entry[key] !== null) {
+          options[key] = entry[key];
+        }
+      }
+      if (entry.tags.length > 0) {
+        options.tags = entry.tags;
+      }
+    }
+
+    return { folder, files, options, error: null };
+  }
+
+  /**
+   * Read a per-product watermark override from `watermark` (JSON) or
+   * `watermark_*` columns (CSV)
+   * @private
+   */
+  _parseWatermarkOverride(record) {
+    if (record.watermark && typeof record.watermark === 'object') {
+      return record.watermark;
+    }
+
+    const override = {};
+    if (record.watermark_text) override.text = record.watermark_text;
+    if (record.watermark_position) override.position = record.watermark_position;
+    if (record.watermark_opacity) override.opacity = parseFloat(record.watermark_opacity);
+    // CSV columns are strings; JSON manifests may use booleans
+    if (record.watermark_enabled !== undefined && record.watermark_enabled !== null && record.watermark_enabled !== '') {
+      override.enabled = String(record.watermark_enabled).trim().toLowerCase() !== 'false';
+    }
+
+    return Object.keys(override).length > 0 ? override : null;
+  }
+}
+
+module.exports = BatchService;
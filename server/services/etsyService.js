@@ -272,7 +272,7 @@ class EtsyService {
           description: listingData.description,
           tags: listingData.tags,
           price: listingData.price,
-          quantity: 100,//listingData.quantity || 1,
+          quantity: listingData.quantity || 100,
           state: "draft",
           who_made: listingData.who_made || "i_did",
           when_made: listingData.when_made || "2020_2024",
@@ -349,14 +349,19 @@ class EtsyService {
       const formData = new FormData();
       const file = images[i];
   
-      // Use stream if available, or buffer fallback
+      // Uploaded files carry multer's `originalname`/`mimetype`, which
+      // follow the image format after watermarking
+      const filename = file.filename || file.originalname || `image_${i + 1}.jpg`;
       formData.append("image", file.buffer, {
-        filename: file.filename || `image_${i + 1}.jpg`,
-        contentType: file.mimeType || 'image/jpeg',
+        filename,
+        contentType: file.mimeType || file.mimetype || 'image/jpeg',
       });
   
       // Add name field
-      formData.append('name', file.filename || `image_${i + 1}.jpg`);
+      formData.append('name', filename);
+
+      // Keep the listing images in the order they are given
+      formData.append('rank', String(i + 1));
   
       try {
         const response = await axios.post(
@@ -499,6 +504,78 @@ class EtsyService {
     }
   }
 
+  async updateListing(shopId, listingId, updates) {
+    if (!this.accessToken) throw new Error("Not authenticated with Etsy");
+
+    const request = () =>
+      axios.patch(
+        `${this.baseURL}/application/shops/${shopId}/listings/${listingId}`,
+        updates,
+        {
+          headers: {
+            Authorization: `Bearer ${this.accessToken}`,
+            "x-api-key": this.clientId,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+    try {
+      try {
+        return (await request()).data;
+      } catch (error) {
+        // Scheduled updates run long after login, so retry once with a fresh token
+        if (error.response?.status !== 401 || !this.refreshToken) throw error;
+        await this.refreshAccessToken();
+        return (await request()).data;
+      }
+    } catch (error) {
+      throw new Error(
+        `Failed to update listing: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
+  async deleteListingImage(listingId, listingImageId) {
+    return this._deleteListingResource(listingId, `images/${listingImageId}`, 'listing image');
+  }
+
+  async deleteListingVideo(listingId, videoId) {
+    return this._deleteListingResource(listingId, `videos/${videoId}`, 'listing video');
+  }
+
+  async deleteListingFile(listingId, listingFileId) {
+    return this._deleteListingResource(listingId, `files/${listingFileId}`, 'listing file');
+  }
+
+  async _deleteListingResource(listingId, resource, label) {
+    if (!this.accessToken || !this.shopId) {
+      throw new Error('Not authenticated with Etsy or shop not found');
+    }
+
+    try {
+      await axios.delete(
+        `${this.baseURL}/application/shops/${this.shopId}/listings/${listingId}/${resource}`,
+        {
+          headers: {
+            Authorization: `Bearer ${this.accessToken}`,
+            'x-api-key': this.clientId,
+          },
+        }
+      );
+    } catch (error) {
+      // Already gone, which is what the caller wants
+      if (error.response?.status === 404) return;
+      throw new Error(
+        `Failed to delete ${label}: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  }
+
   // --- helpers ---
   setTokens(tokens) {
     this.accessToken = tokens.access_token;
@@ -222,34 +222,70 @@ class GoogleDriveService {
     }
 
     try {
-      const fileMetadata = {
-        name: filename,
-        parents: folderId ? [folderId] : undefined
-      };
+      return await this._createFile(zipBuffer, filename, 'application/zip', folderId);
+    } catch (error) {
+      throw new Error(`Failed to upload ZIP file: ${error.message}`);
+    }
+  }
 
-      const media = {
-        mimeType: 'application/zip',
-        body: require('stream').Readable.from(zipBuffer)
-      };
+  /**
+   * Upload a file of any type to Google Drive
+   * @param {Buffer} buffer - File content
+   * @param {string} filename - Name for the uploaded file
+   * @param {string} mimeType - MIME type of the file
+   * @param {string} folderId - Target folder ID (optional)
+   * @returns {Object} Upload result with file ID and metadata
+   */
+  async uploadFile(buffer, filename, mimeType, folderId = null) {
+    if (!this.drive) {
+      throw new Error('Google Drive client not initialized');
+    }
 
-      const response = await this.drive.files.create({
-        resource: fileMetadata,
-        media: media,
-        fields: 'id, name, size, createdTime, webViewLink'
-      });
+    if (!buffer || !Buffer.isBuffer(buffer)) {
+      throw new Error('Invalid file buffer provided');
+    }
 
-      return {
-        fileId: response.data.id,
-        name: response.data.name,
-        size: response.data.size,
-        createdTime: response.data.createdTime,
-        webViewLink: response.data.webViewLink
-      };
+    if (!filename || typeof filename !== 'string') {
+      throw new Error('Invalid filename provided');
+    }
+
+    try {
+      return await this._createFile(buffer, filename, mimeType, folderId);
     } catch (error) {
-      throw new Error(`Failed to upload ZIP file: ${error.message}`);
+      throw new Error(`Failed to upload file: ${error.message}`);
     }
   }
 
+  /**
+   * Create a file in Google Drive from a buffer
+   * @private
+   */
+  async _createFile(buffer, filename, mimeType, folderId) {
+    const fileMetadata = {
+      name: filename,
+      parents: folderId ? [folderId] : undefined
+    };
+
+    const media = {
+      mimeType,
+      body: require('stream').Readable.from(buffer)
+    };
+
+    const response = await this.drive.files.create({
+      resource: fileMetadata,
+      media: media,
+      fields: 'id, name, size, createdTime, webViewLink'
+    });
+
+    return {
+      fileId: response.data.id,
+      name: response.data.name,
+      size: response.data.size,
+      createdTime: response.data.createdTime,
+      webViewLink: response.data.webViewLink
+    };
+  }
+
   /**
    * Create a shareable link for a file
    * @param {string} fileId - Google Drive file ID
@@ -4,6 +4,25 @@ const ffmpeg = require("fluent-ffmpeg");
 const fs = require("fs");
 const tmp = require("tmp");
 const { PassThrough } = require("stream");
+const { encodeGifInWorker } = require('../utils/gifEncoder');
+const { getPerspectiveTransform, invertMatrix } = require('../utils/perspective');
+
+// Formats watermarked images can be written in; 'auto' keeps the input format
+const OUTPUT_FORMATS = ['auto', 'jpeg', 'png', 'webp'];
+
+// Narrowest listing image Etsy accepts, in pixels
+const ETSY_MIN_WIDTH = 635;
+
+// Longest side of an animated GIF, in pixels; encoding time grows with the pixel count
+const MAX_GIF_SIZE = 1000;
+
+// Slideshow transitions and the ffmpeg xfade transitions drawing them
+const SLIDESHOW_TRANSITIONS = {
+  fade: 'fade',
+  slide: 'slideleft',
+  wipe: 'wipeleft',
+  zoom: 'zoomin'
+};
 
 /**
  * Image Processing Service
@@ -56,63 +75,311 @@ class ImageService {
     return { validFiles, errors };
   }
 
+  /**
+   * Computes a perceptual hash (dHash) of an image: 64 bits recording whether
+   * each pixel of a 9x8 grayscale thumbnail is brighter than its right-hand
+   * neighbour. Resized, recompressed or slightly edited copies get hashes
+   * that differ in only a few bits.
+   * @param {Buffer} imageBuffer - Input image buffer
+   * @returns {Promise<string>} - Hash as 16 hex digits
+   */
+  async computePerceptualHash(imageBuffer) {
+    try {
+      const pixels = await sharp(imageBuffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+      let hash = 0n;
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+      }
+      return hash.toString(16).padStart(16, '0');
+    } catch (error) {
+      throw new Error(`Perceptual hash failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds images that are the same picture, such as a file uploaded twice or
+   * a resized copy. Of each group of near-duplicates the largest image is
+   * kept (the first uploaded on a tie); the others are reported as duplicates.
+   * Images that cannot be read are left out of the comparison.
+   * @param {Array} images - Array of image objects with buffer property
+   * @param {Object} options - Detection options
+   * @param {number} options.threshold - Largest hash distance (differing bits of 64) counted as a duplicate
+   * @returns {Promise<Object>} - `pairs` of near-duplicates ({ indexes, distance }) and
+   *   `duplicates`, the indexes of the images to drop
+   */
+  async findDuplicateImages(images, { threshold = 5 } = {}) {
+    const entries = [];
+    for (let index = 0; index < images.length; index++) {
+      try {
+        const hash = await this.computePerceptualHash(images[index].buffer);
+        const { width, height } = await sharp(images[index].buffer).metadata();
+        entries.push({ index, hash, pixels: width * height });
+      } catch (error) {
+        // Images that cannot be decoded are left out of the comparison
+      }
+    }
+
+    const pairs = [];
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const distance = this._hammingDistance(entries[i].hash, entries[j].hash);
+        if (distance <= threshold) {
+          pairs.push({ indexes: [entries[i].index, entries[j].index], distance });
+        }
+      }
+    }
+
+    // Keep the largest image of each group; the rest duplicate a kept image
+    const kept = [];
+    const duplicates = [];
+    const bySize = [...entries].sort((a, b) => b.pixels - a.pixels || a.index - b.index);
+    for (const entry of bySize) {
+      if (kept.some(other => this._hammingDistance(entry.hash, other.hash) <= threshold)) {
+        duplicates.push(entry.index);
+      } else {
+        kept.push(entry);
+      }
+    }
+
+    return { pairs, duplicates: duplicates.sort((a, b) => a - b) };
+  }
+
+  /**
+   * Counts the bits that differ between two hex hashes
+   * @private
+   */
+  _hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return distance;
+  }
+
+  /**
+   * Analyzes the quality of an image: sharpness (variance of the Laplacian
+   * of a 1000 pixel grayscale copy), resolution against Etsy's minimums,
+   * aspect ratio and overexposure. Each check gets a score from 0 to 100,
+   * higher is better, and failed checks add a readable warning.
+   * @param {Buffer} imageBuffer - Input image buffer
+   * @param {Object} options - Quality thresholds
+   * @param {number} options.minSharpness - Laplacian variance below which an image looks blurry
+   * @param {number} options.minShortEdge - Recommended shortest side in pixels
+   * @param {number} options.maxAspectRatio - Longest to shortest side ratio above which an image is extreme
+   * @param {number} options.maxOverexposed - Share of blown-out pixels (0-1) above which an image is overexposed
+   * @returns {Promise<Object>} - Measurements, `scores` per check, overall `score` and `warnings`
+   */
+  async analyzeImageQuality(imageBuffer, options = {}) {
+    const {
+      minSharpness = 100,
+      minShortEdge = 2000,
+      maxAspectRatio = 2.5,
+      maxOverexposed = 0.5
+    } = options;
+
+    try {
+      const image = sharp(imageBuffer).rotate();
+      const { width: rawWidth, height: rawHeight, orientation } = await sharp(imageBuffer).metadata();
+      const [width, height] = orientation >= 5 ? [rawHeight, rawWidth] : [rawWidth, rawHeight];
+
+      // Transparent areas count as flat mid grey: neither detail nor blown out
+      const { data, info } = await image
+        .flatten({ background: '#808080' })
+        .greyscale()
+        .resize(1000, 1000, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const sharpness = this._laplacianVariance(data, info.width, info.height);
+      const overexposed = data.reduce((count, value) => count + (value >= 250 ? 1 : 0), 0) / data.length;
+      const shortEdge = Math.min(width, height);
+      const aspectRatio = Math.max(width, height) / shortEdge;
+
+      const warnings = [];
+      if (sharpness < minSharpness) {
+        warnings.push(`Looks blurry (sharpness ${Math.round(sharpness)}, below ${minSharpness})`);
+      }
+      if (width < ETSY_MIN_WIDTH) {
+        warnings.push(`Only ${width} pixels wide; Etsy needs at least ${ETSY_MIN_WIDTH}`);
+      } else if (shortEdge < minShortEdge) {
+        warnings.push(`Shortest side is ${shortEdge} pixels; Etsy recommends at least ${minShortEdge}`);
+      }
+      if (aspectRatio > maxAspectRatio) {
+        warnings.push(`Extreme aspect ratio ${aspectRatio.toFixed(1)}:1; Etsy thumbnails will crop most of it`);
+      }
+      if (overexposed > maxOverexposed) {
+        warnings.push(`Overexposed: ${Math.round(overexposed * 100)}% of the image is blown-out white`);
+      }
+
+      const scores = {
+        sharpness: Math.min(100, Math.round(100 * sharpness / (2 * minSharpness))),
+        resolution: width < ETSY_MIN_WIDTH ? 0 : Math.min(100, Math.round(100 * shortEdge / minShortEdge)),
+        aspectRatio: aspectRatio <= maxAspectRatio ? 100 : Math.round(100 * maxAspectRatio / aspectRatio),
+        exposure: Math.round(100 * (1 - overexposed))
+      };
+      const values = Object.values(scores);
+
+      return {
+        width,
+        height,
+        sharpness: Math.round(sharpness * 10) / 10,
+        aspectRatio: Math.round(aspectRatio * 100) / 100,
+        overexposed: Math.round(overexposed * 1000) / 1000,
+        scores,
+        score: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        warnings
+      };
+    } catch (error) {
+      throw new Error(`Quality analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Analyzes the quality of multiple images
+   * @param {Array} images - Array of image objects with buffer property
+   * @param {Object} options - Quality thresholds, see analyzeImageQuality
+   * @returns {Promise<Array>} - Analysis per image, or `{ error }` for images that cannot be read
+   */
+  async analyzeImages(images, options = {}) {
+    const results = [];
+    for (const image of images) {
+      try {
+        results.push(await this.analyzeImageQuality(image.buffer, options));
+      } catch (error) {
+        results.push({ error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Computes the variance of the Laplacian of a grayscale image; sharp images
+   * have strong edges and score high, blurry ones score low
+   * @private
+   */
+  _laplacianVariance(pixels, width, height) {
+    if (width < 3 || height < 3) {
+      return 0;
+    }
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+        sum += value;
+        sumSquares += value * value;
+      }
+    }
+    const count = (width - 2) * (height - 2);
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+
   /**
    * Applies watermark to an image
    * @param {Buffer} imageBuffer - Input image buffer
    * @param {Object} watermarkConfig - Watermark configuration
+   * @param {Object} output - Output encoding ({ format: 'auto' | 'jpeg' | 'png' | 'webp', quality })
    * @returns {Promise<Buffer>} - Watermarked image buffer
    */
   
-  async watermarkImage(imageBuffer, watermarkConfig = {}) {
+  async watermarkImage(imageBuffer, watermarkConfig = {}, output = {}) {
     try {
+      if (watermarkConfig.type === 'logo') {
+        return await this._applyLogoWatermark(imageBuffer, watermarkConfig, output);
+      }
+
       const {
-        text = "Watermark",
+        text = "Watermark", // may span several lines
+        secondLine = '', // smaller line under the text, e.g. the shop URL
+        mode = 'tiled',  // 'tiled' or 'single'
+        position = 'center',
+        margin = 20,     // distance from the image edges in single mode
         opacity = 0.20,  // lighter for repeated marks
         fontSize = 40,
         color = "#b0b0b0",
         spacing = 200,   // distance between watermarks
-        angle = -30      // rotation angle (diagonal watermark)
+        angle = -30,     // rotation angle (diagonal watermark)
+        stroke = null,   // outline around the letters ({ width, color })
+        shadow = null,   // drop shadow ({ enabled, color, blur, offsetX, offsetY })
+        font = null      // uploaded font ({ file, family }), Arial otherwise
       } = watermarkConfig;
+      const lines = [text, secondLine].map(line => String(line ?? '').trim()).filter(Boolean);
 
       const image = sharp(imageBuffer);
       const metadata = await image.metadata();
       const { width, height } = metadata;
 
-      // Build tiled watermark pattern
-      let texts = "";
+      // Blank text leaves nothing to draw
+      if (lines.length === 0) {
+        return await this._encodeImage(image, metadata, output).toBuffer();
+      }
+
+      if (mode === 'single') {
+        const mark = await this._renderTextBlock(lines, {
+          fontSize,
+          color,
+          opacity,
+          stroke,
+          shadow,
+          font,
+          anchor: this._getTextAnchor(position),
+          maxWidth: Math.max(width - 2 * margin, 1),
+          maxHeight: Math.max(height - 2 * margin, 1)
+        });
+        const { x, y } = this._calculateWatermarkPosition(position, width, height, mark, margin);
+
+        return await this._encodeImage(image.composite([{ input: mark.buffer, left: x, top: y }]), metadata, output)
+          .toBuffer();
+      }
+
+      // Build tiled watermark pattern from copies of one mark
+      const mark = await this._createTextMarkup(lines, { fontSize, color, font, x: 0, y: 0 });
+      const filter = this._createEffectsFilter('watermark-effects', { stroke, shadow });
+      let marks = "";
       for (let y = 0; y < height + spacing; y += spacing) {
         for (let x = 0; x < width + spacing; x += spacing) {
-          texts += `<text x="${x}" y="${y}" class="watermark">${text}</text>`;
+          marks += `<use href="#watermark" x="${x}" y="${y}"/>`;
         }
       }
 
       // Create SVG with repeated text, rotated for diagonal effect
       const svgWatermark = `
-        <svg width="${width}" height="${height}">
-          <style>
-            .watermark {
-              fill: ${color};
-              font-size: ${fontSize}px;
-              font-family: Arial, sans-serif;
-              opacity: ${opacity};
-            }
-          </style>
+        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+          <defs>
+            ${filter}
+            <g id="watermark" opacity="${opacity}"${filter ? ' filter="url(#watermark-effects)"' : ''}>
+              ${mark}
+            </g>
+          </defs>
           <g transform="rotate(${angle}, ${width / 2}, ${height / 2})">
-            ${texts}
+            ${marks}
           </g>
         </svg>
       `;
 
       // Apply watermark
-      const watermarkedBuffer = await image
+      const watermarkedBuffer = await this._encodeImage(image
         .composite([
           {
             input: Buffer.from(svgWatermark),
             left: 0,
             top: 0,
           },
-        ])
-        .jpeg({ quality: 90 })
+        ]), metadata, output)
         .toBuffer();
 
       return watermarkedBuffer;
@@ -121,95 +388,376 @@ class ImageService {
     }
   }
  
-  async createSlideshowVideo(imageBuffers, {
-    width = 800,
-    height = 600,
-    duration = 3,   // seconds each image is shown
-    fade = 1        // seconds of fade duration
-  } = {}) {
+  /**
+   * Creates an MP4 slideshow of the images
+   * @param {Buffer[]} imageBuffers - Images to show, in order
+   * @param {Object} options - Slideshow settings
+   * @param {number} options.duration - Seconds each image is shown
+   * @param {number} options.fade - Seconds each transition takes (0 for hard cuts)
+   * @param {string} options.transition - 'fade', 'slide', 'wipe' or 'zoom'
+   * @param {string} options.fit - 'contain' (whole image, padded with `backgroundColor`) or 'cover' (cropped to fill)
+   * @param {string} options.motion - Ken Burns motion: 'none', 'zoom-in', 'zoom-out' or 'pan'
+   * @param {Object} options.audio - Background music ({ file, volume }); a missing file is skipped
+   * @param {Object} options.intro - Title card shown first ({ enabled, text, duration })
+   * @param {Object} options.outro - Title card shown last, like `intro`
+   * @returns {Promise<Buffer>} - MP4 video buffer
+   */
+  async createSlideshowVideo(imageBuffers, options = {}) {
+    const settings = this._getSlideshowSettings(options);
+    const clips = await this._prepareSlideshowClips(imageBuffers, settings);
+    const { filters, output, totalDuration } = this._buildSlideshowFilters(clips, settings);
+
+    let audioFile = settings.audio?.file || null;
+    if (audioFile && !fs.existsSync(audioFile)) {
+      // The music was removed since the settings were saved; make the video without it
+      audioFile = null;
+    }
+    if (audioFile) {
+      filters.push(this._buildSlideshowAudioFilter(clips.length, totalDuration, settings.audio.volume));
+    }
+
+    // Save the frames to temp files for ffmpeg
+    const tmpFiles = clips.map(clip => {
+      const tmpFile = tmp.fileSync({ postfix: '.png' });
+      fs.writeFileSync(tmpFile.name, clip.buffer);
+      return tmpFile;
+    });
+    const outputFile = tmp.fileSync({ postfix: '.mp4' });
+    const cleanup = () => [...tmpFiles, outputFile].forEach(file => file.removeCallback());
+
     return new Promise((resolve, reject) => {
-      try {
-        // Step 1: Save buffers to temp files
-        const tmpFiles = imageBuffers.map((buf, i) => {
-          const tmpFile = tmp.fileSync({ postfix: `.jpg` });
-          fs.writeFileSync(tmpFile.name, buf);
-          return tmpFile.name;
-        });
-  
-        // Step 2: Build filter_complex for fades
-        const filters = [];
-        tmpFiles.forEach((file, i) => {
-          filters.push(
-            `[${i}:v]scale=${width}:${height},fps=30,format=yuv420p,setpts=PTS-STARTPTS[v${i}]`
-          );
-        });
-  
-        let chain = `[v0]`;
-        for (let i = 1; i < tmpFiles.length; i++) {
-          const out = `vxf${i}`;
-          const offset = i * (duration - fade);
-          filters.push(
-            `${chain}[v${i}]xfade=transition=fade:duration=${fade}:offset=${offset}[${out}]`
-          );
-          chain = `[${out}]`;
-        }
-  
-        // Step 3: Run ffmpeg
-        const outputFile = tmp.fileSync({ postfix: ".mp4" }).name;
-  
-        const command = ffmpeg();
-  
-        tmpFiles.forEach(file => {
-          command.input(file).inputOptions([
-            "-loop 1",
-            `-t ${duration}`,
-            "-framerate 30"
-          ]);
+      const command = ffmpeg();
+
+      tmpFiles.forEach((file, i) => {
+        command.input(file.name).inputOptions([
+          '-loop 1',
+          `-t ${clips[i].duration}`,
+          `-framerate ${settings.fps}`
+        ]);
+      });
+      if (audioFile) {
+        command.input(audioFile).inputOptions(['-stream_loop -1']);
+      }
+
+      command
+        .complexFilter(filters, audioFile ? [output, 'aout'] : [output])
+        .outputOptions([
+          '-c:v libx264',
+          '-pix_fmt yuv420p',
+          '-movflags +faststart',
+          ...(audioFile ? ['-c:a aac', '-b:a 192k'] : [])
+        ])
+        .save(outputFile.name)
+        .on('start', cmd => console.log('FFmpeg command:', cmd))
+        .on('end', () => {
+          try {
+            resolve(fs.readFileSync(outputFile.name));
+          } catch (error) {
+            reject(error);
+          } finally {
+            cleanup();
+          }
+        })
+        .on('error', error => {
+          cleanup();
+          reject(new Error(`Slideshow creation failed: ${error.message}`));
         });
-  
-        command
-          .complexFilter(filters, [chain.replace(/\[|\]/g, "")])
-          .outputOptions([
-            "-c:v libx264",
-            "-pix_fmt yuv420p",
-            "-movflags +faststart"
-          ])
-          .save(outputFile) // ✅ ensure video is finalized
-          .on("start", cmd => console.log("FFmpeg command:", cmd))
-          .on("stderr", line => console.log("FFmpeg:", line))
-          .on("end", () => {
-            console.log("Slideshow created:", outputFile);
-            // return buffer so you can upload to Etsy
-            resolve(fs.readFileSync(outputFile));
-          })
-          .on("error", reject);
-      } catch (err) {
-        reject(err);
+    });
+  }
+
+  /**
+   * Fills in slideshow defaults. The size is rounded to even numbers, which
+   * H.264 requires.
+   * @private
+   */
+  _getSlideshowSettings(options) {
+    const {
+      width = 800,
+      height = 600,
+      duration = 3,
+      fade = 1,
+      fps = 30,
+      transition = 'fade',
+      fit = 'contain',
+      backgroundColor = '#000000',
+      motion = 'none',
+      titleColor = '#FFFFFF',
+      audio = null,
+      intro = null,
+      outro = null
+    } = options;
+
+    return {
+      width: 2 * Math.round(width / 2),
+      height: 2 * Math.round(height / 2),
+      duration,
+      fade,
+      fps,
+      transition,
+      fit,
+      backgroundColor,
+      motion,
+      titleColor,
+      audio,
+      intro,
+      outro
+    };
+  }
+
+  /**
+   * Turns the images into frames of the video size, fitted and padded or
+   * cropped, plus the title cards
+   * @private
+   * @returns {Promise<Array>} - Clips with PNG buffer, duration and whether they move
+   */
+  async _prepareSlideshowClips(imageBuffers, settings) {
+    const { width, height, duration, fit, backgroundColor, motion } = settings;
+    // Moving frames are rendered larger so the pan/zoom stays smooth
+    const scale = motion !== 'none' ? 2 : 1;
+
+    const clips = [];
+    const titleCard = async card => {
+      if (card && card.enabled && card.text && card.text.trim()) {
+        clips.push({ buffer: await this._createTitleCard(card.text, settings), duration: card.duration || 2, motion: false });
+      }
+    };
+
+    await titleCard(settings.intro);
+    for (const buffer of imageBuffers) {
+      const frame = await sharp(buffer)
+        .rotate()
+        .resize(width * scale, height * scale, {
+          fit: fit === 'cover' ? 'cover' : 'contain',
+          background: backgroundColor
+        })
+        .flatten({ background: backgroundColor })
+        .png()
+        .toBuffer();
+      clips.push({ buffer: frame, duration, motion: motion !== 'none' });
+    }
+    await titleCard(settings.outro);
+
+    return clips;
+  }
+
+  /**
+   * Renders a title card: centered text on the slideshow background
+   * @private
+   * @returns {Promise<Buffer>} - PNG buffer
+   */
+  async _createTitleCard(text, { width, height, backgroundColor, titleColor }) {
+    const margin = Math.round(Math.min(width, height) * 0.1);
+    const mark = await this._renderTextBlock([text], {
+      fontSize: Math.round(Math.min(width, height) * 0.08),
+      color: titleColor,
+      opacity: 1,
+      anchor: 'middle',
+      maxWidth: width - 2 * margin,
+      maxHeight: height - 2 * margin
+    });
+
+    return sharp({ create: { width, height, channels: 3, background: backgroundColor } })
+      .composite([{
+        input: mark.buffer,
+        left: Math.round((width - mark.width) / 2),
+        top: Math.round((height - mark.height) / 2)
+      }])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Builds the ffmpeg filter graph that animates the clips and joins them
+   * with transitions
+   * @private
+   * @returns {Object} - Filters, the label of the video output and the video length in seconds
+   */
+  _buildSlideshowFilters(clips, { width, height, fps, fade, transition, motion }) {
+    const filters = clips.map((clip, i) => {
+      const steps = [];
+      if (clip.motion) {
+        const frames = Math.max(1, Math.round(clip.duration * fps));
+        const progress = `min(on/${frames},1)`;
+        const zoom = {
+          'zoom-in': `1+0.2*${progress}`,
+          'zoom-out': `1.2-0.2*${progress}`,
+          pan: '1.2'
+        }[motion];
+        const x = motion === 'pan' ? `(iw-iw/zoom)*${progress}` : 'iw/2-(iw/zoom/2)';
+        steps.push(`zoompan=z='${zoom}':x='${x}':y='ih/2-(ih/zoom/2)':d=1:s=${width}x${height}:fps=${fps}`);
       }
+      steps.push(`fps=${fps}`, 'format=yuv420p', 'setsar=1', 'setpts=PTS-STARTPTS');
+      return `[${i}:v]${steps.join(',')}[v${i}]`;
     });
+
+    // Transitions may take at most half of the shortest clip
+    const transitionLength = Math.min(fade, ...clips.map(clip => clip.duration / 2));
+
+    // Without a transition the clips are simply joined
+    if (!transitionLength) {
+      filters.push(`${clips.map((clip, i) => `[v${i}]`).join('')}concat=n=${clips.length}:v=1:a=0[vout]`);
+      return { filters, output: 'vout', totalDuration: clips.reduce((sum, clip) => sum + clip.duration, 0) };
+    }
+
+    const xfadeTransition = SLIDESHOW_TRANSITIONS[transition] || SLIDESHOW_TRANSITIONS.fade;
+    let chain = 'v0';
+    let elapsed = clips[0].duration;
+    for (let i = 1; i < clips.length; i++) {
+      const out = `vxf${i}`;
+      const offset = this._roundSeconds(elapsed - transitionLength);
+      filters.push(`[${chain}][v${i}]xfade=transition=${xfadeTransition}:duration=${transitionLength}:offset=${offset}[${out}]`);
+      chain = out;
+      elapsed = offset + clips[i].duration;
+    }
+
+    return { filters, output: chain, totalDuration: this._roundSeconds(elapsed) };
+  }
+
+  /**
+   * Builds the filter that trims the looped music to the video and fades it in and out
+   * @private
+   */
+  _buildSlideshowAudioFilter(inputIndex, totalDuration, volume = 1) {
+    const fadeLength = Math.min(2, totalDuration / 4);
+    return `[${inputIndex}:a]atrim=0:${totalDuration},asetpts=PTS-STARTPTS,volume=${volume},`
+      + `afade=t=in:st=0:d=${fadeLength},afade=t=out:st=${this._roundSeconds(totalDuration - fadeLength)}:d=${fadeLength}[aout]`;
+  }
+
+  /**
+   * Rounds seconds to milliseconds, avoiding float noise in ffmpeg arguments
+   * @private
+   */
+  _roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  /**
+   * Creates a looping animated GIF that crossfades from each image to the
+   * next, and from the last image back to the first. The frames are encoded
+   * in a worker thread.
+   * @param {Buffer[]} imageBuffers - Images to show, in order
+   * @param {Object} options - Mini GIF settings
+   * @param {number} options.width - GIF width in pixels, at most MAX_GIF_SIZE
+   * @param {number} options.height - GIF height in pixels, at most MAX_GIF_SIZE
+   * @param {number} options.delay - Milliseconds per crossfade frame
+   * @param {number} options.fadeFrames - Frames blending one image into the next (0 for hard cuts)
+   * @param {number} options.hold - Milliseconds each image is shown before it fades
+   * @param {string} options.backgroundColor - Padding around images of another aspect ratio
+   * @returns {Promise<Buffer>} - GIF buffer
+   */
+  async createAnimatedGif(imageBuffers, options = {}) {
+    if (!Array.isArray(imageBuffers) || imageBuffers.length === 0) {
+      throw new Error('At least one image is required for a GIF');
+    }
+
+    const {
+      delay = 100,
+      fadeFrames = 10,
+      hold = 1500,
+      backgroundColor = '#FFFFFF'
+    } = options;
+    // Settings saved when GIFs could be 2000 pixels wide are scaled down to the limit
+    const requested = { width: options.width || 600, height: options.height || 600 };
+    const scale = Math.min(1, MAX_GIF_SIZE / Math.max(requested.width, requested.height));
+    const width = Math.round(requested.width * scale);
+    const height = Math.round(requested.height * scale);
+
+    try {
+      // Raw RGBA frames of the GIF size, which is what the encoder reads
+      const frames = [];
+      for (const buffer of imageBuffers) {
+        frames.push(await sharp(buffer)
+          .rotate()
+          .resize(width, height, { fit: 'contain', background: backgroundColor })
+          .flatten({ background: backgroundColor })
+          .ensureAlpha()
+          .raw()
+          .toBuffer());
+      }
+
+      return await encodeGifInWorker(frames, { width, height, delay, fadeFrames, hold });
+    } catch (error) {
+      throw new Error(`GIF creation failed: ${error.message}`);
+    }
   }
   
   
   
 
 
+  /**
+   * Checks that an uploaded logo is a PNG or a self-contained SVG
+   * @param {Buffer} logoBuffer - Logo file content
+   * @returns {Promise<Object>} - Logo format, width and height
+   * @throws {Error} If the logo cannot be used as a watermark
+   */
+  async validateLogo(logoBuffer) {
+    let metadata;
+    try {
+      metadata = await sharp(logoBuffer).metadata();
+    } catch (error) {
+      throw new Error('Logo must be a PNG or SVG image');
+    }
+
+    if (!['png', 'svg'].includes(metadata.format)) {
+      throw new Error('Logo must be a PNG or SVG image');
+    }
+
+    // SVG logos are rendered on the server, so they may not pull in other files
+    if (metadata.format === 'svg') {
+      const svg = logoBuffer.toString('utf8');
+      if (/<!ENTITY|<script|<foreignObject/i.test(svg) || /href\s*=\s*["'](?!#|data:)/i.test(svg)) {
+        throw new Error('SVG logos cannot contain scripts or reference external resources');
+      }
+    }
+
+    return { format: metadata.format, width: metadata.width, height: metadata.height };
+  }
+
+  /**
+   * Renders a watermark preview, on the given image or on a sample image
+   * @param {Object} watermarkConfig - Watermark configuration
+   * @param {Buffer} imageBuffer - Image to preview on (optional)
+   * @returns {Promise<Buffer>} - Watermarked JPEG, at most 800 pixels wide; transparency is shown as white
+   */
+  async createWatermarkPreview(watermarkConfig = {}, imageBuffer = null) {
+    const base = imageBuffer
+      ? await sharp(imageBuffer).rotate().resize({ width: 800, height: 800, fit: 'inside', withoutEnlargement: true }).toBuffer()
+      : await sharp(Buffer.from(`
+        <svg width="800" height="600">
+          <defs>
+            <linearGradient id="sample" x1="0" y1="0" x2="1" y2="1">
+              <stop offset="0" stop-color="#dbeafe"/>
+              <stop offset="1" stop-color="#ede9fe"/>
+            </linearGradient>
+          </defs>
+          <rect width="800" height="600" fill="url(#sample)"/>
+        </svg>
+      `)).png().toBuffer();
+
+    return this.watermarkImage(base, watermarkConfig, { format: 'jpeg', quality: 85 });
+  }
+
   /**
    * Applies watermarks to multiple images
    * @param {Array} images - Array of image objects with buffer property
    * @param {Object} watermarkConfig - Watermark configuration
+   * @param {Object} output - Output encoding, see watermarkImage
    * @returns {Promise<Array>} - Array of watermarked image objects
    */
-  async watermarkImages(images, watermarkConfig = {}) {
+  async watermarkImages(images, watermarkConfig = {}, output = {}) {
     const watermarkedImages = [];
     const errors = [];
 
     for (let i = 0; i < images.length; i++) {
       try {
         const image = images[i];
-        const watermarkedBuffer = await this.watermarkImage(image.buffer, watermarkConfig);
+        const watermarkedBuffer = await this.watermarkImage(image.buffer, watermarkConfig, output);
+        const { format } = await sharp(watermarkedBuffer).metadata();
         
         watermarkedImages.push({
           ...image,
+          ...this._describeOutput(image, format),
           buffer: watermarkedBuffer,
           watermarked: true,
           originalSize: image.buffer.length,
@@ -283,140 +831,789 @@ class ImageService {
   }
 
   /**
-   * Creates a collage from multiple images
-   * @param {Array} images - Array of image objects with buffer property
-   * @param {Object} options - Collage configuration options
-   * @returns {Promise<Buffer>} - Collage image buffer
+   * Prepares an image for an Etsy listing: applies the EXIF orientation,
+   * scales it to the target long edge, optionally pads it to an aspect ratio
+   * and writes it in sRGB without EXIF, GPS or other metadata
+   * @param {Buffer} imageBuffer - Input image buffer
+   * @param {Object} options - Normalization settings
+   * @param {number} options.longEdge - Length of the longer side in pixels
+   * @param {string} options.aspectRatio - Padded aspect ratio as 'width:height', e.g. '4:3'; null keeps the image's own
+   * @param {string} options.backgroundColor - Padding color
+   * @param {boolean} options.upscale - Whether smaller images are enlarged to the long edge
+   * @param {Object} output - Output encoding, see watermarkImage
+   * @returns {Promise<Object>} - Normalized buffer with the size before and after
    */
-  async createCollage(images, options = {}) {
-    try {
-      if (!images || images.length < 2) {
-        throw new Error('At least 2 images are required to create a collage');
-      }
-
-      const {
-        width = 2000,
-        height = 2000,
-        spacing = 10,
-        backgroundColor = { r: 255, g: 255, b: 255 },
-        layout = 'auto'
-      } = options;
-
-      // Calculate optimal grid layout
-      const gridLayout = this._calculateGridLayout(images.length, layout);
-      const { rows, cols } = gridLayout;
-
-      // Calculate cell dimensions
-      const cellWidth = Math.floor((width - (spacing * (cols + 1))) / cols);
-      const cellHeight = Math.floor((height - (spacing * (rows + 1))) / rows);
-
-      // Prepare images for compositing
-      const processedImages = await this._prepareImagesForCollage(
-        images, 
-        cellWidth, 
-        cellHeight
-      );
-
-      // Create composite operations array
-      const compositeOps = [];
-      let imageIndex = 0;
-
-      for (let row = 0; row < rows && imageIndex < processedImages.length; row++) {
-        for (let col = 0; col < cols && imageIndex < processedImages.length; col++) {
-          const x = spacing + (col * (cellWidth + spacing));
-          const y = spacing + (row * (cellHeight + spacing));
+  async normalizeImage(imageBuffer, options = {}, output = {}) {
+    const {
+      longEdge = 3000,
+      aspectRatio = null,
+      backgroundColor = '#FFFFFF',
+      upscale = false
+    } = options;
 
-          compositeOps.push({
-            input: processedImages[imageIndex],
-            left: x,
-            top: y
-          });
+    try {
+      const metadata = await sharp(imageBuffer).metadata();
+      // Orientations 5-8 are stored rotated by 90 degrees
+      const [width, height] = metadata.orientation >= 5
+        ? [metadata.height, metadata.width]
+        : [metadata.width, metadata.height];
 
-          imageIndex++;
+      let canvasWidth = width;
+      let canvasHeight = height;
+      if (aspectRatio) {
+        const [ratioWidth, ratioHeight] = aspectRatio.split(':').map(Number);
+        const ratio = ratioWidth / ratioHeight;
+        if (width / height > ratio) {
+          canvasHeight = Math.round(width / ratio);
+        } else {
+          canvasWidth = Math.round(height * ratio);
         }
       }
 
-      // Create the collage
-      const collageBuffer = await sharp({
-        create: {
-          width,
-          height,
-          channels: 3,
-          background: backgroundColor
-        }
-      })
-      .composite(compositeOps)
-      .jpeg({ quality: 90, progressive: true })
-      .toBuffer();
+      let scale = longEdge / Math.max(canvasWidth, canvasHeight);
+      if (!upscale) {
+        scale = Math.min(scale, 1);
+      }
+      const targetWidth = Math.max(1, Math.round(canvasWidth * scale));
+      const targetHeight = Math.max(1, Math.round(canvasHeight * scale));
 
-      return collageBuffer;
-    } catch (error) {
-      throw new Error(`Collage creation failed: ${error.message}`);
-    }
-  }
+      const image = sharp(imageBuffer)
+        .rotate()
+        .resize(targetWidth, targetHeight, { fit: 'contain', background: backgroundColor })
+        .toColorspace('srgb')
+        .withIccProfile('srgb');
+      const buffer = await this._encodeImage(image, metadata, output).toBuffer();
 
-  /**
-   * Gets image dimensions and metadata
-   * @param {Buffer} imageBuffer - Input image buffer
-   * @returns {Promise<Object>} - Image metadata
-   */
-  async getImageMetadata(imageBuffer) {
-    try {
-      const metadata = await sharp(imageBuffer).metadata();
       return {
-        width: metadata.width,
-        height: metadata.height,
-        format: metadata.format,
-        size: metadata.size,
-        hasAlpha: metadata.hasAlpha,
-        channels: metadata.channels
+        buffer,
+        before: { width, height, bytes: imageBuffer.length },
+        after: { width: targetWidth, height: targetHeight, bytes: buffer.length }
       };
     } catch (error) {
-      throw new Error(`Failed to get image metadata: ${error.message}`);
+      throw new Error(`Image normalization failed: ${error.message}`);
     }
   }
 
   /**
-   * Calculates watermark position coordinates
-   * @private
+   * Normalizes multiple images. An image that cannot be normalized is kept
+   * as it was and reported in `errors`.
+   * @param {Array} images - Array of image objects with buffer property
+   * @param {Object} options - Normalization settings, see normalizeImage
+   * @param {Object} output - Output encoding, see watermarkImage
+   * @returns {Promise<Object>} - Normalized images (with `before` and `after` sizes) and errors
    */
-  _calculateWatermarkPosition(position, imageWidth, imageHeight, fontSize) {
-    const padding = fontSize;
-    
+  async normalizeImages(images, options = {}, output = {}) {
+    const normalizedImages = [];
+    const errors = [];
+
+    for (let i = 0; i < images.length; i++) {
+      const image = images[i];
+      try {
+        const { buffer, before, after } = await this.normalizeImage(image.buffer, options, output);
+        const { format } = await sharp(buffer).metadata();
+        normalizedImages.push({
+          ...image,
+          ...this._describeOutput(image, format),
+          buffer,
+          normalized: true,
+          before,
+          after
+        });
+      } catch (error) {
+        errors.push({
+          index: i,
+          filename: image.originalname || `image-${i}`,
+          error: error.message
+        });
+        normalizedImages.push({ ...image, normalized: false });
+      }
+    }
+
+    return { normalizedImages, errors };
+  }
+
+  /**
+   * Removes the background of a product photo, leaving the product on a
+   * plain color or a transparent background. Without a segmentation model
+   * the background is keyed out by color: the pixels matching the color
+   * along the image border and connected to it, so product areas of the same
+   * color stay. Edges are softened by color distance and feathered.
+   * @param {Buffer} imageBuffer - Input image buffer
+   * @param {Object} options - Background removal options
+   * @param {number} options.tolerance - Color distance (0-255) still counted as background
+   * @param {number} options.feather - Blur radius of the cut-out edge in pixels; 0 keeps it hard
+   * @param {boolean} options.transparent - Make the background transparent (PNG or WebP)
+   * @param {string} options.backgroundColor - New background color when not transparent
+   * @param {Function} options.segmenter - Optional model, see server/utils/segmentation.js
+   * @param {Object} output - Output encoding, see watermarkImage
+   * @returns {Promise<Object>} - Image buffer, `method`, share of the image `removed` and the keyed `keyColor`
+   */
+  async removeBackground(imageBuffer, options = {}, output = {}) {
+    const {
+      tolerance = 40,
+      feather = 1,
+      transparent = false,
+      backgroundColor = '#FFFFFF',
+      segmenter = null
+    } = options;
+
+    try {
+      const metadata = await sharp(imageBuffer).metadata();
+      const { data, info } = await sharp(imageBuffer)
+        .rotate()
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const { width, height } = info;
+
+      let mask;
+      let keyColor = null;
+      if (segmenter) {
+        const oriented = await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+        mask = await this._runSegmenter(segmenter, oriented, width, height);
+      } else {
+        ({ mask, keyColor } = this._colorKeyMask(data, width, height, tolerance));
+      }
+
+      const removed = mask.reduce((count, value) => count + (value === 0 ? 1 : 0), 0) / mask.length;
+      if (removed > 0.99) {
+        throw new Error('No product found; the whole image matched the background');
+      }
+
+      if (feather > 0) {
+        mask = await sharp(mask, { raw: { width, height, channels: 1 } })
+          .blur(Math.max(0.3, feather))
+          .toColourspace('b-w')
+          .raw()
+          .toBuffer();
+      }
+      for (let i = 0; i < mask.length; i++) {
+        data[i * 4 + 3] = Math.min(data[i * 4 + 3], mask[i]);
+      }
+
+      let image = sharp(data, { raw: { width, height, channels: 4 } });
+      let encoding = output;
+      if (transparent) {
+        // JPEG has no alpha channel, so transparent cut-outs are written as PNG
+        if (this._resolveOutputFormat(metadata, output.format) === 'jpeg') {
+          encoding = { ...output, format: 'png' };
+        }
+      } else {
+        image = sharp(await image.flatten({ background: backgroundColor }).raw().toBuffer(), {
+          raw: { width, height, channels: 3 }
+        });
+      }
+
+      return {
+        buffer: await this._encodeImage(image, { ...metadata, hasAlpha: transparent }, encoding).toBuffer(),
+        method: segmenter ? 'model' : 'color-key',
+        removed: Math.round(removed * 1000) / 1000,
+        keyColor
+      };
+    } catch (error) {
+      throw new Error(`Background removal failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes the backgrounds of multiple images. An image whose background
+   * cannot be removed is kept as it was and reported in `errors`.
+   * @param {Array} images - Array of image objects with buffer property
+   * @param {Object} options - Background removal options, see removeBackground
+   * @param {Object} output - Output encoding, see watermarkImage
+   * @returns {Promise<Object>} - Cut-out images (with `backgroundRemoved` and `removed`) and errors
+   */
+  async removeBackgrounds(images, options = {}, output = {}) {
+    const cutoutImages = [];
+    const errors = [];
+
+    for (let i = 0; i < images.length; i++) {
+      const image = images[i];
+      try {
+        const { buffer, removed } = await this.removeBackground(image.buffer, options, output);
+        const { format } = await sharp(buffer).metadata();
+        cutoutImages.push({
+          ...image,
+          ...this._describeOutput(image, format),
+          buffer,
+          backgroundRemoved: true,
+          removed
+        });
+      } catch (error) {
+        errors.push({
+          index: i,
+          filename: image.originalname || `image-${i}`,
+          error: error.message
+        });
+        cutoutImages.push({ ...image, backgroundRemoved: false });
+      }
+    }
+
+    return { cutoutImages, errors };
+  }
+
+  /**
+   * Creates a collage from multiple images
+   * @param {Array} images - Array of image objects with buffer property
+   * @param {Object} options - Collage configuration options
+   * @param {string} options.layout - 'grid' (or 'auto', 'square', 'horizontal', 'vertical'),
+   *   'featured' (one large hero image plus thumbnails), 'mosaic' (rows) or 'masonry' (columns);
+   *   mosaic and masonry keep the aspect ratio of every image
+   * @param {Object} options.badge - Optional bundle badge ({ enabled, text, position, color, backgroundColor });
+   *   `{count}` and `{format}` in the text are replaced, e.g. "25 PNG files"
+   * @param {Object} options.header - Optional text band above the images ({ text, height, color, backgroundColor, align });
+   *   `height` is a share of the collage height, and `{count}` and `{format}` are replaced as in the badge
+   * @param {Object} options.footer - Optional text band below the images, like `header`
+   * @param {Object} options.cell - Optional cell style ({ borderRadius, borderWidth, borderColor, shadow });
+   *   `shadow` is { color, opacity, blur, offsetX, offsetY }
+   * @returns {Promise<Buffer>} - Collage image buffer
+   */
+  async createCollage(images, options = {}) {
+    try {
+      if (!images || images.length < 2) {
+        throw new Error('At least 2 images are required to create a collage');
+      }
+
+      const {
+        dimensions = {}, // collage settings keep the size here
+        width = dimensions.width || 2000,
+        height = dimensions.height || 2000,
+        spacing = 10,
+        backgroundColor = { r: 255, g: 255, b: 255 },
+        layout = 'auto',
+        badge = null,
+        header = null,
+        footer = null,
+        cell: cellStyle = {}
+      } = options;
+
+      // Text bands take their height off the top and bottom of the collage
+      const headerBand = await this._createTextBand(header, images, width, height);
+      const footerBand = await this._createTextBand(footer, images, width, height);
+      const areaTop = headerBand ? headerBand.height : 0;
+      const areaHeight = height - areaTop - (footerBand ? footerBand.height : 0);
+
+      // Calculate where each image goes
+      let cells;
+      switch (layout) {
+        case 'featured':
+          cells = this._calculateFeaturedLayout(images.length, width, areaHeight, spacing);
+          break;
+        case 'mosaic':
+          cells = this._calculateMosaicLayout(await this._getAspectRatios(images), width, areaHeight, spacing);
+          break;
+        case 'masonry':
+          cells = this._calculateMasonryLayout(await this._getAspectRatios(images), width, areaHeight, spacing);
+          break;
+        default:
+          cells = this._calculateGridCells(images.length, layout, width, areaHeight, spacing);
+      }
+      cells = cells.map(cell => ({ ...cell, top: cell.top + areaTop }));
+
+      // Create composite operations array
+      const compositeOps = [];
+      if (headerBand) {
+        compositeOps.push({ input: headerBand.input, left: 0, top: 0 });
+      }
+      if (footerBand) {
+        compositeOps.push({ input: footerBand.input, left: 0, top: height - footerBand.height });
+      }
+
+      const { borderRadius = 0, borderWidth = 0, borderColor = '#FFFFFF', shadow = null } = cellStyle || {};
+      if (shadow) {
+        compositeOps.push({ input: this._createCellShadows(cells, width, height, borderRadius, shadow), left: 0, top: 0 });
+      }
+      for (const cell of cells) {
+        let [input] = await this._prepareImagesForCollage([images[cell.index]], cell.width, cell.height);
+        if (borderRadius > 0) {
+          input = await this._roundCorners(input, cell.width, cell.height, borderRadius);
+        }
+        compositeOps.push({ input, left: cell.left, top: cell.top });
+      }
+      if (borderWidth > 0) {
+        compositeOps.push({ input: this._createCellBorders(cells, width, height, borderRadius, borderWidth, borderColor), left: 0, top: 0 });
+      }
+
+      if (badge && badge.enabled !== false) {
+        const badgeOp = await this._createBundleBadge(images, badge, width, areaHeight);
+        compositeOps.push({ ...badgeOp, top: badgeOp.top + areaTop });
+      }
+
+      // Create the collage
+      const collageBuffer = await sharp({
+        create: {
+          width,
+          height,
+          channels: 3,
+          background: backgroundColor
+        }
+      })
+      .composite(compositeOps)
+      .jpeg({ quality: 90, progressive: true })
+      .toBuffer();
+
+      return collageBuffer;
+    } catch (error) {
+      throw new Error(`Collage creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a mockup: the image is warped in perspective into the template's
+   * quad on its background photo, with the template's shadow underneath and
+   * its overlay layer on top
+   * @param {Buffer} imageBuffer - Product image
+   * @param {Object} template - Mockup template (see utils/mockupTemplates) with
+   *   `backgroundPath`, `quad` (top-left, top-right, bottom-right and bottom-left corners),
+   *   optional `fit` ('cover' crops, 'contain' pads with `matColor`), `shadow`, `overlayPath` and `overlayBlend`
+   * @param {Object} options - Output options ({ quality })
+   * @returns {Promise<Buffer>} - JPEG mockup the size of the background
+   */
+  async createMockup(imageBuffer, template, options = {}) {
+    const { quality = 90 } = options;
+
+    try {
+      const background = sharp(template.backgroundPath);
+      const { width, height } = await background.metadata();
+      const { quad } = template;
+
+      // Render the artwork at the size it appears in the photo
+      const edge = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+      const artWidth = Math.max(1, Math.round(Math.max(edge(quad[0], quad[1]), edge(quad[3], quad[2]))));
+      const artHeight = Math.max(1, Math.round(Math.max(edge(quad[0], quad[3]), edge(quad[1], quad[2]))));
+      const matColor = template.matColor || '#FFFFFF';
+      const art = await sharp(imageBuffer)
+        .rotate()
+        .resize(artWidth, artHeight, { fit: template.fit === 'contain' ? 'contain' : 'cover', background: matColor })
+        .flatten({ background: matColor })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+
+      const layers = [];
+      if (template.shadow) {
+        layers.push({ input: this._createMockupShadow(quad, template.shadow, width, height), left: 0, top: 0 });
+      }
+      const warped = this._warpPerspective(art, artWidth, artHeight, quad, width, height);
+      if (warped) {
+        layers.push({
+          input: warped.buffer,
+          raw: { width: warped.width, height: warped.height, channels: 4 },
+          left: warped.left,
+          top: warped.top
+        });
+      }
+      if (template.overlayPath) {
+        const overlay = await sharp(template.overlayPath).resize(width, height, { fit: 'fill' }).png().toBuffer();
+        layers.push({ input: overlay, left: 0, top: 0, blend: template.overlayBlend || 'over' });
+      }
+
+      return await background
+        .composite(layers)
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality })
+        .toBuffer();
+    } catch (error) {
+      throw new Error(`Mockup creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets image dimensions and metadata
+   * @param {Buffer} imageBuffer - Input image buffer
+   * @returns {Promise<Object>} - Image metadata
+   */
+  async getImageMetadata(imageBuffer) {
+    try {
+      const metadata = await sharp(imageBuffer).metadata();
+      return {
+        width: metadata.width,
+        height: metadata.height,
+        format: metadata.format,
+        size: metadata.size,
+        hasAlpha: metadata.hasAlpha,
+        channels: metadata.channels
+      };
+    } catch (error) {
+      throw new Error(`Failed to get image metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculates the top-left corner of a watermark placed on an image,
+   * keeping it inside the image
+   * @private
+   * @param {string} position - Corner or 'center'
+   * @param {number} imageWidth - Image width
+   * @param {number} imageHeight - Image height
+   * @param {Object} mark - Measured watermark size ({ width, height })
+   * @param {number} margin - Distance from the image edges
+   * @returns {Object} - Coordinates with x and y
+   */
+  _calculateWatermarkPosition(position, imageWidth, imageHeight, mark, margin = 0) {
+    const maxX = Math.max(imageWidth - mark.width, 0);
+    const maxY = Math.max(imageHeight - mark.height, 0);
+    const left = Math.min(margin, maxX);
+    const top = Math.min(margin, maxY);
+    const right = Math.max(maxX - margin, 0);
+    const bottom = Math.max(maxY - margin, 0);
+    
     switch (position) {
       case 'top-left':
-        return { x: padding, y: padding };
+        return { x: left, y: top };
       case 'top-right':
-        return { x: imageWidth - (fontSize * 8) - padding, y: padding };
+        return { x: right, y: top };
       case 'bottom-left':
-        return { x: padding, y: imageHeight - fontSize - padding };
+        return { x: left, y: bottom };
       case 'bottom-right':
-        return { x: imageWidth - (fontSize * 8) - padding, y: imageHeight - fontSize - padding };
+        return { x: right, y: bottom };
       case 'center':
-        return { x: imageWidth / 2 - (fontSize * 4), y: imageHeight / 2 };
+        return { x: Math.round(maxX / 2), y: Math.round(maxY / 2) };
+      default:
+        return { x: right, y: bottom };
+    }
+  }
+
+  /**
+   * Aligns multi-line watermarks toward the edge they are placed against
+   * @private
+   */
+  _getTextAnchor(position) {
+    if (position.endsWith('left')) {
+      return 'start';
+    }
+    return position.endsWith('right') ? 'end' : 'middle';
+  }
+
+  /**
+   * Renders watermark lines to a PNG cropped to the drawn text.
+   * The text is measured by rendering it and trimming the empty space, since
+   * glyph widths depend on the font.
+   * @private
+   * @returns {Promise<Object>} - PNG buffer with its width and height
+   */
+  async _renderTextBlock(lines, { fontSize, color, opacity, stroke, shadow, font, anchor = 'start', maxWidth, maxHeight }) {
+    const rows = this._splitTextLines(lines);
+    // Large enough for any glyphs and effects; the empty space is trimmed away
+    const bleed = Math.ceil((stroke?.width || 0) + (this._hasShadow(shadow) ? 3 * (shadow.blur || 0) + Math.max(Math.abs(shadow.offsetX || 0), Math.abs(shadow.offsetY || 0)) : 0));
+    const canvasWidth = Math.ceil(fontSize * (Math.max(...rows.map(row => [...row.text].length)) + 4) + 2 * bleed);
+    const canvasHeight = Math.ceil(fontSize * (1.2 * rows.length + 2) + 2 * bleed);
+    const x = { start: fontSize + bleed, middle: canvasWidth / 2, end: canvasWidth - fontSize - bleed }[anchor];
+    const y = fontSize * 1.5 + bleed;
+    const content = await this._createTextMarkup(lines, { fontSize, color, font, anchor, x, y });
+    const render = alpha => Buffer.from(this._createSvgWatermark(lines, fontSize, color, alpha, { x, y }, {
+      width: canvasWidth,
+      height: canvasHeight,
+      stroke,
+      shadow,
+      content
+    }));
+
+    const { info } = await sharp(render(1)).trim().toBuffer({ resolveWithObject: true });
+    const { data, info: mark } = await sharp(render(opacity))
+      .extract({ left: -info.trimOffsetLeft, top: -info.trimOffsetTop, width: info.width, height: info.height })
+      .resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, width: mark.width, height: mark.height };
+  }
+
+  /**
+   * Splits watermark lines into rows: the first entry is the main text, which
+   * may contain line breaks; further entries are drawn smaller below it
+   * @private
+   */
+  _splitTextLines(lines) {
+    const [first = '', ...rest] = Array.isArray(lines) ? lines : [lines];
+    const main = String(first).split(/\r?\n/).filter(line => line.trim());
+
+    return [
+      ...main.map(line => ({ text: line, small: false })),
+      ...rest.filter(Boolean).map(line => ({ text: String(line), small: true }))
+    ];
+  }
+
+  /**
+   * Escapes text for use in SVG and Pango markup
+   * @private
+   */
+  _escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Creates the SVG markup drawing watermark lines with their first baseline
+   * at (x, y). Text in an uploaded font is rendered by Pango, since the SVG
+   * renderer only sees installed fonts, and embedded as an image; if the font
+   * file is missing or cannot be used, the default font is used instead.
+   * @private
+   * @returns {Promise<string>} - SVG element markup
+   */
+  async _createTextMarkup(lines, { fontSize, color, font, anchor = 'start', x, y }) {
+    if (font?.file && font.family) {
+      try {
+        await fs.promises.access(font.file, fs.constants.R_OK);
+        const rows = this._splitTextLines(lines);
+        const markup = rows
+          .map(row => row.small
+            ? `<span size="${Math.round(fontSize * 0.6 * 1024)}">${this._escapeXml(row.text)}</span>`
+            : this._escapeXml(row.text))
+          .join('\n');
+        const { data, info } = await sharp({
+          text: {
+            text: `<span foreground="${color}">${markup}</span>`,
+            font: `${font.family.replace(/[,\\]/g, ' ')}, ${fontSize}`,
+            fontfile: font.file,
+            align: { start: 'left', middle: 'centre', end: 'right' }[anchor],
+            dpi: 72, // one point per pixel, so sizes match the SVG text
+            rgba: true
+          }
+        }).png().toBuffer({ resolveWithObject: true });
+        const left = x - { start: 0, middle: info.width / 2, end: info.width }[anchor];
+
+        return `<image x="${left}" y="${y - fontSize}" width="${info.width}" height="${info.height}" href="data:image/png;base64,${data.toString('base64')}"/>`;
+      } catch (error) {
+        // Font unavailable; fall back to SVG text in the default font
+      }
+    }
+
+    return this._createTextElement(lines, fontSize, color, { x, y }, anchor);
+  }
+
+  /**
+   * Shadow settings may be switched off with `enabled: false`
+   * @private
+   */
+  _hasShadow(shadow) {
+    return Boolean(shadow) && shadow.enabled !== false;
+  }
+
+  /**
+   * Builds an SVG filter outlining and/or shadowing the watermark text
+   * @private
+   * @returns {string} - Filter markup, or an empty string without effects
+   */
+  _createEffectsFilter(id, { stroke, shadow } = {}) {
+    const outlined = stroke && stroke.width > 0;
+    if (!outlined && !this._hasShadow(shadow)) {
+      return '';
+    }
+
+    const primitives = [];
+    if (outlined) {
+      primitives.push(
+        `<feMorphology in="SourceAlpha" operator="dilate" radius="${stroke.width}" result="outline-shape"/>`,
+        `<feFlood flood-color="${stroke.color || '#000000'}"/>`,
+        '<feComposite in2="outline-shape" operator="in" result="outline"/>',
+        '<feMerge result="lettering"><feMergeNode in="outline"/><feMergeNode in="SourceGraphic"/></feMerge>'
+      );
+    }
+    const lettering = outlined ? 'lettering' : 'SourceGraphic';
+    if (this._hasShadow(shadow)) {
+      primitives.push(
+        `<feGaussianBlur in="${lettering}" stdDeviation="${shadow.blur || 0}"/>`,
+        `<feOffset dx="${shadow.offsetX || 0}" dy="${shadow.offsetY || 0}" result="shadow-shape"/>`,
+        `<feFlood flood-color="${shadow.color || '#000000'}"/>`,
+        '<feComposite in2="shadow-shape" operator="in" result="shadow"/>',
+        `<feMerge><feMergeNode in="shadow"/><feMergeNode in="${lettering}"/></feMerge>`
+      );
+    }
+
+    return `<filter id="${id}" x="-50%" y="-100%" width="200%" height="300%" color-interpolation-filters="sRGB">${primitives.join('')}</filter>`;
+  }
+
+  /**
+   * Stamps a logo onto an image, tiled, in one corner or centered
+   * @private
+   */
+  async _applyLogoWatermark(imageBuffer, watermarkConfig, output = {}) {
+    const {
+      buffer: logoBuffer,
+      mode = 'tiled',
+      position = 'bottom-right',
+      scale = 0.2,
+      opacity = 0.5,
+      rotation = 0
+    } = watermarkConfig.logo || {};
+    const { spacing = 200 } = watermarkConfig;
+
+    if (!logoBuffer) {
+      throw new Error('No logo provided for logo watermark');
+    }
+
+    const image = sharp(imageBuffer);
+    const metadata = await image.metadata();
+    const { width, height } = metadata;
+    const logo = await this._renderLogo(logoBuffer, {
+      width: Math.max(1, Math.round(width * scale)),
+      opacity,
+      rotation,
+      maxWidth: width,
+      maxHeight: height
+    });
+
+    let overlay;
+    if (mode === 'tiled') {
+      // Pad the logo so repeated copies are `spacing` apart, without outgrowing the image
+      const padX = Math.floor(Math.min(spacing, width - logo.width) / 2);
+      const padY = Math.floor(Math.min(spacing, height - logo.height) / 2);
+      const tile = await sharp(logo.buffer)
+        .extend({ top: padY, bottom: padY, left: padX, right: padX, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer();
+      overlay = { input: tile, tile: true, left: 0, top: 0 };
+    } else if (mode === 'center') {
+      overlay = {
+        input: logo.buffer,
+        left: Math.round((width - logo.width) / 2),
+        top: Math.round((height - logo.height) / 2)
+      };
+    } else {
+      const margin = Math.round(Math.min(width, height) * 0.03);
+      const maxLeft = width - logo.width;
+      const maxTop = height - logo.height;
+      overlay = {
+        input: logo.buffer,
+        left: position.endsWith('left') ? Math.min(margin, maxLeft) : Math.max(maxLeft - margin, 0),
+        top: position.startsWith('top') ? Math.min(margin, maxTop) : Math.max(maxTop - margin, 0)
+      };
+    }
+
+    return this._encodeImage(image.composite([overlay]), metadata, output).toBuffer();
+  }
+
+  /**
+   * Picks the output format of a processed image: the input format for
+   * 'auto', or PNG/JPEG (by transparency) for inputs that cannot be written back
+   * @private
+   * @param {Object} metadata - Input image metadata
+   * @param {string} format - Requested format
+   * @returns {string} - 'jpeg', 'png' or 'webp'
+   */
+  _resolveOutputFormat(metadata, format = 'auto') {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported output format: ${format}`);
+    }
+    if (format !== 'auto') {
+      return format;
+    }
+    if (['jpeg', 'png', 'webp'].includes(metadata.format)) {
+      return metadata.format;
+    }
+    return metadata.hasAlpha ? 'png' : 'jpeg';
+  }
+
+  /**
+   * Encodes a processed image, keeping transparency for PNG and WebP.
+   * JPEG has no alpha channel, so transparent areas become white rather than black.
+   * @private
+   * @param {Object} image - Sharp pipeline
+   * @param {Object} metadata - Input image metadata
+   * @param {Object} output - Output encoding ({ format, quality })
+   * @returns {Object} - Sharp pipeline with the output format set
+   */
+  _encodeImage(image, metadata, { format = 'auto', quality = 90 } = {}) {
+    switch (this._resolveOutputFormat(metadata, format)) {
+      case 'png':
+        return image.png({ compressionLevel: 9 });
+      case 'webp':
+        return image.webp({ quality, alphaQuality: 100 });
       default:
-        return { x: imageWidth - (fontSize * 8) - padding, y: imageHeight - fontSize - padding };
+        return image.flatten({ background: '#ffffff' }).jpeg({ quality });
+    }
+  }
+
+  /**
+   * File details of a processed image written in the given format,
+   * renaming the file when its format changed
+   * @private
+   */
+  _describeOutput(file, format) {
+    const extension = { jpeg: '.jpg', png: '.png', webp: '.webp' }[format];
+    const mimetype = `image/${format}`;
+    if (!file.originalname || file.mimetype === mimetype) {
+      return { format, mimetype };
+    }
+
+    const { name } = path.parse(file.originalname);
+    return { format, mimetype, originalname: `${name}${extension}` };
+  }
+
+  /**
+   * Rasterizes a PNG or SVG logo at the given width, rotated and faded
+   * @private
+   * @returns {Promise<Object>} - PNG buffer with its width and height
+   */
+  async _renderLogo(logoBuffer, { width, opacity, rotation, maxWidth, maxHeight }) {
+    // Render SVGs at a high density so they stay sharp when scaled up
+    let logo = await sharp(logoBuffer, { density: 300 }).resize({ width }).png().toBuffer();
+
+    if (rotation) {
+      logo = await sharp(logo).rotate(rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
     }
+
+    // Rotating grows the bounding box; composites must fit inside the image
+    logo = await sharp(logo)
+      .resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+      .then(({ data, info }) => {
+        for (let i = 3; i < data.length; i += 4) {
+          data[i] = Math.round(data[i] * opacity);
+        }
+        return sharp(data, { raw: info }).png().toBuffer({ resolveWithObject: true });
+      });
+
+    return { buffer: logo.data, width: logo.info.width, height: logo.info.height };
   }
 
   /**
-   * Creates SVG watermark text
+   * Creates an SVG with watermark text, outlined and shadowed if requested.
+   * `content` replaces the text element with pre-rendered markup.
    * @private
    */
-  _createSvgWatermark(text, fontSize, color, opacity, positions) {
+  _createSvgWatermark(text, fontSize, color, opacity, positions, { width = '100%', height = '100%', anchor = 'start', stroke, shadow, content } = {}) {
+    const filter = this._createEffectsFilter('watermark-effects', { stroke, shadow });
+
     return `
-      <svg width="100%" height="100%">
-        <text 
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        ${filter ? `<defs>${filter}</defs>` : ''}
+        <g opacity="${opacity}"${filter ? ' filter="url(#watermark-effects)"' : ''}>
+          ${content || this._createTextElement(text, fontSize, color, positions, anchor)}
+        </g>
+      </svg>
+    `;
+  }
+
+  /**
+   * Creates an SVG text element; lines of the main text are stacked and
+   * further entries are drawn smaller below them
+   * @private
+   */
+  _createTextElement(text, fontSize, color, positions, anchor = 'start') {
+    const [first, ...rest] = this._splitTextLines(text);
+    const tspans = rest
+      .map(row => row.small
+        ? `<tspan x="${positions.x}" dy="${fontSize}" font-size="${Math.round(fontSize * 0.6)}" font-weight="normal">${this._escapeXml(row.text)}</tspan>`
+        : `<tspan x="${positions.x}" dy="${Math.round(fontSize * 1.2)}">${this._escapeXml(row.text)}</tspan>`)
+      .join('');
+
+    return `<text 
           x="${positions.x}" 
           y="${positions.y}" 
           font-family="Arial, sans-serif" 
           font-size="${fontSize}" 
           fill="${color}" 
-          opacity="${opacity}"
           font-weight="bold"
-        >${text}</text>
-      </svg>
-    `;
+          text-anchor="${anchor}"
+        >${first ? this._escapeXml(first.text) : ''}${tspans}</text>`;
   }
 
   /**
@@ -449,6 +1646,355 @@ class ImageService {
     }
   }
 
+  /**
+   * Places images in a uniform grid
+   * @private
+   * @returns {Array} - Cells with image index, left, top, width and height
+   */
+  _calculateGridCells(imageCount, layoutType, width, height, spacing) {
+    const { rows, cols } = this._calculateGridLayout(imageCount, layoutType);
+    const cellWidth = Math.floor((width - (spacing * (cols + 1))) / cols);
+    const cellHeight = Math.floor((height - (spacing * (rows + 1))) / rows);
+
+    const cells = [];
+    for (let index = 0; index < imageCount; index++) {
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      cells.push({
+        index,
+        left: spacing + (col * (cellWidth + spacing)),
+        top: spacing + (row * (cellHeight + spacing)),
+        width: cellWidth,
+        height: cellHeight
+      });
+    }
+    return cells;
+  }
+
+  /**
+   * Places the first image large, with the others as thumbnails beside it
+   * (to the right on landscape and square collages, below on portrait ones)
+   * @private
+   * @returns {Array} - Cells with image index, left, top, width and height
+   */
+  _calculateFeaturedLayout(imageCount, width, height, spacing) {
+    const thumbnailCount = imageCount - 1;
+    const beside = width >= height;
+    const heroShare = 2 / 3;
+
+    const hero = {
+      index: 0,
+      left: spacing,
+      top: spacing,
+      width: beside ? Math.floor((width - 3 * spacing) * heroShare) : width - 2 * spacing,
+      height: beside ? height - 2 * spacing : Math.floor((height - 3 * spacing) * heroShare)
+    };
+    if (thumbnailCount === 0) {
+      return [{ ...hero, width: width - 2 * spacing, height: height - 2 * spacing }];
+    }
+
+    // Thumbnails share the rest of the canvas in cells as close to square as possible
+    const area = beside
+      ? { left: hero.width + 2 * spacing, top: spacing, width: width - hero.width - 3 * spacing, height: hero.height }
+      : { left: spacing, top: hero.height + 2 * spacing, width: hero.width, height: height - hero.height - 3 * spacing };
+    const cols = Math.min(thumbnailCount, Math.max(1, Math.round(Math.sqrt(thumbnailCount * area.width / area.height))));
+    const rows = Math.ceil(thumbnailCount / cols);
+    const cellWidth = Math.floor((area.width - spacing * (cols - 1)) / cols);
+    const cellHeight = Math.floor((area.height - spacing * (rows - 1)) / rows);
+
+    const cells = [hero];
+    for (let i = 0; i < thumbnailCount; i++) {
+      cells.push({
+        index: i + 1,
+        left: area.left + (i % cols) * (cellWidth + spacing),
+        top: area.top + Math.floor(i / cols) * (cellHeight + spacing),
+        width: cellWidth,
+        height: cellHeight
+      });
+    }
+    return cells;
+  }
+
+  /**
+   * Lays images out in rows of equal height spanning the collage width,
+   * keeping each image's aspect ratio. The row count is chosen so the rows
+   * fill the collage height as closely as possible; the result is scaled
+   * down to fit and centered.
+   * @private
+   * @param {number[]} ratios - Width / height of each image
+   * @returns {Array} - Cells with image index, left, top, width and height
+   */
+  _calculateMosaicLayout(ratios, width, height, spacing) {
+    const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    let best = null;
+
+    for (let rowCount = 1; rowCount <= ratios.length; rowCount++) {
+      // Split the images in order into rows of about the same total aspect ratio
+      const rows = [];
+      let row = [];
+      let rowRatio = 0;
+      let done = 0;
+      ratios.forEach((ratio, index) => {
+        const target = (total - done) / (rowCount - rows.length);
+        const remainingRows = rowCount - rows.length - 1;
+        const remainingImages = ratios.length - index;
+        if (row.length && remainingRows > 0 && remainingImages >= remainingRows
+          && (rowRatio + ratio / 2 > target || remainingImages === remainingRows)) {
+          rows.push(row);
+          done += rowRatio;
+          row = [];
+          rowRatio = 0;
+        }
+        row.push(index);
+        rowRatio += ratio;
+      });
+      rows.push(row);
+
+      const rowHeights = rows.map(indexes => (width - spacing * (indexes.length + 1)) / indexes.reduce((sum, i) => sum + ratios[i], 0));
+      const layoutHeight = rowHeights.reduce((sum, rowHeight) => sum + rowHeight, 0) + spacing * (rows.length + 1);
+      if (!best || Math.abs(layoutHeight - height) < Math.abs(best.layoutHeight - height)) {
+        best = { rows, rowHeights, layoutHeight };
+      }
+    }
+
+    const scale = Math.min(1, height / best.layoutHeight);
+    const offsetX = (width - width * scale) / 2;
+    const offsetY = (height - best.layoutHeight * scale) / 2;
+    const cells = [];
+    let y = spacing;
+    best.rows.forEach((indexes, rowIndex) => {
+      const rowHeight = best.rowHeights[rowIndex];
+      let x = spacing;
+      for (const index of indexes) {
+        const cellWidth = ratios[index] * rowHeight;
+        cells.push(this._scaleCell(index, x, y, cellWidth, rowHeight, scale, offsetX, offsetY));
+        x += cellWidth + spacing;
+      }
+      y += rowHeight + spacing;
+    });
+    return cells;
+  }
+
+  /**
+   * Lays images out in columns of equal width, each image going to the
+   * shortest column and keeping its aspect ratio. The column count is chosen
+   * so the columns fill the collage height as closely as possible; the result
+   * is scaled down to fit and centered.
+   * @private
+   * @param {number[]} ratios - Width / height of each image
+   * @returns {Array} - Cells with image index, left, top, width and height
+   */
+  _calculateMasonryLayout(ratios, width, height, spacing) {
+    let best = null;
+
+    for (let columnCount = 1; columnCount <= ratios.length; columnCount++) {
+      const columnWidth = (width - spacing * (columnCount + 1)) / columnCount;
+      const columnHeights = new Array(columnCount).fill(spacing);
+      const placements = ratios.map((ratio, index) => {
+        const column = columnHeights.indexOf(Math.min(...columnHeights));
+        const placement = { index, x: spacing + column * (columnWidth + spacing), y: columnHeights[column], height: columnWidth / ratio };
+        columnHeights[column] += placement.height + spacing;
+        return placement;
+      });
+
+      const layoutHeight = Math.max(...columnHeights);
+      if (!best || Math.abs(layoutHeight - height) < Math.abs(best.layoutHeight - height)) {
+        best = { placements, columnWidth, layoutHeight };
+      }
+    }
+
+    const scale = Math.min(1, height / best.layoutHeight);
+    const offsetX = (width - width * scale) / 2;
+    const offsetY = (height - best.layoutHeight * scale) / 2;
+    return best.placements.map(({ index, x, y, height: cellHeight }) => (
+      this._scaleCell(index, x, y, best.columnWidth, cellHeight, scale, offsetX, offsetY)
+    ));
+  }
+
+  /**
+   * Scales a layout cell and rounds it to whole pixels
+   * @private
+   */
+  _scaleCell(index, x, y, width, height, scale, offsetX, offsetY) {
+    const left = Math.round(offsetX + x * scale);
+    const top = Math.round(offsetY + y * scale);
+    return {
+      index,
+      left,
+      top,
+      width: Math.max(1, Math.round(offsetX + (x + width) * scale) - left),
+      height: Math.max(1, Math.round(offsetY + (y + height) * scale) - top)
+    };
+  }
+
+  /**
+   * Reads the aspect ratio of each image; unreadable images count as square
+   * @private
+   * @returns {Promise<number[]>} - Width / height of each image
+   */
+  async _getAspectRatios(images) {
+    return Promise.all(images.map(async image => {
+      try {
+        const { width, height } = await sharp(image.buffer).metadata();
+        return width / height;
+      } catch (error) {
+        return 1;
+      }
+    }));
+  }
+
+  /**
+   * Replaces `{count}` and `{format}` in collage text with the number of
+   * images and their file format
+   * @private
+   */
+  _fillBundleText(text, images) {
+    // Use the file format when all images share one, e.g. "PNG"
+    const formats = [...new Set(images.map(image => (image.mimetype || '').replace(/^image\//, '').replace('jpeg', 'jpg')))];
+    const format = formats.length === 1 && formats[0] ? formats[0].toUpperCase() : 'image';
+    return text.replace(/\{count\}/g, images.length).replace(/\{format\}/g, format);
+  }
+
+  /**
+   * Renders a full-width collage header or footer with its text fitted inside
+   * @private
+   * @returns {Promise<Object|null>} - PNG buffer and band height, or null without text
+   */
+  async _createTextBand(band, images, width, height) {
+    if (!band || !band.text || !band.text.trim()) {
+      return null;
+    }
+    const {
+      height: share = 0.12,
+      color = '#FFFFFF',
+      backgroundColor = '#222222',
+      align = 'center'
+    } = band;
+
+    const bandHeight = Math.round(height * share);
+    const padding = Math.round(bandHeight * 0.2);
+    const mark = await this._renderTextBlock([this._fillBundleText(band.text, images)], {
+      fontSize: Math.round(bandHeight * 0.45),
+      color,
+      opacity: 1,
+      maxWidth: width - 2 * padding,
+      maxHeight: bandHeight - 2 * padding
+    });
+    const left = {
+      left: padding,
+      center: Math.round((width - mark.width) / 2),
+      right: width - padding - mark.width
+    }[align];
+
+    const input = await sharp({
+      create: { width, height: bandHeight, channels: 4, background: backgroundColor }
+    })
+      .composite([{ input: mark.buffer, left, top: Math.round((bandHeight - mark.height) / 2) }])
+      .png()
+      .toBuffer();
+    return { input, height: bandHeight };
+  }
+
+  /**
+   * Cuts rounded corners into a collage cell
+   * @private
+   * @returns {Promise<Buffer>} - PNG with transparent corners
+   */
+  async _roundCorners(buffer, width, height, radius) {
+    const mask = Buffer.from(`
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <rect width="${width}" height="${height}" rx="${radius}" ry="${radius}"/>
+      </svg>
+    `);
+    return sharp(buffer)
+      .ensureAlpha()
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Draws the drop shadows of all collage cells on one canvas-sized overlay
+   * @private
+   * @returns {Buffer} - SVG buffer
+   */
+  _createCellShadows(cells, width, height, radius, shadow) {
+    const { color = '#000000', opacity = 0.35, blur = 8, offsetX = 0, offsetY = 4 } = shadow;
+    const rects = cells.map(cell => (
+      `<rect x="${cell.left + offsetX}" y="${cell.top + offsetY}" width="${cell.width}" height="${cell.height}" rx="${radius}" ry="${radius}"/>`
+    )).join('');
+
+    return Buffer.from(`
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+          <filter id="cell-shadow" filterUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">
+            <feGaussianBlur stdDeviation="${blur}"/>
+          </filter>
+        </defs>
+        <g fill="${color}" fill-opacity="${opacity}"${blur > 0 ? ' filter="url(#cell-shadow)"' : ''}>${rects}</g>
+      </svg>
+    `);
+  }
+
+  /**
+   * Draws the borders of all collage cells, inside the cells, on one
+   * canvas-sized overlay
+   * @private
+   * @returns {Buffer} - SVG buffer
+   */
+  _createCellBorders(cells, width, height, radius, borderWidth, color) {
+    const inset = borderWidth / 2;
+    const cornerRadius = Math.max(0, radius - inset);
+    const rects = cells.map(cell => (
+      `<rect x="${cell.left + inset}" y="${cell.top + inset}" width="${Math.max(0, cell.width - borderWidth)}" height="${Math.max(0, cell.height - borderWidth)}" rx="${cornerRadius}" ry="${cornerRadius}"/>`
+    )).join('');
+
+    return Buffer.from(`
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <g fill="none" stroke="${color}" stroke-width="${borderWidth}">${rects}</g>
+      </svg>
+    `);
+  }
+
+  /**
+   * Renders a badge such as "25 PNG files" for a corner of the collage
+   * @private
+   * @returns {Promise<Object>} - Composite operation for the badge
+   */
+  async _createBundleBadge(images, badge, width, height) {
+    const {
+      text = '{count} {format} files',
+      position = 'top-right',
+      color = '#FFFFFF',
+      backgroundColor = '#222222'
+    } = badge;
+
+    const label = this._fillBundleText(text, images);
+    const fontSize = Math.round(Math.min(width, height) * 0.045);
+    const padding = Math.round(fontSize * 0.6);
+    const margin = Math.round(Math.min(width, height) * 0.03);
+    const mark = await this._renderTextBlock([label], {
+      fontSize,
+      color,
+      opacity: 1,
+      maxWidth: width - 2 * (margin + padding),
+      maxHeight: height - 2 * (margin + padding)
+    });
+    const badgeWidth = mark.width + 2 * padding;
+    const badgeHeight = mark.height + 2 * padding;
+    const pill = await sharp(Buffer.from(`
+      <svg width="${badgeWidth}" height="${badgeHeight}" xmlns="http://www.w3.org/2000/svg">
+        <rect width="${badgeWidth}" height="${badgeHeight}" rx="${Math.round(badgeHeight / 2)}" fill="${backgroundColor}"/>
+      </svg>
+    `))
+      .composite([{ input: mark.buffer, left: padding, top: padding }])
+      .png()
+      .toBuffer();
+
+    const { x, y } = this._calculateWatermarkPosition(position, width, height, { width: badgeWidth, height: badgeHeight }, margin);
+    return { input: pill, left: x, top: y };
+  }
+
   /**
    * Prepares images for collage by resizing and cropping to fit cells
    * @private
@@ -493,6 +2039,201 @@ class ImageService {
 
     return processedImages;
   }
+
+  /**
+   * Warps raw RGBA artwork onto a quadrilateral of a canvas. Each covered
+   * canvas pixel is mapped back into the artwork and sampled bilinearly;
+   * pixels on the edges of the quad are partly transparent, which smooths
+   * the outline.
+   * @private
+   * @returns {Object|null} - Raw RGBA buffer of the quad's bounding box with its position, or null if the quad is off the canvas
+   */
+  _warpPerspective(art, artWidth, artHeight, quad, canvasWidth, canvasHeight) {
+    const xs = quad.map(point => point[0]);
+    const ys = quad.map(point => point[1]);
+    const left = Math.max(0, Math.floor(Math.min(...xs)));
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const right = Math.min(canvasWidth, Math.ceil(Math.max(...xs)));
+    const bottom = Math.min(canvasHeight, Math.ceil(Math.max(...ys)));
+    if (right <= left || bottom <= top) {
+      return null;
+    }
+
+    const m = invertMatrix(getPerspectiveTransform(
+      [[0, 0], [artWidth, 0], [artWidth, artHeight], [0, artHeight]],
+      quad
+    ));
+
+    // Edge directions, oriented so the distance to every edge is positive inside
+    let area = 0;
+    quad.forEach(([x, y], i) => {
+      const [nextX, nextY] = quad[(i + 1) % 4];
+      area += x * nextY - nextX * y;
+    });
+    const edges = quad.map(([x, y], i) => {
+      const [nextX, nextY] = quad[(i + 1) % 4];
+      const length = Math.hypot(nextX - x, nextY - y) * Math.sign(area);
+      return { x, y, dx: (nextX - x) / length, dy: (nextY - y) / length };
+    });
+
+    const width = right - left;
+    const height = bottom - top;
+    const buffer = Buffer.alloc(width * height * 4);
+    for (let row = 0; row < height; row++) {
+      const py = top + row + 0.5;
+      for (let col = 0; col < width; col++) {
+        const px = left + col + 0.5;
+
+        let coverage = 1;
+        for (const edge of edges) {
+          coverage = Math.min(coverage, edge.dx * (py - edge.y) - edge.dy * (px - edge.x) + 0.5);
+        }
+        if (coverage <= 0) {
+          continue;
+        }
+
+        const w = m[6] * px + m[7] * py + m[8];
+        const u = Math.min(Math.max((m[0] * px + m[1] * py + m[2]) / w - 0.5, 0), artWidth - 1);
+        const v = Math.min(Math.max((m[3] * px + m[4] * py + m[5]) / w - 0.5, 0), artHeight - 1);
+        const x0 = Math.floor(u);
+        const y0 = Math.floor(v);
+        const x1 = Math.min(x0 + 1, artWidth - 1);
+        const y1 = Math.min(y0 + 1, artHeight - 1);
+        const fx = u - x0;
+        const fy = v - y0;
+
+        const out = (row * width + col) * 4;
+        const i00 = (y0 * artWidth + x0) * 4;
+        const i10 = (y0 * artWidth + x1) * 4;
+        const i01 = (y1 * artWidth + x0) * 4;
+        const i11 = (y1 * artWidth + x1) * 4;
+        for (let c = 0; c < 3; c++) {
+          const topValue = art[i00 + c] + (art[i10 + c] - art[i00 + c]) * fx;
+          const bottomValue = art[i01 + c] + (art[i11 + c] - art[i01 + c]) * fx;
+          buffer[out + c] = Math.round(topValue + (bottomValue - topValue) * fy);
+        }
+        buffer[out + 3] = Math.round(coverage * 255);
+      }
+    }
+
+    return { buffer, left, top, width, height };
+  }
+
+  /**
+   * Draws the blurred shadow cast by a mockup's artwork
+   * @private
+   * @returns {Buffer} - SVG buffer the size of the background
+   */
+  _createMockupShadow(quad, shadow, width, height) {
+    const { color = '#000000', opacity = 0.3, blur = 6, offsetX = 0, offsetY = 4 } = shadow;
+    const points = quad.map(([x, y]) => `${x + offsetX},${y + offsetY}`).join(' ');
+
+    return Buffer.from(`
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+          <filter id="mockup-shadow" filterUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">
+            <feGaussianBlur stdDeviation="${blur}"/>
+          </filter>
+        </defs>
+        <polygon points="${points}" fill="${color}" fill-opacity="${opacity}"${blur > 0 ? ' filter="url(#mockup-shadow)"' : ''}/>
+      </svg>
+    `);
+  }
+
+  /**
+   * Builds a background mask by color key: the background color is the
+   * median color of the image border, and the background is every pixel
+   * within `tolerance` of it that is connected to the border. Product pixels
+   * along the cut that are close to the background color get partial alpha,
+   * which keeps anti-aliased edges smooth.
+   * @private
+   * @param {Buffer} data - Raw RGBA pixels
+   * @returns {Object} - Single-channel `mask` (0 background, 255 product) and the `keyColor` as hex
+   * @throws {Error} If the border is not a plain color
+   */
+  _colorKeyMask(data, width, height, tolerance) {
+    const border = [];
+    for (let x = 0; x < width; x++) {
+      border.push(x, (height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      border.push(y * width, y * width + width - 1);
+    }
+
+    const median = channel => {
+      const values = border.map(i => data[i * 4 + channel]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    };
+    const key = [median(0), median(1), median(2)];
+    // Already transparent pixels always count as background
+    const distance = i => (data[i * 4 + 3] < 16 ? 0 : Math.sqrt(
+      (data[i * 4] - key[0]) ** 2 + (data[i * 4 + 1] - key[1]) ** 2 + (data[i * 4 + 2] - key[2]) ** 2
+    ));
+
+    const seeds = border.filter(i => distance(i) <= tolerance);
+    if (seeds.length < border.length * 0.6) {
+      throw new Error('Background is not a plain color; busy backgrounds need a segmentation model (BACKGROUND_SEGMENTER)');
+    }
+
+    // Flood fill the background from the border
+    const mask = Buffer.alloc(width * height, 255);
+    const stack = new Int32Array(width * height);
+    let top = 0;
+    for (const i of seeds) {
+      if (mask[i]) {
+        mask[i] = 0;
+        stack[top++] = i;
+      }
+    }
+    const isBackground = n => n >= 0 && n < mask.length && mask[n] === 0;
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      for (const n of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+        if (n >= 0 && n < mask.length && mask[n] && distance(n) <= tolerance) {
+          mask[n] = 0;
+          stack[top++] = n;
+        }
+      }
+    }
+
+    // Soften the product pixels along the cut by how close they are to the background color
+    const edges = [];
+    for (let i = 0; i < mask.length; i++) {
+      const x = i % width;
+      if (mask[i] && ((x > 0 && isBackground(i - 1)) || (x < width - 1 && isBackground(i + 1))
+        || isBackground(i - width) || isBackground(i + width))) {
+        edges.push(i);
+      }
+    }
+    for (const i of edges) {
+      mask[i] = Math.round(255 * Math.min(1, (distance(i) - tolerance) / tolerance));
+    }
+
+    const keyColor = `#${key.map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+    return { mask, keyColor };
+  }
+
+  /**
+   * Runs a segmentation model and brings its mask to the image size
+   * @private
+   * @returns {Promise<Buffer>} - Single-channel mask (0 background, 255 product)
+   */
+  async _runSegmenter(segmenter, imageBuffer, width, height) {
+    const result = await segmenter(imageBuffer, { width, height });
+    if (!Buffer.isBuffer(result)) {
+      throw new Error('Segmentation model must return a Buffer');
+    }
+    if (result.length === width * height) {
+      return result;
+    }
+    return sharp(result)
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+  }
 }
 
 module.exports = ImageService;
\ No newline at end of file
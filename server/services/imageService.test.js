@@ -2,6 +2,7 @@ const ImageService = require('./imageService');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 
 describe('ImageService', () => {
   let imageService;
@@ -128,6 +129,205 @@ describe('ImageService', () => {
     });
   });
 
+  describe('duplicate detection', () => {
+    const pattern = (width, height, flip = false) => sharp(Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 90 80">
+        <rect width="90" height="80" fill="#ffffff"/>
+        <rect x="${flip ? 45 : 0}" width="45" height="80" fill="#202020"/>
+        <circle cx="${flip ? 25 : 65}" cy="40" r="20" fill="#808080"/>
+      </svg>`
+    )).jpeg().toBuffer();
+
+    it('should give a resized copy nearly the same hash', async () => {
+      const original = await imageService.computePerceptualHash(await pattern(900, 800));
+      const resized = await imageService.computePerceptualHash(await pattern(450, 400));
+
+      expect(original).toMatch(/^[0-9a-f]{16}$/);
+      expect(imageService._hammingDistance(original, resized)).toBeLessThanOrEqual(5);
+    });
+
+    it('should report near-duplicates and keep the largest copy', async () => {
+      const images = [
+        { buffer: await pattern(450, 400) },
+        { buffer: await pattern(450, 400, true) },
+        { buffer: await pattern(900, 800) }
+      ];
+
+      const result = await imageService.findDuplicateImages(images);
+
+      expect(result.pairs).toHaveLength(1);
+      expect(result.pairs[0].indexes).toEqual([0, 2]);
+      expect(result.duplicates).toEqual([0]);
+    });
+
+    it('should honour the threshold', async () => {
+      const images = [{ buffer: await pattern(900, 800) }, { buffer: await pattern(900, 800, true) }];
+
+      expect((await imageService.findDuplicateImages(images)).pairs).toHaveLength(0);
+      expect((await imageService.findDuplicateImages(images, { threshold: 64 })).duplicates).toEqual([1]);
+    });
+
+    it('should skip images that cannot be read', async () => {
+      const images = [{ buffer: Buffer.from('not an image') }, { buffer: testImageSmall }];
+
+      const result = await imageService.findDuplicateImages(images);
+
+      expect(result).toEqual({ pairs: [], duplicates: [] });
+    });
+  });
+
+  describe('analyzeImageQuality', () => {
+    let detailed;
+
+    beforeAll(async () => {
+      const stripes = Array.from({ length: 40 }, (_, i) => `<rect x="${i * 60}" width="30" height="2000" fill="#222"/>`).join('');
+      detailed = await sharp(Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="2400" height="2000"><rect width="2400" height="2000" fill="#ddd"/>${stripes}</svg>`
+      )).jpeg().toBuffer();
+    });
+
+    it('should pass a sharp image that meets the Etsy size', async () => {
+      const result = await imageService.analyzeImageQuality(detailed);
+
+      expect(result).toMatchObject({ width: 2400, height: 2000, aspectRatio: 1.2, overexposed: 0, score: 100, warnings: [] });
+      expect(result.sharpness).toBeGreaterThan(100);
+    });
+
+    it('should flag blurry images', async () => {
+      const blurry = await sharp(detailed).blur(10).jpeg().toBuffer();
+
+      const result = await imageService.analyzeImageQuality(blurry);
+
+      expect(result.scores.sharpness).toBeLessThan(50);
+      expect(result.warnings).toEqual([expect.stringContaining('Looks blurry')]);
+    });
+
+    it('should flag images below the Etsy minimum and recommended sizes', async () => {
+      const tiny = await imageService.analyzeImageQuality(await sharp(detailed).resize(600).toBuffer());
+      const small = await imageService.analyzeImageQuality(await sharp(detailed).resize(1200).toBuffer());
+
+      expect(tiny.scores.resolution).toBe(0);
+      expect(tiny.warnings).toContain('Only 600 pixels wide; Etsy needs at least 635');
+      expect(small.scores.resolution).toBe(50);
+      expect(small.warnings).toContain('Shortest side is 1000 pixels; Etsy recommends at least 2000');
+    });
+
+    it('should flag extreme aspect ratios and overexposure', async () => {
+      const banner = await sharp({
+        create: { width: 3000, height: 1000, channels: 3, background: { r: 255, g: 255, b: 255 } }
+      }).png().toBuffer();
+
+      const result = await imageService.analyzeImageQuality(banner, { minSharpness: 0, minShortEdge: 1000 });
+
+      expect(result.aspectRatio).toBe(3);
+      expect(result.overexposed).toBe(1);
+      expect(result.warnings).toEqual([
+        'Extreme aspect ratio 3.0:1; Etsy thumbnails will crop most of it',
+        'Overexposed: 100% of the image is blown-out white'
+      ]);
+    });
+
+    it('should report images that cannot be read', async () => {
+      const results = await imageService.analyzeImages([{ buffer: Buffer.from('not an image') }, { buffer: detailed }]);
+
+      expect(results[0].error).toContain('Quality analysis failed');
+      expect(results[1].score).toBe(100);
+    });
+  });
+
+  describe('removeBackground', () => {
+    let productShot;
+
+    const pixel = async (buffer, x, y) => {
+      const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      const i = (y * info.width + x) * 4;
+      return [...data.subarray(i, i + 4)];
+    };
+
+    beforeAll(async () => {
+      // A red ring on a light grey backdrop; the hole shows the backdrop color
+      productShot = await sharp(Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300">
+          <rect width="400" height="300" fill="#f4f4f2"/>
+          <circle cx="200" cy="150" r="100" fill="#c02020"/>
+          <circle cx="200" cy="150" r="30" fill="#f4f4f2"/>
+        </svg>`
+      )).png().toBuffer();
+    });
+
+    it('should key out a plain backdrop and keep same-colored areas inside the product', async () => {
+      const result = await imageService.removeBackground(productShot, { transparent: true });
+
+      expect(result).toMatchObject({ method: 'color-key', keyColor: '#F4F4F2' });
+      expect(result.removed).toBeCloseTo(1 - Math.PI * 100 * 100 / (400 * 300), 2);
+      expect((await pixel(result.buffer, 5, 5))[3]).toBe(0);
+      expect(await pixel(result.buffer, 200, 70)).toEqual([192, 32, 32, 255]);
+      expect((await pixel(result.buffer, 200, 150))[3]).toBe(255);
+    });
+
+    it('should put the product on a plain color', async () => {
+      const jpeg = await sharp(productShot).jpeg({ quality: 95 }).toBuffer();
+
+      const result = await imageService.removeBackground(jpeg, { backgroundColor: '#0000FF', feather: 0 });
+
+      expect((await sharp(result.buffer).metadata()).format).toBe('jpeg');
+      const [r, g, b] = await pixel(result.buffer, 5, 5);
+      expect(r).toBeLessThan(10);
+      expect(g).toBeLessThan(10);
+      expect(b).toBeGreaterThan(240);
+    });
+
+    it('should write transparent cut-outs of JPEG photos as PNG', async () => {
+      const jpeg = await sharp(productShot).jpeg().toBuffer();
+
+      const result = await imageService.removeBackground(jpeg, { transparent: true });
+
+      expect((await sharp(result.buffer).metadata()).format).toBe('png');
+    });
+
+    it('should refuse busy backgrounds without a segmentation model', async () => {
+      const gradient = await sharp(Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">
+          <linearGradient id="g"><stop offset="0" stop-color="#000"/><stop offset="1" stop-color="#fff"/></linearGradient>
+          <rect width="200" height="200" fill="url(#g)"/>
+        </svg>`
+      )).png().toBuffer();
+
+      await expect(imageService.removeBackground(gradient)).rejects.toThrow('Background is not a plain color');
+    });
+
+    it('should use the mask of a segmentation model', async () => {
+      // Left half background, right half product, at a lower resolution than the image
+      const segmenter = jest.fn(async () => {
+        return sharp({ create: { width: 40, height: 30, channels: 3, background: '#ffffff' } })
+          .composite([{ input: Buffer.from('<svg width="20" height="30"><rect width="20" height="30"/></svg>'), left: 0, top: 0 }])
+          .png()
+          .toBuffer();
+      });
+
+      const result = await imageService.removeBackground(productShot, { segmenter, transparent: true, feather: 0 });
+
+      expect(segmenter).toHaveBeenCalledWith(expect.any(Buffer), { width: 400, height: 300 });
+      expect(result).toMatchObject({ method: 'model', keyColor: null });
+      expect(result.removed).toBeCloseTo(0.5, 1);
+      expect((await pixel(result.buffer, 50, 150))[3]).toBe(0);
+      expect((await pixel(result.buffer, 350, 150))[3]).toBe(255);
+    });
+
+    it('should keep images whose background cannot be removed', async () => {
+      const images = [
+        { buffer: Buffer.from('not an image'), originalname: 'broken.jpg' },
+        { buffer: productShot, originalname: 'ring.png', mimetype: 'image/png' }
+      ];
+
+      const { cutoutImages, errors } = await imageService.removeBackgrounds(images);
+
+      expect(cutoutImages[0]).toMatchObject({ originalname: 'broken.jpg', backgroundRemoved: false });
+      expect(cutoutImages[1]).toMatchObject({ originalname: 'ring.png', backgroundRemoved: true });
+      expect(errors).toEqual([{ index: 0, filename: 'broken.jpg', error: expect.stringContaining('Background removal failed') }]);
+    });
+  });
+
   describe('watermarkImage', () => {
     it('should apply watermark with default settings', async () => {
       const watermarkedBuffer = await imageService.watermarkImage(testImageBuffer);
@@ -210,6 +410,258 @@ describe('ImageService', () => {
     });
   });
 
+  describe('single text watermarks', () => {
+    const whiteImage = () => sharp({
+      create: { width: 800, height: 600, channels: 3, background: { r: 255, g: 255, b: 255 } }
+    }).jpeg().toBuffer();
+
+    // Bounding box of the drawn watermark
+    const findMark = async (buffer) => {
+      const { info } = await sharp(buffer).trim({ threshold: 60 }).toBuffer({ resolveWithObject: true });
+      return { left: -info.trimOffsetLeft, top: -info.trimOffsetTop, width: info.width, height: info.height };
+    };
+
+    const config = { mode: 'single', text: 'My Shop', color: '#000000', opacity: 1, margin: 30 };
+
+    it('should place one mark in the configured corner', async () => {
+      const topLeft = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, position: 'top-left' }));
+      const bottomRight = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, position: 'bottom-right' }));
+
+      expect(topLeft.left).toBeGreaterThanOrEqual(28);
+      expect(topLeft.left).toBeLessThanOrEqual(32);
+      expect(topLeft.top).toBeGreaterThanOrEqual(28);
+      expect(topLeft.top).toBeLessThanOrEqual(32);
+      expect(800 - bottomRight.left - bottomRight.width).toBeGreaterThanOrEqual(28);
+      expect(800 - bottomRight.left - bottomRight.width).toBeLessThanOrEqual(32);
+      expect(Math.abs(bottomRight.width - topLeft.width)).toBeLessThanOrEqual(2);
+    });
+
+    it('should center the mark', async () => {
+      const mark = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, position: 'center' }));
+
+      expect(Math.abs(mark.left + mark.width / 2 - 400)).toBeLessThanOrEqual(2);
+      expect(Math.abs(mark.top + mark.height / 2 - 300)).toBeLessThanOrEqual(2);
+    });
+
+    it('should draw the second line below the text', async () => {
+      const oneLine = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, position: 'top-left' }));
+      const twoLines = await findMark(await imageService.watermarkImage(await whiteImage(), {
+        ...config,
+        position: 'top-left',
+        secondLine: 'myshop.etsy.com'
+      }));
+
+      expect(twoLines.height).toBeGreaterThan(oneLine.height + 15);
+      expect(twoLines.top).toBe(oneLine.top);
+    });
+
+    it('should leave the image unmarked when the text is blank', async () => {
+      const blank = await imageService.watermarkImage(await whiteImage(), { ...config, text: '   \n ', secondLine: ' ' });
+      const { channels } = await sharp(blank).stats();
+
+      expect(channels.every(channel => channel.min > 240)).toBe(true);
+    });
+
+    it('should trim the text before placing it', async () => {
+      const plain = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, position: 'top-left' }));
+      const padded = await findMark(await imageService.watermarkImage(await whiteImage(), {
+        ...config,
+        position: 'top-left',
+        text: '  My Shop  '
+      }));
+
+      expect(padded).toEqual(plain);
+    });
+
+    it('should shrink marks wider than the image', async () => {
+      const mark = await findMark(await imageService.watermarkImage(await whiteImage(), {
+        ...config,
+        text: 'A watermark far too long to fit on this image',
+        fontSize: 100
+      }));
+
+      expect(mark.width).toBeLessThanOrEqual(800 - 2 * 30);
+    });
+  });
+
+  describe('watermark text rendering', () => {
+    const whiteImage = () => sharp({
+      create: { width: 800, height: 600, channels: 3, background: { r: 255, g: 255, b: 255 } }
+    }).jpeg().toBuffer();
+
+    const findMark = async (buffer) => {
+      const { info } = await sharp(buffer).trim({ threshold: 60 }).toBuffer({ resolveWithObject: true });
+      return { left: -info.trimOffsetLeft, top: -info.trimOffsetTop, width: info.width, height: info.height };
+    };
+
+    const config = { mode: 'single', position: 'top-left', text: 'My Shop', color: '#000000', opacity: 1, margin: 30 };
+
+    it('should escape special characters in the SVG', () => {
+      const svg = imageService._createSvgWatermark(['Tom & Jerry <Shop>', '"Quotes" & \'more\''], 24, 'white', 0.7, { x: 100, y: 200 });
+
+      expect(svg).toContain('Tom &amp; Jerry &lt;Shop&gt;');
+      expect(svg).toContain('&quot;Quotes&quot; &amp; &apos;more&apos;');
+      expect(svg).not.toContain('<Shop>');
+    });
+
+    it('should render text with special characters and emoji', async () => {
+      const text = 'Tom & Jerry <Shop> 😀';
+
+      await expect(imageService.watermarkImage(await whiteImage(), { text, secondLine: 'a.com/?x=1&y=2' })).resolves.toBeInstanceOf(Buffer);
+      const mark = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, text }));
+      expect(mark.width).toBeGreaterThan(200);
+    });
+
+    it('should stack the lines of multi-line text', async () => {
+      const oneLine = await findMark(await imageService.watermarkImage(await whiteImage(), config));
+      const twoLines = await findMark(await imageService.watermarkImage(await whiteImage(), { ...config, text: 'My Shop\nHandmade' }));
+
+      expect(twoLines.height).toBeGreaterThan(oneLine.height * 1.5);
+      expect(twoLines.top).toBe(oneLine.top);
+      expect(imageService._createSvgWatermark('My Shop\r\nHandmade', 24, 'white', 1, { x: 10, y: 30 }))
+        .toContain('<tspan x="10" dy="29">Handmade</tspan>');
+    });
+
+    it('should draw the outline and shadow around the text', async () => {
+      const plain = await findMark(await imageService.watermarkImage(await whiteImage(), config));
+      const outlined = await findMark(await imageService.watermarkImage(await whiteImage(), {
+        ...config,
+        color: '#ffffff',
+        stroke: { width: 4, color: '#000000' }
+      }));
+      const shadowed = await findMark(await imageService.watermarkImage(await whiteImage(), {
+        ...config,
+        shadow: { color: '#000000', blur: 0, offsetX: 10, offsetY: 10 }
+      }));
+      const shadowOff = await findMark(await imageService.watermarkImage(await whiteImage(), {
+        ...config,
+        shadow: { enabled: false, color: '#000000', blur: 0, offsetX: 10, offsetY: 10 }
+      }));
+
+      expect(outlined.width).toBeGreaterThanOrEqual(plain.width + 6);
+      expect(shadowed.width).toBeGreaterThanOrEqual(plain.width + 8);
+      expect(shadowed.height).toBeGreaterThanOrEqual(plain.height + 8);
+      expect(shadowOff).toEqual(plain);
+    });
+
+    describe('fonts', () => {
+      let fontDir;
+
+      beforeAll(async () => {
+        fontDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'watermark-font-'));
+      });
+
+      afterAll(async () => {
+        await fs.promises.rm(fontDir, { recursive: true, force: true });
+      });
+
+      it('should render text in an uploaded font as an image', async () => {
+        // Pango itself falls back to a default face for unusable font data
+        const file = path.join(fontDir, 'watermark-font.ttf');
+        await fs.promises.writeFile(file, 'not really a font');
+
+        const markup = await imageService._createTextMarkup(['A & B'], {
+          fontSize: 40,
+          color: '#000000',
+          font: { file, family: 'Shop Font' },
+          x: 0,
+          y: 40
+        });
+
+        expect(markup).toMatch(/^<image x="0" y="0" width="\d+" height="\d+" href="data:image\/png;base64,/);
+      });
+
+      it('should fall back to the default font when the font file is missing', async () => {
+        const font = { file: path.join(fontDir, 'missing.ttf'), family: 'Shop Font' };
+        const withFont = await imageService.watermarkImage(await whiteImage(), { ...config, text: 'A & B', font });
+        const withoutFont = await imageService.watermarkImage(await whiteImage(), { ...config, text: 'A & B' });
+
+        expect(withFont.equals(withoutFont)).toBe(true);
+      });
+    });
+  });
+
+  describe('logo watermarks', () => {
+    let logoPng;
+    const logoSvg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"><rect width="40" height="20" fill="#0000ff"/></svg>');
+
+    // Blank image, so any color change comes from the logo
+    const whiteImage = () => sharp({
+      create: { width: 400, height: 300, channels: 3, background: { r: 255, g: 255, b: 255 } }
+    }).jpeg().toBuffer();
+
+    const pixelAt = async (buffer, x, y) => {
+      const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      const offset = (y * info.width + x) * info.channels;
+      return [...data.slice(offset, offset + 3)];
+    };
+
+    beforeAll(async () => {
+      logoPng = await sharp({
+        create: { width: 100, height: 50, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 1 } }
+      }).png().toBuffer();
+    });
+
+    it('should place a single logo in the configured corner', async () => {
+      const result = await imageService.watermarkImage(await whiteImage(), {
+        type: 'logo',
+        logo: { buffer: logoPng, mode: 'corner', position: 'top-left', scale: 0.25, opacity: 1 }
+      });
+
+      const [r, g, b] = await pixelAt(result, 20, 20);
+      expect(b).toBeGreaterThan(200);
+      expect(r).toBeLessThan(60);
+      expect(g).toBeLessThan(60);
+      expect((await pixelAt(result, 380, 280))[0]).toBeGreaterThan(240);
+    });
+
+    it('should center an SVG logo scaled to the image width', async () => {
+      const result = await imageService.watermarkImage(await whiteImage(), {
+        type: 'logo',
+        logo: { buffer: logoSvg, mode: 'center', scale: 0.5, opacity: 1 }
+      });
+
+      expect((await pixelAt(result, 200, 150))[0]).toBeLessThan(60);
+      expect((await pixelAt(result, 60, 150))[0]).toBeGreaterThan(240);
+    });
+
+    it('should tile rotated, translucent logos without outgrowing the image', async () => {
+      const result = await imageService.watermarkImage(await whiteImage(), {
+        type: 'logo',
+        spacing: 20,
+        logo: { buffer: logoPng, mode: 'tiled', scale: 1, opacity: 0.5, rotation: 45 }
+      });
+
+      const metadata = await sharp(result).metadata();
+      expect(metadata).toMatchObject({ width: 400, height: 300 });
+      const [r, , b] = await pixelAt(result, 200, 150);
+      expect(r).toBeGreaterThan(100);
+      expect(r).toBeLessThan(160);
+      expect(b).toBeGreaterThan(240);
+    });
+
+    it('should fail when no logo is provided', async () => {
+      await expect(imageService.watermarkImage(testImageBuffer, { type: 'logo', logo: {} }))
+        .rejects
+        .toThrow('No logo provided');
+    });
+
+    it('should accept PNG and self-contained SVG logos only', async () => {
+      await expect(imageService.validateLogo(logoPng)).resolves.toMatchObject({ format: 'png', width: 100, height: 50 });
+      await expect(imageService.validateLogo(logoSvg)).resolves.toMatchObject({ format: 'svg' });
+      await expect(imageService.validateLogo(testImageBuffer)).rejects.toThrow('PNG or SVG');
+
+      const external = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><image href="http://example.com/a.png" width="10" height="10"/></svg>');
+      await expect(imageService.validateLogo(external)).rejects.toThrow('external resources');
+    });
+
+    it('should render previews on a sample image', async () => {
+      const preview = await imageService.createWatermarkPreview({ type: 'logo', logo: { buffer: logoPng } });
+
+      expect(await sharp(preview).metadata()).toMatchObject({ format: 'jpeg', width: 800, height: 600 });
+    });
+  });
+
   describe('watermarkImages', () => {
     it('should watermark multiple images successfully', async () => {
       const images = [
@@ -276,6 +728,87 @@ describe('ImageService', () => {
       expect(result.watermarkedImages).toHaveLength(0);
       expect(result.errors).toHaveLength(0);
     });
+
+    it('should describe images whose format changed', async () => {
+      const images = [{ originalname: 'clipart.png', mimetype: 'image/png', buffer: testImageSmall }];
+
+      const kept = await imageService.watermarkImages(images, { text: 'Shop' });
+      const converted = await imageService.watermarkImages(images, { text: 'Shop' }, { format: 'webp' });
+
+      expect(kept.watermarkedImages[0]).toMatchObject({ originalname: 'clipart.png', mimetype: 'image/png', format: 'png' });
+      expect(converted.watermarkedImages[0]).toMatchObject({ originalname: 'clipart.webp', mimetype: 'image/webp', format: 'webp' });
+    });
+  });
+
+  describe('watermark output format', () => {
+    let transparentPng;
+    const config = { mode: 'single', position: 'top-left', text: 'Shop', color: '#000000', opacity: 1, margin: 10 };
+
+    const pixelAt = async (buffer, x, y) => {
+      const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      const offset = (y * info.width + x) * info.channels;
+      return [...data.slice(offset, offset + 4)];
+    };
+
+    beforeAll(async () => {
+      transparentPng = await sharp({
+        create: { width: 400, height: 300, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+      }).png().toBuffer();
+    });
+
+    it('should keep PNG transparency', async () => {
+      const result = await imageService.watermarkImage(transparentPng, config);
+      const metadata = await sharp(result).metadata();
+
+      expect(metadata).toMatchObject({ format: 'png', hasAlpha: true });
+      expect(await pixelAt(result, 390, 290)).toEqual([0, 0, 0, 0]);
+    });
+
+    it('should keep WebP images as WebP', async () => {
+      const webp = await sharp(transparentPng).webp().toBuffer();
+      const result = await imageService.watermarkImage(webp, config);
+      const metadata = await sharp(result).metadata();
+
+      expect(metadata).toMatchObject({ format: 'webp', hasAlpha: true });
+    });
+
+    it('should keep transparency for logo watermarks', async () => {
+      const logo = await sharp({
+        create: { width: 40, height: 20, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 1 } }
+      }).png().toBuffer();
+      const result = await imageService.watermarkImage(transparentPng, {
+        type: 'logo',
+        logo: { buffer: logo, mode: 'center', scale: 0.2, opacity: 1 }
+      });
+
+      expect((await sharp(result).metadata()).format).toBe('png');
+      expect((await pixelAt(result, 5, 5))[3]).toBe(0);
+    });
+
+    it('should flatten transparency onto white when converting to JPEG', async () => {
+      const result = await imageService.watermarkImage(transparentPng, config, { format: 'jpeg' });
+
+      expect((await sharp(result).metadata()).format).toBe('jpeg');
+      const [r, g, b] = await pixelAt(result, 390, 290);
+      expect(Math.min(r, g, b)).toBeGreaterThanOrEqual(250);
+    });
+
+    it('should encode with the configured quality', async () => {
+      const photo = await sharp({
+        create: { width: 400, height: 300, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+      }).jpeg().toBuffer();
+
+      const low = await imageService.watermarkImage(photo, config, { quality: 30 });
+      const high = await imageService.watermarkImage(photo, config, { quality: 95 });
+
+      expect(low.length).toBeLessThan(high.length);
+    });
+
+    it('should reject unknown output formats', async () => {
+      await expect(imageService.watermarkImage(transparentPng, config, { format: 'bmp' }))
+        .rejects
+        .toThrow('Unsupported output format: bmp');
+    });
   });
 
   describe('optimizeForWeb', () => {
@@ -339,6 +872,144 @@ describe('ImageService', () => {
     });
   });
 
+  describe('normalizeImage', () => {
+    it('should scale images down to the long edge and keep their format', async () => {
+      const { buffer, before, after } = await imageService.normalizeImage(testImageBuffer, { longEdge: 400 });
+
+      expect(before).toEqual({ width: 800, height: 600, bytes: testImageBuffer.length });
+      expect(after).toEqual({ width: 400, height: 300, bytes: buffer.length });
+      expect(await sharp(buffer).metadata()).toMatchObject({ format: 'jpeg', width: 400, height: 300 });
+    });
+
+    it('should not enlarge small images unless upscaling is on', async () => {
+      const kept = await imageService.normalizeImage(testImageSmall, { longEdge: 1000 });
+      const enlarged = await imageService.normalizeImage(testImageSmall, { longEdge: 1000, upscale: true });
+
+      expect(kept.after).toMatchObject({ width: 200, height: 150 });
+      expect(enlarged.after).toMatchObject({ width: 1000, height: 750 });
+      expect((await sharp(kept.buffer).metadata()).format).toBe('png');
+    });
+
+    it('should pad images to the aspect ratio with the background color', async () => {
+      const { buffer, after } = await imageService.normalizeImage(testImageSmall, {
+        longEdge: 1000,
+        aspectRatio: '1:1',
+        backgroundColor: '#0000FF'
+      });
+
+      expect(after).toMatchObject({ width: 200, height: 200 });
+      const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+      expect(pixel(100, 100)).toEqual([0, 255, 0]);
+      expect(pixel(100, 5)).toEqual([0, 0, 255]);
+    });
+
+    it('should apply the EXIF orientation and strip the metadata', async () => {
+      const rotated = await sharp(testImageBuffer)
+        .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Shop' } } })
+        .jpeg()
+        .toBuffer();
+
+      const { buffer, before, after } = await imageService.normalizeImage(rotated, { longEdge: 800 });
+
+      expect(before).toMatchObject({ width: 600, height: 800 });
+      expect(after).toMatchObject({ width: 600, height: 800 });
+      const metadata = await sharp(buffer).metadata();
+      expect(metadata).toMatchObject({ width: 600, height: 800, space: 'srgb' });
+      expect(metadata.orientation).toBeUndefined();
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.icc).toBeDefined();
+    });
+
+    it('should keep images that cannot be normalized and report them', async () => {
+      const { normalizedImages, errors } = await imageService.normalizeImages([
+        { buffer: testImageBuffer, originalname: 'red.jpg', mimetype: 'image/jpeg' },
+        { buffer: Buffer.from('not an image'), originalname: 'broken.jpg', mimetype: 'image/jpeg' }
+      ], { longEdge: 400 });
+
+      expect(normalizedImages[0]).toMatchObject({ normalized: true, after: { width: 400, height: 300 } });
+      expect(normalizedImages[1]).toMatchObject({ normalized: false, originalname: 'broken.jpg' });
+      expect(errors).toEqual([expect.objectContaining({ index: 1, filename: 'broken.jpg' })]);
+      expect(errors[0].error).toContain('Image normalization failed');
+    });
+  });
+
+  describe('createMockup', () => {
+    let templateDir;
+
+    beforeAll(async () => {
+      templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockup-'));
+      await sharp({ create: { width: 200, height: 160, channels: 3, background: { r: 128, g: 128, b: 128 } } })
+        .png()
+        .toFile(path.join(templateDir, 'background.png'));
+      await sharp({ create: { width: 100, height: 80, channels: 4, background: { r: 0, g: 255, b: 0, alpha: 1 } } })
+        .png()
+        .toFile(path.join(templateDir, 'overlay.png'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(templateDir, { recursive: true, force: true });
+    });
+
+    const template = overrides => ({
+      id: 'test',
+      backgroundPath: path.join(templateDir, 'background.png'),
+      quad: [[40, 30], [160, 30], [160, 130], [40, 130]],
+      ...overrides
+    });
+    const pixelAt = async (buffer, x, y) => [...await sharp(buffer).extract({ left: x, top: y, width: 1, height: 1 }).raw().toBuffer()];
+    const expectColor = (actual, expected) => actual.forEach((value, i) => expect(Math.abs(value - expected[i])).toBeLessThan(8));
+
+    it('should place the image into the quad on the background', async () => {
+      const mockup = await imageService.createMockup(testImageBuffer, template(), { quality: 95 });
+
+      expect(await sharp(mockup).metadata()).toMatchObject({ format: 'jpeg', width: 200, height: 160 });
+      expectColor(await pixelAt(mockup, 100, 80), [255, 0, 0]);
+      expectColor(await pixelAt(mockup, 10, 10), [128, 128, 128]);
+    });
+
+    it('should warp the image in perspective', async () => {
+      const halves = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#0000FF' } })
+        .composite([{ input: { create: { width: 100, height: 100, channels: 3, background: '#FF0000' } }, left: 100, top: 0 }])
+        .png()
+        .toBuffer();
+
+      // The right edge is farther away, so the right half is narrower
+      const mockup = await imageService.createMockup(halves, template({ quad: [[20, 20], [180, 50], [180, 110], [20, 140]] }), { quality: 95 });
+
+      expectColor(await pixelAt(mockup, 30, 80), [0, 0, 255]);
+      expectColor(await pixelAt(mockup, 170, 80), [255, 0, 0]);
+      expectColor(await pixelAt(mockup, 170, 30), [128, 128, 128]);
+      // Perspective moves the middle of the image past the middle of the quad
+      expectColor(await pixelAt(mockup, 110, 80), [0, 0, 255]);
+    });
+
+    it('should add the shadow and the overlay layer', async () => {
+      const mockup = await imageService.createMockup(testImageBuffer, template({
+        shadow: { color: '#000000', opacity: 1, blur: 0, offsetX: 0, offsetY: 10 },
+        overlayPath: path.join(templateDir, 'overlay.png'),
+        overlayBlend: 'multiply'
+      }), { quality: 95 });
+
+      expectColor(await pixelAt(mockup, 100, 135), [0, 0, 0]);
+      // The overlay is stretched over the background; red multiplied by green is black
+      expectColor(await pixelAt(mockup, 100, 80), [0, 0, 0]);
+      expectColor(await pixelAt(mockup, 10, 10), [0, 128, 0]);
+    });
+
+    it('should render the built-in templates', async () => {
+      const { getMockupTemplate } = require('../utils/mockupTemplates');
+      const mockup = await imageService.createMockup(testImageBuffer, getMockupTemplate('angled-gallery-wall'));
+
+      expect(await sharp(mockup).metadata()).toMatchObject({ width: 2000, height: 1500 });
+    });
+
+    it('should report a missing background', async () => {
+      await expect(imageService.createMockup(testImageBuffer, template({ backgroundPath: path.join(templateDir, 'missing.png') })))
+        .rejects.toThrow('Mockup creation failed');
+    });
+  });
+
   describe('getImageMetadata', () => {
     it('should return correct metadata for JPEG image', async () => {
       const metadata = await imageService.getImageMetadata(testImageBuffer);
@@ -375,20 +1046,25 @@ describe('ImageService', () => {
     it('should calculate correct positions for different settings', () => {
       const imageWidth = 800;
       const imageHeight = 600;
-      const fontSize = 24;
+      const mark = { width: 200, height: 50 };
+      const margin = 20;
       
       // Test all position options
-      const topLeft = imageService._calculateWatermarkPosition('top-left', imageWidth, imageHeight, fontSize);
-      expect(topLeft.x).toBe(fontSize); // padding
-      expect(topLeft.y).toBe(fontSize); // padding
+      const topLeft = imageService._calculateWatermarkPosition('top-left', imageWidth, imageHeight, mark, margin);
+      expect(topLeft).toEqual({ x: margin, y: margin });
       
-      const bottomRight = imageService._calculateWatermarkPosition('bottom-right', imageWidth, imageHeight, fontSize);
-      expect(bottomRight.x).toBe(imageWidth - (fontSize * 8) - fontSize); // width - text width - padding
-      expect(bottomRight.y).toBe(imageHeight - fontSize - fontSize); // height - font size - padding
+      const bottomRight = imageService._calculateWatermarkPosition('bottom-right', imageWidth, imageHeight, mark, margin);
+      expect(bottomRight.x).toBe(imageWidth - mark.width - margin); // width - text width - margin
+      expect(bottomRight.y).toBe(imageHeight - mark.height - margin); // height - text height - margin
       
-      const center = imageService._calculateWatermarkPosition('center', imageWidth, imageHeight, fontSize);
-      expect(center.x).toBe(imageWidth / 2 - (fontSize * 4));
-      expect(center.y).toBe(imageHeight / 2);
+      const center = imageService._calculateWatermarkPosition('center', imageWidth, imageHeight, mark, margin);
+      expect(center).toEqual({ x: 300, y: 275 });
+    });
+
+    it('should keep watermarks inside the image', () => {
+      const position = imageService._calculateWatermarkPosition('bottom-right', 100, 100, { width: 90, height: 90 }, 20);
+
+      expect(position).toEqual({ x: 0, y: 0 });
     });
   });
 
@@ -600,6 +1276,209 @@ describe('ImageService', () => {
     });
   });
 
+  describe('collage layouts', () => {
+    const createImage = (width, height, background = { r: 200, g: 60, b: 60 }) => sharp({
+      create: { width, height, channels: 3, background }
+    }).png().toBuffer();
+
+    const expectInsideCanvas = (cells, width, height) => {
+      for (const cell of cells) {
+        expect(cell.left).toBeGreaterThanOrEqual(0);
+        expect(cell.top).toBeGreaterThanOrEqual(0);
+        expect(cell.left + cell.width).toBeLessThanOrEqual(width);
+        expect(cell.top + cell.height).toBeLessThanOrEqual(height);
+      }
+    };
+
+    it('should give the featured image most of the canvas', () => {
+      const cells = imageService._calculateFeaturedLayout(5, 2000, 1500, 10);
+
+      expect(cells).toHaveLength(5);
+      expect(cells[0]).toMatchObject({ index: 0, left: 10, top: 10, height: 1480 });
+      for (const thumbnail of cells.slice(1)) {
+        expect(thumbnail.left).toBeGreaterThan(cells[0].left + cells[0].width);
+        expect(thumbnail.width * thumbnail.height).toBeLessThan(cells[0].width * cells[0].height / 4);
+      }
+      expectInsideCanvas(cells, 2000, 1500);
+
+      // Portrait collages put the thumbnails below
+      const portrait = imageService._calculateFeaturedLayout(3, 1000, 1600, 10);
+      expect(portrait[0].width).toBe(980);
+      expect(portrait[1].top).toBeGreaterThan(portrait[0].top + portrait[0].height);
+
+      expect(imageService._calculateFeaturedLayout(1, 1000, 800, 10)).toEqual([
+        { index: 0, left: 10, top: 10, width: 980, height: 780 }
+      ]);
+    });
+
+    it('should keep aspect ratios in mosaic and masonry layouts', () => {
+      const ratios = [1.5, 0.75, 1, 2, 0.5, 1.33];
+
+      for (const method of ['_calculateMosaicLayout', '_calculateMasonryLayout']) {
+        const cells = imageService[method](ratios, 2000, 2000, 10);
+
+        expect(cells.map(cell => cell.index).sort()).toEqual([0, 1, 2, 3, 4, 5]);
+        for (const cell of cells) {
+          expect(cell.width / cell.height).toBeCloseTo(ratios[cell.index], 1);
+        }
+        expectInsideCanvas(cells, 2000, 2000);
+      }
+    });
+
+    it('should fill the width of mosaic rows', () => {
+      const cells = imageService._calculateMosaicLayout([1, 1, 1, 1], 1000, 1000, 0);
+
+      // Four squares fit exactly in two rows of two
+      expect(cells).toEqual([
+        { index: 0, left: 0, top: 0, width: 500, height: 500 },
+        { index: 1, left: 500, top: 0, width: 500, height: 500 },
+        { index: 2, left: 0, top: 500, width: 500, height: 500 },
+        { index: 3, left: 500, top: 500, width: 500, height: 500 }
+      ]);
+    });
+
+    it('should create featured, mosaic and masonry collages at the configured size', async () => {
+      const images = await Promise.all([
+        createImage(600, 400), createImage(300, 600), createImage(500, 500), createImage(800, 300)
+      ]).then(buffers => buffers.map(buffer => ({ buffer, mimetype: 'image/png' })));
+
+      for (const layout of ['featured', 'mosaic', 'masonry']) {
+        const collage = await imageService.createCollage(images, {
+          layout,
+          dimensions: { width: 1200, height: 900 },
+          spacing: 10,
+          backgroundColor: '#FFFFFF'
+        });
+        const metadata = await sharp(collage).metadata();
+        expect(metadata).toMatchObject({ width: 1200, height: 900, format: 'jpeg' });
+      }
+    });
+
+    it('should draw a bundle badge with the image count and format', async () => {
+      const images = await Promise.all([1, 2, 3].map(() => createImage(400, 400, { r: 255, g: 255, b: 255 })))
+        .then(buffers => buffers.map(buffer => ({ buffer, mimetype: 'image/png' })));
+      const renderSpy = jest.spyOn(imageService, '_renderTextBlock');
+
+      const collage = await imageService.createCollage(images, {
+        width: 1000,
+        height: 1000,
+        spacing: 0,
+        badge: { enabled: true, position: 'top-left', backgroundColor: '#000000' }
+      });
+
+      expect(renderSpy).toHaveBeenCalledWith(['3 PNG files'], expect.any(Object));
+      renderSpy.mockRestore();
+
+      // The dark badge sits in the top-left corner of an otherwise white collage
+      const region = async area => sharp(await sharp(collage).extract(area).toBuffer()).stats();
+      const corner = await region({ left: 0, top: 0, width: 500, height: 200 });
+      const opposite = await region({ left: 500, top: 800, width: 500, height: 200 });
+      expect(corner.channels[0].min).toBeLessThan(50);
+      expect(opposite.channels[0].min).toBeGreaterThan(200);
+    });
+
+    it('should describe mixed formats generically', async () => {
+      const png = await createImage(100, 100);
+      const jpeg = await sharp(png).jpeg().toBuffer();
+      const renderSpy = jest.spyOn(imageService, '_renderTextBlock');
+
+      await imageService._createBundleBadge(
+        [{ buffer: png, mimetype: 'image/png' }, { buffer: jpeg, mimetype: 'image/jpeg' }],
+        { text: '{count} {format}s included' },
+        1000,
+        1000
+      );
+      await imageService._createBundleBadge([{ buffer: jpeg, mimetype: 'image/jpeg' }], {}, 1000, 1000);
+
+      expect(renderSpy.mock.calls.map(([lines]) => lines[0])).toEqual(['2 images included', '1 JPG files']);
+      renderSpy.mockRestore();
+    });
+  });
+
+  describe('collage text bands and cell style', () => {
+    let images;
+
+    beforeEach(async () => {
+      const buffer = await sharp({
+        create: { width: 400, height: 400, channels: 3, background: { r: 255, g: 0, b: 0 } }
+      }).png().toBuffer();
+      images = [{ buffer, mimetype: 'image/png' }, { buffer, mimetype: 'image/png' }];
+    });
+
+    const pixel = async (collage, left, top) => {
+      const { data } = await sharp(collage).extract({ left, top, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+      return [...data];
+    };
+
+    it('should draw header and footer bands and fit the images between them', async () => {
+      const layoutSpy = jest.spyOn(imageService, '_calculateGridCells');
+      const renderSpy = jest.spyOn(imageService, '_renderTextBlock');
+
+      const collage = await imageService.createCollage(images, {
+        width: 1000,
+        height: 1000,
+        spacing: 0,
+        layout: 'horizontal',
+        header: { text: 'Bundle of {count}', height: 0.2, color: '#FFFFFF', backgroundColor: '#0000FF' },
+        footer: { text: 'My Shop', height: 0.1, backgroundColor: '#00FF00' }
+      });
+
+      expect(layoutSpy).toHaveBeenCalledWith(2, 'horizontal', 1000, 700, 0);
+      expect(renderSpy.mock.calls.map(([lines]) => lines[0])).toEqual(['Bundle of 2', 'My Shop']);
+      layoutSpy.mockRestore();
+      renderSpy.mockRestore();
+
+      const [header, image, footer] = await Promise.all([
+        pixel(collage, 5, 5), pixel(collage, 500, 500), pixel(collage, 5, 995)
+      ]);
+      expect(header[2]).toBeGreaterThan(200);
+      expect(image[0]).toBeGreaterThan(200);
+      expect(footer[1]).toBeGreaterThan(200);
+      expect(header[0] + footer[0]).toBeLessThan(60);
+    });
+
+    it('should leave out bands without text', async () => {
+      const layoutSpy = jest.spyOn(imageService, '_calculateGridCells');
+
+      await imageService.createCollage(images, {
+        width: 1000,
+        height: 1000,
+        header: { text: '  ', height: 0.2 },
+        footer: null
+      });
+
+      expect(layoutSpy).toHaveBeenCalledWith(2, 'auto', 1000, 1000, 10);
+      layoutSpy.mockRestore();
+    });
+
+    it('should round cell corners and draw borders and shadows', async () => {
+      const collage = await imageService.createCollage(images, {
+        width: 1000,
+        height: 600,
+        spacing: 100,
+        layout: 'horizontal',
+        backgroundColor: '#FFFFFF',
+        cell: {
+          borderRadius: 60,
+          borderWidth: 10,
+          borderColor: '#0000FF',
+          shadow: { color: '#000000', opacity: 1, blur: 0, offsetX: 0, offsetY: 40 }
+        }
+      });
+
+      // Cells span 100-450 horizontally and 100-500 vertically
+      const [corner, border, inside, shadow] = await Promise.all([
+        pixel(collage, 103, 103), pixel(collage, 275, 104), pixel(collage, 275, 300), pixel(collage, 275, 520)
+      ]);
+      expect(Math.min(...corner)).toBeGreaterThan(200);
+      expect(border[2]).toBeGreaterThan(200);
+      expect(border[0]).toBeLessThan(60);
+      expect(inside[0]).toBeGreaterThan(200);
+      expect(inside[2]).toBeLessThan(60);
+      expect(Math.max(...shadow)).toBeLessThan(60);
+    });
+  });
+
   describe('_calculateGridLayout', () => {
     it('should return 1x1 for single image', () => {
       const layout = imageService._calculateGridLayout(1);
@@ -717,6 +1596,172 @@ describe('ImageService', () => {
     });
   });
 
+  describe('slideshow video', () => {
+    const settings = overrides => imageService._getSlideshowSettings(overrides || {});
+
+    it('should fit images inside the frame and pad them with the background', async () => {
+      const wide = await sharp({
+        create: { width: 400, height: 100, channels: 3, background: { r: 255, g: 0, b: 0 } }
+      }).png().toBuffer();
+
+      const [clip] = await imageService._prepareSlideshowClips([wide], settings({ width: 400, height: 300, backgroundColor: '#0000FF' }));
+
+      expect(clip).toMatchObject({ duration: 3, motion: false });
+      const { data, info } = await sharp(clip.buffer).raw().toBuffer({ resolveWithObject: true });
+      expect(info).toMatchObject({ width: 400, height: 300 });
+      const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+      expect(pixel(200, 150)).toEqual([255, 0, 0]);
+      expect(pixel(200, 10)).toEqual([0, 0, 255]);
+
+      // Cover crops instead, and moving frames are rendered at twice the size
+      const [cover] = await imageService._prepareSlideshowClips([wide], settings({ width: 400, height: 300, fit: 'cover', motion: 'pan' }));
+      const coverPixel = await sharp(cover.buffer).extract({ left: 400, top: 20, width: 1, height: 1 }).raw().toBuffer();
+      expect(await sharp(cover.buffer).metadata()).toMatchObject({ width: 800, height: 600 });
+      expect([...coverPixel]).toEqual([255, 0, 0]);
+      expect(cover.motion).toBe(true);
+    });
+
+    it('should add intro and outro title cards', async () => {
+      const image = await sharp({
+        create: { width: 100, height: 100, channels: 3, background: { r: 0, g: 255, b: 0 } }
+      }).png().toBuffer();
+      const renderSpy = jest.spyOn(imageService, '_renderTextBlock');
+
+      const clips = await imageService._prepareSlideshowClips([image, image], settings({
+        intro: { enabled: true, text: 'Floral Clipart', duration: 2.5 },
+        outro: { enabled: false, text: 'Thanks!' }
+      }));
+
+      expect(clips.map(clip => clip.duration)).toEqual([2.5, 3, 3]);
+      expect(renderSpy).toHaveBeenCalledTimes(1);
+      expect(renderSpy.mock.calls[0][0]).toEqual(['Floral Clipart']);
+      renderSpy.mockRestore();
+      expect(await sharp(clips[0].buffer).metadata()).toMatchObject({ width: 800, height: 600 });
+    });
+
+    it('should join clips with the chosen transition', () => {
+      const clips = [{ duration: 2 }, { duration: 3 }, { duration: 3 }];
+
+      const { filters, output, totalDuration } = imageService._buildSlideshowFilters(clips, settings({ transition: 'slide', fade: 1 }));
+
+      expect(filters[0]).toBe('[0:v]fps=30,format=yuv420p,setsar=1,setpts=PTS-STARTPTS[v0]');
+      expect(filters[3]).toBe('[v0][v1]xfade=transition=slideleft:duration=1:offset=1[vxf1]');
+      expect(filters[4]).toBe('[vxf1][v2]xfade=transition=slideleft:duration=1:offset=3[vxf2]');
+      expect(output).toBe('vxf2');
+      expect(totalDuration).toBe(6);
+    });
+
+    it('should cut between clips without a fade', () => {
+      const { filters, output, totalDuration } = imageService._buildSlideshowFilters(
+        [{ duration: 3 }, { duration: 3 }],
+        settings({ fade: 0 })
+      );
+
+      expect(filters[2]).toBe('[v0][v1]concat=n=2:v=1:a=0[vout]');
+      expect(output).toBe('vout');
+      expect(totalDuration).toBe(6);
+    });
+
+    it('should keep transitions shorter than the clips', () => {
+      const { filters } = imageService._buildSlideshowFilters(
+        [{ duration: 1 }, { duration: 3 }],
+        settings({ fade: 2, transition: 'wipe' })
+      );
+
+      expect(filters[2]).toBe('[v0][v1]xfade=transition=wipeleft:duration=0.5:offset=0.5[vxf1]');
+    });
+
+    it('should pan and zoom moving clips', () => {
+      const { filters } = imageService._buildSlideshowFilters(
+        [{ duration: 2, motion: true }, { duration: 2, motion: false }],
+        settings({ motion: 'zoom-in', fps: 25, width: 640, height: 480 })
+      );
+
+      expect(filters[0]).toContain('zoompan=z=\'1+0.2*min(on/50,1)\'');
+      expect(filters[0]).toContain(':s=640x480:fps=25');
+      expect(filters[1]).not.toContain('zoompan');
+    });
+
+    it('should round the video size to even numbers', () => {
+      expect(settings({ width: 801, height: 599 })).toMatchObject({ width: 802, height: 600 });
+    });
+
+    it('should loop the music for the length of the video and fade it out', () => {
+      expect(imageService._buildSlideshowAudioFilter(3, 10, 0.5)).toBe(
+        '[3:a]atrim=0:10,asetpts=PTS-STARTPTS,volume=0.5,afade=t=in:st=0:d=2,afade=t=out:st=8:d=2[aout]'
+      );
+    });
+  });
+
+  describe('animated GIF', () => {
+    const solid = (r, g, b) => sharp({
+      create: { width: 80, height: 40, channels: 3, background: { r, g, b } }
+    }).png().toBuffer();
+
+    it('should hold each image and crossfade back to the first', async () => {
+      const gif = await imageService.createAnimatedGif([await solid(255, 0, 0), await solid(0, 0, 255)], {
+        width: 60,
+        height: 60,
+        delay: 100,
+        fadeFrames: 2,
+        hold: 1000
+      });
+
+      const metadata = await sharp(gif).metadata();
+      expect(metadata).toMatchObject({ format: 'gif', width: 60, height: 60, pages: 6, loop: 0 });
+      expect(metadata.delay).toEqual([1000, 100, 100, 1000, 100, 100]);
+
+      const pixel = async (page, x, y) => {
+        const data = await sharp(gif, { page }).extract({ left: x, top: y, width: 1, height: 1 }).removeAlpha().raw().toBuffer();
+        return [...data];
+      };
+      // Images are padded to the GIF size with the background color
+      expect(await pixel(0, 30, 2)).toEqual([255, 255, 255]);
+      const [red, , blue] = await pixel(1, 30, 30);
+      expect(red).toBeGreaterThan(blue);
+      const [red2, , blue2] = await pixel(2, 30, 30);
+      expect(blue2).toBeGreaterThan(red2);
+    });
+
+    it('should show a single image without transitions', async () => {
+      const gif = await imageService.createAnimatedGif([await solid(0, 255, 0)], { width: 40, height: 40 });
+
+      expect(await sharp(gif).metadata()).toMatchObject({ width: 40, pages: 1 });
+    });
+
+    it('should scale sizes above the limit down, keeping their aspect ratio', async () => {
+      const gif = await imageService.createAnimatedGif([await solid(0, 255, 0)], { width: 2000, height: 1000 });
+
+      expect(await sharp(gif).metadata()).toMatchObject({ width: 1000, height: 500 });
+    });
+
+    it('should keep the event loop free while encoding', async () => {
+      let last = Date.now();
+      let longestPause = 0;
+      const timer = setInterval(() => {
+        longestPause = Math.max(longestPause, Date.now() - last);
+        last = Date.now();
+      }, 5);
+      try {
+        await imageService.createAnimatedGif([await solid(255, 0, 0), await solid(0, 0, 255)], {
+          width: 300,
+          height: 300,
+          fadeFrames: 10
+        });
+        // Let the timer see a pause that ended with the encoding
+        await new Promise(resolve => setTimeout(resolve, 20));
+      } finally {
+        clearInterval(timer);
+      }
+
+      expect(longestPause).toBeLessThan(250);
+    });
+
+    it('should reject an empty image list', async () => {
+      await expect(imageService.createAnimatedGif([])).rejects.toThrow('At least one image is required');
+    });
+  });
+
   describe('_createSvgWatermark', () => {
     it('should create valid SVG watermark', () => {
       const svg = imageService._createSvgWatermark('Test Text', 24, 'white', 0.7, { x: 100, y: 200 });
@@ -0,0 +1,195 @@
+const { EventEmitter } = require('events');
+const { JobCancelledError } = require('../utils/errors');
+
+/**
+ * Job Queue limiting how many pipeline steps run at once.
+ * Work is grouped into stages with their own concurrency limit, so CPU-bound
+ * image and video processing is throttled separately from network-bound
+ * Drive, AI and Etsy calls. Tasks beyond a stage's limit wait in FIFO order.
+ *
+ * Emits `position` whenever a waiting job's place in a stage queue changes.
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
+
+    this.stages = {};
+    const limits = {
+      cpu: parseInt(process.env.JOB_CPU_CONCURRENCY) || 1,
+      network: parseInt(process.env.JOB_NETWORK_CONCURRENCY) || 3,
+      ...options.stages
+    };
+
+    for (const [name, concurrency] of Object.entries(limits)) {
+      this.stages[name] = {
+        concurrency: Math.max(1, concurrency),
+        running: new Set(),
+        waiting: []
+      };
+    }
+
+    this.cancelledJobs = new Set();
+  }
+
+  /**
+   * Run a task once the stage has a free slot
+   * @param {string|null} stageName - Stage to run in, or null to run without a limit
+   * @param {string} jobId - Job the task belongs to
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   * @throws {JobCancelledError} If the job is cancelled before the task starts
+   */
+  async run(stageName, jobId, task) {
+    this._assertNotCancelled(jobId);
+
+    if (!stageName) {
+      return task();
+    }
+
+    const stage = this._getStage(stageName);
+    let slot;
+    if (stage.running.size < stage.concurrency) {
+      slot = Symbol(jobId);
+      stage.running.add(slot);
+    } else {
+      // The slot is reserved by _next before the waiting task is resumed
+      slot = await new Promise((resolve, reject) => {
+        stage.waiting.push({ jobId, resolve, reject });
+        this._emitPositions(stageName);
+      });
+    }
+
+    try {
+      return await task();
+    } finally {
+      stage.running.delete(slot);
+      this._next(stageName);
+    }
+  }
+
+  /**
+   * Get a job's place in line if it is waiting for a slot
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} Queue position ({ stage, position, waiting }), or null if not queued
+   */
+  getPosition(jobId) {
+    for (const [name, stage] of Object.entries(this.stages)) {
+      const index = stage.waiting.findIndex(entry => entry.jobId === jobId);
+      if (index !== -1) {
+        return { stage: name, position: index + 1, waiting: stage.waiting.length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cancel a job. Queued tasks are rejected immediately; a running task
+   * finishes, but no further task for the job will start.
+   * @param {string} jobId - Job identifier
+   */
+  cancel(jobId) {
+    this.cancelledJobs.add(jobId);
+
+    for (const [name, stage] of Object.entries(this.stages)) {
+      const removed = stage.waiting.filter(entry => entry.jobId === jobId);
+      if (removed.length === 0) {
+        continue;
+      }
+
+      stage.waiting = stage.waiting.filter(entry => entry.jobId !== jobId);
+      removed.forEach(entry => entry.reject(new JobCancelledError(jobId)));
+      this._emitPositions(name);
+    }
+  }
+
+  /**
+   * Check whether a job has been cancelled and its pipeline has not stopped yet
+   * @param {string} jobId - Job identifier
+   * @returns {boolean} True if cancelled
+   */
+  isCancelled(jobId) {
+    return this.cancelledJobs.has(jobId);
+  }
+
+  /**
+   * Forget a job's cancellation once its pipeline has stopped
+   * @param {string} jobId - Job identifier
+   */
+  release(jobId) {
+    this.cancelledJobs.delete(jobId);
+  }
+
+  /**
+   * Get running and waiting counts per stage
+   * @returns {Object} Stage statistics keyed by stage name
+   */
+  getStats() {
+    const stats = {};
+    for (const [name, stage] of Object.entries(this.stages)) {
+      stats[name] = {
+        concurrency: stage.concurrency,
+        running: stage.running.size,
+        waiting: stage.waiting.length
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Look up a stage by name
+   * @private
+   */
+  _getStage(stageName) {
+    const stage = this.stages[stageName];
+    if (!stage) {
+      throw new Error(`Unknown queue stage: ${stageName}`);
+    }
+    return stage;
+  }
+
+  /**
+   * Throw if the job has been cancelled
+   * @private
+   */
+  _assertNotCancelled(jobId) {
+    if (this.cancelledJobs.has(jobId)) {
+      throw new JobCancelledError(jobId);
+    }
+  }
+
+  /**
+   * Hand the freed slot to the next waiting task
+   * @private
+   */
+  _next(stageName) {
+    const stage = this.stages[stageName];
+    if (stage.waiting.length === 0 || stage.running.size >= stage.concurrency) {
+      return;
+    }
+
+    const entry = stage.waiting.shift();
+    const slot = Symbol(entry.jobId);
+    stage.running.add(slot);
+    entry.resolve(slot);
+    this._emitPositions(stageName);
+  }
+
+  /**
+   * Notify listeners of the new position of every waiting job in a stage
+   * @private
+   */
+  _emitPositions(stageName) {
+    const { waiting } = this.stages[stageName];
+    waiting.forEach((entry, index) => {
+      this.emit('position', {
+        jobId: entry.jobId,
+        stage: stageName,
+        position: index + 1,
+        waiting: waiting.length
+      });
+    });
+  }
+}
+
+module.exports = JobQueue;
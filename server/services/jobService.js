@@ -0,0 +1,761 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ARTIFACT_NAME_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9]+)?$/;
+const SETTLED_STEP_STATUSES = ['completed', 'completed_with_warnings', 'skipped'];
+// Jobs that ended without a result may be submitted again with the same files
+const RESUBMITTABLE_JOB_STATUSES = ['failed', 'cancelled', 'interrupted'];
+
+/**
+ * Job Service for persisting upload processing jobs
+ * Stores each job's step history, input summary, results and errors as JSON
+ * files under data/jobs so job history survives server restarts, plus the
+ * intermediate artifacts needed to resume a job from a single step.
+ *
+ * Emits `step` for every recorded step and `finished` when a job completes,
+ * fails, is cancelled or pauses for approval, so progress can be streamed to clients as it happens
+ */
+class JobService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // One listener per open progress stream
+    this.setMaxListeners(0);
+
+    this.jobsDir = options.jobsDir || path.join(process.cwd(), 'data', 'jobs');
+    this.retention = {
+      maxAgeDays: parseInt(process.env.JOB_RETENTION_DAYS) || 30,
+      maxJobsPerUser: parseInt(process.env.JOB_MAX_PER_USER) || 200,
+      ...options.retention
+    };
+    this.idempotency = {
+      windowHours: parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24,
+      ...options.idempotency
+    };
+
+    // Jobs started by this process, kept in memory while they are running
+    this.activeJobs = new Map();
+    this.pendingWrites = new Map();
+    this.pendingCreates = new Map();
+    // Job IDs by submission key (see _submissionKey), oldest first; filled
+    // from disk on the first duplicate lookup and kept current by createJob
+    this.submissionIndex = new Map();
+    this.submissionIndexLoaded = null;
+    this.retentionInterval = null;
+  }
+
+  /**
+   * Initialize jobs directory if it doesn't exist
+   */
+  async ensureJobsDirectory() {
+    await fs.mkdir(this.jobsDir, { recursive: true });
+  }
+
+  /**
+   * Get job file path for a job ID
+   * @param {string} jobId - Job identifier
+   * @returns {string} Job file path
+   */
+  getJobFilePath(jobId) {
+    if (!JOB_ID_PATTERN.test(jobId)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(this.jobsDir, `${jobId}.json`);
+  }
+
+  /**
+   * Get the artifact directory for a job
+   * @param {string} jobId - Job identifier
+   * @returns {string} Artifact directory path
+   */
+  getArtifactDir(jobId) {
+    if (!JOB_ID_PATTERN.test(jobId)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(this.jobsDir, jobId);
+  }
+
+  /**
+   * Create and persist a new job record
+   * @param {string} jobId - Job identifier (the processing ID)
+   * @param {Object} details - Job details
+   * @param {string} details.userId - Owner of the job
+   * @param {Object} details.inputs - Summary of the submitted files and options
+   * @param {string} details.idempotencyKey - Client-supplied idempotency key
+   * @param {string} details.fingerprint - Hash of the submitted files and options
+   * @returns {Object} Created job
+   */
+  createJob(jobId, { userId = 'default', inputs = {}, idempotencyKey = null, fingerprint = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: jobId,
+      userId,
+      idempotencyKey,
+      fingerprint,
+      status: 'processing',
+      startTime: now,
+      updatedAt: now,
+      completedAt: null,
+      inputs,
+      steps: [],
+      currentStep: null,
+      currentStatus: null,
+      results: null,
+      errors: [],
+      artifacts: {},
+      attempts: []
+    };
+
+    this.activeJobs.set(jobId, job);
+    this._indexSubmission(job);
+    this._persist(job);
+    return job;
+  }
+
+  /**
+   * Create a job unless the same submission already has one.
+   * Submissions are matched by idempotency key when one is given and by
+   * fingerprint otherwise; lookups for the same key run one at a time so
+   * concurrent duplicates resolve to a single job.
+   * @param {string} jobId - Job identifier for a new job
+   * @param {Object} details - Job details (see createJob)
+   * @returns {Promise<Object>} { job, duplicate } where duplicate is true if an existing job was returned
+   */
+  async createJobOnce(jobId, details = {}) {
+    const { userId = 'default', idempotencyKey = null, fingerprint = null } = details;
+    const lockKey = this._submissionKey(userId, idempotencyKey, fingerprint);
+    const previous = this.pendingCreates.get(lockKey) || Promise.resolve();
+
+    const attempt = previous.then(async () => {
+      const existing = await this.findDuplicateJob({ userId, idempotencyKey, fingerprint });
+      if (existing) {
+        return { job: existing, duplicate: true };
+      }
+      return { job: this.createJob(jobId, details), duplicate: false };
+    });
+
+    const settled = attempt.catch(() => {}).finally(() => {
+      if (this.pendingCreates.get(lockKey) === settled) {
+        this.pendingCreates.delete(lockKey);
+      }
+    });
+    this.pendingCreates.set(lockKey, settled);
+
+    return attempt;
+  }
+
+  /**
+   * Find the most recent job created for the same submission within the
+   * idempotency window. A job with the same idempotency key always matches;
+   * without a key, jobs with the same fingerprint match unless they ended
+   * without a result.
+   * @param {Object} submission - Submission to look up
+   * @param {string} submission.userId - Owner of the job
+   * @param {string} submission.idempotencyKey - Client-supplied idempotency key
+   * @param {string} submission.fingerprint - Hash of the submitted files and options
+   * @returns {Promise<Object|null>} Matching job or null
+   */
+  async findDuplicateJob({ userId = 'default', idempotencyKey = null, fingerprint = null } = {}) {
+    if (!idempotencyKey && !fingerprint) {
+      return null;
+    }
+
+    await this._loadSubmissionIndex();
+
+    const cutoff = Date.now() - this.idempotency.windowHours * 60 * 60 * 1000;
+    const key = this._submissionKey(userId, idempotencyKey, fingerprint);
+    const entries = this.submissionIndex.get(key) || [];
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const job = await this.getJob(entries[i].jobId);
+      if (!job) {
+        // Pruned since it was indexed
+        entries.splice(i, 1);
+        continue;
+      }
+      if (new Date(job.startTime).getTime() < cutoff) {
+        // Older entries are outside the window too
+        entries.splice(0, i + 1);
+        break;
+      }
+      if (idempotencyKey || !RESUBMITTABLE_JOB_STATUSES.includes(job.status)) {
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Append a step event to a job
+   * @param {string} jobId - Job identifier
+   * @param {string} step - Pipeline step name
+   * @param {string} status - Step status (started, completed, failed, skipped, ...)
+   * @param {Object} data - Additional step data
+   * @returns {Object|null} Updated job, or null if the job is not active
+   */
+  recordStep(jobId, step, status, data = {}) {
+    const job = this.activeJobs.get(jobId);
+    // Steps still finishing after a job was cancelled are not recorded
+    if (!job || job.status !== 'processing') {
+      return null;
+    }
+
+    return this._record(job, step, status, data);
+  }
+
+  /**
+   * Append a step to a job whatever its status, for work that happens after
+   * the pipeline has finished, such as scheduled publishing
+   * @param {string} jobId - Job identifier
+   * @param {string} step - Step name
+   * @param {string} status - Step status
+   * @param {Object} data - Additional step data
+   * @returns {Promise<Object|null>} Updated job, or null if not found
+   */
+  async appendStep(jobId, step, status, data = {}) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    return this._record(job, step, status, data);
+  }
+
+  /**
+   * Cancel a running job or one waiting for listing approval
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Cancelled job, or null if not found
+   */
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (!['processing', 'awaiting_approval'].includes(job.status)) {
+      throw new Error(`Job ${jobId} is not running`);
+    }
+
+    this._record(job, 'cancellation', 'completed');
+    job.status = 'cancelled';
+    job.completedAt = job.updatedAt;
+    this.activeJobs.set(jobId, job);
+    return this._finish(job);
+  }
+
+  /**
+   * Mark a job as completed and store its results
+   * @param {string} jobId - Job identifier
+   * @param {Object} data - Finalization data, including results
+   * @returns {Object|null} Completed job
+   */
+  completeJob(jobId, data = {}) {
+    const job = this.recordStep(jobId, 'finalization', 'completed', data);
+    if (!job) {
+      return null;
+    }
+
+    job.status = 'completed';
+    job.completedAt = job.updatedAt;
+    job.results = data.results || null;
+    return this._finish(job);
+  }
+
+  /**
+   * Mark a job as failed
+   * @param {string} jobId - Job identifier
+   * @param {Object} data - Failure data, including the error message
+   * @returns {Object|null} Failed job
+   */
+  failJob(jobId, data = {}) {
+    const job = this.recordStep(jobId, 'error', 'failed', data);
+    if (!job) {
+      return null;
+    }
+
+    job.status = 'failed';
+    job.completedAt = job.updatedAt;
+    return this._finish(job);
+  }
+
+  /**
+   * Reopen a finished job so part of its pipeline can run again.
+   * The previous attempt's steps and errors are archived under `attempts`.
+   * @param {string} jobId - Job identifier
+   * @param {string} fromStep - Step the job resumes from
+   * @returns {Promise<Object|null>} Resumed job, or null if not found
+   */
+  async resumeJob(jobId, fromStep) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (job.status === 'processing') {
+      throw new Error(`Job ${jobId} is still processing`);
+    }
+
+    job.attempts = job.attempts || [];
+    job.attempts.push({
+      status: job.status,
+      startTime: job.attemptStartTime || job.startTime,
+      completedAt: job.completedAt,
+      steps: job.steps,
+      errors: job.errors
+    });
+
+    job.status = 'processing';
+    job.attemptStartTime = new Date().toISOString();
+    job.completedAt = null;
+    job.steps = [];
+    job.errors = [];
+    this.activeJobs.set(jobId, job);
+
+    return this.recordStep(jobId, 'retry', 'started', {
+      from: fromStep,
+      attempt: job.attempts.length + 1
+    });
+  }
+
+  /**
+   * Pause a running job until the seller approves the listing draft
+   * @param {string} jobId - Job identifier
+   * @param {Object} draft - Listing fields proposed for review
+   * @returns {Object|null} Paused job, or null if the job is not active
+   */
+  awaitApproval(jobId, draft) {
+    const job = this.recordStep(jobId, 'approval', 'awaiting');
+    if (!job) {
+      return null;
+    }
+
+    job.status = 'awaiting_approval';
+    job.approval = {
+      draft,
+      requestedAt: job.updatedAt,
+      approved: null,
+      approvedAt: null
+    };
+    return this._finish(job);
+  }
+
+  /**
+   * Record the seller's approved listing and reopen the job to continue
+   * @param {string} jobId - Job identifier
+   * @param {Object} approved - Approved listing fields
+   * @returns {Promise<Object|null>} Reopened job, or null if not found
+   */
+  async approveJob(jobId, approved) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'awaiting_approval') {
+      throw new Error(`Job ${jobId} is not awaiting approval`);
+    }
+
+    job.status = 'processing';
+    job.approval.approved = approved;
+    job.approval.approvedAt = new Date().toISOString();
+    this.activeJobs.set(jobId, job);
+
+    return this.recordStep(jobId, 'approval', 'completed');
+  }
+
+  /**
+   * Get the latest settled status of each step across all attempts of a job.
+   * Steps that were started but never finished are reported as 'started'.
+   * @param {Object} job - Job record
+   * @returns {Object} Map of step name to latest status
+   */
+  getLatestStepStatuses(job) {
+    const statuses = {};
+    const attempts = [...(job.attempts || []), { steps: job.steps }];
+
+    for (const attempt of attempts) {
+      for (const entry of attempt.steps) {
+        statuses[entry.step] = entry.status;
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Check whether a step finished successfully or was skipped
+   * @param {string} status - Step status
+   * @returns {boolean}
+   */
+  isStepSettled(status) {
+    return SETTLED_STEP_STATUSES.includes(status);
+  }
+
+  /**
+   * Save an intermediate artifact for a job
+   * @param {string} jobId - Job identifier
+   * @param {string} name - Artifact name (e.g. 'collage.jpg')
+   * @param {Buffer} buffer - Artifact contents
+   * @returns {Promise<void>}
+   */
+  async saveArtifact(jobId, name, buffer) {
+    const artifactPath = this._getArtifactPath(jobId, name);
+    await fs.mkdir(path.dirname(artifactPath), { recursive: true });
+    await fs.writeFile(artifactPath, buffer);
+
+    const job = this.activeJobs.get(jobId);
+    if (job) {
+      job.artifacts = job.artifacts || {};
+      job.artifacts[name] = { size: buffer.length, savedAt: new Date().toISOString() };
+      this._persist(job);
+    }
+  }
+
+  /**
+   * Load an intermediate artifact for a job
+   * @param {string} jobId - Job identifier
+   * @param {string} name - Artifact name
+   * @returns {Promise<Buffer|null>} Artifact contents, or null if missing
+   */
+  async loadArtifact(jobId, name) {
+    try {
+      return await fs.readFile(this._getArtifactPath(jobId, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a JSON-serializable artifact for a job
+   * @param {string} jobId - Job identifier
+   * @param {string} name - Artifact name (e.g. 'metadata.json')
+   * @param {*} value - Value to serialize
+   * @returns {Promise<void>}
+   */
+  async saveJsonArtifact(jobId, name, value) {
+    await this.saveArtifact(jobId, name, Buffer.from(JSON.stringify(value), 'utf8'));
+  }
+
+  /**
+   * Load a JSON artifact for a job
+   * @param {string} jobId - Job identifier
+   * @param {string} name - Artifact name
+   * @returns {Promise<*>} Parsed value, or null if missing
+   */
+  async loadJsonArtifact(jobId, name) {
+    const buffer = await this.loadArtifact(jobId, name);
+    return buffer ? JSON.parse(buffer.toString('utf8')) : null;
+  }
+
+  /**
+   * Get a job by ID, from memory if it is running or from disk otherwise
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    if (this.activeJobs.has(jobId)) {
+      return this.activeJobs.get(jobId);
+    }
+
+    if (!JOB_ID_PATTERN.test(jobId)) {
+      return null;
+    }
+
+    await this.pendingWrites.get(jobId);
+    return this._readJob(this.getJobFilePath(jobId));
+  }
+
+  /**
+   * List job summaries, newest first
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.userId - Only return jobs owned by this user
+   * @param {string} filters.status - Only return jobs with this status
+   * @param {number} filters.limit - Maximum number of jobs to return
+   * @param {number} filters.offset - Number of jobs to skip
+   * @returns {Promise<Object>} Paginated job summaries
+   */
+  async listJobs({ userId, status, limit = 20, offset = 0 } = {}) {
+    const jobs = (await this._loadAllJobs())
+      .filter(job => !userId || job.userId === userId)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    return {
+      total: jobs.length,
+      limit,
+      offset,
+      jobs: jobs.slice(offset, offset + limit).map(job => this._summarize(job))
+    };
+  }
+
+  /**
+   * Delete jobs older than the retention age and trim each user's history
+   * to the configured maximum number of jobs
+   * @returns {Promise<number>} Number of deleted jobs; jobs that could not be deleted are retried at the next cleanup
+   */
+  async pruneJobs() {
+    const { maxAgeDays, maxJobsPerUser } = this.retention;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const finishedJobs = (await this._loadAllJobs())
+      .filter(job => !this.activeJobs.has(job.id))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    const perUserCount = new Map();
+    const expired = finishedJobs.filter(job => {
+      const count = (perUserCount.get(job.userId) || 0) + 1;
+      perUserCount.set(job.userId, count);
+      return new Date(job.startTime).getTime() < cutoff || count > maxJobsPerUser;
+    });
+
+    let deleted = 0;
+    for (const job of expired) {
+      try {
+        await fs.rm(this.getJobFilePath(job.id), { force: true });
+        await fs.rm(this.getArtifactDir(job.id), { recursive: true, force: true });
+        deleted++;
+      } catch (error) {
+        // Left for the next cleanup
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Start periodic retention cleanup; the first cleanup runs right away, so
+   * jobs that expired while the server was down do not wait a full interval
+   * @param {number} intervalMs - Cleanup interval (default: 6 hours)
+   */
+  startRetentionScheduler(intervalMs = 6 * 60 * 60 * 1000) {
+    // A failed cleanup is retried at the next interval
+    const prune = () => this.pruneJobs().catch(() => {});
+
+    this.retentionInterval = setInterval(prune, intervalMs);
+    // Do not keep the process alive just for the cleanup
+    this.retentionInterval.unref();
+    prune();
+  }
+
+  /**
+   * Wait for all pending job writes to finish
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.pendingWrites.values());
+  }
+
+  /**
+   * Stop the retention scheduler and flush pending writes
+   */
+  async destroy() {
+    if (this.retentionInterval) {
+      clearInterval(this.retentionInterval);
+      this.retentionInterval = null;
+    }
+
+    await this.flush();
+  }
+
+  /**
+   * Resolve the path of a job artifact
+   * @private
+   */
+  _getArtifactPath(jobId, name) {
+    if (!ARTIFACT_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid artifact name: ${name}`);
+    }
+    return path.join(this.getArtifactDir(jobId), name);
+  }
+
+  /**
+   * Append a step to a job's history and notify listeners
+   * @private
+   */
+  _record(job, step, status, data = {}) {
+    const timestamp = new Date().toISOString();
+    job.steps.push({
+      step,
+      status,
+      timestamp,
+      ...data
+    });
+
+    job.currentStep = step;
+    job.currentStatus = status;
+    job.updatedAt = timestamp;
+
+    if (status === 'failed' && data.error) {
+      job.errors.push({ step, error: data.error, timestamp });
+    }
+
+    this._persist(job);
+    this.emit('step', {
+      jobId: job.id,
+      step,
+      status,
+      timestamp,
+      ...data
+    });
+    return job;
+  }
+
+  /**
+   * Key under which duplicate submissions are looked up: the idempotency key
+   * when one is given, the fingerprint otherwise
+   * @private
+   */
+  _submissionKey(userId, idempotencyKey, fingerprint) {
+    return `${userId}:${idempotencyKey ? `key:${idempotencyKey}` : `fingerprint:${fingerprint}`}`;
+  }
+
+  /**
+   * Add a job to the submission index under its idempotency key and fingerprint
+   * @private
+   */
+  _indexSubmission(job) {
+    const keys = [];
+    if (job.idempotencyKey) {
+      keys.push(this._submissionKey(job.userId, job.idempotencyKey, null));
+    }
+    if (job.fingerprint) {
+      keys.push(this._submissionKey(job.userId, null, job.fingerprint));
+    }
+
+    for (const key of keys) {
+      const entries = this.submissionIndex.get(key) || [];
+      if (!entries.some(entry => entry.jobId === job.id)) {
+        entries.push({ jobId: job.id, startTime: job.startTime });
+        entries.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      }
+      this.submissionIndex.set(key, entries);
+    }
+  }
+
+  /**
+   * Index the jobs already on disk, once per process
+   * @private
+   */
+  _loadSubmissionIndex() {
+    if (!this.submissionIndexLoaded) {
+      this.submissionIndexLoaded = this._loadAllJobs()
+        .then(jobs => jobs.forEach(job => this._indexSubmission(job)))
+        .catch(error => {
+          this.submissionIndexLoaded = null;
+          throw error;
+        });
+    }
+    return this.submissionIndexLoaded;
+  }
+
+  /**
+   * Drop a finished job from memory once it has been written to disk
+   * @private
+   */
+  _finish(job) {
+    this.emit('finished', job);
+    this._persist(job).then(() => {
+      if (job.status !== 'processing') {
+        this.activeJobs.delete(job.id);
+      }
+    });
+    return job;
+  }
+
+  /**
+   * Queue a write of the job file, serializing writes per job
+   * @private
+   */
+  _persist(job) {
+    const previous = this.pendingWrites.get(job.id) || Promise.resolve();
+    const snapshot = JSON.stringify(job, null, 2);
+
+    const write = previous
+      .then(async () => {
+        await this.ensureJobsDirectory();
+        const jobPath = this.getJobFilePath(job.id);
+        const tempPath = `${jobPath}.tmp`;
+        await fs.writeFile(tempPath, snapshot, 'utf8');
+        await fs.rename(tempPath, jobPath);
+      })
+      // A failed write is repeated with the job's next change
+      .catch(() => {})
+      .finally(() => {
+        if (this.pendingWrites.get(job.id) === write) {
+          this.pendingWrites.delete(job.id);
+        }
+      });
+
+    this.pendingWrites.set(job.id, write);
+    return write;
+  }
+
+  /**
+   * Read a job file from disk
+   * @private
+   */
+  async _readJob(jobPath) {
+    try {
+      const job = JSON.parse(await fs.readFile(jobPath, 'utf8'));
+
+      // A job still marked as processing on disk was cut off by a restart
+      if (job.status === 'processing' && !this.activeJobs.has(job.id)) {
+        job.status = 'interrupted';
+      }
+
+      return job;
+    } catch (error) {
+      // Missing and unreadable job files are both treated as unknown jobs
+      return null;
+    }
+  }
+
+  /**
+   * Load every persisted job, preferring in-memory copies of running jobs
+   * @private
+   */
+  async _loadAllJobs() {
+    await this.ensureJobsDirectory();
+    await this.flush();
+
+    const files = (await fs.readdir(this.jobsDir)).filter(file => file.endsWith('.json'));
+    const jobs = new Map();
+
+    for (const file of files) {
+      const job = await this._readJob(path.join(this.jobsDir, file));
+      if (job) {
+        jobs.set(job.id, job);
+      }
+    }
+
+    for (const [jobId, job] of this.activeJobs.entries()) {
+      jobs.set(jobId, job);
+    }
+
+    return Array.from(jobs.values());
+  }
+
+  /**
+   * Build a compact job summary for listings
+   * @private
+   */
+  _summarize(job) {
+    return {
+      id: job.id,
+      userId: job.userId,
+      status: job.status,
+      startTime: job.startTime,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      currentStep: job.currentStep,
+      currentStatus: job.currentStatus,
+      inputs: job.inputs,
+      results: job.results,
+      errors: job.errors,
+      attemptCount: (job.attempts || []).length + 1
+    };
+  }
+}
+
+module.exports = JobService;
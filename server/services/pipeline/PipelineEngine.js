@@ -0,0 +1,233 @@
+/**
+ * Pipeline Engine
+ * Runs the upload pipeline as a sequence of registered step modules.
+ *
+ * A step module is a plain object:
+ *   - name: unique step name, recorded in the job history
+ *   - stage: job queue stage the step runs in ('cpu', 'network' or null)
+ *   - dependsOn: steps whose outputs the step needs; they must run earlier
+ *   - required: the step always runs first and cannot be disabled or reordered
+ *   - rerunOnResume: the step runs again when a job resumes after it
+ *   - shouldRun(settings, context): whether the step applies to this job
+ *   - skipReason(settings, context): reason recorded when shouldRun is false
+ *   - run(context, services): does the work and stores outputs on the context
+ *   - restore(context, services): reloads the persisted outputs when a job
+ *     resumes after the step
+ *
+ * Per-user settings (`settings.pipeline`) reorder steps with `order` and turn
+ * them off with `disabled`.
+ */
+class PipelineEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object[]} options.steps - Step modules, in default order
+   * @param {Object} options.services - Services handed to every step
+   */
+  constructor(options = {}) {
+    this.steps = new Map();
+    this.services = options.services || {};
+
+    for (const step of options.steps || []) {
+      this.register(step);
+    }
+  }
+
+  /**
+   * Register a step module. Steps run in registration order unless the
+   * user's settings reorder them.
+   * @param {Object} step - Step module
+   * @returns {PipelineEngine} The engine, for chaining
+   */
+  register(step) {
+    if (!step || !step.name || typeof step.run !== 'function') {
+      throw new Error('Pipeline steps need a name and a run function');
+    }
+    if (this.steps.has(step.name)) {
+      throw new Error(`Pipeline step already registered: ${step.name}`);
+    }
+
+    const unknown = (step.dependsOn || []).filter(name => !this.steps.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Pipeline step ${step.name} depends on unregistered steps: ${unknown.join(', ')}`);
+    }
+
+    this.steps.set(step.name, { stage: null, dependsOn: [], ...step });
+    return this;
+  }
+
+  /**
+   * Get a registered step
+   * @param {string} name - Step name
+   * @returns {Object|null} Step module
+   */
+  getStep(name) {
+    return this.steps.get(name) || null;
+  }
+
+  /**
+   * Get the names of all registered steps in default order
+   * @returns {string[]} Step names
+   */
+  getStepNames() {
+    return [...this.steps.keys()];
+  }
+
+  /**
+   * Resolve the order steps run in for the given settings.
+   * Required steps come first. Steps missing from a custom order keep their
+   * place after the step registered before them, so newly added steps still run.
+   * @param {Object} settings - User settings
+   * @returns {string[]} Ordered step names
+   * @throws {Error} If a step would run before one of its dependencies
+   */
+  resolve(settings = {}) {
+    const names = this.getStepNames();
+    const required = names.filter(name => this.steps.get(name).required);
+    const customOrder = settings?.pipeline?.order || [];
+    const order = [...new Set(customOrder)].filter(name => this.steps.has(name) && !required.includes(name));
+
+    names.forEach((name, index) => {
+      if (required.includes(name) || order.includes(name)) {
+        return;
+      }
+      const previous = names.slice(0, index).reverse().find(other => order.includes(other));
+      order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, name);
+    });
+
+    const resolved = [...required, ...order];
+    resolved.forEach((name, index) => {
+      for (const dependency of this.steps.get(name).dependsOn) {
+        if (resolved.indexOf(dependency) > index) {
+          throw new Error(`Pipeline step ${name} must run after ${dependency}`);
+        }
+      }
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Validate the pipeline section of user settings
+   * @param {Object} pipeline - Pipeline settings ({ order, disabled })
+   * @throws {Error} If the configuration is invalid
+   */
+  validateConfig(pipeline) {
+    for (const key of ['order', 'disabled']) {
+      const value = pipeline[key];
+      if (value === undefined) {
+        continue;
+      }
+      if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+        throw new Error(`Pipeline ${key} must be an array of step names`);
+      }
+      const unknown = value.filter(name => !this.steps.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown pipeline steps: ${unknown.join(', ')}`);
+      }
+    }
+
+    const fixed = (pipeline.disabled || []).filter(name => this.steps.get(name).required);
+    if (fixed.length > 0) {
+      throw new Error(`Pipeline steps cannot be disabled: ${fixed.join(', ')}`);
+    }
+
+    this.resolve({ pipeline });
+  }
+
+  /**
+   * Get the reason a step will not run for a job, if any
+   * @param {Object} step - Step module
+   * @param {Object} context - Pipeline context
+   * @param {Set<string>} skipped - Steps skipped so far in this run
+   * @returns {string|null} Skip reason, or null if the step runs
+   */
+  getSkipReason(step, context, skipped = new Set()) {
+    const { settings = {} } = context;
+    const disabled = settings.pipeline?.disabled || [];
+
+    if (!step.required && disabled.includes(step.name)) {
+      return 'disabled';
+    }
+    if (step.dependsOn.some(name => disabled.includes(name) || skipped.has(name))) {
+      return 'dependency_skipped';
+    }
+    if (step.shouldRun && !step.shouldRun(settings, context)) {
+      return step.skipReason ? step.skipReason(settings, context) : 'disabled';
+    }
+    return null;
+  }
+
+  /**
+   * Run the pipeline for a job.
+   * Steps before `fromStep` are not run again; their outputs are restored instead.
+   * @param {Object} context - Pipeline context; steps read and write their data on it
+   * @param {Object} options - Run options
+   * @param {string} options.fromStep - First step to run (default: the first step)
+   * @param {Function} options.beforeStep - Called with (step, context) before a step
+   *   runs; returning false pauses the pipeline
+   * @param {Function} options.runStep - Called with (step, task) to execute a step,
+   *   e.g. to schedule it on a job queue
+   * @returns {Promise<Object>} { paused, step } where step is the step the pipeline paused at
+   */
+  async run(context, options = {}) {
+    const {
+      fromStep = null,
+      beforeStep = null,
+      runStep = (step, task) => task()
+    } = options;
+
+    if (fromStep && !this.steps.has(fromStep)) {
+      throw new Error(`Unknown pipeline step: ${fromStep}`);
+    }
+
+    const { updateStatus } = this.services;
+    const skipped = new Set();
+    let reached = !fromStep;
+
+    const execute = async (step) => {
+      reached = reached || step.name === fromStep;
+
+      if (!reached) {
+        if (step.rerunOnResume) {
+          await step.run(context, this.services);
+        } else if (step.restore) {
+          await step.restore(context, this.services);
+        }
+        return true;
+      }
+
+      // Skipped steps do no work, so they do not wait for a queue slot
+      const reason = this.getSkipReason(step, context, skipped);
+      if (reason) {
+        skipped.add(step.name);
+        updateStatus(context.processingId, step.name, 'skipped', { reason });
+        return true;
+      }
+
+      if (beforeStep && await beforeStep(step, context) === false) {
+        return false;
+      }
+
+      await runStep(step, () => step.run(context, this.services));
+      return true;
+    };
+
+    // Required steps load the settings that decide the order of the others
+    const required = this.getStepNames().filter(name => this.steps.get(name).required);
+    for (const name of required) {
+      if (!await execute(this.steps.get(name))) {
+        return { paused: true, step: name };
+      }
+    }
+
+    for (const name of this.resolve(context.settings).slice(required.length)) {
+      if (!await execute(this.steps.get(name))) {
+        return { paused: true, step: name };
+      }
+    }
+
+    return { paused: false, step: null };
+  }
+}
+
+module.exports = PipelineEngine;
@@ -0,0 +1,182 @@
+const PipelineEngine = require('../PipelineEngine');
+const { createPipelineEngine } = require('..');
+
+describe('PipelineEngine', () => {
+  let calls;
+  let updateStatus;
+
+  // A step that records when it runs or is restored
+  const createStep = (name, overrides = {}) => ({
+    name,
+    run: jest.fn(async () => calls.push(`run:${name}`)),
+    restore: jest.fn(async () => calls.push(`restore:${name}`)),
+    ...overrides
+  });
+
+  const createEngine = (steps) => new PipelineEngine({ steps, services: { updateStatus } });
+
+  const createSteps = () => [
+    createStep('load', {
+      required: true,
+      rerunOnResume: true,
+      run: jest.fn(async (context) => {
+        calls.push('run:load');
+        context.settings = context.userSettings || {};
+      })
+    }),
+    createStep('resize'),
+    createStep('package', { dependsOn: ['resize'] }),
+    createStep('publish', { dependsOn: ['package'] })
+  ];
+
+  beforeEach(() => {
+    calls = [];
+    updateStatus = jest.fn();
+  });
+
+  describe('register', () => {
+    it('should reject duplicate steps and unknown dependencies', () => {
+      const engine = createEngine([createStep('resize')]);
+
+      expect(() => engine.register(createStep('resize'))).toThrow('already registered');
+      expect(() => engine.register(createStep('publish', { dependsOn: ['upload'] }))).toThrow('unregistered steps: upload');
+      expect(() => engine.register({ name: 'broken' })).toThrow('run function');
+    });
+  });
+
+  describe('resolve', () => {
+    it('should use registration order by default', () => {
+      expect(createEngine(createSteps()).resolve()).toEqual(['load', 'resize', 'package', 'publish']);
+    });
+
+    it('should apply a custom order after the required steps', () => {
+      const engine = createEngine([...createSteps(), createStep('preview', { dependsOn: ['resize'] })]);
+
+      expect(engine.resolve({ pipeline: { order: ['load', 'resize', 'preview', 'package', 'publish'] } }))
+        .toEqual(['load', 'resize', 'preview', 'package', 'publish']);
+    });
+
+    it('should keep steps missing from a custom order after their registered predecessor', () => {
+      const engine = createEngine([...createSteps(), createStep('preview')]);
+
+      expect(engine.resolve({ pipeline: { order: ['preview', 'resize'] } }))
+        .toEqual(['load', 'preview', 'resize', 'package', 'publish']);
+    });
+
+    it('should reject an order that runs a step before its dependencies', () => {
+      const engine = createEngine(createSteps());
+
+      expect(() => engine.resolve({ pipeline: { order: ['package', 'resize'] } }))
+        .toThrow('package must run after resize');
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should reject unknown, malformed and required steps', () => {
+      const engine = createEngine(createSteps());
+
+      expect(() => engine.validateConfig({ order: ['resize', 'crop'] })).toThrow('Unknown pipeline steps: crop');
+      expect(() => engine.validateConfig({ disabled: 'resize' })).toThrow('array of step names');
+      expect(() => engine.validateConfig({ disabled: ['load'] })).toThrow('cannot be disabled: load');
+      expect(() => engine.validateConfig({ order: [], disabled: ['publish'] })).not.toThrow();
+    });
+  });
+
+  describe('run', () => {
+    it('should run every step in order', async () => {
+      const result = await createEngine(createSteps()).run({ processingId: 'job-1' });
+
+      expect(result).toEqual({ paused: false, step: null });
+      expect(calls).toEqual(['run:load', 'run:resize', 'run:package', 'run:publish']);
+    });
+
+    it('should skip disabled steps and the steps depending on them', async () => {
+      const context = { processingId: 'job-1', userSettings: { pipeline: { disabled: ['package'] } } };
+
+      await createEngine(createSteps()).run(context);
+
+      expect(calls).toEqual(['run:load', 'run:resize']);
+      expect(updateStatus).toHaveBeenCalledWith('job-1', 'package', 'skipped', { reason: 'disabled' });
+      expect(updateStatus).toHaveBeenCalledWith('job-1', 'publish', 'skipped', { reason: 'dependency_skipped' });
+    });
+
+    it('should record the skip reason when shouldRun is false', async () => {
+      const steps = createSteps();
+      steps[3].shouldRun = (settings, context) => !!context.token;
+      steps[3].skipReason = () => 'not_authenticated';
+
+      await createEngine(steps).run({ processingId: 'job-1' });
+
+      expect(steps[3].run).not.toHaveBeenCalled();
+      expect(updateStatus).toHaveBeenCalledWith('job-1', 'publish', 'skipped', { reason: 'not_authenticated' });
+    });
+
+    it('should restore earlier steps when resuming', async () => {
+      await createEngine(createSteps()).run({ processingId: 'job-1' }, { fromStep: 'package' });
+
+      expect(calls).toEqual(['run:load', 'restore:resize', 'run:package', 'run:publish']);
+    });
+
+    it('should pause when beforeStep returns false', async () => {
+      const result = await createEngine(createSteps()).run({ processingId: 'job-1' }, {
+        beforeStep: step => step.name !== 'publish'
+      });
+
+      expect(result).toEqual({ paused: true, step: 'publish' });
+      expect(calls).not.toContain('run:publish');
+    });
+
+    it('should execute steps through runStep', async () => {
+      const runStep = jest.fn((step, task) => task());
+      const steps = createSteps();
+      steps[1].stage = 'cpu';
+
+      await createEngine(steps).run({ processingId: 'job-1' }, { runStep });
+
+      expect(runStep).toHaveBeenCalledTimes(4);
+      expect(runStep.mock.calls[1][0]).toMatchObject({ name: 'resize', stage: 'cpu' });
+    });
+
+    it('should record skipped steps without going through runStep', async () => {
+      const runStep = jest.fn((step, task) => task());
+      const context = { processingId: 'job-1', userSettings: { pipeline: { disabled: ['package'] } } };
+
+      await createEngine(createSteps()).run(context, { runStep });
+
+      expect(runStep.mock.calls.map(([step]) => step.name)).toEqual(['load', 'resize']);
+      expect(updateStatus).toHaveBeenCalledWith('job-1', 'publish', 'skipped', { reason: 'dependency_skipped' });
+    });
+
+    it('should reject unknown steps to resume from', async () => {
+      await expect(createEngine(createSteps()).run({}, { fromStep: 'crop' })).rejects.toThrow('Unknown pipeline step: crop');
+    });
+  });
+
+  describe('default pipeline', () => {
+    it('should register the upload steps in order', () => {
+      expect(createPipelineEngine().getStepNames()).toEqual([
+        'settings',
+        'validation',
+        'background_removal',
+        'normalization',
+        'watermarking',
+        'video_create',
+        'gif_create',
+        'collage',
+        'mockups',
+        'packaging',
+        'drive_upload',
+        'ai_metadata',
+        'etsy_listing'
+      ]);
+    });
+
+    it('should allow metadata to be generated before the media steps', () => {
+      const engine = createPipelineEngine();
+      const order = ['ai_metadata', 'watermarking', 'video_create', 'gif_create', 'collage', 'packaging', 'drive_upload', 'etsy_listing'];
+
+      expect(() => engine.validateConfig({ order })).not.toThrow();
+      expect(() => engine.validateConfig({ order: ['drive_upload', 'packaging'] })).toThrow('drive_upload must run after packaging');
+    });
+  });
+});
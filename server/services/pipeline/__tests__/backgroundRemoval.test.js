@@ -0,0 +1,105 @@
+const backgroundRemoval = require('../steps/backgroundRemoval');
+
+describe('background removal step', () => {
+  let artifacts;
+  let services;
+  let context;
+
+  beforeEach(() => {
+    artifacts = {};
+    services = {
+      imageService: {
+        removeBackgrounds: jest.fn(async images => ({
+          cutoutImages: images.map(image => ({
+            ...image,
+            buffer: Buffer.from(`cutout:${image.buffer.toString()}`),
+            backgroundRemoved: true,
+            removed: 0.6
+          })),
+          errors: []
+        }))
+      },
+      settingsService: {
+        resolveBackgroundRemoval: jest.fn(settings => ({ ...settings, segmenter: null }))
+      },
+      jobService: {
+        saveArtifact: jest.fn(async (jobId, name, buffer) => {
+          artifacts[name] = buffer;
+        }),
+        loadArtifact: jest.fn(async (jobId, name) => artifacts[name] || null),
+        saveJsonArtifact: jest.fn(async (jobId, name, data) => {
+          artifacts[name] = Buffer.from(JSON.stringify(data));
+        }),
+        loadJsonArtifact: jest.fn(async (jobId, name) => (artifacts[name] ? JSON.parse(artifacts[name].toString()) : null))
+      },
+      updateStatus: jest.fn()
+    };
+    context = {
+      processingId: 'proc_1',
+      validFiles: [{ originalname: 'a.jpg', buffer: Buffer.from('a') }, { originalname: 'b.jpg', buffer: Buffer.from('b') }],
+      settings: {
+        backgroundRemoval: { enabled: true, method: 'color-key', transparent: false, backgroundColor: '#FFFFFF' },
+        processing: { outputFormat: 'auto', imageQuality: 85 }
+      }
+    };
+  });
+
+  it('should only run when enabled', () => {
+    expect(backgroundRemoval.shouldRun(context.settings)).toBe(true);
+    expect(backgroundRemoval.shouldRun({ backgroundRemoval: { enabled: false } })).toBe(false);
+  });
+
+  it('should cut out every image and save the cut-outs', async () => {
+    await backgroundRemoval.run(context, services);
+
+    expect(services.imageService.removeBackgrounds).toHaveBeenCalledWith(
+      context.validFiles,
+      { ...context.settings.backgroundRemoval, segmenter: null },
+      { format: 'auto', quality: 85 }
+    );
+    expect(context.cutoutFiles.map(file => file.buffer.toString())).toEqual(['cutout:a', 'cutout:b']);
+    expect(artifacts['cutout-1'].toString()).toBe('cutout:b');
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'background_removal', 'completed', {
+      images: [{ filename: 'a.jpg', removed: 0.6 }, { filename: 'b.jpg', removed: 0.6 }],
+      errors: []
+    });
+  });
+
+  it('should fail without stopping the pipeline when no model is configured', async () => {
+    services.settingsService.resolveBackgroundRemoval.mockImplementation(() => {
+      throw new Error('No segmentation model configured; set BACKGROUND_SEGMENTER');
+    });
+
+    await backgroundRemoval.run(context, services);
+
+    expect(context.cutoutFiles).toBeUndefined();
+    expect(services.imageService.removeBackgrounds).not.toHaveBeenCalled();
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'background_removal', 'failed', {
+      error: 'No segmentation model configured; set BACKGROUND_SEGMENTER'
+    });
+  });
+
+  it('should fail when no background could be removed', async () => {
+    const errors = [
+      { index: 0, filename: 'a.jpg', error: 'Background removal failed: Background is not a plain color' },
+      { index: 1, filename: 'b.jpg', error: 'Background removal failed: Background is not a plain color' }
+    ];
+    services.imageService.removeBackgrounds.mockResolvedValue({
+      cutoutImages: context.validFiles.map(file => ({ ...file, backgroundRemoved: false })),
+      errors
+    });
+
+    await backgroundRemoval.run(context, services);
+
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'background_removal', 'failed', expect.objectContaining({ errors }));
+  });
+
+  it('should restore the saved cut-outs', async () => {
+    await backgroundRemoval.run(context, services);
+    const restored = { processingId: 'proc_1' };
+
+    await backgroundRemoval.restore(restored, services);
+
+    expect(restored.cutoutFiles).toEqual(context.cutoutFiles);
+  });
+});
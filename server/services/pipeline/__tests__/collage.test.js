@@ -0,0 +1,117 @@
+const collage = require('../steps/collage');
+
+describe('collage step', () => {
+  let artifacts;
+  let services;
+  let context;
+
+  beforeEach(() => {
+    artifacts = {};
+    services = {
+      imageService: {
+        createCollage: jest.fn(async (images, options) => Buffer.from(`collage:${options.layout}`))
+      },
+      settingsService: {
+        resolveCollage: jest.fn(async config => config)
+      },
+      jobService: {
+        saveArtifact: jest.fn(async (jobId, name, buffer) => {
+          artifacts[name] = buffer;
+        }),
+        loadArtifact: jest.fn(async (jobId, name) => artifacts[name] || null),
+        saveJsonArtifact: jest.fn(async (jobId, name, data) => {
+          artifacts[name] = Buffer.from(JSON.stringify(data));
+        }),
+        loadJsonArtifact: jest.fn(async (jobId, name) => (artifacts[name] ? JSON.parse(artifacts[name].toString()) : null))
+      },
+      updateStatus: jest.fn()
+    };
+    context = {
+      processingId: 'proc_1',
+      validFiles: [{ buffer: Buffer.from('a') }, { buffer: Buffer.from('b') }],
+      settings: {
+        collage: { enabled: true, layout: 'grid', spacing: 10, placement: 'last', variants: [] }
+      }
+    };
+  });
+
+  it('should create a single collage without variants', async () => {
+    await collage.run(context, services);
+
+    expect(services.imageService.createCollage).toHaveBeenCalledTimes(1);
+    expect(artifacts['collage.jpg'].toString()).toBe('collage:grid');
+    expect(context.collages).toEqual([{ name: 'collage', placement: 'last', buffer: artifacts['collage.jpg'] }]);
+    expect(context.collageBuffer).toBe(artifacts['collage.jpg']);
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'collage', 'completed', { collages: ['collage'] });
+  });
+
+  it('should create one collage per variant with its own settings', async () => {
+    context.settings.collage.variants = [
+      { name: 'hero', layout: 'featured', placement: 'first', dimensions: { width: 2000, height: 1500 } },
+      { layout: 'mosaic' }
+    ];
+
+    await collage.run(context, services);
+
+    expect(services.settingsService.resolveCollage).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'collage-hero',
+      layout: 'featured',
+      spacing: 10,
+      dimensions: { width: 2000, height: 1500 }
+    }));
+    expect(services.settingsService.resolveCollage.mock.calls[0][0]).not.toHaveProperty('variants');
+    expect(context.collages.map(({ name, placement }) => ({ name, placement }))).toEqual([
+      { name: 'collage-hero', placement: 'first' },
+      { name: 'collage-2', placement: 'last' }
+    ]);
+    expect(artifacts['collage-hero.jpg'].toString()).toBe('collage:featured');
+    expect(artifacts['collage-2.jpg'].toString()).toBe('collage:mosaic');
+  });
+
+  it('should keep the collages that succeed', async () => {
+    context.settings.collage.variants = [{ name: 'hero', layout: 'featured' }, { name: 'overview' }];
+    services.imageService.createCollage.mockRejectedValueOnce(new Error('Collage creation failed: bad image'));
+
+    await collage.run(context, services);
+
+    expect(context.collages.map(entry => entry.name)).toEqual(['collage-overview']);
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'collage', 'completed', {
+      collages: ['collage-overview'],
+      errors: [{ name: 'collage-hero', error: 'Collage creation failed: bad image' }]
+    });
+  });
+
+  it('should fail the step when no collage could be created', async () => {
+    services.settingsService.resolveCollage.mockRejectedValueOnce(new Error('Collage template not found: gone'));
+
+    await collage.run(context, services);
+
+    expect(context.collages).toEqual([]);
+    expect(context.collageBuffer).toBeNull();
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'collage', 'failed', expect.objectContaining({
+      error: 'Collage template not found: gone'
+    }));
+  });
+
+  it('should restore the collages of a previous run', async () => {
+    context.settings.collage.variants = [{ name: 'hero', placement: 'first' }, { name: 'overview' }];
+    await collage.run(context, services);
+
+    const restored = { processingId: 'proc_1' };
+    await collage.restore(restored, services);
+
+    expect(restored.collages.map(({ name, placement, buffer }) => [name, placement, buffer.toString()])).toEqual([
+      ['collage-hero', 'first', 'collage:grid'],
+      ['collage-overview', 'last', 'collage:grid']
+    ]);
+  });
+
+  it('should restore the single collage of jobs from before variants', async () => {
+    artifacts['collage.jpg'] = Buffer.from('old collage');
+
+    await collage.restore(context, services);
+
+    expect(context.collages).toEqual([{ name: 'collage', placement: 'last', buffer: artifacts['collage.jpg'] }]);
+    expect(context.collageBuffer.toString()).toBe('old collage');
+  });
+});
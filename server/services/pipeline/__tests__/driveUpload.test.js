@@ -0,0 +1,73 @@
+const driveUpload = require('../steps/driveUpload');
+
+describe('drive upload step', () => {
+  let artifacts;
+  let services;
+  let context;
+
+  beforeEach(() => {
+    artifacts = {};
+    services = {
+      googleDriveService: {
+        initialize: jest.fn(async () => {}),
+        setAccessToken: jest.fn(),
+        uploadZipFile: jest.fn(async () => ({ fileId: 'zip_id' })),
+        uploadFile: jest.fn(async () => ({ fileId: 'gif_id' })),
+        createShareableLink: jest.fn(async fileId => `https://drive.google.com/file/d/${fileId}/view`)
+      },
+      jobService: {
+        saveJsonArtifact: jest.fn(async (jobId, name, data) => {
+          artifacts[name] = data;
+        }),
+        loadJsonArtifact: jest.fn(async (jobId, name) => artifacts[name] || null)
+      },
+      updateStatus: jest.fn()
+    };
+    context = {
+      processingId: 'proc_1',
+      user: { session: { googleAuth: { accessToken: 'token' } } },
+      zipBuffer: Buffer.from('zip'),
+      gifBuffer: Buffer.from('GIF89a')
+    };
+  });
+
+  it('should upload the GIF preview next to the package', async () => {
+    await driveUpload.run(context, services);
+
+    expect(services.googleDriveService.uploadFile).toHaveBeenCalledWith(context.gifBuffer, 'listing_proc_1_preview.gif', 'image/gif');
+    expect(context.driveLink).toBe('https://drive.google.com/file/d/zip_id/view');
+    expect(context.gifDriveLink).toBe('https://drive.google.com/file/d/gif_id/view');
+    expect(artifacts['drive.json']).toEqual({
+      fileId: 'zip_id',
+      link: context.driveLink,
+      gifFileId: 'gif_id',
+      gifLink: context.gifDriveLink
+    });
+
+    const restored = { processingId: 'proc_1' };
+    await driveUpload.restore(restored, services);
+    expect(restored).toMatchObject({ driveLink: context.driveLink, gifDriveLink: context.gifDriveLink });
+  });
+
+  it('should keep the package link when the GIF upload fails', async () => {
+    services.googleDriveService.uploadFile.mockRejectedValue(new Error('Failed to upload file: quota exceeded'));
+
+    await driveUpload.run(context, services);
+
+    expect(context.driveLink).toBe('https://drive.google.com/file/d/zip_id/view');
+    expect(context.gifDriveLink).toBeUndefined();
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'drive_upload', 'completed', expect.objectContaining({
+      fileId: 'zip_id',
+      gifError: 'Failed to upload file: quota exceeded'
+    }));
+  });
+
+  it('should only upload the package when no GIF was created', async () => {
+    context.gifBuffer = null;
+
+    await driveUpload.run(context, services);
+
+    expect(services.googleDriveService.uploadFile).not.toHaveBeenCalled();
+    expect(artifacts['drive.json']).toEqual({ fileId: 'zip_id', link: context.driveLink });
+  });
+});
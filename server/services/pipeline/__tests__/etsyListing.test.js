@@ -0,0 +1,177 @@
+const etsyListing = require('../steps/etsyListing');
+
+describe('etsy_listing step', () => {
+  let artifacts;
+  let services;
+  let context;
+
+  beforeEach(() => {
+    artifacts = {};
+    services = {
+      etsyService: {
+        initialize: jest.fn(),
+        setAccessToken: jest.fn(),
+        setShopId: jest.fn(),
+        createDraftListing: jest.fn(async () => ({ listing_id: 42 })),
+        updateListing: jest.fn(),
+        uploadListingImages: jest.fn(async () => [{ listing_image_id: 1 }]),
+        deleteListingImage: jest.fn(),
+        uploadListingVideos: jest.fn(async () => [{ video_id: 5 }]),
+        deleteListingVideo: jest.fn(),
+        uploadListingDigitalFiles: jest.fn(async () => [{ listing_file_id: 7 }]),
+        deleteListingFile: jest.fn()
+      },
+      jobService: {
+        loadJsonArtifact: jest.fn(async (jobId, name) => artifacts[name] || null),
+        saveJsonArtifact: jest.fn(async (jobId, name, data) => {
+          artifacts[name] = JSON.parse(JSON.stringify(data));
+        })
+      },
+      updateStatus: jest.fn()
+    };
+    context = {
+      processingId: 'proc_1',
+      user: { session: { etsyAuth: { accessToken: 'token', shopId: 1 } } },
+      options: {},
+      metadata: { title: 'Mug', description: 'A mug', tags: ['mug'] },
+      validFiles: [{ buffer: Buffer.from('original') }],
+      watermarkResult: { watermarkedImages: [{ buffer: Buffer.from('watermarked') }] },
+      zipBuffer: Buffer.from('zip')
+    };
+  });
+
+  it('should create a draft and save progress after each upload', async () => {
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.createDraftListing).toHaveBeenCalledTimes(1);
+    expect(artifacts['etsy.json']).toMatchObject({
+      listing_id: 42,
+      uploadedImages: [{ listing_image_id: 1 }],
+      uploadedDigitalFiles: [{ listing_file_id: 7 }]
+    });
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'etsy_listing', 'completed', expect.objectContaining({
+      listingId: 42,
+      reused: false
+    }));
+  });
+
+  it('should reuse the job\'s draft and only repeat unfinished uploads on retry', async () => {
+    services.etsyService.uploadListingDigitalFiles.mockRejectedValueOnce(new Error('Etsy unavailable'));
+    await etsyListing.run(context, services);
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'etsy_listing', 'failed', { error: 'Etsy unavailable' });
+
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.createDraftListing).toHaveBeenCalledTimes(1);
+    expect(services.etsyService.uploadListingImages).toHaveBeenCalledTimes(1);
+    expect(services.etsyService.uploadListingDigitalFiles).toHaveBeenCalledTimes(2);
+    expect(context.etsyListing).toMatchObject({ listing_id: 42, uploadedDigitalFiles: [{ listing_file_id: 7 }] });
+    expect(services.etsyService.updateListing).not.toHaveBeenCalled();
+    expect(services.etsyService.deleteListingImage).not.toHaveBeenCalled();
+  });
+
+  it('should update the reused draft when the listing details changed', async () => {
+    await etsyListing.run(context, services);
+    context.metadata = { title: 'Blue mug', description: 'A blue mug', tags: ['mug', 'blue'] };
+    context.listing = { price: 12, quantity: 3 };
+
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.createDraftListing).toHaveBeenCalledTimes(1);
+    expect(services.etsyService.updateListing).toHaveBeenCalledWith(1, 42, {
+      title: 'Blue mug',
+      description: 'A blue mug',
+      tags: ['mug', 'blue'],
+      price: 12,
+      quantity: 3,
+      taxonomy_id: undefined
+    });
+    expect(artifacts['etsy.json'].listingDetails).toMatchObject({ title: 'Blue mug', price: 12 });
+  });
+
+  it('should replace the uploaded images when they changed', async () => {
+    await etsyListing.run(context, services);
+    context.watermarkResult = { watermarkedImages: [{ buffer: Buffer.from('rewatermarked') }] };
+    services.etsyService.uploadListingImages.mockResolvedValueOnce([{ listing_image_id: 2 }]);
+
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.deleteListingImage).toHaveBeenCalledWith(42, 1);
+    expect(services.etsyService.uploadListingImages).toHaveBeenCalledTimes(2);
+    expect(services.etsyService.uploadListingImages).toHaveBeenLastCalledWith(42, context.watermarkResult.watermarkedImages);
+    expect(artifacts['etsy.json'].uploadedImages).toEqual([{ listing_image_id: 2 }]);
+  });
+
+  it('should replace the uploaded video and package when they were rendered again', async () => {
+    context.videoBuffer = Buffer.from('video');
+    await etsyListing.run(context, services);
+    context.zipBuffer = Buffer.from('new zip');
+    services.etsyService.uploadListingDigitalFiles.mockResolvedValueOnce([{ listing_file_id: 8 }]);
+
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.uploadListingVideos).toHaveBeenCalledTimes(1);
+    expect(services.etsyService.deleteListingVideo).not.toHaveBeenCalled();
+    expect(services.etsyService.deleteListingFile).toHaveBeenCalledWith(42, 7);
+    expect(services.etsyService.uploadListingDigitalFiles).toHaveBeenCalledTimes(2);
+    expect(artifacts['etsy.json'].uploadedDigitalFiles).toEqual([{ listing_file_id: 8 }]);
+
+    context.videoBuffer = Buffer.from('new video');
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.deleteListingVideo).toHaveBeenCalledWith(42, 5);
+    expect(services.etsyService.uploadListingVideos).toHaveBeenCalledTimes(2);
+    expect(services.etsyService.uploadListingDigitalFiles).toHaveBeenCalledTimes(2);
+  });
+
+  it('should upload the originals when watermarking did not run', async () => {
+    delete context.watermarkResult;
+
+    await etsyListing.run(context, services);
+
+    expect(services.etsyService.uploadListingImages).toHaveBeenCalledWith(42, context.validFiles);
+  });
+
+  it('should place the collages before or after the product images', async () => {
+    context.collages = [
+      { name: 'collage-hero', placement: 'first', buffer: Buffer.from('hero') },
+      { name: 'collage-overview', placement: 'last', buffer: Buffer.from('overview') }
+    ];
+
+    await etsyListing.run(context, services);
+
+    const [, images] = services.etsyService.uploadListingImages.mock.calls[0];
+    expect(images.map(image => image.buffer.toString())).toEqual(['hero', 'watermarked', 'overview']);
+    expect(images[0]).toMatchObject({ filename: 'collage-hero.jpg', mimetype: 'image/jpeg' });
+  });
+
+  it('should add the mockups next to the collages', async () => {
+    context.collages = [{ name: 'collage', placement: 'last', buffer: Buffer.from('collage') }];
+    context.mockups = [
+      { name: 'mockup-1', placement: 'first', buffer: Buffer.from('wall') },
+      { name: 'mockup-2', placement: 'first', buffer: Buffer.from('shelf') }
+    ];
+
+    await etsyListing.run(context, services);
+
+    const [, images] = services.etsyService.uploadListingImages.mock.calls[0];
+    expect(images.map(image => image.buffer.toString())).toEqual(['wall', 'shelf', 'watermarked', 'collage']);
+    expect(images[0]).toMatchObject({ filename: 'mockup-1.jpg', mimetype: 'image/jpeg' });
+  });
+
+  it('should leave out product images beyond the Etsy image limit', async () => {
+    context.watermarkResult.watermarkedImages = Array.from({ length: 10 }, (_, i) => ({ buffer: Buffer.from(`image-${i}`) }));
+    context.collages = [
+      { name: 'collage-hero', placement: 'first', buffer: Buffer.from('hero') },
+      { name: 'collage-overview', placement: 'last', buffer: Buffer.from('overview') }
+    ];
+
+    await etsyListing.run(context, services);
+
+    const [, images] = services.etsyService.uploadListingImages.mock.calls[0];
+    expect(images).toHaveLength(10);
+    expect(images[0].buffer.toString()).toBe('hero');
+    expect(images[8].buffer.toString()).toBe('image-7');
+    expect(images[9].buffer.toString()).toBe('overview');
+  });
+});
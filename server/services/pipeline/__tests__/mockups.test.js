@@ -0,0 +1,93 @@
+const mockups = require('../steps/mockups');
+
+describe('mockups step', () => {
+  let artifacts;
+  let services;
+  let context;
+
+  beforeEach(() => {
+    artifacts = {};
+    services = {
+      imageService: {
+        createMockup: jest.fn(async (buffer, template) => Buffer.from(`${template.id}:${buffer.toString()}`))
+      },
+      settingsService: {
+        resolveMockupTemplates: jest.fn(() => [{ id: 'wall' }, { id: 'shelf' }])
+      },
+      jobService: {
+        saveArtifact: jest.fn(async (jobId, name, buffer) => {
+          artifacts[name] = buffer;
+        }),
+        loadArtifact: jest.fn(async (jobId, name) => artifacts[name] || null),
+        saveJsonArtifact: jest.fn(async (jobId, name, data) => {
+          artifacts[name] = Buffer.from(JSON.stringify(data));
+        }),
+        loadJsonArtifact: jest.fn(async (jobId, name) => (artifacts[name] ? JSON.parse(artifacts[name].toString()) : null))
+      },
+      updateStatus: jest.fn()
+    };
+    context = {
+      processingId: 'proc_1',
+      validFiles: [{ buffer: Buffer.from('a') }, { buffer: Buffer.from('b') }],
+      settings: {
+        mockups: { enabled: true, templates: [], count: 3, placement: 'first' },
+        processing: { imageQuality: 85 }
+      }
+    };
+  });
+
+  it('should go through the templates and move to the next image each round', async () => {
+    await mockups.run(context, services);
+
+    expect(context.mockups.map(mockup => mockup.buffer.toString())).toEqual(['wall:a', 'shelf:b', 'wall:b']);
+    expect(context.mockups[0]).toMatchObject({ name: 'mockup-1', template: 'wall', placement: 'first' });
+    expect(services.imageService.createMockup).toHaveBeenCalledWith(Buffer.from('a'), { id: 'wall' }, { quality: 85 });
+    expect(artifacts['mockup-3.jpg'].toString()).toBe('wall:b');
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'mockups', 'completed', {
+      mockups: [
+        { name: 'mockup-1', template: 'wall' },
+        { name: 'mockup-2', template: 'shelf' },
+        { name: 'mockup-3', template: 'wall' }
+      ]
+    });
+  });
+
+  it('should not repeat a template and image pair', async () => {
+    context.validFiles = [{ buffer: Buffer.from('a') }];
+
+    await mockups.run(context, services);
+
+    expect(context.mockups.map(mockup => mockup.buffer.toString())).toEqual(['wall:a', 'shelf:a']);
+  });
+
+  it('should keep going when a mockup fails', async () => {
+    services.imageService.createMockup.mockRejectedValueOnce(new Error('Mockup creation failed: bad background'));
+
+    await mockups.run(context, services);
+
+    expect(context.mockups.map(mockup => mockup.name)).toEqual(['mockup-2', 'mockup-3']);
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'mockups', 'completed', expect.objectContaining({
+      errors: [{ name: 'mockup-1', template: 'wall', error: 'Mockup creation failed: bad background' }]
+    }));
+  });
+
+  it('should fail without stopping the pipeline when a template is missing', async () => {
+    services.settingsService.resolveMockupTemplates.mockImplementation(() => {
+      throw new Error('Mockup template not found: wall');
+    });
+
+    await mockups.run(context, services);
+
+    expect(context.mockups).toEqual([]);
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'mockups', 'failed', { error: 'Mockup template not found: wall' });
+  });
+
+  it('should restore the saved mockups', async () => {
+    await mockups.run(context, services);
+    const restored = { processingId: 'proc_1' };
+
+    await mockups.restore(restored, services);
+
+    expect(restored.mockups).toEqual(context.mockups);
+  });
+});
@@ -0,0 +1,117 @@
+const validation = require('../steps/validation');
+
+describe('validation step', () => {
+  let artifacts;
+  let services;
+  let context;
+
+  beforeEach(() => {
+    artifacts = {};
+    services = {
+      imageService: {
+        validateImageFiles: jest.fn(files => ({
+          validFiles: files.filter(file => file.mimetype === 'image/jpeg'),
+          errors: files
+            .map((file, index) => ({ index, filename: file.originalname, error: 'Invalid file type' }))
+            .filter(entry => files[entry.index].mimetype !== 'image/jpeg')
+        })),
+        findDuplicateImages: jest.fn(async () => ({ pairs: [{ indexes: [0, 1], distance: 2 }], duplicates: [0] })),
+        analyzeImages: jest.fn(async images => images.map(() => ({ score: 90, warnings: [] })))
+      },
+      jobService: {
+        saveJsonArtifact: jest.fn(async (jobId, name, data) => {
+          artifacts[name] = data;
+        }),
+        loadJsonArtifact: jest.fn(async (jobId, name) => artifacts[name] || null)
+      },
+      updateStatus: jest.fn()
+    };
+    context = {
+      processingId: 'proc_1',
+      files: [
+        { originalname: 'notes.txt', mimetype: 'text/plain' },
+        { originalname: 'small.jpg', mimetype: 'image/jpeg' },
+        { originalname: 'large.jpg', mimetype: 'image/jpeg' }
+      ],
+      settings: {
+        processing: { duplicateThreshold: 4, removeDuplicates: false },
+        qualityChecks: { enabled: false }
+      }
+    };
+  });
+
+  it('should warn about near-duplicates using the uploaded file indexes', async () => {
+    await validation.run(context, services);
+
+    expect(services.imageService.findDuplicateImages).toHaveBeenCalledWith(
+      [context.files[1], context.files[2]],
+      { threshold: 4 }
+    );
+    expect(context.validFiles).toEqual([context.files[1], context.files[2]]);
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'validation', 'completed_with_warnings', {
+      warnings: [
+        { index: 0, filename: 'notes.txt', error: 'Invalid file type' },
+        { index: 2, filename: 'large.jpg', error: 'Looks like a duplicate of small.jpg (distance 2)' }
+      ],
+      validFileCount: 2,
+      duplicates: [{ indexes: [1, 2], filenames: ['small.jpg', 'large.jpg'], distance: 2 }]
+    });
+  });
+
+  it('should drop duplicates when removeDuplicates is on', async () => {
+    context.settings.processing.removeDuplicates = true;
+
+    await validation.run(context, services);
+
+    expect(context.validFiles).toEqual([context.files[2]]);
+    expect(artifacts['validation.json']).toEqual({ removedDuplicates: [1] });
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'validation', 'completed_with_warnings',
+      expect.objectContaining({ validFileCount: 1, removedDuplicates: ['small.jpg'] }));
+  });
+
+  it('should complete without warnings when there are no duplicates', async () => {
+    context.files = context.files.slice(1);
+    services.imageService.findDuplicateImages.mockResolvedValue({ pairs: [], duplicates: [] });
+
+    await validation.run(context, services);
+
+    expect(services.updateStatus).toHaveBeenLastCalledWith('proc_1', 'validation', 'completed', { validFileCount: 2 });
+  });
+
+  it('should report quality scores and warnings of the kept images', async () => {
+    context.settings.processing.removeDuplicates = true;
+    context.settings.qualityChecks = { enabled: true, minSharpness: 50 };
+    services.imageService.analyzeImages.mockResolvedValue([
+      { score: 60, scores: { sharpness: 20 }, warnings: ['Looks blurry (sharpness 20, below 50)'] }
+    ]);
+
+    await validation.run(context, services);
+
+    expect(services.imageService.analyzeImages).toHaveBeenCalledWith([context.files[2]], { enabled: true, minSharpness: 50 });
+    const details = services.updateStatus.mock.calls.at(-1)[3];
+    expect(details.quality).toEqual([
+      { index: 2, filename: 'large.jpg', score: 60, scores: { sharpness: 20 }, warnings: ['Looks blurry (sharpness 20, below 50)'] }
+    ]);
+    expect(details.warnings).toContainEqual({ index: 2, filename: 'large.jpg', error: 'Looks blurry (sharpness 20, below 50)' });
+  });
+
+  it('should skip the quality checks when they are disabled', async () => {
+    await validation.run(context, services);
+
+    expect(services.imageService.analyzeImages).not.toHaveBeenCalled();
+  });
+
+  it('should restore the files kept by the earlier run', async () => {
+    artifacts['validation.json'] = { removedDuplicates: [1] };
+
+    await validation.restore(context, services);
+
+    expect(context.validFiles).toEqual([context.files[2]]);
+  });
+
+  it('should restore every valid file for jobs without a validation artifact', async () => {
+    await validation.restore(context, services);
+
+    expect(context.validFiles).toEqual([context.files[1], context.files[2]]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Upload pipeline
+ * Default step modules and a factory for an engine that runs them
+ */
+
+const PipelineEngine = require('./PipelineEngine');
+
+/**
+ * Default pipeline steps, in default run order
+ */
+const defaultSteps = [
+  require('./steps/settings'),
+  require('./steps/validation'),
+  require('./steps/backgroundRemoval'),
+  require('./steps/normalization'),
+  require('./steps/watermarking'),
+  require('./steps/videoCreate'),
+  require('./steps/gifCreate'),
+  require('./steps/collage'),
+  require('./steps/mockups'),
+  require('./steps/packaging'),
+  require('./steps/driveUpload'),
+  require('./steps/aiMetadata'),
+  require('./steps/etsyListing')
+];
+
+/**
+ * Create a pipeline engine with the default steps registered
+ * @param {Object} services - Services handed to every step
+ * @returns {PipelineEngine} Pipeline engine
+ */
+function createPipelineEngine(services = {}) {
+  return new PipelineEngine({ steps: defaultSteps, services });
+}
+
+module.exports = {
+  PipelineEngine,
+  defaultSteps,
+  createPipelineEngine
+};
@@ -0,0 +1,50 @@
+/**
+ * AI metadata step
+ * Generates the listing title, tags and description, falling back to
+ * placeholder metadata when generation fails
+ */
+module.exports = {
+  name: 'ai_metadata',
+  stage: 'network',
+  dependsOn: ['validation'],
+
+  async run(context, { aiService, jobService, updateStatus }) {
+    const { processingId, validFiles, options } = context;
+    updateStatus(processingId, 'ai_metadata', 'started');
+    try {
+      const imageBuffers = validFiles.map(file => file.buffer);
+      context.metadata = await aiService.generateMetadata(imageBuffers, { titleHint: options.titleHint });
+      updateStatus(processingId, 'ai_metadata', 'completed', {
+        titleLength: context.metadata.title.length,
+        tagCount: context.metadata.tags.length,
+        descriptionLength: context.metadata.description.length
+      });
+    } catch (error) {
+      updateStatus(processingId, 'ai_metadata', 'failed', {
+        error: error.message
+      });
+      // Provide fallback metadata
+      context.metadata = {
+        title: 'Handmade Product - Please Edit Title',
+        tags: ['handmade', 'unique', 'gift', 'custom', 'artisan'],
+        description: 'Beautiful handmade product. Please add your own description.',
+        confidence: 0
+      };
+    }
+
+    // Tags supplied with the product come first, topped up with generated ones
+    if (options.tags && options.tags.length > 0) {
+      context.metadata.tags = [...new Set([...options.tags, ...context.metadata.tags])].slice(0, 13);
+    }
+    await jobService.saveJsonArtifact(processingId, 'metadata.json', context.metadata);
+  },
+
+  async restore(context, { jobService }) {
+    const { processingId } = context;
+    context.metadata = await jobService.loadJsonArtifact(processingId, 'metadata.json');
+
+    // An approval only holds while the metadata it was given for is reused
+    const job = await jobService.getJob(processingId);
+    context.listing = job?.approval?.approved || null;
+  }
+};
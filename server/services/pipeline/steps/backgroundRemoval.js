@@ -0,0 +1,71 @@
+/**
+ * Background removal step
+ * Cuts the products out of their backdrop onto a plain color or a
+ * transparent background for the listing images. Images whose background
+ * cannot be removed are kept as they were; the originals are left untouched
+ * for the download package.
+ */
+module.exports = {
+  name: 'background_removal',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  shouldRun(settings) {
+    return !!settings.backgroundRemoval?.enabled;
+  },
+
+  skipReason() {
+    return 'disabled';
+  },
+
+  async run(context, { imageService, jobService, settingsService, updateStatus }) {
+    const { processingId, validFiles, settings } = context;
+    updateStatus(processingId, 'background_removal', 'started');
+
+    let options;
+    try {
+      options = settingsService.resolveBackgroundRemoval(settings.backgroundRemoval);
+    } catch (error) {
+      updateStatus(processingId, 'background_removal', 'failed', { error: error.message });
+      return;
+    }
+
+    const { cutoutImages, errors } = await imageService.removeBackgrounds(validFiles, options, {
+      format: settings.processing?.outputFormat,
+      quality: settings.processing?.imageQuality
+    });
+
+    for (let i = 0; i < cutoutImages.length; i++) {
+      await jobService.saveArtifact(processingId, `cutout-${i}`, cutoutImages[i].buffer);
+    }
+    await jobService.saveJsonArtifact(processingId, 'cutouts.json', {
+      images: cutoutImages.map(({ buffer: _buffer, ...info }) => info),
+      errors
+    });
+
+    context.cutoutFiles = cutoutImages;
+    const images = cutoutImages
+      .filter(image => image.backgroundRemoved)
+      .map(image => ({ filename: image.originalname, removed: image.removed }));
+    if (images.length) {
+      updateStatus(processingId, 'background_removal', 'completed', { images, errors });
+    } else {
+      updateStatus(processingId, 'background_removal', 'failed', { error: errors.map(entry => entry.error).join('; '), errors });
+    }
+  },
+
+  async restore(context, { jobService }) {
+    const { processingId } = context;
+    const manifest = await jobService.loadJsonArtifact(processingId, 'cutouts.json');
+    if (!manifest) {
+      return;
+    }
+
+    const cutoutFiles = [];
+    for (let i = 0; i < manifest.images.length; i++) {
+      const buffer = await jobService.loadArtifact(processingId, `cutout-${i}`);
+      cutoutFiles.push({ ...manifest.images[i], buffer });
+    }
+    context.cutoutFiles = cutoutFiles;
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Collage step
+ * Creates the collages configured in the collage settings: one per entry in
+ * `collage.variants`, or a single collage from the collage settings
+ * themselves. A failed collage does not stop the pipeline.
+ */
+
+/**
+ * Get the collage configurations to render; variants override the shared
+ * collage settings
+ * @param {Object} collage - Collage settings
+ * @returns {Object[]} Collage configurations, each with a `name`
+ */
+function getCollageConfigs(collage) {
+  const { variants = [], ...base } = collage;
+  if (!variants.length) {
+    return [{ ...base, name: 'collage' }];
+  }
+  return variants.map((variant, i) => ({ ...base, ...variant, name: `collage-${variant.name || i + 1}` }));
+}
+
+module.exports = {
+  name: 'collage',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  shouldRun(settings, context) {
+    return context.validFiles.length >= 2 && settings.collage.enabled;
+  },
+
+  skipReason(settings, context) {
+    return context.validFiles.length < 2 ? 'insufficient_images' : 'disabled';
+  },
+
+  async run(context, { imageService, jobService, settingsService, updateStatus }) {
+    const { processingId, validFiles, settings } = context;
+    updateStatus(processingId, 'collage', 'started');
+
+    const collages = [];
+    const errors = [];
+    for (const config of getCollageConfigs(settings.collage)) {
+      try {
+        const options = await settingsService.resolveCollage(config);
+        const buffer = await imageService.createCollage(validFiles, options);
+        await jobService.saveArtifact(processingId, `${config.name}.jpg`, buffer);
+        collages.push({ name: config.name, placement: config.placement || 'last', buffer });
+      } catch (error) {
+        errors.push({ name: config.name, error: error.message });
+      }
+    }
+
+    await jobService.saveJsonArtifact(processingId, 'collages.json', {
+      collages: collages.map(({ buffer: _buffer, ...info }) => info),
+      errors
+    });
+    context.collages = collages;
+    context.collageBuffer = collages.length ? collages[0].buffer : null;
+
+    if (collages.length) {
+      updateStatus(processingId, 'collage', 'completed', {
+        collages: collages.map(collage => collage.name),
+        ...(errors.length ? { errors } : {})
+      });
+    } else {
+      updateStatus(processingId, 'collage', 'failed', { error: errors.map(entry => entry.error).join('; '), errors });
+    }
+  },
+
+  async restore(context, { jobService }) {
+    const { processingId } = context;
+    const manifest = await jobService.loadJsonArtifact(processingId, 'collages.json');
+
+    // Jobs from before multiple collages only saved collage.jpg
+    const entries = manifest ? manifest.collages : [{ name: 'collage', placement: 'last' }];
+    const collages = [];
+    for (const entry of entries) {
+      const buffer = await jobService.loadArtifact(processingId, `${entry.name}.jpg`);
+      if (buffer) {
+        collages.push({ ...entry, buffer });
+      }
+    }
+    context.collages = collages;
+    context.collageBuffer = collages.length ? collages[0].buffer : null;
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Google Drive step
+ * Uploads the package, and the GIF preview when there is one, to Google Drive
+ * when auto upload is on and the user is signed in to Google. A failed upload
+ * does not stop the pipeline.
+ */
+module.exports = {
+  name: 'drive_upload',
+  stage: 'network',
+  dependsOn: ['packaging'],
+
+  shouldRun(settings, context) {
+    return !!settings.googleDrive.autoUpload && !!context.user?.session?.googleAuth;
+  },
+
+  skipReason(settings) {
+    return !settings.googleDrive.autoUpload ? 'disabled' : 'not_authenticated';
+  },
+
+  async run(context, { googleDriveService, jobService, updateStatus }) {
+    const { processingId, user } = context;
+    updateStatus(processingId, 'drive_upload', 'started');
+    try {
+      // Initialize Google Drive service with user's tokens
+      await googleDriveService.initialize({
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET,
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI
+      });
+
+      // Set user's access token
+      googleDriveService.setAccessToken(user.session.googleAuth.accessToken);
+
+      const uploadResult = await googleDriveService.uploadZipFile(
+        context.zipBuffer,
+        `listing_${processingId}.zip`
+      );
+      context.driveLink = await googleDriveService.createShareableLink(uploadResult.fileId);
+      const drive = {
+        fileId: uploadResult.fileId,
+        link: context.driveLink
+      };
+
+      // The GIF preview goes next to the package; the package link stands if it fails
+      if (context.gifBuffer) {
+        try {
+          const gifResult = await googleDriveService.uploadFile(
+            context.gifBuffer,
+            `listing_${processingId}_preview.gif`,
+            'image/gif'
+          );
+          context.gifDriveLink = await googleDriveService.createShareableLink(gifResult.fileId);
+          drive.gifFileId = gifResult.fileId;
+          drive.gifLink = context.gifDriveLink;
+        } catch (error) {
+          drive.gifError = error.message;
+        }
+      }
+
+      await jobService.saveJsonArtifact(processingId, 'drive.json', drive);
+      updateStatus(processingId, 'drive_upload', 'completed', drive);
+    } catch (error) {
+      updateStatus(processingId, 'drive_upload', 'failed', {
+        error: error.message
+      });
+    }
+  },
+
+  async restore(context, { jobService }) {
+    const drive = await jobService.loadJsonArtifact(context.processingId, 'drive.json');
+    context.driveLink = drive ? drive.link : null;
+    context.gifDriveLink = drive?.gifLink || null;
+  }
+};
@@ -0,0 +1,189 @@
+/**
+ * Etsy step
+ * Creates a draft listing with the generated metadata and uploads the images,
+ * collages, mockups, video and package to it. A failed listing does not stop the pipeline.
+ *
+ * Progress is saved after every Etsy call, so a retry reuses the job's draft
+ * and only repeats the uploads that did not finish. When a re-run of an earlier
+ * step or an edited approval changed the listing details, images, video or
+ * package, the draft is updated and the changed uploads are replaced.
+ */
+
+const { canonicalJson, fingerprintUpload } = require('../../../utils/fingerprint');
+
+// Etsy allows at most this many images per listing
+const MAX_LISTING_IMAGES = 10;
+
+/**
+ * Order the listing images: collages and mockups placed 'first' go ahead of
+ * the product images, the others after them. Collages and mockups are kept
+ * when there are more images than Etsy allows; product images are left out
+ * instead.
+ * @param {Array} productImages - Watermarked or original images
+ * @param {Array} extras - Collages and mockups with name, placement and buffer
+ * @returns {Array} Images to upload, in listing order
+ */
+function orderListingImages(productImages, extras = []) {
+  const toImage = extra => ({
+    buffer: extra.buffer,
+    filename: `${extra.name}.jpg`,
+    mimetype: 'image/jpeg'
+  });
+  const first = extras.filter(extra => extra.placement === 'first').slice(0, MAX_LISTING_IMAGES).map(toImage);
+  const last = extras.filter(extra => extra.placement !== 'first').slice(0, MAX_LISTING_IMAGES - first.length).map(toImage);
+  const products = productImages.slice(0, MAX_LISTING_IMAGES - first.length - last.length);
+
+  return [...first, ...products, ...last];
+}
+
+/**
+ * Upload a file to the listing once, and replace it when a later run has a
+ * file with different contents (or none). The uploaded records and the
+ * fingerprint of their contents are kept on the Etsy artifact under `key`
+ * and `${key}Fingerprint`; progress is saved after every Etsy call.
+ * @param {Object} etsyListing - Etsy artifact of the job
+ * @param {Object} options - { key, buffer, upload, remove, saveProgress }
+ */
+async function replaceListingUpload(etsyListing, { key, buffer, upload, remove, saveProgress }) {
+  const fingerprintKey = `${key}Fingerprint`;
+  const fingerprint = buffer ? fingerprintUpload([{ buffer }]) : null;
+
+  if (etsyListing[key] && etsyListing[fingerprintKey] !== fingerprint) {
+    while (etsyListing[key].length > 0) {
+      await remove(etsyListing[key][0]);
+      etsyListing[key].shift();
+      await saveProgress();
+    }
+    etsyListing[key] = null;
+    etsyListing[fingerprintKey] = null;
+  }
+
+  if (buffer && !etsyListing[key]) {
+    etsyListing[key] = await upload();
+    etsyListing[fingerprintKey] = fingerprint;
+    await saveProgress();
+  }
+}
+
+module.exports = {
+  name: 'etsy_listing',
+  stage: 'network',
+  dependsOn: ['ai_metadata'],
+
+  shouldRun(settings, context) {
+    return !!settings.etsy.autoDraft && !!context.user?.session?.etsyAuth;
+  },
+
+  skipReason(settings) {
+    return !settings.etsy.autoDraft ? 'disabled' : 'not_authenticated';
+  },
+
+  async run(context, { etsyService, jobService, updateStatus }) {
+    const { processingId, user, options, metadata, validFiles, watermarkResult, collages, mockups, videoBuffer, zipBuffer } = context;
+    updateStatus(processingId, 'etsy_listing', 'started');
+    try {
+      // Initialize Etsy service with user's tokens
+      await etsyService.initialize({
+        client_id: process.env.ETSY_CLIENT_ID,
+        client_secret: process.env.ETSY_CLIENT_SECRET,
+        redirect_uri: process.env.ETSY_REDIRECT_URI
+      });
+
+      // Set user's access token
+      const { accessToken, shopId } = user.session.etsyAuth;
+      etsyService.setAccessToken(accessToken);
+      etsyService.setShopId(shopId);
+
+      // Price and quantity approved by the seller take precedence over upload options
+      const listing = context.listing || {};
+      const listingDetails = {
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags,
+        price: listing.price || options.price || 10.00, // Default price
+        quantity: listing.quantity || options.quantity,
+        taxonomy_id: options.taxonomyId
+      };
+
+      let etsyListing = await jobService.loadJsonArtifact(processingId, 'etsy.json');
+      const reused = !!etsyListing;
+      const saveProgress = () => jobService.saveJsonArtifact(processingId, 'etsy.json', etsyListing);
+
+      if (!etsyListing) {
+        etsyListing = await etsyService.createDraftListing({ ...listingDetails, shop_id: shopId });
+        etsyListing.listingDetails = listingDetails;
+        await saveProgress();
+      } else if (canonicalJson(etsyListing.listingDetails) !== canonicalJson(listingDetails)) {
+        await etsyService.updateListing(shopId, etsyListing.listing_id, listingDetails);
+        etsyListing.listingDetails = listingDetails;
+        await saveProgress();
+      }
+
+      // Use the watermarked images, or the originals when watermarking is turned off,
+      // with the collages and mockups in their configured places
+      const imagesToUpload = orderListingImages(
+        watermarkResult ? watermarkResult.watermarkedImages : validFiles,
+        [...(collages || []), ...(mockups || [])]
+      );
+
+      // Replace the images of an earlier run when they have changed since
+      const imagesFingerprint = fingerprintUpload(imagesToUpload);
+      if (etsyListing.uploadedImages && etsyListing.imagesFingerprint !== imagesFingerprint) {
+        while (etsyListing.uploadedImages.length > 0) {
+          await etsyService.deleteListingImage(etsyListing.listing_id, etsyListing.uploadedImages[0].listing_image_id);
+          etsyListing.uploadedImages.shift();
+          await saveProgress();
+        }
+        etsyListing.uploadedImages = null;
+      }
+
+      // Upload all images to listing
+      if (imagesToUpload.length > 0 && !etsyListing.uploadedImages) {
+        const uploadedImages = await etsyService.uploadListingImages(
+          etsyListing.listing_id,
+          imagesToUpload
+        );
+        etsyListing.uploadedImages = uploadedImages;
+        etsyListing.imagesFingerprint = imagesFingerprint;
+        await saveProgress();
+      }
+
+      // Upload the video and the digital download, replacing the ones of an
+      // earlier run when they were rendered again with different contents
+      await replaceListingUpload(etsyListing, {
+        key: 'uploadedVideo',
+        buffer: videoBuffer,
+        upload: () => etsyService.uploadListingVideos(etsyListing.listing_id, [{
+          buffer: videoBuffer,
+          filename: 'myVideo.mp4',
+          mimeType: 'video/mp4'
+        }]),
+        remove: video => etsyService.deleteListingVideo(etsyListing.listing_id, video.video_id),
+        saveProgress
+      });
+
+      await replaceListingUpload(etsyListing, {
+        key: 'uploadedDigitalFiles',
+        buffer: zipBuffer,
+        upload: () => etsyService.uploadListingDigitalFiles(etsyListing.listing_id, [{
+          buffer: zipBuffer,
+          filename: `Listing_Images_${processingId}.zip`,
+          mimeType: 'application/zip'
+        }]),
+        remove: file => etsyService.deleteListingFile(etsyListing.listing_id, file.listing_file_id),
+        saveProgress
+      });
+
+      context.etsyListing = etsyListing;
+      updateStatus(processingId, 'etsy_listing', 'completed', {
+        listingId: etsyListing.listing_id,
+        editUrl: etsyListing.editUrl,
+        reused
+      });
+    } catch (error) {
+      updateStatus(processingId, 'etsy_listing', 'failed', {
+        error: error.message
+      });
+    }
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * GIF step
+ * Creates the animated GIF preview when there are at least two images
+ */
+module.exports = {
+  name: 'gif_create',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  shouldRun(settings, context) {
+    return context.validFiles.length >= 2 && settings.miniGif.enabled;
+  },
+
+  skipReason(settings, context) {
+    return context.validFiles.length < 2 ? 'insufficient_images' : 'disabled';
+  },
+
+  async run(context, { imageService, jobService, updateStatus }) {
+    const { processingId, validFiles, settings } = context;
+    updateStatus(processingId, 'gif_create', 'started');
+    context.gifBuffer = await imageService.createAnimatedGif(validFiles.map(file => file.buffer), settings.miniGif);
+    await jobService.saveArtifact(processingId, 'preview.gif', context.gifBuffer);
+    updateStatus(processingId, 'gif_create', 'completed', {
+      gifSize: context.gifBuffer.length
+    });
+  },
+
+  async restore(context, { jobService }) {
+    context.gifBuffer = await jobService.loadArtifact(context.processingId, 'preview.gif');
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Mockup step
+ * Places the product images into the mockup templates, e.g. framed on a
+ * wall, for the Etsy listing. A failed mockup does not stop the others.
+ */
+
+/**
+ * Pair templates with images for the mockups to render: every template in
+ * turn, moving to the next image each round, without repeating a pair
+ * @param {number} templateCount - Number of templates
+ * @param {number} imageCount - Number of product images
+ * @param {number} count - Mockups wanted
+ * @returns {Object[]} Template and image index of each mockup
+ */
+function pairMockups(templateCount, imageCount, count) {
+  const total = Math.min(count, templateCount * imageCount);
+  return Array.from({ length: total }, (_, i) => ({
+    template: i % templateCount,
+    image: (i % templateCount + Math.floor(i / templateCount)) % imageCount
+  }));
+}
+
+module.exports = {
+  name: 'mockups',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  shouldRun(settings) {
+    return !!settings.mockups?.enabled;
+  },
+
+  skipReason() {
+    return 'disabled';
+  },
+
+  async run(context, { imageService, jobService, settingsService, updateStatus }) {
+    const { processingId, validFiles, settings } = context;
+    updateStatus(processingId, 'mockups', 'started');
+
+    let templates;
+    try {
+      templates = settingsService.resolveMockupTemplates(settings.mockups);
+    } catch (error) {
+      context.mockups = [];
+      updateStatus(processingId, 'mockups', 'failed', { error: error.message });
+      return;
+    }
+
+    const mockups = [];
+    const errors = [];
+    const placement = settings.mockups.placement || 'first';
+    for (const [i, pair] of pairMockups(templates.length, validFiles.length, settings.mockups.count || 1).entries()) {
+      const template = templates[pair.template];
+      const name = `mockup-${i + 1}`;
+      try {
+        const buffer = await imageService.createMockup(validFiles[pair.image].buffer, template, {
+          quality: settings.processing?.imageQuality
+        });
+        await jobService.saveArtifact(processingId, `${name}.jpg`, buffer);
+        mockups.push({ name, template: template.id, image: pair.image, placement, buffer });
+      } catch (error) {
+        errors.push({ name, template: template.id, error: error.message });
+      }
+    }
+
+    await jobService.saveJsonArtifact(processingId, 'mockups.json', {
+      mockups: mockups.map(({ buffer: _buffer, ...info }) => info),
+      errors
+    });
+    context.mockups = mockups;
+
+    if (mockups.length) {
+      updateStatus(processingId, 'mockups', 'completed', {
+        mockups: mockups.map(({ name, template }) => ({ name, template })),
+        ...(errors.length ? { errors } : {})
+      });
+    } else {
+      updateStatus(processingId, 'mockups', 'failed', { error: errors.map(entry => entry.error).join('; '), errors });
+    }
+  },
+
+  async restore(context, { jobService }) {
+    const { processingId } = context;
+    const manifest = await jobService.loadJsonArtifact(processingId, 'mockups.json');
+
+    const mockups = [];
+    for (const entry of manifest ? manifest.mockups : []) {
+      const buffer = await jobService.loadArtifact(processingId, `${entry.name}.jpg`);
+      if (buffer) {
+        mockups.push({ ...entry, buffer });
+      }
+    }
+    context.mockups = mockups;
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Normalization step
+ * Resizes the listing images to Etsy's recommended size, pads them to the
+ * configured aspect ratio and writes them in sRGB without EXIF or GPS data.
+ * The original files are left untouched for the download package.
+ */
+module.exports = {
+  name: 'normalization',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  shouldRun(settings) {
+    return !!settings.normalization?.enabled;
+  },
+
+  skipReason() {
+    return 'disabled';
+  },
+
+  async run(context, { imageService, jobService, updateStatus }) {
+    const { processingId, validFiles, cutoutFiles, settings } = context;
+    updateStatus(processingId, 'normalization', 'started');
+    const { normalizedImages, errors } = await imageService.normalizeImages(cutoutFiles || validFiles, settings.normalization, {
+      format: settings.processing?.outputFormat,
+      quality: settings.processing?.imageQuality
+    });
+
+    for (let i = 0; i < normalizedImages.length; i++) {
+      await jobService.saveArtifact(processingId, `normalized-${i}`, normalizedImages[i].buffer);
+    }
+    await jobService.saveJsonArtifact(processingId, 'normalized.json', {
+      images: normalizedImages.map(({ buffer: _buffer, ...info }) => info),
+      errors
+    });
+
+    context.normalizedFiles = normalizedImages;
+    updateStatus(processingId, 'normalization', 'completed', {
+      images: normalizedImages
+        .filter(image => image.normalized)
+        .map(image => ({ filename: image.originalname, before: image.before, after: image.after })),
+      errors
+    });
+  },
+
+  async restore(context, { jobService }) {
+    const { processingId } = context;
+    const manifest = await jobService.loadJsonArtifact(processingId, 'normalized.json');
+    if (!manifest) {
+      return;
+    }
+
+    const normalizedFiles = [];
+    for (let i = 0; i < manifest.images.length; i++) {
+      const buffer = await jobService.loadArtifact(processingId, `normalized-${i}`);
+      normalizedFiles.push({ ...manifest.images[i], buffer });
+    }
+    context.normalizedFiles = normalizedFiles;
+  }
+};
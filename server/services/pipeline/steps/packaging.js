@@ -0,0 +1,23 @@
+/**
+ * Packaging step
+ * Packages the original files into a ZIP for Drive and Etsy digital downloads
+ */
+module.exports = {
+  name: 'packaging',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  async run(context, { fileService, jobService, updateStatus }) {
+    const { processingId, validFiles } = context;
+    updateStatus(processingId, 'packaging', 'started');
+    context.zipBuffer = await fileService.packageOriginals(validFiles, `listing_${processingId}`);
+    await jobService.saveArtifact(processingId, 'package.zip', context.zipBuffer);
+    updateStatus(processingId, 'packaging', 'completed', {
+      zipSize: context.zipBuffer.length
+    });
+  },
+
+  async restore(context, { jobService }) {
+    context.zipBuffer = await jobService.loadArtifact(context.processingId, 'package.zip');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Settings step
+ * Loads the user's settings. Runs again on every retry so a retry picks up
+ * corrected configuration.
+ */
+module.exports = {
+  name: 'settings',
+  stage: null,
+  required: true,
+  rerunOnResume: true,
+
+  async run(context, { settingsService, updateStatus }) {
+    const { processingId, user, options } = context;
+    updateStatus(processingId, 'settings', 'started');
+    const userId = user?.id || options.userId || 'default';
+    context.userId = userId;
+    context.settings = await settingsService.loadSettings(userId);
+
+    // Batch products can override the watermark for their own images
+    if (options.watermark) {
+      context.settings.watermark = { ...context.settings.watermark, ...options.watermark };
+    }
+    updateStatus(processingId, 'settings', 'completed');
+  }
+};
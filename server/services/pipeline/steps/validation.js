@@ -0,0 +1,75 @@
+/**
+ * Validation step
+ * Checks the uploaded images and keeps the valid ones for the later steps.
+ * Near-duplicate images (the same file twice, a resized copy) are reported
+ * as warnings, and dropped when `processing.removeDuplicates` is on.
+ * Blurry, small, extremely wide or tall and overexposed images are reported
+ * as warnings too, with quality scores per image.
+ */
+module.exports = {
+  name: 'validation',
+  stage: 'cpu',
+  required: true,
+
+  async run(context, { imageService, jobService, updateStatus }) {
+    const { processingId, files, settings } = context;
+    updateStatus(processingId, 'validation', 'started');
+
+    const validation = imageService.validateImageFiles(files);
+    const warnings = [...validation.errors];
+    const filename = index => files[index].originalname || `file-${index}`;
+
+    // Duplicate indexes refer to the uploaded files, like the validation errors
+    const uploadIndexes = validation.validFiles.map(file => files.indexOf(file));
+    const { pairs, duplicates } = await imageService.findDuplicateImages(validation.validFiles, {
+      threshold: settings?.processing?.duplicateThreshold
+    });
+    const duplicatePairs = pairs.map(({ indexes, distance }) => {
+      const [first, second] = indexes.map(index => uploadIndexes[index]);
+      return { indexes: [first, second], filenames: [filename(first), filename(second)], distance };
+    });
+    duplicatePairs.forEach(pair => warnings.push({
+      index: pair.indexes[1],
+      filename: pair.filenames[1],
+      error: `Looks like a duplicate of ${pair.filenames[0]} (distance ${pair.distance})`
+    }));
+
+    const removed = settings?.processing?.removeDuplicates ? duplicates.map(index => uploadIndexes[index]) : [];
+    context.validFiles = validation.validFiles.filter((file, i) => !removed.includes(uploadIndexes[i]));
+    await jobService.saveJsonArtifact(processingId, 'validation.json', { removedDuplicates: removed });
+
+    const quality = [];
+    if (settings?.qualityChecks?.enabled !== false) {
+      const analyses = await imageService.analyzeImages(context.validFiles, settings?.qualityChecks);
+      analyses.forEach((analysis, i) => {
+        const index = files.indexOf(context.validFiles[i]);
+        quality.push({ index, filename: filename(index), ...analysis });
+        (analysis.warnings || []).forEach(warning => warnings.push({ index, filename: filename(index), error: warning }));
+      });
+    }
+
+    const details = {
+      validFileCount: context.validFiles.length,
+      ...(quality.length ? { quality } : {}),
+      ...(duplicatePairs.length ? { duplicates: duplicatePairs } : {}),
+      ...(removed.length ? { removedDuplicates: removed.map(filename) } : {})
+    };
+    if (warnings.length > 0) {
+      updateStatus(processingId, 'validation', 'completed_with_warnings', { warnings, ...details });
+    } else {
+      updateStatus(processingId, 'validation', 'completed', details);
+    }
+
+    if (context.validFiles.length === 0) {
+      throw new Error('No valid images to process');
+    }
+  },
+
+  async restore(context, { imageService, jobService }) {
+    const { files } = context;
+    const saved = await jobService.loadJsonArtifact(context.processingId, 'validation.json');
+    const removed = saved ? saved.removedDuplicates : [];
+    context.validFiles = imageService.validateImageFiles(files).validFiles
+      .filter(file => !removed.includes(files.indexOf(file)));
+  }
+};
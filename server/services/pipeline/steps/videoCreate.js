@@ -0,0 +1,30 @@
+/**
+ * Video step
+ * Creates a slideshow video when there are at least two images
+ */
+module.exports = {
+  name: 'video_create',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  shouldRun(settings, context) {
+    return context.validFiles.length >= 2;
+  },
+
+  skipReason() {
+    return 'insufficient_images';
+  },
+
+  async run(context, { imageService, jobService, settingsService, updateStatus }) {
+    const { processingId, validFiles, settings, userId } = context;
+    updateStatus(processingId, 'video_create', 'started');
+    const slideshow = settingsService.resolveSlideshow(settings.slideshow, userId);
+    context.videoBuffer = await imageService.createSlideshowVideo(validFiles.map(file => file.buffer), slideshow);
+    await jobService.saveArtifact(processingId, 'slideshow.mp4', context.videoBuffer);
+    updateStatus(processingId, 'video_create', 'completed');
+  },
+
+  async restore(context, { jobService }) {
+    context.videoBuffer = await jobService.loadArtifact(context.processingId, 'slideshow.mp4');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Watermarking step
+ * Watermarks the valid images, normalized when the normalization step ran,
+ * and stores them as job artifacts
+ */
+module.exports = {
+  name: 'watermarking',
+  stage: 'cpu',
+  dependsOn: ['validation'],
+
+  async run(context, { imageService, jobService, settingsService, updateStatus }) {
+    const { processingId, validFiles, cutoutFiles, normalizedFiles, settings, userId } = context;
+    updateStatus(processingId, 'watermarking', 'started');
+    const watermark = await settingsService.resolveWatermark(settings.watermark, userId);
+    const watermarkResult = await imageService.watermarkImages(normalizedFiles || cutoutFiles || validFiles, watermark, {
+      format: settings.processing?.outputFormat,
+      quality: settings.processing?.imageQuality
+    });
+
+    for (let i = 0; i < watermarkResult.watermarkedImages.length; i++) {
+      await jobService.saveArtifact(processingId, `watermarked-${i}`, watermarkResult.watermarkedImages[i].buffer);
+    }
+    await jobService.saveJsonArtifact(processingId, 'watermarked.json', {
+      images: watermarkResult.watermarkedImages.map(({ buffer: _buffer, ...info }) => info),
+      errors: watermarkResult.errors
+    });
+
+    context.watermarkResult = watermarkResult;
+    updateStatus(processingId, 'watermarking', 'completed', {
+      processedCount: watermarkResult.watermarkedImages.length,
+      errors: watermarkResult.errors
+    });
+  },
+
+  async restore(context, { jobService }) {
+    const { processingId } = context;
+    const manifest = await jobService.loadJsonArtifact(processingId, 'watermarked.json');
+    if (!manifest) {
+      return;
+    }
+
+    const watermarkedImages = [];
+    for (let i = 0; i < manifest.images.length; i++) {
+      const buffer = await jobService.loadArtifact(processingId, `watermarked-${i}`);
+      watermarkedImages.push({ ...manifest.images[i], buffer });
+    }
+    context.watermarkResult = { watermarkedImages, errors: manifest.errors };
+  }
+};
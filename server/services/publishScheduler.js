@@ -0,0 +1,427 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const EtsyService = require('./etsyService');
+const secretBox = require('../utils/secretBox');
+
+const LISTING_ID_PATTERN = /^[0-9]+$/;
+// Timers are re-armed at least this often so long delays never overflow
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: timer => clearTimeout(timer)
+};
+
+/**
+ * Publish Scheduler for promoting Etsy drafts to active listings
+ * Stores a "publish at" time per listing as JSON under data/schedules and,
+ * when the time comes, sets the listing's state to active on Etsy and records
+ * the outcome in the job history. Schedules are reloaded on start, so ones
+ * that fell due while the server was down are published right away.
+ * The Etsy tokens kept for that are encrypted on disk, and tokens Etsy
+ * rotates while publishing are handed back to the user's session.
+ *
+ * Emits `published` and `failed` with the schedule record.
+ */
+class PublishScheduler extends EventEmitter {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.schedulesDir - Directory for schedule records
+   * @param {Object} options.jobService - Job service used to record results
+   * @param {Function} options.createEtsyClient - Creates an Etsy client per publish
+   * @param {Function} options.resolveAuth - Returns the user's current Etsy tokens for a schedule, if any
+   * @param {Function} options.saveAuth - Stores tokens Etsy rotated while publishing a schedule
+   * @param {string} options.tokenSecret - Secret the stored tokens are encrypted with
+   * @param {Object} options.credentials - Etsy OAuth app credentials
+   * @param {Object} options.clock - Clock with now, setTimeout and clearTimeout
+   * @param {Object} options.retry - Retry policy ({ maxAttempts, delayMs })
+   */
+  constructor(options = {}) {
+    super();
+    this.schedulesDir = options.schedulesDir || path.join(process.cwd(), 'data', 'schedules');
+    this.jobService = options.jobService || null;
+    this.createEtsyClient = options.createEtsyClient || (() => new EtsyService());
+    this.resolveAuth = options.resolveAuth || (() => null);
+    this.saveAuth = options.saveAuth || (() => {});
+    this.tokenSecret = options.tokenSecret || secretBox.getDefaultSecret();
+    this.credentials = options.credentials || {
+      client_id: process.env.ETSY_CLIENT_ID,
+      client_secret: process.env.ETSY_CLIENT_SECRET,
+      redirect_uri: process.env.ETSY_REDIRECT_URI
+    };
+    this.clock = options.clock || systemClock;
+    this.retry = {
+      maxAttempts: parseInt(process.env.PUBLISH_MAX_ATTEMPTS) || 3,
+      delayMs: 5 * 60 * 1000,
+      ...options.retry
+    };
+
+    this.schedules = new Map();
+    this.timer = null;
+    this.running = null;
+    this.started = false;
+  }
+
+  /**
+   * Load stored schedules and start the timer
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await fs.mkdir(this.schedulesDir, { recursive: true });
+    const files = (await fs.readdir(this.schedulesDir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const schedule = JSON.parse(await fs.readFile(path.join(this.schedulesDir, file), 'utf8'));
+        this.schedules.set(schedule.listingId, schedule);
+        // Encrypt the tokens of schedules saved before they were encrypted
+        if (schedule.auth && !schedule.auth.sealed) {
+          schedule.auth = this._sealAuth(schedule.auth);
+          await this._save(schedule);
+        }
+      } catch (error) {
+        // An unreadable schedule file is left on disk and not published
+      }
+    }
+
+    this.started = true;
+    this._arm();
+  }
+
+  /**
+   * Stop the timer and wait for a publish run in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.started = false;
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.running;
+  }
+
+  /**
+   * Schedule a draft listing to be published, replacing any pending schedule for it
+   * @param {Object} details - Schedule details
+   * @param {string} details.listingId - Etsy listing ID
+   * @param {string} details.shopId - Etsy shop ID
+   * @param {string} details.jobId - Job that created the listing
+   * @param {string} details.userId - Owner of the listing
+   * @param {string|Date} details.publishAt - When to publish
+   * @param {Object} details.auth - Etsy tokens to publish with ({ accessToken, refreshToken })
+   * @returns {Promise<Object>} Schedule record
+   * @throws {Error} If the listing was already published
+   */
+  async schedule({ listingId, shopId, jobId, userId = 'default', publishAt, auth = {} }) {
+    const id = String(listingId);
+    const existing = this.schedules.get(id);
+    if (existing && existing.status === 'published') {
+      throw new Error(`Listing ${id} is already published`);
+    }
+
+    const now = new Date(this.clock.now()).toISOString();
+    const schedule = {
+      listingId: id,
+      shopId,
+      jobId,
+      userId,
+      publishAt: new Date(publishAt).toISOString(),
+      status: 'scheduled',
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      publishedAt: null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      auth: this._sealAuth(auth)
+    };
+
+    await this._save(schedule);
+    await this._recordStep(schedule, 'scheduled', { publishAt: schedule.publishAt });
+    this._arm();
+    return this._toPublic(schedule);
+  }
+
+  /**
+   * Cancel a pending schedule
+   * @param {string} listingId - Etsy listing ID
+   * @returns {Promise<Object|null>} Cancelled schedule, or null if none is pending
+   */
+  async cancel(listingId) {
+    const schedule = this.schedules.get(String(listingId));
+    if (!schedule || schedule.status !== 'scheduled') {
+      return null;
+    }
+
+    schedule.status = 'cancelled';
+    schedule.updatedAt = new Date(this.clock.now()).toISOString();
+    await this._save(schedule);
+    await this._recordStep(schedule, 'cancelled');
+    this._arm();
+    return this._toPublic(schedule);
+  }
+
+  /**
+   * Get the schedule for a listing
+   * @param {string} listingId - Etsy listing ID
+   * @returns {Object|null} Schedule without stored tokens
+   */
+  getSchedule(listingId) {
+    const schedule = this.schedules.get(String(listingId));
+    return schedule ? this._toPublic(schedule) : null;
+  }
+
+  /**
+   * List schedules, soonest first
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.userId - Only return schedules owned by this user
+   * @param {string} filters.status - Only return schedules with this status
+   * @returns {Object[]} Schedules without stored tokens
+   */
+  listSchedules({ userId, status } = {}) {
+    return Array.from(this.schedules.values())
+      .filter(schedule => !userId || schedule.userId === userId)
+      .filter(schedule => !status || schedule.status === status)
+      .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt))
+      .map(schedule => this._toPublic(schedule));
+  }
+
+  /**
+   * Publish every schedule that is due. Runs one at a time; a call while a
+   * run is in progress waits for it.
+   * @returns {Promise<Object[]>} Schedules processed in this run
+   */
+  async runDue() {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = (async () => {
+      const now = this.clock.now();
+      const due = Array.from(this.schedules.values())
+        .filter(schedule => schedule.status === 'scheduled' && this._dueAt(schedule) <= now)
+        .sort((a, b) => this._dueAt(a) - this._dueAt(b));
+
+      const processed = [];
+      for (const schedule of due) {
+        await this._publish(schedule);
+        processed.push(this._toPublic(schedule));
+      }
+      return processed;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Publish a single listing, retrying later if Etsy fails
+   * @private
+   */
+  async _publish(schedule) {
+    schedule.attempts += 1;
+
+    let client = null;
+    let auth = null;
+    try {
+      auth = (await this.resolveAuth(schedule)) || this._openAuth(schedule.auth);
+      if (!auth || (!auth.accessToken && !auth.refreshToken)) {
+        throw new Error('No Etsy credentials available for this listing');
+      }
+
+      client = this.createEtsyClient();
+      await client.initialize(this.credentials);
+      client.setAccessToken(auth.accessToken);
+      client.setRefreshToken(auth.refreshToken);
+      const listing = await client.updateListing(schedule.shopId, schedule.listingId, { state: 'active' });
+      await this._keepRotatedTokens(schedule, client, auth);
+
+      schedule.status = 'published';
+      schedule.publishedAt = new Date(this.clock.now()).toISOString();
+      schedule.nextAttemptAt = null;
+      schedule.lastError = null;
+      schedule.updatedAt = schedule.publishedAt;
+      await this._save(schedule);
+      await this._recordStep(schedule, 'completed', {
+        state: listing?.state || 'active',
+        publishedAt: schedule.publishedAt,
+        attempts: schedule.attempts
+      });
+      this.emit('published', this._toPublic(schedule));
+    } catch (error) {
+      if (client) {
+        await this._keepRotatedTokens(schedule, client, auth);
+      }
+
+      const willRetry = schedule.attempts < this.retry.maxAttempts;
+      schedule.lastError = error.message;
+      schedule.updatedAt = new Date(this.clock.now()).toISOString();
+
+      if (willRetry) {
+        schedule.nextAttemptAt = new Date(this.clock.now() + this.retry.delayMs * schedule.attempts).toISOString();
+      } else {
+        schedule.status = 'failed';
+        schedule.nextAttemptAt = null;
+      }
+
+      await this._save(schedule);
+      await this._recordStep(schedule, 'failed', {
+        error: error.message,
+        attempts: schedule.attempts,
+        nextAttemptAt: schedule.nextAttemptAt
+      });
+      if (!willRetry) {
+        this.emit('failed', this._toPublic(schedule));
+      }
+    }
+  }
+
+  /**
+   * Keep the tokens of a client that refreshed them. Etsy rotates the refresh
+   * token on every refresh, so the old one no longer works anywhere.
+   * @private
+   */
+  async _keepRotatedTokens(schedule, client, auth) {
+    const tokens = client.getTokens();
+    if (!tokens || (tokens.access_token === auth.accessToken && tokens.refresh_token === auth.refreshToken)) {
+      return;
+    }
+
+    const rotated = { accessToken: tokens.access_token, refreshToken: tokens.refresh_token };
+    schedule.auth = this._sealAuth(rotated);
+    try {
+      await this.saveAuth(schedule, rotated);
+    } catch (error) {
+      // The schedule still holds the rotated tokens for its next attempt
+    }
+  }
+
+  /**
+   * Encrypt tokens for the schedule file. Without a secret no tokens are
+   * stored and publishing relies on the user's session.
+   * @private
+   */
+  _sealAuth(auth = {}) {
+    if (!this.tokenSecret || (!auth.accessToken && !auth.refreshToken)) {
+      return null;
+    }
+    return {
+      sealed: secretBox.seal({ accessToken: auth.accessToken || null, refreshToken: auth.refreshToken || null }, this.tokenSecret)
+    };
+  }
+
+  /**
+   * Decrypt the tokens stored with a schedule
+   * @private
+   */
+  _openAuth(stored) {
+    if (!stored) {
+      return null;
+    }
+    // Schedules saved before the tokens were encrypted
+    if (!stored.sealed) {
+      return stored;
+    }
+    if (!this.tokenSecret) {
+      throw new Error('Stored Etsy credentials cannot be decrypted without TOKEN_ENCRYPTION_KEY or JWT_SECRET');
+    }
+    return secretBox.open(stored.sealed, this.tokenSecret);
+  }
+
+  /**
+   * Time a pending schedule should next be attempted
+   * @private
+   */
+  _dueAt(schedule) {
+    return new Date(schedule.nextAttemptAt || schedule.publishAt).getTime();
+  }
+
+  /**
+   * Set the timer for the next due schedule
+   * @private
+   */
+  _arm() {
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.started) {
+      return;
+    }
+
+    const pending = Array.from(this.schedules.values()).filter(schedule => schedule.status === 'scheduled');
+    if (pending.length === 0) {
+      return;
+    }
+
+    const nextDue = Math.min(...pending.map(schedule => this._dueAt(schedule)));
+    const delay = Math.min(Math.max(nextDue - this.clock.now(), 0), MAX_TIMER_DELAY);
+
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      // Schedules that could not be published stay due for the next run
+      this.runDue()
+        .catch(() => {})
+        .finally(() => this._arm());
+    }, delay);
+
+    // Do not keep the process alive just for the scheduler
+    if (this.timer && typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Record a publish step in the job history
+   * @private
+   */
+  async _recordStep(schedule, status, data = {}) {
+    if (!this.jobService || !schedule.jobId) {
+      return;
+    }
+
+    try {
+      await this.jobService.appendStep(schedule.jobId, 'publish', status, {
+        listingId: schedule.listingId,
+        ...data
+      });
+    } catch (error) {
+      // The job history is informational; publishing goes on without it
+    }
+  }
+
+  /**
+   * Persist a schedule atomically
+   * @private
+   */
+  async _save(schedule) {
+    if (!LISTING_ID_PATTERN.test(schedule.listingId)) {
+      throw new Error(`Invalid listing ID: ${schedule.listingId}`);
+    }
+
+    this.schedules.set(schedule.listingId, schedule);
+    await fs.mkdir(this.schedulesDir, { recursive: true });
+    const schedulePath = path.join(this.schedulesDir, `${schedule.listingId}.json`);
+    const tmpPath = `${schedulePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(schedule, null, 2), 'utf8');
+    await fs.rename(tmpPath, schedulePath);
+  }
+
+  /**
+   * Strip stored tokens from a schedule
+   * @private
+   */
+  _toPublic(schedule) {
+    const details = { ...schedule };
+    delete details.auth;
+    return details;
+  }
+}
+
+module.exports = PublishScheduler;
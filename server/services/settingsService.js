@@ -1,5 +1,38 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { createPipelineEngine } = require('./pipeline');
+const { WEBHOOK_EVENTS } = require('./webhookService');
+const {
+  COLLAGE_LAYOUTS,
+  DEFAULT_BRAND_COLORS,
+  BRAND_COLOR_NAMES,
+  getCollageTemplate,
+  applyCollageTemplate
+} = require('../utils/collageTemplates');
+const { loadMockupTemplates } = require('../utils/mockupTemplates');
+const { loadSegmenter } = require('../utils/segmentation');
+const { assertPublicUrl } = require('../utils/networkAddress');
+
+const MAX_WEBHOOKS = 5;
+const ASSET_NAME_PATTERN = /^[a-z0-9-]+\.[a-z0-9]+$/;
+const USER_ID_PATTERN = /^[A-Za-z0-9_.@-]+$/;
+const LOGO_MODES = ['tiled', 'corner', 'center'];
+const LOGO_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+const MAX_WATERMARK_LINES = 4;
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const OUTPUT_FORMATS = ['auto', 'jpeg', 'png', 'webp'];
+const MAX_BADGE_TEXT_LENGTH = 40;
+const MAX_COLLAGE_VARIANTS = 5;
+const COLLAGE_PLACEMENTS = ['first', 'last'];
+const COLLAGE_VARIANT_NAME_PATTERN = /^[a-z0-9-]{1,40}$/;
+const SLIDESHOW_TRANSITIONS = ['fade', 'slide', 'wipe', 'zoom'];
+const SLIDESHOW_FITS = ['contain', 'cover'];
+const SLIDESHOW_MOTIONS = ['none', 'zoom-in', 'zoom-out', 'pan'];
+const ASPECT_RATIO_PATTERN = /^(\d{1,2}):(\d{1,2})$/;
+const BACKGROUND_REMOVAL_METHODS = ['color-key', 'model'];
+const MAX_MOCKUPS = 5;
+const MAX_MOCKUP_TEMPLATES = 10;
 
 /**
  * Settings Service for managing user preferences and configuration
@@ -25,14 +58,60 @@ class SettingsService {
         color: "#b0b0b0",
         spacing: 200,   // distance between watermarks
         angle: -30,     // rotation angle (diagonal watermark)
-        enabled: true
+        enabled: true,
+        mode: 'tiled',  // 'tiled' or 'single' (one mark at `position`)
+        margin: 20,     // distance from the image edges in single mode
+        secondLine: '', // smaller line under the text, e.g. the shop URL
+        stroke: {
+          width: 0,                 // outline width in pixels, 0 for none
+          color: '#000000'
+        },
+        shadow: {
+          enabled: false,
+          color: '#000000',
+          blur: 2,
+          offsetX: 2,
+          offsetY: 2
+        },
+        font: {
+          asset: null,              // uploaded font file name, Arial if not set
+          family: null              // family name read from the font file
+        },
+        type: 'text',   // 'text' or 'logo'
+        logo: {
+          asset: null,              // uploaded logo file name, see saveAsset
+          mode: 'tiled',            // 'tiled', 'corner' or 'center'
+          position: 'bottom-right', // corner used in corner mode
+          scale: 0.2,               // logo width relative to the image width
+          opacity: 0.5,
+          rotation: 0
+        }
       },
       collage: {
         layout: 'grid',
         dimensions: { width: 2000, height: 2000 },
         spacing: 10,
         backgroundColor: '#FFFFFF',
-        enabled: true
+        enabled: true,
+        template: null,             // collage template id, see GET /api/settings/collage/templates
+        title: '',                  // {title} in template text, e.g. the bundle name
+        shopName: '',               // {shopName} in template text
+        brandColors: { ...DEFAULT_BRAND_COLORS },
+        placement: 'last',          // Etsy image order: 'first' or 'last' relative to the product images
+        variants: [],               // several collages, each overriding the settings above, e.g. { name: 'hero', layout: 'featured' }
+        badge: {
+          enabled: false,
+          text: '{count} {format} files', // e.g. "25 PNG files"
+          position: 'top-right',
+          color: '#FFFFFF',
+          backgroundColor: '#222222'
+        }
+      },
+      mockups: {
+        enabled: false,
+        templates: [],              // mockup template ids, see GET /api/settings/mockups/templates; empty uses all
+        count: 3,                   // mockups added to each listing
+        placement: 'first'          // Etsy image order: 'first' or 'last' relative to the product images
       },
       googleDrive: {
         folderId: null,
@@ -42,26 +121,74 @@ class SettingsService {
       etsy: {
         shopId: null,
         defaultCategory: null,
-        autoDraft: true
+        autoDraft: true,
+        requireApproval: false
       },
       processing: {
         imageQuality: 90,
+        outputFormat: 'auto',   // watermarked image format; 'auto' keeps the input format
         maxImageSize: 10485760, // 10MB in bytes
-        allowedFormats: ['jpeg', 'jpg', 'png', 'webp']
+        allowedFormats: ['jpeg', 'jpg', 'png', 'webp'],
+        duplicateThreshold: 5,  // perceptual hash distance (0-20) at which uploads count as duplicates
+        removeDuplicates: false // drop near-duplicate uploads instead of only warning
+      },
+      qualityChecks: {
+        enabled: true,
+        minSharpness: 100,   // Laplacian variance below which an image looks blurry
+        minShortEdge: 2000,  // Etsy's recommended shortest side in pixels
+        maxAspectRatio: 2.5, // longest to shortest side
+        maxOverexposed: 0.5  // share of blown-out white pixels; raise it for white-background shots
+      },
+      backgroundRemoval: {
+        enabled: false,
+        method: 'color-key',        // 'color-key' for plain backdrops, 'model' for the BACKGROUND_SEGMENTER model
+        transparent: false,         // transparent background (PNG/WebP) instead of backgroundColor
+        backgroundColor: '#FFFFFF',
+        tolerance: 40,              // color distance still counted as backdrop
+        feather: 1                  // edge softening in pixels
+      },
+      normalization: {
+        enabled: false,             // opt-in, so existing listings keep their images as uploaded
+        longEdge: 3000,             // Etsy recommends at least 2000 pixels on the shortest side
+        aspectRatio: null,          // pad to 'width:height', e.g. '4:3'; null keeps each image's own
+        backgroundColor: '#FFFFFF', // padding color
+        upscale: false              // enlarge images smaller than the long edge
       },
       miniGif: {
-        width: 2000,
-        height: 2000,
+        enabled: false,             // opt-in, encoding takes several seconds of CPU per job
+        width: 600,                 // 2000 before GIFs were created; at most 1000
+        height: 600,
         outputPath: 'slideshow.gif',
-        delay: 100,
-        fadeFrames: 10
+        delay: 100,                 // milliseconds per crossfade frame
+        fadeFrames: 10,             // frames blending one image into the next, 0 for hard cuts
+        hold: 1500,                 // milliseconds each image is shown before it fades
+        backgroundColor: '#FFFFFF'  // padding around images of another aspect ratio
       },
       slideshow: {
         width: 800,
         height: 600,
         outputPath: 'video.mp4',
         duration: 3,
-        fade: 1
+        fade: 1,                    // transition length in seconds, 0 for hard cuts
+        fps: 30,
+        transition: 'fade',         // 'fade', 'slide', 'wipe' or 'zoom'
+        fit: 'contain',             // 'contain' pads images with the background, 'cover' crops them
+        backgroundColor: '#000000',
+        motion: 'none',             // Ken Burns motion: 'none', 'zoom-in', 'zoom-out' or 'pan'
+        titleColor: '#FFFFFF',      // text color of the title cards
+        audio: {
+          asset: null,              // uploaded music file name, see saveAsset
+          volume: 0.8
+        },
+        intro: { enabled: false, text: '', duration: 2 },
+        outro: { enabled: false, text: '', duration: 2 }
+      },
+      pipeline: {
+        order: [],      // custom step order; empty keeps the default order
+        disabled: []    // steps to skip
+      },
+      notifications: {
+        webhooks: []    // { id, url, secret, events, enabled }
       }
     };
   }
@@ -213,6 +340,46 @@ class SettingsService {
     if (validated.processing) {
       this.validateProcessingSettings(validated.processing);
     }
+
+    // Validate slideshow settings
+    if (validated.slideshow) {
+      this.validateSlideshowSettings(validated.slideshow);
+    }
+
+    // Validate mockup settings
+    if (validated.mockups) {
+      this.validateMockupSettings(validated.mockups);
+    }
+
+    // Validate image quality check settings
+    if (validated.qualityChecks) {
+      this.validateQualityCheckSettings(validated.qualityChecks);
+    }
+
+    // Validate background removal settings
+    if (validated.backgroundRemoval) {
+      this.validateBackgroundRemovalSettings(validated.backgroundRemoval);
+    }
+
+    // Validate normalization settings
+    if (validated.normalization) {
+      this.validateNormalizationSettings(validated.normalization);
+    }
+
+    // Validate animated GIF settings
+    if (validated.miniGif) {
+      this.validateMiniGifSettings(validated.miniGif);
+    }
+
+    // Validate pipeline settings
+    if (validated.pipeline) {
+      this.validatePipelineSettings(validated.pipeline);
+    }
+
+    // Validate notification settings
+    if (validated.notifications) {
+      validated.notifications = this.validateNotificationSettings(validated.notifications);
+    }
     
     return validated;
   }
@@ -226,6 +393,14 @@ class SettingsService {
     if (watermark.text && typeof watermark.text !== 'string') {
       throw new Error('Watermark text must be a string');
     }
+
+    if (typeof watermark.text === 'string' && watermark.text.length > 0 && !watermark.text.trim()) {
+      throw new Error('Watermark text must not be blank');
+    }
+
+    if (watermark.text && (watermark.text.length > 200 || watermark.text.split(/\r?\n/).length > MAX_WATERMARK_LINES)) {
+      throw new Error(`Watermark text must be at most 200 characters on ${MAX_WATERMARK_LINES} lines`);
+    }
     
     if (watermark.position && !['bottom-right', 'bottom-left', 'top-right', 'top-left', 'center'].includes(watermark.position)) {
       throw new Error('Invalid watermark position');
@@ -239,9 +414,87 @@ class SettingsService {
       throw new Error('Watermark font size must be between 8 and 100');
     }
     
-    if (watermark.color && !/^#[0-9A-Fa-f]{6}$/.test(watermark.color)) {
+    if (watermark.color && !HEX_COLOR_PATTERN.test(watermark.color)) {
       throw new Error('Watermark color must be a valid hex color');
     }
+
+    if (watermark.mode && !['tiled', 'single'].includes(watermark.mode)) {
+      throw new Error('Watermark mode must be tiled or single');
+    }
+
+    if (watermark.margin !== undefined && (typeof watermark.margin !== 'number' || watermark.margin < 0 || watermark.margin > 500)) {
+      throw new Error('Watermark margin must be between 0 and 500 pixels');
+    }
+
+    if (watermark.secondLine !== undefined && (typeof watermark.secondLine !== 'string' || watermark.secondLine.length > 100)) {
+      throw new Error('Watermark second line must be a string of at most 100 characters');
+    }
+
+    const stroke = watermark.stroke || {};
+    if (stroke.width !== undefined && (typeof stroke.width !== 'number' || stroke.width < 0 || stroke.width > 20)) {
+      throw new Error('Watermark outline width must be between 0 and 20 pixels');
+    }
+
+    if (stroke.color && !HEX_COLOR_PATTERN.test(stroke.color)) {
+      throw new Error('Watermark outline color must be a valid hex color');
+    }
+
+    const shadow = watermark.shadow || {};
+    if (shadow.color && !HEX_COLOR_PATTERN.test(shadow.color)) {
+      throw new Error('Watermark shadow color must be a valid hex color');
+    }
+
+    if (shadow.blur !== undefined && (typeof shadow.blur !== 'number' || shadow.blur < 0 || shadow.blur > 20)) {
+      throw new Error('Watermark shadow blur must be between 0 and 20 pixels');
+    }
+
+    for (const offset of [shadow.offsetX, shadow.offsetY]) {
+      if (offset !== undefined && (typeof offset !== 'number' || Math.abs(offset) > 50)) {
+        throw new Error('Watermark shadow offset must be between -50 and 50 pixels');
+      }
+    }
+
+    const font = watermark.font || {};
+    if (font.asset && !ASSET_NAME_PATTERN.test(font.asset)) {
+      throw new Error('Invalid watermark font');
+    }
+
+    if (font.family !== undefined && font.family !== null && (typeof font.family !== 'string' || font.family.length > 100)) {
+      throw new Error('Watermark font family must be a string of at most 100 characters');
+    }
+
+    if (watermark.type && !['text', 'logo'].includes(watermark.type)) {
+      throw new Error('Watermark type must be text or logo');
+    }
+
+    const logo = watermark.logo || {};
+    if (watermark.type === 'logo' && !logo.asset) {
+      throw new Error('Upload a logo before using a logo watermark');
+    }
+
+    if (logo.asset && !ASSET_NAME_PATTERN.test(logo.asset)) {
+      throw new Error('Invalid watermark logo');
+    }
+
+    if (logo.mode && !LOGO_MODES.includes(logo.mode)) {
+      throw new Error('Invalid watermark logo mode');
+    }
+
+    if (logo.position && !LOGO_POSITIONS.includes(logo.position)) {
+      throw new Error('Invalid watermark logo position');
+    }
+
+    if (logo.scale !== undefined && (typeof logo.scale !== 'number' || logo.scale < 0.05 || logo.scale > 1)) {
+      throw new Error('Watermark logo scale must be between 0.05 and 1');
+    }
+
+    if (logo.opacity !== undefined && (typeof logo.opacity !== 'number' || logo.opacity < 0 || logo.opacity > 1)) {
+      throw new Error('Watermark logo opacity must be between 0 and 1');
+    }
+
+    if (logo.rotation !== undefined && (typeof logo.rotation !== 'number' || logo.rotation < -180 || logo.rotation > 180)) {
+      throw new Error('Watermark logo rotation must be between -180 and 180 degrees');
+    }
   }
 
   /**
@@ -250,7 +503,32 @@ class SettingsService {
    * @throws {Error} If validation fails
    */
   validateCollageSettings(collage) {
-    if (collage.layout && !['grid', 'mosaic', 'featured'].includes(collage.layout)) {
+    if (collage.placement && !COLLAGE_PLACEMENTS.includes(collage.placement)) {
+      throw new Error('Collage placement must be first or last');
+    }
+
+    if (collage.variants !== undefined) {
+      if (!Array.isArray(collage.variants) || collage.variants.length > MAX_COLLAGE_VARIANTS) {
+        throw new Error(`Collage variants must be a list of up to ${MAX_COLLAGE_VARIANTS} collages`);
+      }
+      const names = new Set();
+      collage.variants.forEach((variant, i) => {
+        if (!variant || typeof variant !== 'object' || Array.isArray(variant) || variant.variants !== undefined) {
+          throw new Error(`Collage variant ${i + 1} must be an object of collage settings`);
+        }
+        const name = variant.name === undefined ? String(i + 1) : variant.name;
+        if (typeof name !== 'string' || !COLLAGE_VARIANT_NAME_PATTERN.test(name)) {
+          throw new Error(`Collage variant ${i + 1} name may only contain lowercase letters, digits and dashes`);
+        }
+        if (names.has(name)) {
+          throw new Error(`Duplicate collage variant name: ${name}`);
+        }
+        names.add(name);
+        this.validateCollageSettings(variant);
+      });
+    }
+
+    if (collage.layout && !COLLAGE_LAYOUTS.includes(collage.layout)) {
       throw new Error('Invalid collage layout');
     }
     
@@ -270,6 +548,45 @@ class SettingsService {
     if (collage.backgroundColor && !/^#[0-9A-Fa-f]{6}$/.test(collage.backgroundColor)) {
       throw new Error('Collage background color must be a valid hex color');
     }
+
+    if (collage.template !== undefined && collage.template !== null) {
+      if (typeof collage.template !== 'string' || !getCollageTemplate(collage.template)) {
+        throw new Error(`Unknown collage template: ${collage.template}`);
+      }
+    }
+
+    if (collage.title !== undefined && (typeof collage.title !== 'string' || collage.title.length > 100)) {
+      throw new Error('Collage title must be at most 100 characters');
+    }
+
+    if (collage.shopName !== undefined && (typeof collage.shopName !== 'string' || collage.shopName.length > 60)) {
+      throw new Error('Collage shop name must be at most 60 characters');
+    }
+
+    if (collage.brandColors) {
+      for (const [name, color] of Object.entries(collage.brandColors)) {
+        if (!BRAND_COLOR_NAMES.includes(name)) {
+          throw new Error(`Unknown brand color: ${name}`);
+        }
+        if (!HEX_COLOR_PATTERN.test(color)) {
+          throw new Error(`Brand color ${name} must be a valid hex color`);
+        }
+      }
+    }
+
+    if (collage.badge) {
+      const { badge } = collage;
+      if (badge.text !== undefined && (typeof badge.text !== 'string' || !badge.text.trim() || badge.text.length > MAX_BADGE_TEXT_LENGTH)) {
+        throw new Error(`Collage badge text must be 1-${MAX_BADGE_TEXT_LENGTH} characters`);
+      }
+      if (badge.position && !LOGO_POSITIONS.includes(badge.position)) {
+        throw new Error('Invalid collage badge position');
+      }
+      if ((badge.color && !HEX_COLOR_PATTERN.test(badge.color))
+        || (badge.backgroundColor && !HEX_COLOR_PATTERN.test(badge.backgroundColor))) {
+        throw new Error('Collage badge colors must be valid hex colors');
+      }
+    }
   }
 
   /**
@@ -281,6 +598,10 @@ class SettingsService {
     if (processing.imageQuality !== undefined && (processing.imageQuality < 10 || processing.imageQuality > 100)) {
       throw new Error('Image quality must be between 10 and 100');
     }
+
+    if (processing.outputFormat !== undefined && !OUTPUT_FORMATS.includes(processing.outputFormat)) {
+      throw new Error(`Output format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
     
     if (processing.maxImageSize !== undefined && (processing.maxImageSize < 1048576 || processing.maxImageSize > 52428800)) {
       throw new Error('Max image size must be between 1MB and 50MB');
@@ -289,6 +610,268 @@ class SettingsService {
     if (processing.allowedFormats && !Array.isArray(processing.allowedFormats)) {
       throw new Error('Allowed formats must be an array');
     }
+
+    if (processing.duplicateThreshold !== undefined
+      && (!Number.isInteger(processing.duplicateThreshold) || processing.duplicateThreshold < 0 || processing.duplicateThreshold > 20)) {
+      throw new Error('Duplicate threshold must be a whole number between 0 and 20');
+    }
+
+    if (processing.removeDuplicates !== undefined && typeof processing.removeDuplicates !== 'boolean') {
+      throw new Error('Remove duplicates must be true or false');
+    }
+  }
+
+  /**
+   * Validate slideshow video settings
+   * @param {Object} slideshow - Slideshow settings
+   * @throws {Error} If validation fails
+   */
+  validateSlideshowSettings(slideshow) {
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (slideshow.width !== undefined && !inRange(slideshow.width, 200, 3840)) {
+      throw new Error('Slideshow width must be between 200 and 3840 pixels');
+    }
+    if (slideshow.height !== undefined && !inRange(slideshow.height, 200, 3840)) {
+      throw new Error('Slideshow height must be between 200 and 3840 pixels');
+    }
+    if (slideshow.duration !== undefined && !inRange(slideshow.duration, 1, 20)) {
+      throw new Error('Slideshow duration must be between 1 and 20 seconds');
+    }
+    if (slideshow.fade !== undefined && !inRange(slideshow.fade, 0, 5)) {
+      throw new Error('Slideshow fade must be between 0 and 5 seconds');
+    }
+    if (slideshow.fps !== undefined && !(Number.isInteger(slideshow.fps) && inRange(slideshow.fps, 10, 60))) {
+      throw new Error('Slideshow frame rate must be between 10 and 60');
+    }
+    if (slideshow.transition && !SLIDESHOW_TRANSITIONS.includes(slideshow.transition)) {
+      throw new Error(`Slideshow transition must be one of: ${SLIDESHOW_TRANSITIONS.join(', ')}`);
+    }
+    if (slideshow.fit && !SLIDESHOW_FITS.includes(slideshow.fit)) {
+      throw new Error(`Slideshow fit must be one of: ${SLIDESHOW_FITS.join(', ')}`);
+    }
+    if (slideshow.motion && !SLIDESHOW_MOTIONS.includes(slideshow.motion)) {
+      throw new Error(`Slideshow motion must be one of: ${SLIDESHOW_MOTIONS.join(', ')}`);
+    }
+    if ((slideshow.backgroundColor && !HEX_COLOR_PATTERN.test(slideshow.backgroundColor))
+      || (slideshow.titleColor && !HEX_COLOR_PATTERN.test(slideshow.titleColor))) {
+      throw new Error('Slideshow colors must be valid hex colors');
+    }
+
+    if (slideshow.audio) {
+      const { asset, volume } = slideshow.audio;
+      if (asset !== undefined && asset !== null && !ASSET_NAME_PATTERN.test(asset)) {
+        throw new Error('Invalid slideshow audio asset');
+      }
+      if (volume !== undefined && !inRange(volume, 0, 1)) {
+        throw new Error('Slideshow audio volume must be between 0 and 1');
+      }
+    }
+
+    for (const key of ['intro', 'outro']) {
+      const card = slideshow[key];
+      if (!card) {
+        continue;
+      }
+      if (card.text !== undefined && (typeof card.text !== 'string' || card.text.length > 100)) {
+        throw new Error(`Slideshow ${key} text must be at most 100 characters`);
+      }
+      if (card.duration !== undefined && !inRange(card.duration, 1, 10)) {
+        throw new Error(`Slideshow ${key} duration must be between 1 and 10 seconds`);
+      }
+    }
+  }
+
+  /**
+   * Validate mockup settings
+   * @param {Object} mockups - Mockup settings
+   * @throws {Error} If validation fails
+   */
+  validateMockupSettings(mockups) {
+    if (mockups.templates !== undefined) {
+      if (!Array.isArray(mockups.templates) || mockups.templates.length > MAX_MOCKUP_TEMPLATES) {
+        throw new Error(`Mockup templates must be a list of up to ${MAX_MOCKUP_TEMPLATES} template ids`);
+      }
+      const available = loadMockupTemplates();
+      for (const id of mockups.templates) {
+        if (typeof id !== 'string' || !available.has(id)) {
+          throw new Error(`Unknown mockup template: ${id}`);
+        }
+      }
+    }
+    if (mockups.count !== undefined && !(Number.isInteger(mockups.count) && mockups.count >= 1 && mockups.count <= MAX_MOCKUPS)) {
+      throw new Error(`Mockup count must be between 1 and ${MAX_MOCKUPS}`);
+    }
+    if (mockups.placement && !COLLAGE_PLACEMENTS.includes(mockups.placement)) {
+      throw new Error('Mockup placement must be first or last');
+    }
+  }
+
+  /**
+   * Validate image quality check settings
+   * @param {Object} qualityChecks - Quality check settings
+   * @throws {Error} If validation fails
+   */
+  validateQualityCheckSettings(qualityChecks) {
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    const { minSharpness, minShortEdge, maxAspectRatio, maxOverexposed } = qualityChecks;
+
+    if (minSharpness !== undefined && !inRange(minSharpness, 0, 5000)) {
+      throw new Error('Minimum sharpness must be between 0 and 5000');
+    }
+    if (minShortEdge !== undefined && !(Number.isInteger(minShortEdge) && inRange(minShortEdge, 0, 10000))) {
+      throw new Error('Minimum short edge must be between 0 and 10000 pixels');
+    }
+    if (maxAspectRatio !== undefined && !inRange(maxAspectRatio, 1, 10)) {
+      throw new Error('Maximum aspect ratio must be between 1 and 10');
+    }
+    if (maxOverexposed !== undefined && !inRange(maxOverexposed, 0, 1)) {
+      throw new Error('Maximum overexposed share must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Validate background removal settings
+   * @param {Object} backgroundRemoval - Background removal settings
+   * @throws {Error} If validation fails
+   */
+  validateBackgroundRemovalSettings(backgroundRemoval) {
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    const { method, transparent, backgroundColor, tolerance, feather } = backgroundRemoval;
+
+    if (method !== undefined && !BACKGROUND_REMOVAL_METHODS.includes(method)) {
+      throw new Error(`Background removal method must be one of: ${BACKGROUND_REMOVAL_METHODS.join(', ')}`);
+    }
+    if (transparent !== undefined && typeof transparent !== 'boolean') {
+      throw new Error('Background removal transparent must be true or false');
+    }
+    if (backgroundColor && !HEX_COLOR_PATTERN.test(backgroundColor)) {
+      throw new Error('Background removal background color must be a valid hex color');
+    }
+    if (tolerance !== undefined && !inRange(tolerance, 1, 200)) {
+      throw new Error('Background removal tolerance must be between 1 and 200');
+    }
+    if (feather !== undefined && !inRange(feather, 0, 10)) {
+      throw new Error('Background removal feather must be between 0 and 10 pixels');
+    }
+  }
+
+  /**
+   * Validate listing image normalization settings
+   * @param {Object} normalization - Normalization settings
+   * @throws {Error} If validation fails
+   */
+  validateNormalizationSettings(normalization) {
+    const { longEdge, aspectRatio, backgroundColor } = normalization;
+
+    if (longEdge !== undefined && !(Number.isInteger(longEdge) && longEdge >= 500 && longEdge <= 6000)) {
+      throw new Error('Normalization long edge must be between 500 and 6000 pixels');
+    }
+    if (aspectRatio !== undefined && aspectRatio !== null) {
+      const match = typeof aspectRatio === 'string' && aspectRatio.match(ASPECT_RATIO_PATTERN);
+      const ratio = match ? Number(match[1]) / Number(match[2]) : 0;
+      if (!(ratio >= 0.2 && ratio <= 5)) {
+        throw new Error('Normalization aspect ratio must be width:height, e.g. 4:3, between 1:5 and 5:1');
+      }
+    }
+    if (backgroundColor && !HEX_COLOR_PATTERN.test(backgroundColor)) {
+      throw new Error('Normalization background color must be a valid hex color');
+    }
+  }
+
+  /**
+   * Validate animated GIF preview settings
+   * @param {Object} miniGif - Mini GIF settings
+   * @throws {Error} If validation fails
+   */
+  validateMiniGifSettings(miniGif) {
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (miniGif.width !== undefined && !(Number.isInteger(miniGif.width) && inRange(miniGif.width, 100, 1000))) {
+      throw new Error('GIF width must be between 100 and 1000 pixels');
+    }
+    if (miniGif.height !== undefined && !(Number.isInteger(miniGif.height) && inRange(miniGif.height, 100, 1000))) {
+      throw new Error('GIF height must be between 100 and 1000 pixels');
+    }
+    if (miniGif.delay !== undefined && !inRange(miniGif.delay, 20, 1000)) {
+      throw new Error('GIF frame delay must be between 20 and 1000 milliseconds');
+    }
+    if (miniGif.fadeFrames !== undefined && !(Number.isInteger(miniGif.fadeFrames) && inRange(miniGif.fadeFrames, 0, 30))) {
+      throw new Error('GIF fade frames must be a whole number between 0 and 30');
+    }
+    if (miniGif.hold !== undefined && !inRange(miniGif.hold, 100, 10000)) {
+      throw new Error('GIF hold must be between 100 and 10000 milliseconds');
+    }
+    if (miniGif.backgroundColor && !HEX_COLOR_PATTERN.test(miniGif.backgroundColor)) {
+      throw new Error('GIF background color must be a valid hex color');
+    }
+  }
+
+  /**
+   * Validate pipeline settings against the registered pipeline steps
+   * @param {Object} pipeline - Pipeline settings ({ order, disabled })
+   * @throws {Error} If validation fails
+   */
+  validatePipelineSettings(pipeline) {
+    createPipelineEngine().validateConfig(pipeline);
+  }
+
+  /**
+   * Validate notification settings. Webhooks saved without an ID or secret
+   * get generated ones.
+   * @param {Object} notifications - Notification settings ({ webhooks })
+   * @returns {Object} Notification settings with generated fields filled in
+   * @throws {Error} If validation fails
+   */
+  validateNotificationSettings(notifications) {
+    const webhooks = notifications.webhooks || [];
+
+    if (!Array.isArray(webhooks)) {
+      throw new Error('Webhooks must be an array');
+    }
+    if (webhooks.length > MAX_WEBHOOKS) {
+      throw new Error(`No more than ${MAX_WEBHOOKS} webhooks can be configured`);
+    }
+
+    return {
+      ...notifications,
+      webhooks: webhooks.map(webhook => {
+        let url;
+        try {
+          url = new URL(webhook.url);
+        } catch (error) {
+          throw new Error('Webhook URL must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('Webhook URL must use http or https');
+        }
+        if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+          throw new Error('Webhook URL must use https');
+        }
+        try {
+          assertPublicUrl(url);
+        } catch (error) {
+          throw new Error(`Webhook URL must not point to a local or private network: ${error.message}`);
+        }
+
+        if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || webhook.secret.length < 16)) {
+          throw new Error('Webhook secret must be a string of at least 16 characters');
+        }
+
+        const events = webhook.events || WEBHOOK_EVENTS;
+        if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+          throw new Error(`Webhook events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        return {
+          id: webhook.id || `wh_${crypto.randomBytes(8).toString('hex')}`,
+          url: url.toString(),
+          secret: webhook.secret || crypto.randomBytes(32).toString('hex'),
+          events: [...new Set(events)],
+          enabled: webhook.enabled !== false
+        };
+      })
+    };
   }
 
   /**
@@ -307,6 +890,168 @@ class SettingsService {
     return settings[section];
   }
 
+  /**
+   * Get the directory holding a user's uploaded settings assets (logos, fonts)
+   * @param {string} userId - User identifier
+   * @returns {string} Asset directory path
+   */
+  getAssetDir(userId = 'default') {
+    if (!USER_ID_PATTERN.test(userId)) {
+      throw new Error(`Invalid user ID: ${userId}`);
+    }
+    return path.join(this.settingsDir, 'assets', userId);
+  }
+
+  /**
+   * Store an uploaded settings asset
+   * @param {string} name - Asset file name, e.g. `watermark-logo.png`
+   * @param {Buffer} buffer - Asset content
+   * @param {string} userId - User identifier
+   * @returns {Promise<string>} Asset name
+   */
+  async saveAsset(name, buffer, userId = 'default') {
+    const assetPath = this._getAssetPath(name, userId);
+    await fs.mkdir(path.dirname(assetPath), { recursive: true });
+    await fs.writeFile(assetPath, buffer);
+    return name;
+  }
+
+  /**
+   * Load a settings asset
+   * @param {string} name - Asset file name
+   * @param {string} userId - User identifier
+   * @returns {Promise<Buffer|null>} Asset content, or null if it does not exist
+   */
+  async loadAsset(name, userId = 'default') {
+    try {
+      return await fs.readFile(this._getAssetPath(name, userId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a settings asset
+   * @param {string} name - Asset file name
+   * @param {string} userId - User identifier
+   * @returns {Promise<void>}
+   */
+  async deleteAsset(name, userId = 'default') {
+    await fs.rm(this._getAssetPath(name, userId), { force: true });
+  }
+
+  /**
+   * Resolve watermark settings for rendering: points an uploaded font at its
+   * file (`font.file`) and loads the logo of a logo watermark into `logo.buffer`
+   * @param {Object} watermark - Watermark settings
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Watermark configuration for ImageService
+   * @throws {Error} If the logo has not been uploaded
+   */
+  async resolveWatermark(watermark, userId = 'default') {
+    let resolved = watermark;
+    if (watermark.font?.asset) {
+      // ImageService falls back to the default font if the file has gone missing
+      resolved = { ...resolved, font: { ...watermark.font, file: this._getAssetPath(watermark.font.asset, userId) } };
+    }
+
+    if (watermark.type !== 'logo') {
+      return resolved;
+    }
+
+    const buffer = watermark.logo?.asset ? await this.loadAsset(watermark.logo.asset, userId) : null;
+    if (!buffer) {
+      throw new Error('Watermark logo not found. Upload it again in settings.');
+    }
+    return { ...resolved, logo: { ...watermark.logo, buffer } };
+  }
+
+  /**
+   * Resolve slideshow settings for rendering: points uploaded music at its file (`audio.file`)
+   * @param {Object} slideshow - Slideshow settings
+   * @param {string} userId - User identifier
+   * @returns {Object} Slideshow options for ImageService
+   */
+  resolveSlideshow(slideshow, userId = 'default') {
+    if (!slideshow.audio?.asset) {
+      return slideshow;
+    }
+    // ImageService leaves the music out if the file has gone missing
+    return { ...slideshow, audio: { ...slideshow.audio, file: this._getAssetPath(slideshow.audio.asset, userId) } };
+  }
+
+  /**
+   * Resolve the mockup templates to render, in the configured order
+   * @param {Object} mockups - Mockup settings
+   * @returns {Object[]} Mockup templates for ImageService
+   * @throws {Error} If a selected template no longer exists or there are no templates
+   */
+  resolveMockupTemplates(mockups) {
+    const available = loadMockupTemplates();
+    const ids = mockups.templates && mockups.templates.length ? mockups.templates : [...available.keys()];
+    const templates = ids.map(id => {
+      if (!available.has(id)) {
+        throw new Error(`Mockup template not found: ${id}`);
+      }
+      return available.get(id);
+    });
+    if (!templates.length) {
+      throw new Error('No mockup templates available');
+    }
+    return templates;
+  }
+
+  /**
+   * Resolve background removal settings for ImageService, loading the
+   * segmentation model when the `model` method is selected
+   * @param {Object} backgroundRemoval - Background removal settings
+   * @returns {Object} Background removal options for ImageService
+   * @throws {Error} If the model method is selected but no model can be loaded
+   */
+  resolveBackgroundRemoval(backgroundRemoval) {
+    if (backgroundRemoval.method !== 'model') {
+      return { ...backgroundRemoval, segmenter: null };
+    }
+
+    const segmenter = loadSegmenter();
+    if (!segmenter) {
+      throw new Error('No segmentation model configured; set BACKGROUND_SEGMENTER');
+    }
+    return { ...backgroundRemoval, segmenter };
+  }
+
+  /**
+   * Resolve collage settings for rendering: applies the selected template,
+   * with the brand colors and texts from the settings
+   * @param {Object} collage - Collage settings
+   * @returns {Promise<Object>} Collage options for ImageService
+   * @throws {Error} If the template no longer exists
+   */
+  async resolveCollage(collage) {
+    if (!collage.template) {
+      return collage;
+    }
+    const template = getCollageTemplate(collage.template);
+    if (!template) {
+      throw new Error(`Collage template not found: ${collage.template}`);
+    }
+    return applyCollageTemplate(template, collage);
+  }
+
+  /**
+   * Get the path of a settings asset
+   * @private
+   */
+  _getAssetPath(name, userId) {
+    if (!ASSET_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid asset name: ${name}`);
+    }
+    return path.join(this.getAssetDir(userId), name);
+  }
+
   /**
    * Check if settings file exists for user
    * @param {string} userId - User identifier
@@ -0,0 +1,335 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { assertPublicUrl, publicLookup } = require('../utils/networkAddress');
+
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'step.failed'];
+const USER_ID_PATTERN = /^[A-Za-z0-9_.@-]+$/;
+
+/**
+ * Webhook Service for notifying users' own tools about processing jobs
+ * Listens to JobService events and POSTs a signed JSON payload to every
+ * webhook the job's owner configured for the event in the `notifications`
+ * settings section. Failed deliveries are retried with exponential backoff,
+ * and every delivery is kept in a per-user log under data/webhooks.
+ *
+ * Payloads are signed with HMAC-SHA256 over `<timestamp>.<body>` using the
+ * webhook's secret and sent as `X-Webhook-Signature: sha256=<hex>`.
+ *
+ * Webhooks are never delivered to local or private addresses, including host
+ * names that resolve to one, since any user can configure them.
+ */
+class WebhookService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.settingsService - Settings service for webhook configuration
+   * @param {Object} options.httpClient - HTTP client with an axios-style post method
+   * @param {string} options.logDir - Directory for delivery logs
+   * @param {Object} options.retry - Retry policy ({ maxAttempts, baseDelayMs })
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {number} options.maxLogEntries - Deliveries kept per user
+   */
+  constructor(options = {}) {
+    this.settingsService = options.settingsService;
+    this.httpClient = options.httpClient || axios;
+    this.agents = {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+    this.logDir = options.logDir || path.join(process.cwd(), 'data', 'webhooks');
+    this.retry = {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      baseDelayMs: 30 * 1000,
+      ...options.retry
+    };
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxLogEntries = options.maxLogEntries || 200;
+
+    this.logs = new Map();
+    this.pendingWrites = new Map();
+    this.pendingDeliveries = new Set();
+  }
+
+  /**
+   * Send notifications for the events of a job service
+   * @param {Object} jobService - Job service emitting `step` and `finished`
+   */
+  attach(jobService) {
+    jobService.on('finished', job => {
+      if (job.status === 'completed' || job.status === 'failed') {
+        this.notify(job.userId, `job.${job.status}`, this._jobPayload(job));
+      }
+    });
+
+    jobService.on('step', async (event) => {
+      // A failed job is reported as job.failed instead
+      if (event.status !== 'failed' || event.step === 'error') {
+        return;
+      }
+      const job = await jobService.getJob(event.jobId);
+      if (job) {
+        this.notify(job.userId, 'step.failed', {
+          jobId: job.id,
+          step: event.step,
+          error: event.error || null,
+          timestamp: event.timestamp
+        });
+      }
+    });
+  }
+
+  /**
+   * Deliver an event to every enabled webhook of a user subscribed to it.
+   * Deliveries continue in the background; the returned promise settles
+   * once they have all succeeded or run out of attempts.
+   * @param {string} userId - User to notify
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Object[]>} Final delivery records
+   */
+  notify(userId, event, data) {
+    const delivery = (async () => {
+      const settings = await this.settingsService.loadSettings(userId);
+      const webhooks = (settings.notifications?.webhooks || [])
+        .filter(webhook => webhook.enabled !== false && (webhook.events || WEBHOOK_EVENTS).includes(event));
+
+      return Promise.all(webhooks.map(webhook => this.deliver(userId, webhook, event, data)));
+    })().catch(() => {
+      // Without the user's settings there are no webhooks to send to
+      return [];
+    });
+
+    this.pendingDeliveries.add(delivery);
+    delivery.finally(() => this.pendingDeliveries.delete(delivery));
+    return delivery;
+  }
+
+  /**
+   * Deliver an event to one webhook, retrying with exponential backoff
+   * @param {string} userId - Owner of the webhook
+   * @param {Object} webhook - Webhook configuration ({ id, url, secret })
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} Delivery record
+   */
+  async deliver(userId, webhook, event, data) {
+    const record = {
+      id: `dlv_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+      webhookId: webhook.id || null,
+      url: webhook.url,
+      event,
+      jobId: data.jobId || null,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null
+    };
+    const body = JSON.stringify({
+      id: record.id,
+      event,
+      createdAt: record.createdAt,
+      data
+    });
+
+    await this._log(userId, record);
+
+    // Settings saved before private addresses were refused can still hold one
+    try {
+      assertPublicUrl(webhook.url);
+    } catch (error) {
+      record.attempts.push({ at: new Date().toISOString(), statusCode: null, error: error.message, durationMs: 0 });
+      record.status = 'failed';
+      await this._log(userId, record);
+      return record;
+    }
+
+    for (let attempt = 1; attempt <= this.retry.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const startedAt = Date.now();
+
+      try {
+        const response = await this.httpClient.post(webhook.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'DigiGoods-Webhooks/1.0',
+            'X-Webhook-Event': event,
+            'X-Webhook-Delivery': record.id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+          },
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          ...this.agents,
+          // Treat anything but 2xx as a failed delivery
+          validateStatus: status => status >= 200 && status < 300
+        });
+
+        record.attempts.push({ at: new Date(startedAt).toISOString(), statusCode: response.status, durationMs: Date.now() - startedAt });
+        record.status = 'delivered';
+        record.deliveredAt = new Date().toISOString();
+        record.nextAttemptAt = null;
+        await this._log(userId, record);
+        return record;
+      } catch (error) {
+        record.attempts.push({
+          at: new Date(startedAt).toISOString(),
+          statusCode: error.response?.status || null,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        });
+
+        // A host resolving to a private address will not stop doing so on retry
+        if (attempt === this.retry.maxAttempts || error.code === 'EPRIVATEADDRESS') {
+          break;
+        }
+
+        const delay = this.retry.baseDelayMs * 2 ** (attempt - 1);
+        record.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        await this._log(userId, record);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    record.status = 'failed';
+    record.nextAttemptAt = null;
+    await this._log(userId, record);
+    return record;
+  }
+
+  /**
+   * Compute the signature of a payload
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix timestamp in seconds sent with the payload
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * List a user's deliveries, newest first
+   * @param {string} userId - User identifier
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.event - Only return deliveries of this event
+   * @param {string} filters.status - Only return deliveries with this status
+   * @param {number} filters.limit - Maximum number of deliveries to return
+   * @param {number} filters.offset - Number of deliveries to skip
+   * @returns {Promise<Object>} Paginated deliveries
+   */
+  async listDeliveries(userId, { event, status, limit = 20, offset = 0 } = {}) {
+    const deliveries = (await this._loadLog(userId))
+      .filter(delivery => !event || delivery.event === event)
+      .filter(delivery => !status || delivery.status === status);
+
+    return {
+      total: deliveries.length,
+      limit,
+      offset,
+      deliveries: deliveries.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Wait for deliveries in progress and pending log writes
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.pendingDeliveries);
+    await Promise.all(this.pendingWrites.values());
+  }
+
+  /**
+   * Build the payload of a job event
+   * @private
+   */
+  _jobPayload(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      startTime: job.startTime,
+      completedAt: job.completedAt,
+      inputs: job.inputs,
+      results: job.results,
+      errors: job.errors
+    };
+  }
+
+  /**
+   * Get the log file path for a user
+   * @private
+   */
+  _getLogFilePath(userId) {
+    if (!USER_ID_PATTERN.test(userId)) {
+      throw new Error(`Invalid user ID: ${userId}`);
+    }
+    return path.join(this.logDir, `${userId}.json`);
+  }
+
+  /**
+   * Load a user's delivery log, newest first
+   * @private
+   */
+  async _loadLog(userId) {
+    if (this.logs.has(userId)) {
+      return this.logs.get(userId);
+    }
+
+    let deliveries = [];
+    try {
+      deliveries = JSON.parse(await fs.readFile(this._getLogFilePath(userId), 'utf8'));
+    } catch (error) {
+      // No log yet, or an unreadable one that the next write replaces
+    }
+
+    // Another call may have loaded the log while this one was reading
+    if (!this.logs.has(userId)) {
+      this.logs.set(userId, deliveries);
+    }
+    return this.logs.get(userId);
+  }
+
+  /**
+   * Add or update a delivery in a user's log and queue a write
+   * @private
+   */
+  async _log(userId, record) {
+    const deliveries = await this._loadLog(userId);
+    const index = deliveries.findIndex(delivery => delivery.id === record.id);
+    const entry = JSON.parse(JSON.stringify(record));
+
+    if (index === -1) {
+      deliveries.unshift(entry);
+      deliveries.splice(this.maxLogEntries);
+    } else {
+      deliveries[index] = entry;
+    }
+
+    const previous = this.pendingWrites.get(userId) || Promise.resolve();
+    const write = previous
+      .then(async () => {
+        await fs.mkdir(this.logDir, { recursive: true });
+        const logPath = this._getLogFilePath(userId);
+        const tmpPath = `${logPath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(deliveries, null, 2), 'utf8');
+        await fs.rename(tmpPath, logPath);
+      })
+      // The log is kept in memory and written again with the next delivery
+      .catch(() => {})
+      .finally(() => {
+        if (this.pendingWrites.get(userId) === write) {
+          this.pendingWrites.delete(userId);
+        }
+      });
+
+    this.pendingWrites.set(userId, write);
+    return write;
+  }
+}
+
+module.exports = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
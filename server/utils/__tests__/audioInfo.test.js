@@ -0,0 +1,32 @@
+/**
+ * Unit tests for audio file utilities
+ */
+
+const { readAudioFormat } = require('../audioInfo');
+
+describe('Audio Info Utils', () => {
+  describe('readAudioFormat', () => {
+    test('should recognize MP3 files with and without ID3 tags', () => {
+      const tagged = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(20)]);
+      const frame = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(20)]);
+
+      expect(readAudioFormat(tagged)).toBe('mp3');
+      expect(readAudioFormat(frame)).toBe('mp3');
+    });
+
+    test('should recognize M4A and WAV files', () => {
+      const m4a = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A '), Buffer.alloc(20)]);
+      const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(20)]);
+
+      expect(readAudioFormat(m4a)).toBe('m4a');
+      expect(readAudioFormat(wav)).toBe('wav');
+    });
+
+    test('should reject other files', () => {
+      expect(() => readAudioFormat(Buffer.from('definitely not audio'))).toThrow('MP3, M4A or WAV');
+      expect(() => readAudioFormat(Buffer.concat([Buffer.from([0xff, 0xfb, 0xf0, 0x64]), Buffer.alloc(20)]))).toThrow('MP3');
+      expect(() => readAudioFormat(Buffer.from('ID3'))).toThrow('MP3');
+      expect(() => readAudioFormat(null)).toThrow('MP3');
+    });
+  });
+});
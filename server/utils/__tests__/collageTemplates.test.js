@@ -0,0 +1,136 @@
+/**
+ * Unit tests for collage templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_BRAND_COLORS,
+  validateCollageTemplate,
+  loadCollageTemplates,
+  getCollageTemplate,
+  applyCollageTemplate
+} = require('../collageTemplates');
+
+describe('Collage Templates', () => {
+  let customDir;
+
+  beforeEach(() => {
+    customDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collage-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(customDir, { recursive: true, force: true });
+  });
+
+  const writeTemplate = (file, template) => {
+    fs.writeFileSync(path.join(customDir, file), typeof template === 'string' ? template : JSON.stringify(template));
+  };
+
+  describe('loadCollageTemplates', () => {
+    test('should load the built-in templates', () => {
+      const skipped = [];
+      const templates = loadCollageTemplates(undefined, skipped);
+
+      expect([...templates.keys()]).toEqual(expect.arrayContaining(['bundle-banner', 'clean-grid', 'mosaic-showcase']));
+      expect(templates.get('bundle-banner')).toMatchObject({ id: 'bundle-banner', name: 'Bundle Banner', layout: 'featured' });
+      expect(skipped).toEqual([]);
+    });
+
+    test('should add custom templates and let them replace built-ins', () => {
+      writeTemplate('shop-special.json', { name: 'Shop Special', layout: 'masonry' });
+      writeTemplate('clean-grid.json', { name: 'Our Grid', layout: 'grid' });
+
+      const templates = loadCollageTemplates([path.join(__dirname, '..', '..', 'templates', 'collage'), customDir]);
+
+      expect(templates.get('shop-special')).toMatchObject({ id: 'shop-special', layout: 'masonry' });
+      expect(templates.get('clean-grid').name).toBe('Our Grid');
+    });
+
+    test('should skip and report invalid templates', () => {
+      writeTemplate('broken.json', '{ not json');
+      writeTemplate('bad-layout.json', { name: 'Bad', layout: 'spiral' });
+      writeTemplate('Bad Name.json', { name: 'Bad name' });
+      writeTemplate('good.json', { name: 'Good' });
+
+      const skipped = [];
+      const templates = loadCollageTemplates([customDir], skipped);
+
+      expect([...templates.keys()]).toEqual(['good']);
+      expect(skipped.map(entry => entry.file)).toEqual(['Bad Name.json', 'bad-layout.json', 'broken.json']);
+      expect(skipped[1].error).toContain('layout');
+    });
+
+    test('should find templates by id', () => {
+      writeTemplate('good.json', { name: 'Good' });
+
+      expect(getCollageTemplate('good', [customDir])).toMatchObject({ id: 'good', name: 'Good' });
+      expect(getCollageTemplate('missing', [customDir])).toBeNull();
+    });
+  });
+
+  describe('validateCollageTemplate', () => {
+    test('should accept hex colors and brand color names', () => {
+      expect(() => validateCollageTemplate({
+        name: 'Colors',
+        backgroundColor: '#FAFAFA',
+        header: { text: '{title}', color: 'light', backgroundColor: 'primary' }
+      })).not.toThrow();
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => validateCollageTemplate([])).toThrow('JSON object');
+      expect(() => validateCollageTemplate({})).toThrow('name');
+      expect(() => validateCollageTemplate({ name: 'X', backgroundColor: 'red' })).toThrow('background color');
+      expect(() => validateCollageTemplate({ name: 'X', header: { text: 'Hi', height: 0.5 } })).toThrow('header height');
+      expect(() => validateCollageTemplate({ name: 'X', footer: {} })).toThrow('footer text');
+      expect(() => validateCollageTemplate({ name: 'X', cell: { shadow: { opacity: 2 } } })).toThrow('shadow opacity');
+      expect(() => validateCollageTemplate({ name: 'X', badge: { position: 'middle' } })).toThrow('badge position');
+    });
+  });
+
+  describe('applyCollageTemplate', () => {
+    const collage = {
+      layout: 'grid',
+      dimensions: { width: 1500, height: 1500 },
+      spacing: 10,
+      backgroundColor: '#FFFFFF',
+      title: 'Floral Clipart',
+      shopName: '',
+      brandColors: { primary: '#112233' },
+      badge: { enabled: false, text: '{count} {format} files', position: 'top-right' }
+    };
+
+    test('should combine the template look with the collage settings', () => {
+      const options = applyCollageTemplate({
+        name: 'Banner',
+        layout: 'featured',
+        backgroundColor: 'secondary',
+        header: { text: '{title}', height: 0.1 },
+        footer: { text: '{shopName}' },
+        cell: { borderRadius: 12, shadow: { blur: 6 } },
+        badge: { position: 'bottom-left', backgroundColor: '#ABCDEF' }
+      }, collage);
+
+      expect(options).toMatchObject({
+        layout: 'featured',
+        spacing: 10,
+        dimensions: { width: 1500, height: 1500 },
+        backgroundColor: DEFAULT_BRAND_COLORS.secondary,
+        header: { text: 'Floral Clipart', height: 0.1, color: '#FFFFFF', backgroundColor: '#112233' },
+        footer: null,
+        cell: { borderRadius: 12, shadow: { blur: 6, color: DEFAULT_BRAND_COLORS.dark } },
+        badge: { enabled: true, text: '{count} {format} files', position: 'bottom-left', backgroundColor: '#ABCDEF' }
+      });
+    });
+
+    test('should keep the collage settings the template leaves open', () => {
+      const options = applyCollageTemplate({ name: 'Plain' }, collage);
+
+      expect(options).toMatchObject({ layout: 'grid', spacing: 10, backgroundColor: '#FFFFFF', header: null, footer: null });
+      expect(options.badge).toBe(collage.badge);
+      expect(options.cell).toBeUndefined();
+    });
+  });
+});
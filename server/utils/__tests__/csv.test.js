@@ -0,0 +1,42 @@
+/**
+ * Unit tests for CSV parsing utilities
+ */
+
+const { parseCsv, parseCsvRows } = require('../csv');
+
+describe('CSV Utils', () => {
+  describe('parseCsvRows', () => {
+    test('should split rows and fields', () => {
+      expect(parseCsvRows('a,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should handle quoted fields with commas, quotes and newlines', () => {
+      const rows = parseCsvRows('title,notes\n"Mug, large","He said ""hi""\nthen left"');
+
+      expect(rows[1]).toEqual(['Mug, large', 'He said "hi"\nthen left']);
+    });
+
+    test('should handle CRLF line endings and skip blank lines', () => {
+      expect(parseCsvRows('a,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should reject unterminated quotes', () => {
+      expect(() => parseCsvRows('a\n"open')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should map rows to objects using the header', () => {
+      const records = parseCsv('\uFEFFfolder, price\nmugs/blue, 12.50\nposters,');
+
+      expect(records).toEqual([
+        { folder: 'mugs/blue', price: '12.50' },
+        { folder: 'posters', price: '' }
+      ]);
+    });
+
+    test('should return an empty list for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+});
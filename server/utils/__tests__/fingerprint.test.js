@@ -0,0 +1,36 @@
+/**
+ * Unit tests for upload fingerprinting utilities
+ */
+
+const { canonicalJson, fingerprintUpload } = require('../fingerprint');
+
+describe('Fingerprint Utils', () => {
+  const files = [
+    { originalname: 'a.jpg', buffer: Buffer.from('image-a') },
+    { originalname: 'b.jpg', buffer: Buffer.from('image-b') }
+  ];
+
+  describe('canonicalJson', () => {
+    test('should sort object keys and drop undefined values', () => {
+      expect(canonicalJson({ b: 1, a: { d: [1, 'x'], c: undefined } })).toBe('{"a":{"d":[1,"x"]},"b":1}');
+    });
+  });
+
+  describe('fingerprintUpload', () => {
+    test('should be stable for the same images and options', () => {
+      const first = fingerprintUpload(files, { price: '12', quantity: '1' });
+      const second = fingerprintUpload(files.map(file => ({ ...file, originalname: 'renamed.jpg' })), { quantity: '1', price: '12' });
+
+      expect(first).toMatch(/^[a-f0-9]{64}$/);
+      expect(second).toBe(first);
+    });
+
+    test('should change with image contents, image order or options', () => {
+      const base = fingerprintUpload(files, { price: '12' });
+
+      expect(fingerprintUpload([files[0], { buffer: Buffer.from('image-c') }], { price: '12' })).not.toBe(base);
+      expect(fingerprintUpload([files[1], files[0]], { price: '12' })).not.toBe(base);
+      expect(fingerprintUpload(files, { price: '13' })).not.toBe(base);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for font file utilities
+ */
+
+const { readFontInfo } = require('../fontInfo');
+
+/**
+ * Build a minimal font file holding only a name table
+ * @param {Object[]} names - Name records ({ platformId, languageId, nameId, value })
+ * @param {number} version - sfnt version
+ */
+function buildFont(names, version = 0x00010000) {
+  const encoded = names.map(({ platformId, value }) => platformId === 1
+    ? Buffer.from(value, 'latin1')
+    : Buffer.from(value, 'utf16le').swap16());
+  const stringOffset = 6 + names.length * 12;
+  const table = Buffer.alloc(stringOffset);
+  table.writeUInt16BE(names.length, 2);
+  table.writeUInt16BE(stringOffset, 4);
+
+  let offset = 0;
+  names.forEach(({ platformId, languageId, nameId }, i) => {
+    const record = 6 + i * 12;
+    table.writeUInt16BE(platformId, record);
+    table.writeUInt16BE(platformId === 1 ? 0 : 1, record + 2);
+    table.writeUInt16BE(languageId, record + 4);
+    table.writeUInt16BE(nameId, record + 6);
+    table.writeUInt16BE(encoded[i].length, record + 8);
+    table.writeUInt16BE(offset, record + 10);
+    offset += encoded[i].length;
+  });
+  const nameTable = Buffer.concat([table, ...encoded]);
+
+  const header = Buffer.alloc(12 + 16);
+  header.writeUInt32BE(version, 0);
+  header.writeUInt16BE(1, 4);
+  header.write('name', 12, 'latin1');
+  header.writeUInt32BE(header.length, 12 + 8);
+  header.writeUInt32BE(nameTable.length, 12 + 12);
+
+  return Buffer.concat([header, nameTable]);
+}
+
+describe('Font Info Utils', () => {
+  describe('readFontInfo', () => {
+    test('should read the format and family name', () => {
+      const font = buildFont([
+        { platformId: 1, languageId: 0, nameId: 1, value: 'Mac Name' },
+        { platformId: 3, languageId: 0x409, nameId: 1, value: 'Shop Sans' },
+        { platformId: 3, languageId: 0x409, nameId: 2, value: 'Bold' }
+      ]);
+
+      expect(readFontInfo(font)).toEqual({ format: 'ttf', family: 'Shop Sans', subfamily: 'Bold' });
+    });
+
+    test('should prefer the typographic family name', () => {
+      const font = buildFont([
+        { platformId: 3, languageId: 0x409, nameId: 1, value: 'Shop Sans Light' },
+        { platformId: 3, languageId: 0x409, nameId: 16, value: 'Shop Sans' }
+      ], 0x4f54544f);
+
+      expect(readFontInfo(font)).toMatchObject({ format: 'otf', family: 'Shop Sans', subfamily: null });
+    });
+
+    test('should reject files that are not fonts', () => {
+      expect(() => readFontInfo(Buffer.from('definitely not a font file'))).toThrow('TrueType (.ttf) or OpenType (.otf)');
+      expect(() => readFontInfo(buildFont([{ platformId: 3, languageId: 0x409, nameId: 2, value: 'Bold' }]))).toThrow('TrueType');
+      expect(() => readFontInfo(buildFont([]).subarray(0, 20))).toThrow('TrueType');
+    });
+  });
+});
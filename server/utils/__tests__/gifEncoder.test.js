@@ -0,0 +1,36 @@
+/**
+ * Unit tests for animated GIF encoding
+ */
+
+const sharp = require('sharp');
+const { blendFrames, encodeGif, encodeGifInWorker } = require('../gifEncoder');
+
+describe('GIF Encoder Utils', () => {
+  const frame = (r, g, b) => Buffer.from(Array.from({ length: 4 * 4 }, () => [r, g, b, 255]).flat());
+  const options = { width: 4, height: 4, delay: 100, fadeFrames: 1, hold: 500 };
+
+  test('should blend frames channel by channel', () => {
+    expect([...blendFrames(Buffer.from([0, 100, 255]), Buffer.from([255, 0, 255]), 0.5)]).toEqual([128, 50, 255]);
+  });
+
+  test('should crossfade every frame into the next', async () => {
+    const gif = encodeGif([frame(255, 0, 0), frame(0, 0, 255)], options);
+
+    const metadata = await sharp(gif).metadata();
+    expect(metadata).toMatchObject({ format: 'gif', width: 4, height: 4, pages: 4 });
+    expect(metadata.delay).toEqual([500, 100, 500, 100]);
+  });
+
+  test('should encode the same GIF in a worker thread', async () => {
+    const frames = [frame(255, 0, 0), frame(0, 0, 255)];
+
+    const gif = await encodeGifInWorker(frames, options);
+
+    expect(Buffer.isBuffer(gif)).toBe(true);
+    expect(gif.equals(encodeGif(frames, options))).toBe(true);
+  });
+
+  test('should report encoding errors from the worker', async () => {
+    await expect(encodeGifInWorker([frame(255, 0, 0)], null)).rejects.toThrow('Cannot destructure');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Unit tests for the image tool helpers, and the image tools run the way
+ * their /api/images/* endpoints run them
+ */
+
+const request = require('supertest');
+const express = require('express');
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
+const ImageService = require('../../services/imageService');
+const SettingsService = require('../../services/settingsService');
+const fileService = require('../../services/fileService');
+const {
+  parseJsonField,
+  resolveWatermarkChanges,
+  resolveCollageChanges,
+  resolveSlideshowChanges,
+  parseOptimizeOptions,
+  getToolImages,
+  getToolFilename,
+  sendToolFiles
+} = require('../imageTools');
+
+describe('Image Tools', () => {
+  let imageService;
+  let settingsService;
+  let defaults;
+  let images;
+
+  const createImage = (width, height, background) => sharp({
+    create: { width, height, channels: 3, background }
+  }).png().toBuffer();
+
+  beforeAll(async () => {
+    imageService = new ImageService();
+    settingsService = new SettingsService();
+    defaults = settingsService.getDefaultSettings();
+
+    images = [
+      { originalname: 'red mug.png', mimetype: 'image/png', buffer: await createImage(600, 400, { r: 255, g: 0, b: 0 }) },
+      { originalname: 'blue mug.png', mimetype: 'image/png', buffer: await createImage(400, 600, { r: 0, g: 0, b: 255 }) }
+    ].map(image => ({ ...image, size: image.buffer.length }));
+  });
+
+  afterAll(async () => {
+    await fileService.destroy();
+  });
+
+  describe('parseJsonField', () => {
+    test('should parse JSON objects and accept parsed ones', () => {
+      expect(parseJsonField('{"text":"Shop"}', 'Settings', 'CODE')).toEqual({ text: 'Shop' });
+      expect(parseJsonField({ text: 'Shop' }, 'Settings', 'CODE')).toEqual({ text: 'Shop' });
+    });
+
+    test('should treat a missing field as no options', () => {
+      expect(parseJsonField(undefined, 'Settings', 'CODE')).toEqual({});
+      expect(parseJsonField('', 'Settings', 'CODE')).toEqual({});
+    });
+
+    test('should reject invalid JSON and values that are not objects', () => {
+      for (const [value, message] of [['{oops', 'must be valid JSON'], ['[1,2]', 'must be a JSON object'], ['null', 'must be a JSON object'], ['42', 'must be a JSON object']]) {
+        try {
+          parseJsonField(value, 'Settings', 'INVALID_SETTINGS');
+          throw new Error(`accepted ${value}`);
+        } catch (error) {
+          expect(error.message).toBe(`Settings ${message}`);
+          expect(error.statusCode).toBe(400);
+          expect(error.code).toBe('INVALID_SETTINGS');
+        }
+      }
+    });
+  });
+
+  describe('getToolImages', () => {
+    test('should return the uploaded images', () => {
+      expect(getToolImages(imageService, images, 2)).toEqual(images);
+    });
+
+    test('should reject unsupported uploads with the details of each', () => {
+      const text = { originalname: 'notes.txt', mimetype: 'text/plain', size: 5, buffer: Buffer.from('notes') };
+
+      expect(() => getToolImages(imageService, [images[0], text])).toThrow(expect.objectContaining({
+        code: 'INVALID_IMAGES',
+        details: [expect.objectContaining({ index: 1, filename: 'notes.txt' })]
+      }));
+    });
+
+    test('should reject too few images', () => {
+      expect(() => getToolImages(imageService, [images[0]], 2)).toThrow(expect.objectContaining({
+        message: 'At least 2 images are required',
+        code: 'INSUFFICIENT_IMAGES'
+      }));
+    });
+  });
+
+  describe('getToolFilename', () => {
+    test('should name the copy after the upload and the output format', () => {
+      expect(getToolFilename('mug.png', 'watermarked', 'jpeg')).toBe('mug-watermarked.jpg');
+      expect(getToolFilename('mug.jpg', 'optimized', 'webp')).toBe('mug-optimized.webp');
+    });
+
+    test('should make the name safe for headers and archives', () => {
+      expect(getToolFilename('../my "best" mug.png', 'cutout', 'png')).toBe('my__best__mug-cutout.png');
+      expect(getToolFilename(undefined, 'cutout', 'png')).toBe('image-cutout.png');
+    });
+  });
+
+  describe('sendToolFiles', () => {
+    const send = files => {
+      const app = express();
+      app.get('/', async (req, res) => {
+        await sendToolFiles(res, files, 'results');
+      });
+      return request(app).get('/').buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    };
+
+    test('should send a single file as it is', async () => {
+      const response = await send([{ buffer: images[0].buffer, mimetype: 'image/png', filename: 'mug.png' }]);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="mug.png"');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body.equals(images[0].buffer)).toBe(true);
+    });
+
+    test('should send several files as a ZIP without overwriting files of the same name', async () => {
+      const response = await send([
+        { buffer: images[0].buffer, mimetype: 'image/png', filename: 'mug.png' },
+        { buffer: images[1].buffer, mimetype: 'image/png', filename: 'mug.png' },
+        { buffer: images[1].buffer, mimetype: 'image/png', filename: 'mug.png' }
+      ]);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="results.zip"');
+      const entries = new AdmZip(response.body).getEntries();
+      expect(entries.map(entry => entry.entryName)).toEqual(['mug.png', 'mug-2.png', 'mug-3.png']);
+      expect(entries[1].getData().equals(images[1].buffer)).toBe(true);
+    });
+  });
+
+  describe('watermark tool', () => {
+    test('should keep the saved logo and font files when applying changes', async () => {
+      const saved = {
+        ...defaults.watermark,
+        logo: { ...defaults.watermark.logo, asset: 'watermark-logo.png' },
+        font: { asset: 'watermark-font.ttf', family: 'Brand' }
+      };
+      const resolveSpy = jest.spyOn(settingsService, 'resolveWatermark').mockResolvedValue({});
+
+      await resolveWatermarkChanges(settingsService, saved, {
+        text: 'Preview',
+        logo: { asset: 'other.png', opacity: 0.8 },
+        font: { asset: 'other.ttf', family: 'Other' }
+      }, 'user-1');
+
+      expect(resolveSpy).toHaveBeenCalledWith(expect.objectContaining({
+        text: 'Preview',
+        logo: expect.objectContaining({ asset: 'watermark-logo.png', opacity: 0.8 }),
+        font: { asset: 'watermark-font.ttf', family: 'Brand' }
+      }), 'user-1');
+      resolveSpy.mockRestore();
+    });
+
+    test('should reject invalid changes', async () => {
+      await expect(resolveWatermarkChanges(settingsService, defaults.watermark, { text: '   ' }, 'default'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_WATERMARK_SETTINGS' });
+    });
+
+    test('should watermark every image with the changed settings', async () => {
+      const config = await resolveWatermarkChanges(settingsService, defaults.watermark, { text: 'Preview', mode: 'single' }, 'default');
+
+      const { watermarkedImages, errors } = await imageService.watermarkImages(images, config, { format: 'webp' });
+
+      expect(errors).toEqual([]);
+      expect(watermarkedImages).toHaveLength(2);
+      const metadata = await sharp(watermarkedImages[1].buffer).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: 400, height: 600 });
+      expect(watermarkedImages[1].buffer.equals(images[1].buffer)).toBe(false);
+    });
+  });
+
+  describe('collage tool', () => {
+    test('should make one collage with the changed settings', async () => {
+      const saved = { ...defaults.collage, variants: [{ name: 'hero', layout: 'featured' }] };
+
+      const options = await resolveCollageChanges(settingsService, saved, { dimensions: { width: 600, height: 500 } });
+      const collage = await imageService.createCollage(images, options);
+
+      expect(options.variants).toBeUndefined();
+      expect(await sharp(collage).metadata()).toMatchObject({ format: 'jpeg', width: 600, height: 500 });
+    });
+
+    test('should apply a collage template', async () => {
+      const options = await resolveCollageChanges(settingsService, defaults.collage, { template: 'clean-grid' });
+
+      expect(options.layout).toBeDefined();
+      await expect(resolveCollageChanges(settingsService, defaults.collage, { template: 'missing' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_COLLAGE_SETTINGS' });
+    });
+
+    test('should reject invalid changes', async () => {
+      await expect(resolveCollageChanges(settingsService, defaults.collage, { layout: 'spiral' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_COLLAGE_SETTINGS' });
+    });
+  });
+
+  describe('optimize tool', () => {
+    test('should use the defaults for options that are not sent', () => {
+      expect(parseOptimizeOptions({})).toEqual({ maxWidth: 2000, maxHeight: 2000, quality: 85, format: 'jpeg' });
+    });
+
+    test('should reject options out of range', () => {
+      for (const options of [{ maxWidth: 0 }, { maxHeight: 10001 }, { maxWidth: '500' }, { quality: 0 }, { quality: 50.5 }, { format: 'gif' }]) {
+        expect(() => parseOptimizeOptions(options)).toThrow(expect.objectContaining({ code: 'INVALID_OPTIMIZE_OPTIONS' }));
+      }
+    });
+
+    test('should resize and convert images with the options', async () => {
+      const options = parseOptimizeOptions({ maxWidth: 300, maxHeight: 300, quality: 70, format: 'webp' });
+
+      const optimized = await imageService.optimizeForWeb(images[0].buffer, options);
+
+      expect(await sharp(optimized).metadata()).toMatchObject({ format: 'webp', width: 300, height: 200 });
+    });
+  });
+
+  describe('slideshow tool', () => {
+    test('should keep the saved music when applying changes', () => {
+      const saved = { ...defaults.slideshow, audio: { ...defaults.slideshow.audio, asset: 'slideshow-audio.mp3' } };
+
+      const options = resolveSlideshowChanges(settingsService, saved, {
+        transition: 'wipe',
+        audio: { asset: '../../secret.mp3', volume: 0.5 }
+      }, 'default');
+
+      expect(options.transition).toBe('wipe');
+      expect(options.audio).toMatchObject({ asset: 'slideshow-audio.mp3', volume: 0.5 });
+      expect(options.audio.file).toMatch(/slideshow-audio\.mp3$/);
+    });
+
+    test('should reject invalid changes', () => {
+      expect(() => resolveSlideshowChanges(settingsService, defaults.slideshow, { transition: 'spin' }, 'default'))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_SLIDESHOW_SETTINGS' }));
+    });
+
+    test('should render the frames of the video with the changed settings', async () => {
+      // The frames are what ffmpeg joins into the video
+      const options = resolveSlideshowChanges(settingsService, defaults.slideshow, { width: 320, height: 240 }, 'default');
+      const settings = imageService._getSlideshowSettings(options);
+
+      const clips = await imageService._prepareSlideshowClips(images.map(image => image.buffer), settings);
+
+      expect(clips).toHaveLength(2);
+      expect(await sharp(clips[1].buffer).metadata()).toMatchObject({ width: 320, height: 240 });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for mockup templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateMockupTemplate, loadMockupTemplates, getMockupTemplate } = require('../mockupTemplates');
+
+describe('Mockup Templates', () => {
+  let customDir;
+
+  beforeEach(() => {
+    customDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockup-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(customDir, { recursive: true, force: true });
+  });
+
+  const quad = [[10, 10], [90, 10], [90, 110], [10, 110]];
+  const writeTemplate = (id, template, files = ['background.png']) => {
+    const dir = path.join(customDir, id);
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'template.json'), typeof template === 'string' ? template : JSON.stringify(template));
+    files.forEach(file => fs.writeFileSync(path.join(dir, file), 'image'));
+  };
+
+  describe('loadMockupTemplates', () => {
+    test('should load the built-in templates', () => {
+      const skipped = [];
+      const templates = loadMockupTemplates(undefined, skipped);
+
+      expect([...templates.keys()]).toEqual(expect.arrayContaining(['living-room-frame', 'angled-gallery-wall', 'shelf-leaning-frame']));
+      const template = templates.get('living-room-frame');
+      expect(template).toMatchObject({ id: 'living-room-frame', name: 'Living Room Frame' });
+      expect(fs.existsSync(template.backgroundPath)).toBe(true);
+      expect(fs.existsSync(template.overlayPath)).toBe(true);
+      expect(skipped).toEqual([]);
+    });
+
+    test('should add custom templates and let them replace built-ins', () => {
+      writeTemplate('desk-frame', { name: 'Desk Frame', background: 'background.png', quad });
+      writeTemplate('living-room-frame', { name: 'Our Living Room', background: 'background.png', quad });
+
+      const templates = loadMockupTemplates([path.join(__dirname, '..', '..', 'templates', 'mockup'), customDir]);
+
+      expect(templates.get('desk-frame')).toMatchObject({
+        id: 'desk-frame',
+        backgroundPath: path.join(customDir, 'desk-frame', 'background.png'),
+        overlayPath: null
+      });
+      expect(templates.get('living-room-frame').name).toBe('Our Living Room');
+    });
+
+    test('should skip and report invalid templates', () => {
+      writeTemplate('broken', '{ not json');
+      writeTemplate('no-background', { name: 'No background', background: 'missing.png', quad });
+      writeTemplate('no-overlay', { name: 'No overlay', background: 'background.png', overlay: 'overlay.png', quad });
+      writeTemplate('Bad Name', { name: 'Bad name', background: 'background.png', quad });
+      writeTemplate('good', { name: 'Good', background: 'background.png', quad });
+
+      const skipped = [];
+      const templates = loadMockupTemplates([customDir], skipped);
+
+      expect([...templates.keys()]).toEqual(['good']);
+      expect(skipped.map(entry => entry.file)).toEqual(['Bad Name', 'broken', 'no-background', 'no-overlay']);
+      expect(skipped[3].error).toBe('missing overlay.png');
+    });
+
+    test('should find templates by id', () => {
+      writeTemplate('good', { name: 'Good', background: 'background.png', quad });
+
+      expect(getMockupTemplate('good', [customDir])).toMatchObject({ id: 'good', name: 'Good' });
+      expect(getMockupTemplate('missing', [customDir])).toBeNull();
+    });
+  });
+
+  describe('validateMockupTemplate', () => {
+    const valid = { name: 'Frame', background: 'room.jpg', quad };
+
+    test('should accept a complete template', () => {
+      expect(() => validateMockupTemplate({
+        ...valid,
+        description: 'A frame',
+        overlay: 'glass.png',
+        overlayBlend: 'screen',
+        fit: 'contain',
+        matColor: '#FAFAFA',
+        shadow: { color: '#000000', opacity: 0.3, blur: 6, offsetX: 2, offsetY: 4 }
+      })).not.toThrow();
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => validateMockupTemplate([])).toThrow('JSON object');
+      expect(() => validateMockupTemplate({ ...valid, name: '' })).toThrow('name');
+      expect(() => validateMockupTemplate({ ...valid, background: '../room.jpg' })).toThrow('background');
+      expect(() => validateMockupTemplate({ ...valid, overlay: 'glass.gif' })).toThrow('overlay');
+      expect(() => validateMockupTemplate({ ...valid, overlayBlend: 'difference' })).toThrow('overlay blend');
+      expect(() => validateMockupTemplate({ ...valid, quad: quad.slice(0, 3) })).toThrow('four');
+      expect(() => validateMockupTemplate({ ...valid, quad: [[10, 10], [90, 10], [20, 20], [10, 110]] })).toThrow('convex');
+      expect(() => validateMockupTemplate({ ...valid, fit: 'stretch' })).toThrow('fit');
+      expect(() => validateMockupTemplate({ ...valid, shadow: { opacity: 2 } })).toThrow('shadow opacity');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for network address utilities
+ */
+
+const dns = require('dns');
+const { isPrivateAddress, assertPublicUrl, publicLookup } = require('../networkAddress');
+
+describe('Network Address Utils', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isPrivateAddress', () => {
+    test('should flag loopback, private, link-local and reserved addresses', () => {
+      ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].forEach(address => {
+        expect(isPrivateAddress(address)).toBe(true);
+      });
+    });
+
+    test('should allow public addresses and ignore host names', () => {
+      expect(isPrivateAddress('93.184.216.34')).toBe(false);
+      expect(isPrivateAddress('172.32.0.1')).toBe(false);
+      expect(isPrivateAddress('2606:2800:220:1::')).toBe(false);
+      expect(isPrivateAddress('example.com')).toBe(false);
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    test('should reject local host names and private addresses', () => {
+      expect(() => assertPublicUrl('http://localhost/hook')).toThrow('local or private address');
+      expect(() => assertPublicUrl('http://api.localhost/hook')).toThrow('local or private address');
+      expect(() => assertPublicUrl('http://2130706433/hook')).toThrow('local or private address');
+      expect(() => assertPublicUrl('http://[::ffff:10.0.0.1]/hook')).toThrow('local or private address');
+      expect(() => assertPublicUrl('https://hooks.example.com/hook')).not.toThrow();
+    });
+  });
+
+  describe('publicLookup', () => {
+    const mockResolve = addresses => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, addresses);
+    });
+
+    test('should pass public addresses through in dns.lookup form', done => {
+      mockResolve([{ address: '93.184.216.34', family: 4 }]);
+
+      publicLookup('hooks.example.com', {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect(address).toBe('93.184.216.34');
+        expect(family).toBe(4);
+        done();
+      });
+    });
+
+    test('should return every address when asked for all of them', done => {
+      const addresses = [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::', family: 6 }];
+      mockResolve(addresses);
+
+      publicLookup('hooks.example.com', { all: true }, (error, result) => {
+        expect(result).toEqual(addresses);
+        done();
+      });
+    });
+
+    test('should refuse names that resolve to a private address', done => {
+      mockResolve([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+      publicLookup('rebind.example.com', 4, error => {
+        expect(error.code).toBe('EPRIVATEADDRESS');
+        expect(error.message).toBe('rebind.example.com resolves to the private address 10.0.0.5');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for perspective transforms
+ */
+
+const { getPerspectiveTransform, invertMatrix, transformPoint, isConvexQuad } = require('../perspective');
+
+describe('Perspective', () => {
+  const square = [[0, 0], [100, 0], [100, 100], [0, 100]];
+  const quad = [[10, 20], [180, 40], [170, 210], [30, 190]];
+
+  const expectPoint = (actual, expected) => {
+    expect(actual[0]).toBeCloseTo(expected[0], 6);
+    expect(actual[1]).toBeCloseTo(expected[1], 6);
+  };
+
+  test('should map the corners onto the quad', () => {
+    const transform = getPerspectiveTransform(square, quad);
+
+    square.forEach((point, i) => expectPoint(transformPoint(transform, ...point), quad[i]));
+  });
+
+  test('should map points back with the inverse transform', () => {
+    const inverse = invertMatrix(getPerspectiveTransform(square, quad));
+
+    quad.forEach((point, i) => expectPoint(transformPoint(inverse, ...point), square[i]));
+  });
+
+  test('should reject points that do not define a transform', () => {
+    expect(() => getPerspectiveTransform(square, [[0, 0], [0, 0], [0, 0], [0, 0]])).toThrow('perspective transform');
+    expect(() => invertMatrix([1, 2, 3, 2, 4, 6, 0, 0, 1])).toThrow('cannot be inverted');
+  });
+
+  test('should recognize convex quads', () => {
+    expect(isConvexQuad(quad)).toBe(true);
+    expect(isConvexQuad([...quad].reverse())).toBe(true);
+    expect(isConvexQuad([[0, 0], [100, 0], [20, 20], [0, 100]])).toBe(false);
+    expect(isConvexQuad([[0, 0], [100, 100], [100, 0], [0, 100]])).toBe(false);
+    expect(isConvexQuad([[0, 0], [50, 0], [100, 0], [0, 100]])).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for secret encryption utilities
+ */
+
+const { seal, open, getDefaultSecret } = require('../secretBox');
+
+describe('SecretBox Utils', () => {
+  const tokens = { accessToken: 'access', refreshToken: 'refresh' };
+
+  test('should round-trip a value without exposing it', () => {
+    const sealed = seal(tokens, 'secret');
+
+    expect(sealed).toMatch(/^v1\./);
+    expect(sealed).not.toContain('refresh');
+    expect(open(sealed, 'secret')).toEqual(tokens);
+  });
+
+  test('should use a fresh IV for every value', () => {
+    expect(seal(tokens, 'secret')).not.toBe(seal(tokens, 'secret'));
+  });
+
+  test('should reject a different secret or tampered data', () => {
+    const sealed = seal(tokens, 'secret');
+    const parts = sealed.split('.');
+    parts[3] = Buffer.from('tampered').toString('base64url');
+
+    expect(() => open(sealed, 'other-secret')).toThrow('encryption key may have changed');
+    expect(() => open(parts.join('.'), 'secret')).toThrow('encryption key may have changed');
+    expect(() => open('plain text', 'secret')).toThrow('Malformed encrypted value');
+  });
+
+  test('should prefer TOKEN_ENCRYPTION_KEY over JWT_SECRET', () => {
+    const saved = { key: process.env.TOKEN_ENCRYPTION_KEY, jwt: process.env.JWT_SECRET };
+    try {
+      process.env.JWT_SECRET = 'jwt-secret';
+      delete process.env.TOKEN_ENCRYPTION_KEY;
+      expect(getDefaultSecret()).toBe('jwt-secret');
+
+      process.env.TOKEN_ENCRYPTION_KEY = 'token-key';
+      expect(getDefaultSecret()).toBe('token-key');
+    } finally {
+      for (const [name, value] of [['TOKEN_ENCRYPTION_KEY', saved.key], ['JWT_SECRET', saved.jwt]]) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+    }
+  });
+});
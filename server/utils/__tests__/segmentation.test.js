@@ -0,0 +1,62 @@
+/**
+ * Unit tests for segmentation model loading
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSegmenter } = require('../segmentation');
+
+describe('Segmentation', () => {
+  let modelDir;
+  const originalSegmenter = process.env.BACKGROUND_SEGMENTER;
+
+  beforeEach(() => {
+    modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'segmenter-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(modelDir, { recursive: true, force: true });
+    if (originalSegmenter === undefined) {
+      delete process.env.BACKGROUND_SEGMENTER;
+    } else {
+      process.env.BACKGROUND_SEGMENTER = originalSegmenter;
+    }
+  });
+
+  const writeModel = (name, source) => {
+    const file = path.join(modelDir, name);
+    fs.writeFileSync(file, source);
+    return file;
+  };
+
+  test('should return null when no model is configured', () => {
+    delete process.env.BACKGROUND_SEGMENTER;
+
+    expect(loadSegmenter()).toBeNull();
+  });
+
+  test('should load a module exporting a function', async () => {
+    process.env.BACKGROUND_SEGMENTER = writeModel('function.js', 'module.exports = async () => Buffer.from([255]);');
+
+    const segment = loadSegmenter();
+
+    expect(await segment(Buffer.alloc(0), { width: 1, height: 1 })).toEqual(Buffer.from([255]));
+  });
+
+  test('should load a module exporting segment()', () => {
+    const file = writeModel('named.js', 'module.exports = { segment: async () => Buffer.alloc(1) };');
+
+    expect(typeof loadSegmenter(file)).toBe('function');
+  });
+
+  test('should reject modules without a segmentation function', () => {
+    const file = writeModel('empty.js', 'module.exports = { model: true };');
+
+    expect(() => loadSegmenter(file)).toThrow('must export a function or a segment() function');
+  });
+
+  test('should report modules that cannot be loaded', () => {
+    expect(() => loadSegmenter(path.join(modelDir, 'missing.js'))).toThrow('Cannot load segmentation model');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Audio file utilities
+ * Recognizes the audio formats accepted as slideshow music from their
+ * content, since browsers report audio MIME types inconsistently
+ */
+
+/**
+ * Check for an MPEG audio frame header (11 sync bits, a valid layer and bitrate)
+ * @param {Buffer} buffer - File content
+ * @param {number} offset - Header position
+ * @returns {boolean} True if a frame header starts at the offset
+ */
+function isMpegFrame(buffer, offset) {
+  if (offset + 4 > buffer.length) {
+    return false;
+  }
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrate = buffer[offset + 2] >> 4;
+  return buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0 && layer !== 0 && bitrate !== 0x0f;
+}
+
+/**
+ * Read the format of an MP3, M4A or WAV file
+ * @param {Buffer} buffer - Audio file content
+ * @returns {string} Audio format ('mp3', 'm4a' or 'wav')
+ * @throws {Error} If the buffer is not one of these formats
+ */
+function readAudioFormat(buffer) {
+  if (Buffer.isBuffer(buffer) && buffer.length >= 12) {
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') {
+      return 'wav';
+    }
+    // MP4 audio starts with an 'ftyp' box
+    if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+      return 'm4a';
+    }
+    if (buffer.toString('latin1', 0, 3) === 'ID3' || isMpegFrame(buffer, 0)) {
+      return 'mp3';
+    }
+  }
+  throw new Error('Audio must be an MP3, M4A or WAV file');
+}
+
+module.exports = {
+  readAudioFormat
+};
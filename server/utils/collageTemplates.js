@@ -0,0 +1,235 @@
+/**
+ * Collage templates
+ * A template is a JSON file describing the look of a collage: layout, header
+ * and footer text bands, cell style and bundle badge. Built-in templates live
+ * in server/templates/collage; COLLAGE_TEMPLATES_DIR can point at a directory
+ * of additional templates. The file name (without .json) is the template id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'templates', 'collage');
+const TEMPLATE_ID_PATTERN = /^[a-z0-9-]+$/;
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const COLLAGE_LAYOUTS = ['grid', 'mosaic', 'featured', 'masonry'];
+const BADGE_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+const BAND_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Brand colors from the collage settings, referenced by name in templates
+const DEFAULT_BRAND_COLORS = {
+  primary: '#2F3E46',
+  secondary: '#F4F1EA',
+  accent: '#E07A5F',
+  light: '#FFFFFF',
+  dark: '#222222'
+};
+const BRAND_COLOR_NAMES = Object.keys(DEFAULT_BRAND_COLORS);
+
+/**
+ * Get the directories templates are loaded from; later directories override
+ * templates with the same id
+ * @returns {string[]} Template directories
+ */
+function getTemplateDirs() {
+  return [BUILT_IN_DIR, process.env.COLLAGE_TEMPLATES_DIR].filter(Boolean);
+}
+
+/**
+ * Check a number option of a template
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+    throw new Error(`${label} must be a number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Check a color option of a template: a hex color or a brand color name
+ * @private
+ */
+function checkColor(value, label) {
+  if (value !== undefined && !(HEX_COLOR_PATTERN.test(value) || BRAND_COLOR_NAMES.includes(value))) {
+    throw new Error(`${label} must be a hex color or one of: ${BRAND_COLOR_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a collage template
+ * @param {Object} template - Parsed template
+ * @throws {Error} If the template is invalid
+ */
+function validateCollageTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error('Template must be a JSON object');
+  }
+  if (typeof template.name !== 'string' || !template.name.trim() || template.name.length > 60) {
+    throw new Error('Template name must be 1-60 characters');
+  }
+  if (template.description !== undefined && (typeof template.description !== 'string' || template.description.length > 200)) {
+    throw new Error('Template description must be a string of up to 200 characters');
+  }
+  if (template.layout !== undefined && !COLLAGE_LAYOUTS.includes(template.layout)) {
+    throw new Error(`Template layout must be one of: ${COLLAGE_LAYOUTS.join(', ')}`);
+  }
+  checkRange(template.spacing, 0, 100, 'Template spacing');
+  checkColor(template.backgroundColor, 'Template background color');
+
+  for (const key of ['header', 'footer']) {
+    const band = template[key];
+    if (band === undefined) {
+      continue;
+    }
+    if (typeof band?.text !== 'string' || band.text.length > 100) {
+      throw new Error(`Template ${key} text must be a string of up to 100 characters`);
+    }
+    checkRange(band.height, 0.03, 0.3, `Template ${key} height`);
+    checkColor(band.color, `Template ${key} color`);
+    checkColor(band.backgroundColor, `Template ${key} background color`);
+    if (band.align !== undefined && !BAND_ALIGNMENTS.includes(band.align)) {
+      throw new Error(`Template ${key} align must be one of: ${BAND_ALIGNMENTS.join(', ')}`);
+    }
+  }
+
+  if (template.cell !== undefined) {
+    const { cell } = template;
+    checkRange(cell.borderRadius, 0, 200, 'Template cell border radius');
+    checkRange(cell.borderWidth, 0, 50, 'Template cell border width');
+    checkColor(cell.borderColor, 'Template cell border color');
+    if (cell.shadow !== undefined) {
+      checkColor(cell.shadow.color, 'Template cell shadow color');
+      checkRange(cell.shadow.opacity, 0, 1, 'Template cell shadow opacity');
+      checkRange(cell.shadow.blur, 0, 50, 'Template cell shadow blur');
+      checkRange(cell.shadow.offsetX, -50, 50, 'Template cell shadow offsetX');
+      checkRange(cell.shadow.offsetY, -50, 50, 'Template cell shadow offsetY');
+    }
+  }
+
+  if (template.badge !== undefined) {
+    const { badge } = template;
+    if (badge.text !== undefined && (typeof badge.text !== 'string' || !badge.text.trim() || badge.text.length > 40)) {
+      throw new Error('Template badge text must be 1-40 characters');
+    }
+    if (badge.position !== undefined && !BADGE_POSITIONS.includes(badge.position)) {
+      throw new Error(`Template badge position must be one of: ${BADGE_POSITIONS.join(', ')}`);
+    }
+    checkColor(badge.color, 'Template badge color');
+    checkColor(badge.backgroundColor, 'Template badge background color');
+  }
+}
+
+/**
+ * Load all collage templates. Files that cannot be read or are invalid are
+ * skipped, so one broken template does not hide the others.
+ * Templates are read on every call, so new files are picked up without a restart.
+ * @param {string[]} dirs - Directories to load from
+ * @param {Object[]} skipped - Receives a { file, error } entry per skipped file or directory
+ * @returns {Map<string, Object>} Templates by id
+ */
+function loadCollageTemplates(dirs = getTemplateDirs(), skipped = []) {
+  const templates = new Map();
+
+  for (const dir of dirs) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      skipped.push({ file: dir, error: error.message });
+      continue;
+    }
+
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      try {
+        if (!TEMPLATE_ID_PATTERN.test(id)) {
+          throw new Error('file name may only contain lowercase letters, digits and dashes');
+        }
+        const template = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        validateCollageTemplate(template);
+        templates.set(id, { ...template, id });
+      } catch (error) {
+        skipped.push({ file, error: error.message });
+      }
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Get a collage template by id
+ * @param {string} id - Template id
+ * @param {string[]} dirs - Directories to load from
+ * @returns {Object|null} The template, or null if there is none with this id
+ */
+function getCollageTemplate(id, dirs = getTemplateDirs()) {
+  return loadCollageTemplates(dirs).get(id) || null;
+}
+
+/**
+ * Turn a template and the collage settings into ImageService collage options.
+ * The template sets the look; the settings supply the size, the brand colors
+ * and the `{title}` and `{shopName}` texts. Bands whose text comes out empty
+ * are left out.
+ * @param {Object} template - Collage template
+ * @param {Object} collage - Collage settings
+ * @returns {Object} Options for ImageService.createCollage
+ */
+function applyCollageTemplate(template, collage) {
+  const colors = { ...DEFAULT_BRAND_COLORS, ...collage.brandColors };
+  const color = (value, fallback) => {
+    const name = value ?? fallback;
+    return colors[name] || name;
+  };
+  const fill = text => text
+    .replace(/\{title\}/g, collage.title || '')
+    .replace(/\{shopName\}/g, collage.shopName || '')
+    .trim();
+  const band = spec => {
+    const text = spec ? fill(spec.text) : '';
+    return text
+      ? { ...spec, text, color: color(spec.color, 'light'), backgroundColor: color(spec.backgroundColor, 'primary') }
+      : null;
+  };
+
+  const options = {
+    ...collage,
+    layout: template.layout || collage.layout,
+    spacing: template.spacing ?? collage.spacing,
+    backgroundColor: color(template.backgroundColor, collage.backgroundColor),
+    header: band(template.header),
+    footer: band(template.footer)
+  };
+
+  if (template.cell) {
+    const { shadow, ...cell } = template.cell;
+    options.cell = {
+      ...cell,
+      borderColor: color(cell.borderColor, 'light'),
+      shadow: shadow ? { ...shadow, color: color(shadow.color, 'dark') } : null
+    };
+  }
+
+  if (template.badge) {
+    options.badge = {
+      ...collage.badge,
+      ...template.badge,
+      enabled: true,
+      color: color(template.badge.color, 'light'),
+      backgroundColor: color(template.badge.backgroundColor, 'accent')
+    };
+  }
+
+  return options;
+}
+
+module.exports = {
+  COLLAGE_LAYOUTS,
+  DEFAULT_BRAND_COLORS,
+  BRAND_COLOR_NAMES,
+  validateCollageTemplate,
+  loadCollageTemplates,
+  getCollageTemplate,
+  applyCollageTemplate
+};
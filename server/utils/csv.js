@@ -0,0 +1,87 @@
+/**
+ * Minimal CSV parsing utilities for batch manifests
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings
+ */
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content
+ * @returns {Object[]} One object per data row
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (fields[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows
+};
@@ -87,6 +87,12 @@ class RateLimitError extends BaseError {
   }
 }
 
+class JobCancelledError extends BaseError {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`, 409, 'JOB_CANCELLED', { jobId });
+  }
+}
+
 module.exports = {
   BaseError,
   ValidationError,
@@ -95,5 +101,6 @@ module.exports = {
   NotFoundError,
   ExternalServiceError,
   FileProcessingError,
-  RateLimitError
+  RateLimitError,
+  JobCancelledError
 };
\ No newline at end of file
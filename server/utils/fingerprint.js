@@ -0,0 +1,49 @@
+/**
+ * Upload fingerprinting utilities
+ * Identifies repeated submissions of the same images and options
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal options
+ * produce the same string regardless of key order
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Compute a fingerprint for an upload from its image contents and options.
+ * Image order is significant because it decides the listing's image order.
+ * @param {Object[]} files - Uploaded files with buffers
+ * @param {Object} options - Upload options
+ * @returns {string} Hex SHA-256 fingerprint
+ */
+function fingerprintUpload(files, options = {}) {
+  const hash = crypto.createHash('sha256');
+
+  for (const file of files) {
+    hash.update(crypto.createHash('sha256').update(file.buffer).digest());
+  }
+  hash.update(canonicalJson(options));
+
+  return hash.digest('hex');
+}
+
+module.exports = {
+  canonicalJson,
+  fingerprintUpload
+};
@@ -0,0 +1,114 @@
+/**
+ * Font file utilities
+ * Reads the family name of uploaded TrueType/OpenType fonts, which is needed
+ * to select the font when rendering text with it
+ */
+
+const SFNT_VERSIONS = {
+  0x00010000: 'ttf',
+  0x74727565: 'ttf', // 'true'
+  0x4f54544f: 'otf'  // 'OTTO'
+};
+
+// Name IDs, preferring the typographic family over the legacy family name
+const FAMILY_NAME_IDS = [16, 1];
+const SUBFAMILY_NAME_IDS = [17, 2];
+
+/**
+ * Decode a name record, which is UTF-16BE for Windows and Unicode platforms
+ * and (roughly) ASCII for Macintosh names
+ * @param {Buffer} bytes - Raw name bytes
+ * @param {number} platformId - Name record platform
+ * @returns {string} Decoded name
+ */
+function decodeName(bytes, platformId) {
+  if (platformId === 1) {
+    return bytes.toString('latin1');
+  }
+  const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+  return swapped.swap16().toString('utf16le');
+}
+
+/**
+ * Pick a name from the name table, preferring English Windows names
+ * @param {Object[]} records - Decoded name records
+ * @param {number[]} nameIds - Acceptable name IDs, in order of preference
+ * @returns {string|null} The name, or null if the font has none
+ */
+function pickName(records, nameIds) {
+  for (const nameId of nameIds) {
+    const candidates = records.filter(record => record.nameId === nameId && record.value.trim());
+    const preferred = candidates.find(record => record.platformId === 3 && record.languageId === 0x409)
+      || candidates.find(record => record.platformId !== 1)
+      || candidates[0];
+    if (preferred) {
+      return preferred.value.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the format and family name of a TrueType or OpenType font
+ * @param {Buffer} buffer - Font file content
+ * @returns {Object} Font info with format ('ttf' or 'otf'), family and subfamily
+ * @throws {Error} If the buffer is not a readable TTF/OTF font
+ */
+function readFontInfo(buffer) {
+  const invalid = () => new Error('Font must be a TrueType (.ttf) or OpenType (.otf) file');
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw invalid();
+  }
+  const format = SFNT_VERSIONS[buffer.readUInt32BE(0)];
+  const numTables = buffer.readUInt16BE(4);
+  if (!format || buffer.length < 12 + numTables * 16) {
+    throw invalid();
+  }
+
+  let nameTable = null;
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    if (buffer.toString('latin1', entry, entry + 4) === 'name') {
+      nameTable = { offset: buffer.readUInt32BE(entry + 8), length: buffer.readUInt32BE(entry + 12) };
+      break;
+    }
+  }
+  if (!nameTable || nameTable.offset + nameTable.length > buffer.length || nameTable.length < 6) {
+    throw invalid();
+  }
+
+  const { offset } = nameTable;
+  const count = buffer.readUInt16BE(offset + 2);
+  const stringsStart = offset + buffer.readUInt16BE(offset + 4);
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const record = offset + 6 + i * 12;
+    if (record + 12 > offset + nameTable.length) {
+      break;
+    }
+    const start = stringsStart + buffer.readUInt16BE(record + 10);
+    const end = start + buffer.readUInt16BE(record + 8);
+    if (end > buffer.length) {
+      continue;
+    }
+    const platformId = buffer.readUInt16BE(record);
+    records.push({
+      platformId,
+      languageId: buffer.readUInt16BE(record + 4),
+      nameId: buffer.readUInt16BE(record + 6),
+      value: decodeName(buffer.subarray(start, end), platformId)
+    });
+  }
+
+  const family = pickName(records, FAMILY_NAME_IDS);
+  if (!family) {
+    throw invalid();
+  }
+
+  return { format, family, subfamily: pickName(records, SUBFAMILY_NAME_IDS) };
+}
+
+module.exports = {
+  readFontInfo
+};
@@ -0,0 +1,99 @@
+/**
+ * Animated GIF encoding
+ * Blending the crossfade frames and quantizing them for the GIF format is
+ * plain JavaScript and takes seconds, so it runs in a worker thread to keep
+ * the event loop (status requests, progress streams) responsive.
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const GIFEncoder = require('gif-encoder-2');
+
+/**
+ * Mix two raw frames of the same size
+ * @param {Uint8Array} from - Frame shown at amount 0
+ * @param {Uint8Array} to - Frame shown at amount 1
+ * @param {number} amount - How far the blend is towards `to`, 0-1
+ * @returns {Buffer} Blended frame
+ */
+function blendFrames(from, to, amount) {
+  const blended = Buffer.alloc(from.length);
+  for (let i = 0; i < from.length; i++) {
+    blended[i] = Math.round(from[i] + (to[i] - from[i]) * amount);
+  }
+  return blended;
+}
+
+/**
+ * Encode raw RGBA frames as a looping GIF that crossfades from each frame to
+ * the next, and from the last frame back to the first
+ * @param {Uint8Array[]} frames - Raw RGBA frames of width x height
+ * @param {Object} options - Encoding options ({ width, height, delay, fadeFrames, hold })
+ * @returns {Buffer} GIF data
+ */
+function encodeGif(frames, { width, height, delay, fadeFrames, hold }) {
+  const encoder = new GIFEncoder(width, height);
+  encoder.setRepeat(0);
+  encoder.start();
+
+  frames.forEach((frame, i) => {
+    encoder.setDelay(hold);
+    encoder.addFrame(frame);
+
+    if (frames.length > 1) {
+      const next = frames[(i + 1) % frames.length];
+      encoder.setDelay(delay);
+      for (let step = 1; step <= fadeFrames; step++) {
+        encoder.addFrame(blendFrames(frame, next, step / (fadeFrames + 1)));
+      }
+    }
+  });
+
+  encoder.finish();
+  return encoder.out.getData();
+}
+
+/**
+ * Encode a GIF in a worker thread; same arguments as encodeGif
+ * @param {Buffer[]} frames - Raw RGBA frames of width x height
+ * @param {Object} options - Encoding options
+ * @returns {Promise<Buffer>} GIF data
+ */
+function encodeGifInWorker(frames, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { frames, options } });
+    let settled = false;
+
+    worker.once('message', ({ gif, error }) => {
+      settled = true;
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(Buffer.from(gif.buffer, gif.byteOffset, gif.byteLength));
+      }
+    });
+    worker.once('error', error => {
+      settled = true;
+      reject(error);
+    });
+    worker.once('exit', code => {
+      if (!settled) {
+        reject(new Error(`GIF encoder stopped with exit code ${code}`));
+      }
+    });
+  });
+}
+
+if (!isMainThread && workerData?.frames) {
+  try {
+    const gif = encodeGif(workerData.frames, workerData.options);
+    parentPort.postMessage({ gif });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+}
+
+module.exports = {
+  blendFrames,
+  encodeGif,
+  encodeGifInWorker
+};
@@ -0,0 +1,208 @@
+/**
+ * Image tool helpers
+ * Reading uploads and options, resolving settings and sending results for the
+ * standalone image tool endpoints (/api/images/*) in api.js
+ */
+
+const path = require('path');
+const { APIError } = require('../middleware/errorHandler');
+const fileService = require('../services/fileService');
+
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const OPTIMIZE_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Parse a JSON object sent as a multipart form field
+ * @param {string|Object} value - Field value
+ * @param {string} label - What the field holds, for the error message
+ * @param {string} code - Error code
+ * @returns {Object} Parsed object; empty when the field was not sent
+ * @throws {APIError} If the field is not a JSON object
+ */
+function parseJsonField(value, label, code) {
+  if (value === undefined || value === '') {
+    return {};
+  }
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new APIError(`${label} must be valid JSON`, 400, code);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new APIError(`${label} must be a JSON object`, 400, code);
+  }
+  return parsed;
+}
+
+/**
+ * Apply unsaved watermark changes to the saved watermark and resolve it for
+ * rendering. The logo and font files always come from the upload endpoints.
+ * @param {SettingsService} settingsService - Settings service
+ * @param {Object} saved - Saved watermark settings
+ * @param {Object} changes - Unsaved changes
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} Watermark options for ImageService
+ * @throws {APIError} If the resulting watermark is invalid
+ */
+async function resolveWatermarkChanges(settingsService, saved, changes, userId) {
+  const watermark = {
+    ...saved,
+    ...changes,
+    logo: { ...saved.logo, ...changes.logo, asset: saved.logo?.asset || null },
+    font: { asset: saved.font?.asset || null, family: saved.font?.family || null }
+  };
+
+  try {
+    settingsService.validateWatermarkSettings(watermark);
+    return await settingsService.resolveWatermark(watermark, userId);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_WATERMARK_SETTINGS');
+  }
+}
+
+/**
+ * Apply unsaved collage changes to the saved collage settings and resolve them
+ * for rendering. The tool makes one collage, so variants are left out.
+ * @param {SettingsService} settingsService - Settings service
+ * @param {Object} saved - Saved collage settings
+ * @param {Object} changes - Unsaved changes
+ * @returns {Promise<Object>} Collage options for ImageService
+ * @throws {APIError} If the resulting settings are invalid
+ */
+async function resolveCollageChanges(settingsService, saved, changes) {
+  const collage = { ...saved, ...changes };
+  delete collage.variants;
+
+  try {
+    settingsService.validateCollageSettings(collage);
+    return await settingsService.resolveCollage(collage);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_COLLAGE_SETTINGS');
+  }
+}
+
+/**
+ * Apply unsaved slideshow changes to the saved slideshow settings and resolve
+ * them for rendering. The music always comes from the audio upload endpoint.
+ * @param {SettingsService} settingsService - Settings service
+ * @param {Object} saved - Saved slideshow settings
+ * @param {Object} changes - Unsaved changes
+ * @param {string} userId - User identifier
+ * @returns {Object} Slideshow options for ImageService
+ * @throws {APIError} If the resulting settings are invalid
+ */
+function resolveSlideshowChanges(settingsService, saved, changes, userId) {
+  const slideshow = {
+    ...saved,
+    ...changes,
+    audio: { ...saved.audio, ...changes.audio, asset: saved.audio?.asset || null }
+  };
+
+  try {
+    settingsService.validateSlideshowSettings(slideshow);
+  } catch (error) {
+    throw new APIError(error.message, 400, 'INVALID_SLIDESHOW_SETTINGS');
+  }
+  return settingsService.resolveSlideshow(slideshow, userId);
+}
+
+/**
+ * Read the options of the optimize tool: `maxWidth` and `maxHeight` (pixels,
+ * default 2000), `quality` (1-100, default 85) and `format` (default jpeg)
+ * @param {Object} options - Submitted options
+ * @returns {Object} Options for ImageService.optimizeForWeb
+ * @throws {APIError} If an option is out of range
+ */
+function parseOptimizeOptions(options) {
+  const { maxWidth = 2000, maxHeight = 2000, quality = 85, format = 'jpeg' } = options;
+
+  const isSize = value => Number.isInteger(value) && value >= 1 && value <= 10000;
+  if (!isSize(maxWidth) || !isSize(maxHeight)) {
+    throw new APIError('Maximum width and height must be between 1 and 10000 pixels', 400, 'INVALID_OPTIMIZE_OPTIONS');
+  }
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new APIError('Quality must be between 1 and 100', 400, 'INVALID_OPTIMIZE_OPTIONS');
+  }
+  if (!OPTIMIZE_FORMATS.includes(format)) {
+    throw new APIError(`Format must be one of: ${OPTIMIZE_FORMATS.join(', ')}`, 400, 'INVALID_OPTIMIZE_OPTIONS');
+  }
+  return { maxWidth, maxHeight, quality, format };
+}
+
+/**
+ * Check the images uploaded to an image tool
+ * @param {ImageService} imageService - Image service
+ * @param {Object[]} files - Uploaded files
+ * @param {number} minimum - Fewest images the tool works with
+ * @returns {Object[]} The uploaded images
+ * @throws {APIError} If an upload is not a supported image or there are too few
+ */
+function getToolImages(imageService, files, minimum = 1) {
+  const { validFiles, errors } = imageService.validateImageFiles(files);
+  if (errors.length) {
+    throw new APIError('Some uploads are not supported images', 400, 'INVALID_IMAGES', errors);
+  }
+  if (validFiles.length < minimum) {
+    throw new APIError(`At least ${minimum} images are required`, 400, 'INSUFFICIENT_IMAGES');
+  }
+  return validFiles;
+}
+
+/**
+ * Name for a processed copy of an uploaded file, e.g. "mug-watermarked.png"
+ * @param {string} originalname - Uploaded file name
+ * @param {string} suffix - What the tool did
+ * @param {string} format - Output format
+ * @returns {string} File name that is safe to use in headers and archives
+ */
+function getToolFilename(originalname, suffix, format) {
+  const name = path.parse(originalname || 'image').name.replace(/[^A-Za-z0-9_-]/g, '_') || 'image';
+  return `${name}-${suffix}.${IMAGE_EXTENSIONS[format] || format}`;
+}
+
+/**
+ * Send the files made by an image tool: a single file as it is, several as a ZIP
+ * @param {Object} res - Express response
+ * @param {Object[]} files - Files to send ({ buffer, filename, mimetype })
+ * @param {string} archiveName - ZIP file name without extension
+ */
+async function sendToolFiles(res, files, archiveName) {
+  res.set('Cache-Control', 'no-store');
+  if (files.length === 1) {
+    res.type(files[0].mimetype);
+    res.set('Content-Disposition', `attachment; filename="${files[0].filename}"`);
+    res.send(files[0].buffer);
+    return;
+  }
+
+  // Uploads with the same name would overwrite each other in the archive
+  const used = new Set();
+  const entries = files.map(file => {
+    const { name, ext } = path.parse(file.filename);
+    let filename = file.filename;
+    for (let n = 2; used.has(filename); n++) {
+      filename = `${name}-${n}${ext}`;
+    }
+    used.add(filename);
+    return { buffer: file.buffer, filename };
+  });
+
+  const zip = await fileService.packageOriginals(entries, archiveName);
+  res.type('application/zip');
+  res.set('Content-Disposition', `attachment; filename="${archiveName}.zip"`);
+  res.send(zip);
+}
+
+module.exports = {
+  parseJsonField,
+  resolveWatermarkChanges,
+  resolveCollageChanges,
+  resolveSlideshowChanges,
+  parseOptimizeOptions,
+  getToolImages,
+  getToolFilename,
+  sendToolFiles
+};
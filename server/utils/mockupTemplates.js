@@ -0,0 +1,161 @@
+/**
+ * Mockup templates
+ * A template is a directory holding a background photo and a template.json
+ * describing where the artwork goes: the four corners of the area it is
+ * warped into, how it fills that area, and an optional shadow and overlay
+ * layer (glass reflections, frame edges, plants in front of the print).
+ * Built-in templates live in server/templates/mockup; MOCKUP_TEMPLATES_DIR
+ * can point at a directory of additional templates. The directory name is
+ * the template id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isConvexQuad } = require('./perspective');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'templates', 'mockup');
+const TEMPLATE_FILE = 'template.json';
+const TEMPLATE_ID_PATTERN = /^[a-z0-9-]+$/;
+const LAYER_FILE_PATTERN = /^[A-Za-z0-9_-]+\.(jpe?g|png|webp|svg)$/;
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const MOCKUP_FITS = ['cover', 'contain'];
+const OVERLAY_BLENDS = ['over', 'multiply', 'screen', 'overlay', 'soft-light'];
+
+/**
+ * Get the directories templates are loaded from; later directories override
+ * templates with the same id
+ * @returns {string[]} Template directories
+ */
+function getTemplateDirs() {
+  return [BUILT_IN_DIR, process.env.MOCKUP_TEMPLATES_DIR].filter(Boolean);
+}
+
+/**
+ * Check a number option of a template
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+    throw new Error(`${label} must be a number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Validate a mockup template
+ * @param {Object} template - Parsed template.json
+ * @throws {Error} If the template is invalid
+ */
+function validateMockupTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error('Template must be a JSON object');
+  }
+  if (typeof template.name !== 'string' || !template.name.trim() || template.name.length > 60) {
+    throw new Error('Template name must be 1-60 characters');
+  }
+  if (template.description !== undefined && (typeof template.description !== 'string' || template.description.length > 200)) {
+    throw new Error('Template description must be a string of up to 200 characters');
+  }
+  if (typeof template.background !== 'string' || !LAYER_FILE_PATTERN.test(template.background)) {
+    throw new Error('Template background must be a JPEG, PNG, WebP or SVG file name');
+  }
+  if (template.overlay !== undefined && (typeof template.overlay !== 'string' || !LAYER_FILE_PATTERN.test(template.overlay))) {
+    throw new Error('Template overlay must be a JPEG, PNG, WebP or SVG file name');
+  }
+  if (template.overlayBlend !== undefined && !OVERLAY_BLENDS.includes(template.overlayBlend)) {
+    throw new Error(`Template overlay blend must be one of: ${OVERLAY_BLENDS.join(', ')}`);
+  }
+
+  const { quad } = template;
+  const isPoint = point => Array.isArray(point) && point.length === 2
+    && point.every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0);
+  if (!Array.isArray(quad) || quad.length !== 4 || !quad.every(isPoint)) {
+    throw new Error('Template quad must list four [x, y] corners: top-left, top-right, bottom-right, bottom-left');
+  }
+  if (!isConvexQuad(quad)) {
+    throw new Error('Template quad must be a convex shape');
+  }
+
+  if (template.fit !== undefined && !MOCKUP_FITS.includes(template.fit)) {
+    throw new Error(`Template fit must be one of: ${MOCKUP_FITS.join(', ')}`);
+  }
+  if (template.matColor !== undefined && !HEX_COLOR_PATTERN.test(template.matColor)) {
+    throw new Error('Template mat color must be a hex color');
+  }
+
+  if (template.shadow !== undefined) {
+    const { shadow } = template;
+    if (shadow.color !== undefined && !HEX_COLOR_PATTERN.test(shadow.color)) {
+      throw new Error('Template shadow color must be a hex color');
+    }
+    checkRange(shadow.opacity, 0, 1, 'Template shadow opacity');
+    checkRange(shadow.blur, 0, 50, 'Template shadow blur');
+    checkRange(shadow.offsetX, -100, 100, 'Template shadow offsetX');
+    checkRange(shadow.offsetY, -100, 100, 'Template shadow offsetY');
+  }
+}
+
+/**
+ * Load all mockup templates. Templates that cannot be read, are invalid or
+ * miss their images are skipped, so one broken template does not hide the
+ * others. Templates are read on every call, so new ones are picked up
+ * without a restart.
+ * @param {string[]} dirs - Directories to load from
+ * @param {Object[]} skipped - Receives a { file, error } entry per skipped template or directory
+ * @returns {Map<string, Object>} Templates by id, with absolute `backgroundPath` and `overlayPath`
+ */
+function loadMockupTemplates(dirs = getTemplateDirs(), skipped = []) {
+  const templates = new Map();
+
+  for (const dir of dirs) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+    } catch (error) {
+      skipped.push({ file: dir, error: error.message });
+      continue;
+    }
+
+    for (const id of entries) {
+      const templateDir = path.join(dir, id);
+      try {
+        if (!TEMPLATE_ID_PATTERN.test(id)) {
+          throw new Error('directory name may only contain lowercase letters, digits and dashes');
+        }
+        const template = JSON.parse(fs.readFileSync(path.join(templateDir, TEMPLATE_FILE), 'utf8'));
+        validateMockupTemplate(template);
+
+        const backgroundPath = path.join(templateDir, template.background);
+        const overlayPath = template.overlay ? path.join(templateDir, template.overlay) : null;
+        for (const file of [backgroundPath, overlayPath].filter(Boolean)) {
+          if (!fs.existsSync(file)) {
+            throw new Error(`missing ${path.basename(file)}`);
+          }
+        }
+        templates.set(id, { ...template, id, backgroundPath, overlayPath });
+      } catch (error) {
+        skipped.push({ file: id, error: error.message });
+      }
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Get a mockup template by id
+ * @param {string} id - Template id
+ * @param {string[]} dirs - Directories to load from
+ * @returns {Object|null} The template, or null if there is none with this id
+ */
+function getMockupTemplate(id, dirs = getTemplateDirs()) {
+  return loadMockupTemplates(dirs).get(id) || null;
+}
+
+module.exports = {
+  validateMockupTemplate,
+  loadMockupTemplates,
+  getMockupTemplate
+};
@@ -0,0 +1,103 @@
+/**
+ * Network address utilities
+ * Keeps server-side requests to user-supplied URLs (webhooks) away from the
+ * server's own network: loopback, private, link-local and other reserved
+ * addresses are refused, both for the URL's host and for what it resolves to.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to the address must be refused
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check that a URL does not point at the server's own network by name or address.
+ * Host names are resolved at request time; see publicLookup.
+ * @param {string|URL} url - URL to check
+ * @throws {Error} If the URL's host is local or a private address
+ */
+function assertPublicUrl(url) {
+  const { hostname } = url instanceof URL ? url : new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    throw new Error(`${hostname} is a local or private address`);
+  }
+}
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses host names resolving
+ * to private addresses. Connecting to the checked address closes the gap
+ * between checking a name and a later, different answer for it.
+ * @param {string} hostname - Host name to resolve
+ * @param {Object|number} options - dns.lookup options
+ * @param {Function} callback - Called with (error, address, family) or (error, addresses)
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to the private address ${blocked.address}`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicLookup
+};
@@ -0,0 +1,116 @@
+/**
+ * Perspective transform utilities
+ * Maps a rectangle onto an arbitrary quadrilateral (a homography), used to
+ * warp product images into mockup photos
+ */
+
+/**
+ * Solve a linear system with Gaussian elimination and partial pivoting
+ * @param {number[][]} matrix - Augmented matrix, one row per equation
+ * @returns {number[]} Solution
+ * @throws {Error} If the system has no single solution
+ */
+function solveLinearSystem(matrix) {
+  const rows = matrix.map(row => [...row]);
+  const n = rows.length;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) {
+      throw new Error('Points do not define a perspective transform');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row !== col) {
+        const factor = rows[row][col] / rows[col][col];
+        for (let k = col; k <= n; k++) {
+          rows[row][k] -= factor * rows[col][k];
+        }
+      }
+    }
+  }
+
+  return rows.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Compute the perspective transform mapping four points onto four others
+ * @param {number[][]} from - Source points as [x, y]
+ * @param {number[][]} to - Destination points as [x, y], in the same order
+ * @returns {number[]} 3x3 transform matrix, row by row
+ */
+function getPerspectiveTransform(from, to) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = from[i];
+    const [u, v] = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  }
+  return [...solveLinearSystem(rows), 1];
+}
+
+/**
+ * Invert a 3x3 matrix
+ * @param {number[]} m - Matrix, row by row
+ * @returns {number[]} Inverse matrix
+ * @throws {Error} If the matrix cannot be inverted
+ */
+function invertMatrix(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  if (Math.abs(det) < 1e-12) {
+    throw new Error('Transform cannot be inverted');
+  }
+  return [
+    (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+    (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+    (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det
+  ];
+}
+
+/**
+ * Apply a perspective transform to a point
+ * @param {number[]} m - 3x3 transform matrix, row by row
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @returns {number[]} Transformed point as [x, y]
+ */
+function transformPoint(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+  return [(m[0] * x + m[1] * y + m[2]) / w, (m[3] * x + m[4] * y + m[5]) / w];
+}
+
+/**
+ * Check that four points form a convex quadrilateral with some area, which
+ * any photo of a flat rectangle does
+ * @param {number[][]} points - Corners as [x, y], in order around the shape
+ * @returns {boolean} True if the quadrilateral is convex
+ */
+function isConvexQuad(points) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % 4];
+    const [x3, y3] = points[(i + 2) % 4];
+    const cross = (x2 - x1) * (y3 - y2) - (y2 - y1) * (x3 - x2);
+    if (Math.abs(cross) < 1e-6 || (sign && Math.sign(cross) !== sign)) {
+      return false;
+    }
+    sign = Math.sign(cross);
+  }
+  return true;
+}
+
+module.exports = {
+  getPerspectiveTransform,
+  invertMatrix,
+  transformPoint,
+  isConvexQuad
+};
@@ -0,0 +1,70 @@
+/**
+ * Secret encryption utilities
+ * Encrypts credentials that have to be kept on disk (AES-256-GCM), keyed
+ * with TOKEN_ENCRYPTION_KEY or, when that is not set, JWT_SECRET
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Get the configured encryption secret
+ * @returns {string|null} Secret, or null if none is configured
+ */
+function getDefaultSecret() {
+  return process.env.TOKEN_ENCRYPTION_KEY || process.env.JWT_SECRET || null;
+}
+
+/**
+ * Derive a 256-bit key from a secret of any length
+ * @private
+ */
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @param {string} secret - Encryption secret
+ * @returns {string} `v1.<iv>.<tag>.<ciphertext>`, base64url encoded
+ */
+function seal(value, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data].map(part => (
+    Buffer.isBuffer(part) ? part.toString('base64url') : part
+  )).join('.');
+}
+
+/**
+ * Decrypt a value encrypted with seal()
+ * @param {string} sealed - Encrypted value
+ * @param {string} secret - Encryption secret
+ * @returns {*} Decrypted value
+ * @throws {Error} If the value is malformed or the secret does not match
+ */
+function open(sealed, secret) {
+  const [version, iv, tag, data] = String(sealed).split('.');
+  if (version !== VERSION || !iv || !tag || data === undefined) {
+    throw new Error('Malformed encrypted value');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const json = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error('Cannot decrypt value; the encryption key may have changed');
+  }
+}
+
+module.exports = {
+  getDefaultSecret,
+  seal,
+  open
+};
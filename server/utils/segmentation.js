@@ -0,0 +1,42 @@
+/**
+ * Background segmentation models
+ * Background removal keys out plain backgrounds by color. For busier
+ * backgrounds a local segmentation model can be plugged in: set
+ * BACKGROUND_SEGMENTER to a module path (or package name) that exports
+ * `async (imageBuffer, { width, height }) => mask`, either as the module
+ * itself or as its `segment` export. The image is a PNG, already rotated
+ * upright; the mask is a grayscale image (or raw width x height bytes) that is
+ * white on the product and black on the background. Nothing leaves the server.
+ */
+
+const path = require('path');
+
+/**
+ * Load the configured segmentation model
+ * @param {string} modulePath - Module to load; defaults to BACKGROUND_SEGMENTER
+ * @returns {Function|null} Segmentation function, or null if none is configured
+ * @throws {Error} If the module cannot be loaded or exports no segmentation function
+ */
+function loadSegmenter(modulePath = process.env.BACKGROUND_SEGMENTER) {
+  if (!modulePath) {
+    return null;
+  }
+
+  const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath) ? path.resolve(modulePath) : modulePath;
+  let model;
+  try {
+    model = require(resolved);
+  } catch (error) {
+    throw new Error(`Cannot load segmentation model ${modulePath}: ${error.message}`);
+  }
+
+  const segment = typeof model === 'function' ? model : model?.segment;
+  if (typeof segment !== 'function') {
+    throw new Error(`Segmentation model ${modulePath} must export a function or a segment() function`);
+  }
+  return segment;
+}
+
+module.exports = {
+  loadSegmenter
+};